@@ -0,0 +1,103 @@
+/* eslint-disable no-restricted-globals */
+
+// Keeps the app and the catalogue usable when the network drops. The app
+// shell is cached on install from the build's asset manifest; catalogue
+// requests go to the network first and fall back to the last response seen,
+// so the circulation desk can still look up books and copies by scan.
+// Issues and returns are not handled here: the app queues those itself (see
+// src/utils/offlineQueue.js). Registered by src/serviceWorkerRegistration.js,
+// which passes the API address as ?api=.
+
+// Bumped when what is cached changes, so activate drops the old caches
+const CACHE_VERSION = 'v3';
+const SHELL_CACHE = `kitabghar-shell-${CACHE_VERSION}`;
+const CATALOGUE_CACHE = `kitabghar-catalogue-${CACHE_VERSION}`;
+
+const scopeUrl = new URL(self.registration.scope);
+const indexUrl = new URL('index.html', scopeUrl).href;
+const apiUrl = new URL(new URL(self.location.href).searchParams.get('api') || '/api', self.location.origin);
+const apiPath = apiUrl.pathname.replace(/\/$/, '');
+
+// Only the catalogue is kept: the book list (which also answers ISBN
+// lookups), single books and copies looked up by accession number. The desk
+// sends these with a session token, so they are cached by URL alone and the
+// token is never stored; the responses hold no member or loan data. Admin
+// views under /books (the trash, a book's copies) are left to the network.
+const escapedApiPath = apiPath.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const CATALOGUE_PATH = new RegExp(`^${escapedApiPath}/books(/[^/]+)?/?$`);
+const ACCESSION_PATH = new RegExp(`^${escapedApiPath}/copies/accession/[^/]+/?$`);
+const ADMIN_BOOK_PATHS = ['trash', 'deleted'];
+
+const isCatalogueRequest = (url) => {
+  if (url.origin !== apiUrl.origin) return false;
+  if (ACCESSION_PATH.test(url.pathname)) return true;
+  const match = url.pathname.match(CATALOGUE_PATH);
+  return !!match && !ADMIN_BOOK_PATHS.includes((match[1] || '').slice(1));
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    const response = await fetch(new URL('asset-manifest.json', scopeUrl), { cache: 'no-store' });
+    const manifest = await response.json();
+    await cache.addAll([indexUrl, ...(manifest.entrypoints || []).map(file => new URL(file, scopeUrl).href)]);
+    await self.skipWaiting();
+  })());
+});
+
+// Drop caches left by older versions of this worker
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, CATALOGUE_CACHE];
+    const keys = await caches.keys();
+    await Promise.all(keys.filter(key => !keep.includes(key)).map(key => caches.delete(key)));
+    await self.clients.claim();
+  })());
+});
+
+// Try the network, keep a copy of what comes back, and fall back to the copy
+const networkFirst = async (request, cacheName, fallbackUrl = request) => {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(fallbackUrl, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(fallbackUrl, { ignoreVary: true });
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+// Build files have hashed names, so a cached copy never goes stale
+const cacheFirst = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  // Every route is the single-page app
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, SHELL_CACHE, indexUrl));
+    return;
+  }
+
+  if (url.origin === self.location.origin && url.pathname.startsWith(`${scopeUrl.pathname}static/`)) {
+    event.respondWith(cacheFirst(request));
+    return;
+  }
+
+  // Keyed by URL so the copy is found again under a different token
+  if (isCatalogueRequest(url)) {
+    event.respondWith(networkFirst(request, CATALOGUE_CACHE, request.url));
+  }
+});
@@ -0,0 +1,6 @@
+// Runs once before the test suites (jest globalSetup). Date tests run west of
+// UTC, where reading a date-only value as UTC midnight lands on the day
+// before, so that mistake fails the tests wherever they are run.
+module.exports = async () => {
+  process.env.TZ = 'America/New_York';
+};
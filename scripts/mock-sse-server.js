@@ -0,0 +1,103 @@
+// Mock /notifications stream for trying out the dashboard's live updates
+// without the backend.
+//
+//   node scripts/mock-sse-server.js            (listens on port 5001)
+//   REACT_APP_NOTIFICATIONS_URL=http://localhost:5001/notifications npm start
+//
+// Every few seconds a random event is sent; type a line such as
+// "issue.created" on stdin to send one by hand. Stopping and restarting the
+// server is a quick way to see the reconnect indicator.
+//
+// Like the real API, the stream opens only with a ticket from
+// POST /notifications/ticket, each good once for TICKET_TTL_MS. Any bearer
+// token is accepted for a ticket.
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 5001;
+const INTERVAL_MS = Number(process.env.INTERVAL_MS) || 5000;
+const TICKET_TTL_MS = 30 * 1000;
+const EVENT_TYPES = ['issue.created', 'issue.returned', 'book.updated', 'stock.changed'];
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+};
+
+const clients = new Set();
+// ticket -> expiry time
+const tickets = new Map();
+
+const issueTicket = (req, res) => {
+  if (!/^Bearer \S+/.test(req.headers.authorization || '')) {
+    res.writeHead(401, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ message: 'Not signed in' }));
+    return;
+  }
+  const ticket = crypto.randomBytes(24).toString('hex');
+  tickets.set(ticket, Date.now() + TICKET_TTL_MS);
+  res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ ticket }));
+};
+
+// Each ticket opens one stream, and only before it expires
+const redeemTicket = (ticket) => {
+  const expiresAt = tickets.get(ticket);
+  tickets.delete(ticket);
+  return !!expiresAt && Date.now() < expiresAt;
+};
+
+const send = (type) => {
+  const payload = JSON.stringify({ type, sentAt: new Date().toISOString() });
+  clients.forEach(res => res.write(`data: ${payload}\n\n`));
+  console.log(`sent ${type} to ${clients.size} client(s)`);
+};
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+  if (req.method === 'POST' && url.pathname === '/notifications/ticket') {
+    issueTicket(req, res);
+    return;
+  }
+  if (url.pathname !== '/notifications') {
+    res.writeHead(404, CORS_HEADERS);
+    res.end();
+    return;
+  }
+  if (!redeemTicket(url.searchParams.get('ticket'))) {
+    res.writeHead(401, CORS_HEADERS);
+    res.end();
+    return;
+  }
+
+  res.writeHead(200, {
+    ...CORS_HEADERS,
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.write(': connected\n\n');
+  clients.add(res);
+  req.on('close', () => clients.delete(res));
+});
+
+setInterval(() => {
+  if (clients.size > 0) send(EVENT_TYPES[Math.floor(Math.random() * EVENT_TYPES.length)]);
+}, INTERVAL_MS);
+
+process.stdin.setEncoding('utf8');
+process.stdin.on('data', (chunk) => {
+  chunk.split('\n').map(line => line.trim()).filter(Boolean).forEach(send);
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock notifications at http://localhost:${PORT}/notifications`);
+});
@@ -3,10 +3,15 @@ import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import { QueryClient, QueryClientProvider } from 'react-query';
 import { ToastContainer } from 'react-toastify';
 import { AuthProvider } from './context/AuthContext';
+import { useSavedClosureCalendar } from './hooks/useLibrary';
+import { ClosureCalendarContext } from './context/ClosureCalendarContext';
 import ProtectedRoute from './components/ProtectedRoute';
 import UserPage from './pages/User/UserPage';
+import MyLoansPage from './pages/User/MyLoansPage';
 import AdminDashboard from './pages/Admin/AdminDashboard';
+import MemberProfilePage from './pages/Admin/MemberProfilePage';
 import LoginPage from './pages/Auth/LoginPage';
+import { PERMISSIONS } from './config/permissions';
 import 'react-toastify/dist/ReactToastify.css';
 import './styles/App.css';
 
@@ -20,25 +25,46 @@ const queryClient = new QueryClient({
   },
 });
 
+// Due dates everywhere depend on the closure calendar, so it is loaded here
+// and provided to every route
+function AppRoutes() {
+  const closureCalendar = useSavedClosureCalendar();
+
+  return (
+    <ClosureCalendarContext.Provider value={closureCalendar}>
+      <Routes>
+        <Route path="/" element={<UserPage />} />
+        <Route path="/user" element={<UserPage />} />
+        <Route path="/my-loans" element={<MyLoansPage />} />
+        <Route path="/login" element={<LoginPage />} />
+        <Route 
+          path="/admin" 
+          element={
+            <ProtectedRoute permission={PERMISSIONS.VIEW_ADMIN}>
+              <AdminDashboard />
+            </ProtectedRoute>
+          } 
+        />
+        <Route
+          path="/admin/members/:erpId"
+          element={
+            <ProtectedRoute permission={PERMISSIONS.VIEW_ADMIN}>
+              <MemberProfilePage />
+            </ProtectedRoute>
+          }
+        />
+      </Routes>
+    </ClosureCalendarContext.Provider>
+  );
+}
+
 function App() {
   return (
     <AuthProvider>
       <QueryClientProvider client={queryClient}>
         <Router>
           <div className="App">
-            <Routes>
-              <Route path="/" element={<UserPage />} />
-              <Route path="/user" element={<UserPage />} />
-              <Route path="/login" element={<LoginPage />} />
-              <Route 
-                path="/admin" 
-                element={
-                  <ProtectedRoute>
-                    <AdminDashboard />
-                  </ProtectedRoute>
-                } 
-              />
-            </Routes>
+            <AppRoutes />
             
             {/* Toast notifications */}
             <ToastContainer
@@ -1,69 +1,27 @@
-import axios from 'axios';
-
-const API_BASE_URL = 'http://localhost:5000/api';
-
-// Create axios instance with default config
-const adminApiClient = axios.create({
-  baseURL: API_BASE_URL,
-  headers: {
-    'Content-Type': 'application/json',
-  },
-});
-
-// Response interceptor for error handling
-adminApiClient.interceptors.response.use(
-  (response) => response.data,
-  (error) => {
-    const message = error.response?.data?.message || error.message || 'An error occurred';
-    throw new Error(message);
-  }
-);
+import { booksAPI, issuesAPI, adminAPI as libraryAdminAPI } from './libraryAPI';
 
+// Admin operations under the names used by earlier admin screens. Every
+// method delegates to libraryAPI so both share the same client and endpoints.
 export const adminAPI = {
-  // Dashboard stats
-  getDashboardStats: async () => {
-    return adminApiClient.get('/admin/stats');
-  },
-
-  // Dashboard overview
-  getDashboardOverview: async () => {
-    return adminApiClient.get('/admin/overview');
-  },
-
-  // Get all users
-  getAllUsers: async () => {
-    return adminApiClient.get('/admin/users');
-  },
+  ...libraryAdminAPI,
 
   // Add a new book
-  addBook: async (bookData) => {
-    return adminApiClient.post('/books', bookData);
-  },
+  addBook: booksAPI.addBook,
 
   // Update book stock
-  updateBookStock: async (bookId, stockData) => {
-    return adminApiClient.put(`/books/${bookId}/stock`, stockData);
-  },
+  updateBookStock: booksAPI.updateStock,
 
   // Update book details
-  updateBook: async (bookId, bookData) => {
-    return adminApiClient.put(`/books/${bookId}`, bookData);
-  },
+  updateBook: booksAPI.updateBook,
 
   // Delete a book
-  deleteBook: async (bookId) => {
-    return adminApiClient.delete(`/books/${bookId}`);
-  },
+  deleteBook: booksAPI.deleteBook,
 
   // Get issued books with admin details
-  getIssuedBooksAdmin: async () => {
-    return adminApiClient.get('/admin/issued-books');
-  },
+  getIssuedBooksAdmin: libraryAdminAPI.getAdminIssues,
 
   // Mark book as returned
-  returnBook: async (issueId) => {
-    return adminApiClient.put(`/admin/return-book/${issueId}`);
-  }
+  returnBook: issuesAPI.returnBook
 };
 
 export default adminAPI;
@@ -4,18 +4,15 @@
 
 import axios from 'axios';
 import { toast } from 'react-toastify';
+import apiClient, { API_BASE_URL, getAuthToken, retryWithFreshToken } from './client';
 
 // ========================================
 // 1. ENVIRONMENT-BASED CONFIGURATION
 // ========================================
 
 const createApiInstance = () => {
-  const baseURL = process.env.NODE_ENV === 'production' 
-    ? process.env.REACT_APP_PROD_API_URL 
-    : process.env.REACT_APP_DEV_API_URL || 'http://localhost:5000/api';
-
   const instance = axios.create({
-    baseURL,
+    baseURL: API_BASE_URL,
     timeout: process.env.NODE_ENV === 'production' ? 30000 : 15000,
     headers: {
       'Content-Type': 'application/json',
@@ -35,7 +32,7 @@ const api = createApiInstance();
 api.interceptors.request.use(
   (config) => {
     // Add authentication token
-    const token = localStorage.getItem('adminToken');
+    const token = getAuthToken();
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -86,28 +83,10 @@ api.interceptors.response.use(
     // ========================================
     // TOKEN REFRESH LOGIC
     // ========================================
-    if (error.response?.status === 401 && !originalRequest._retry) {
-      originalRequest._retry = true;
-
-      try {
-        const refreshToken = localStorage.getItem('refreshToken');
-        if (refreshToken) {
-          const response = await axios.post('/auth/refresh', {
-            refreshToken
-          });
-
-          const newToken = response.data.token;
-          localStorage.setItem('adminToken', newToken);
-
-          // Retry original request with new token
-          originalRequest.headers.Authorization = `Bearer ${newToken}`;
-          return api(originalRequest);
-        }
-      } catch (refreshError) {
-        // Refresh failed, redirect to login
-        handleAuthFailure();
-        return Promise.reject(refreshError);
-      }
+    // Shares the refresh (and the logout when it fails) with the main client,
+    // so every API client agrees on the session.
+    if (error.response?.status === 401 && originalRequest?.headers?.Authorization) {
+      return retryWithFreshToken(error, api);
     }
 
     // ========================================
@@ -121,8 +100,7 @@ api.interceptors.response.use(
         toast.error(`Bad Request: ${message}`);
         break;
       case 401:
-        toast.error('Session expired. Please login again.');
-        handleAuthFailure();
+        toast.error(`Unauthorized: ${message}`);
         break;
       case 403:
         toast.error('Access denied. Insufficient permissions.');
@@ -170,19 +148,6 @@ api.interceptors.response.use(
   }
 );
 
-// ========================================
-// 4. AUTHENTICATION HELPERS
-// ========================================
-
-const handleAuthFailure = () => {
-  localStorage.removeItem('adminToken');
-  localStorage.removeItem('adminUser');
-  localStorage.removeItem('refreshToken');
-  
-  // Redirect to login page
-  window.location.href = '/login';
-};
-
 // ========================================
 // 5. RETRY MECHANISM
 // ========================================
@@ -351,25 +316,102 @@ export const batchRequests = async (requests) => {
 // 10. REAL-TIME NOTIFICATIONS (SSE)
 // ========================================
 
-export const subscribeToNotifications = (onMessage, onError) => {
-  const eventSource = new EventSource(`${api.defaults.baseURL}/notifications`);
-  
-  eventSource.onmessage = (event) => {
+export const NOTIFICATION_STATUS = {
+  CONNECTING: 'connecting',
+  OPEN: 'open',
+  RECONNECTING: 'reconnecting',
+  CLOSED: 'closed'
+};
+
+// Stream URL; REACT_APP_NOTIFICATIONS_URL points it elsewhere, e.g. at
+// scripts/mock-sse-server.js during development
+const NOTIFICATIONS_URL = process.env.REACT_APP_NOTIFICATIONS_URL || `${api.defaults.baseURL}/notifications`;
+
+// EventSource cannot send headers, and a token in the stream URL would end up
+// in server and proxy logs. So each connection first trades the session (sent
+// in the usual header, refreshed if it has expired) for a stream ticket: a
+// random value the server accepts once, within a few seconds, to open
+// /notifications and nothing else. A cookie would also work, but the session
+// lives in localStorage and the API is on another origin, so it would need a
+// cross-site cookie and CSRF protection of its own. The request goes through
+// the shared client rather than `api` so reconnect attempts do not toast.
+const requestStreamTicket = async () => {
+  const response = await apiClient.post(`${NOTIFICATIONS_URL}/ticket`);
+  return response.data.ticket;
+};
+
+// Opens /notifications and keeps it open: after an error the stream is
+// reopened with exponential backoff (1s, 2s, 4s... up to maxDelay), and the
+// delay resets once a connection succeeds. Every attempt gets a fresh ticket
+// (see requestStreamTicket).
+export const subscribeToNotifications = (onMessage, onError, options = {}) => {
+  const { onStatusChange, initialDelay = 1000, maxDelay = 30000 } = options;
+
+  let eventSource = null;
+  let retryTimer = null;
+  let retryDelay = initialDelay;
+  let closed = false;
+
+  const setStatus = (status) => {
+    if (onStatusChange) onStatusChange(status);
+  };
+
+  const scheduleRetry = () => {
+    if (closed) return;
+    setStatus(NOTIFICATION_STATUS.RECONNECTING);
+    retryTimer = setTimeout(connect, retryDelay);
+    retryDelay = Math.min(retryDelay * 2, maxDelay);
+  };
+
+  const connect = async () => {
+    let ticket = null;
     try {
-      const data = JSON.parse(event.data);
-      onMessage(data);
+      if (getAuthToken()) ticket = await requestStreamTicket();
     } catch (error) {
-      console.error('Failed to parse SSE message:', error);
+      console.error('Failed to get a notification stream ticket:', error);
+      if (onError) onError(error);
+      scheduleRetry();
+      return;
     }
-  };
+    if (closed) return;
+
+    eventSource = new EventSource(`${NOTIFICATIONS_URL}${ticket ? `?ticket=${encodeURIComponent(ticket)}` : ''}`);
 
-  eventSource.onerror = (error) => {
-    console.error('SSE connection error:', error);
-    if (onError) onError(error);
+    eventSource.onopen = () => {
+      retryDelay = initialDelay;
+      setStatus(NOTIFICATION_STATUS.OPEN);
+    };
+
+    eventSource.onmessage = (event) => {
+      try {
+        const data = JSON.parse(event.data);
+        onMessage(data);
+      } catch (error) {
+        console.error('Failed to parse SSE message:', error);
+      }
+    };
+
+    eventSource.onerror = (error) => {
+      console.error('SSE connection error:', error);
+      if (onError) onError(error);
+
+      // Take over from the browser's own retry so the backoff applies (and a
+      // used ticket is not sent again)
+      eventSource.close();
+      scheduleRetry();
+    };
   };
 
+  setStatus(NOTIFICATION_STATUS.CONNECTING);
+  connect();
+
   // Return cleanup function
-  return () => eventSource.close();
+  return () => {
+    closed = true;
+    clearTimeout(retryTimer);
+    if (eventSource) eventSource.close();
+    setStatus(NOTIFICATION_STATUS.CLOSED);
+  };
 };
 
 // ========================================
@@ -1,59 +1,45 @@
-import axios from 'axios';
-
-const API_BASE_URL = 'http://localhost:5000/api';
-
-// Create axios instance with default config
-const authApiClient = axios.create({
-  baseURL: API_BASE_URL,
-  headers: {
-    'Content-Type': 'application/json',
-  },
-});
-
-// Request interceptor to add auth token
-authApiClient.interceptors.request.use(
-  (config) => {
-    const token = localStorage.getItem('adminToken');
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
-    }
-    return config;
-  },
-  (error) => {
-    return Promise.reject(error);
-  }
-);
-
-// Response interceptor for error handling
-authApiClient.interceptors.response.use(
-  (response) => response.data,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Token expired or invalid
-      localStorage.removeItem('adminToken');
-      localStorage.removeItem('adminUser');
-      window.location.href = '/login';
-    }
-    
-    const message = error.response?.data?.message || error.message || 'An error occurred';
-    throw new Error(message);
-  }
-);
+import api, { toApiError } from './client';
 
 export const authAPI = {
   // Login
   login: async (credentials) => {
-    return authApiClient.post('/auth/login', credentials);
+    try {
+      const response = await api.post('/auth/login', credentials);
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Login failed. Please try again.');
+    }
   },
 
   // Verify token
   verifyToken: async () => {
-    return authApiClient.post('/auth/verify');
+    try {
+      const response = await api.post('/auth/verify');
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to verify session');
+    }
   },
 
-  // Logout
-  logout: async () => {
-    return authApiClient.post('/auth/logout');
+  // Trade a refresh token for a new access token (and possibly a new refresh
+  // token). Never retried through the 401 refresh itself.
+  refreshToken: async (refreshToken) => {
+    try {
+      const response = await api.post('/auth/refresh', { refreshToken }, { skipAuthRefresh: true });
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Session expired. Please log in again.');
+    }
+  },
+
+  // Logout, revoking the refresh token when there is one
+  logout: async (refreshToken) => {
+    try {
+      const response = await api.post('/auth/logout', refreshToken ? { refreshToken } : undefined, { skipAuthRefresh: true });
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to log out');
+    }
   }
 };
 
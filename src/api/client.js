@@ -0,0 +1,137 @@
+import axios from 'axios';
+
+// Single HTTP client shared by every API module. AuthContext owns the session
+// and pushes the current token, the refresh step and the 401 policy in here.
+
+export const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+let authToken = null;
+let unauthorizedHandler = null;
+let refreshHandler = null;
+let refreshPromise = null;
+
+// Called by AuthContext whenever the session token changes
+export const setAuthToken = (token) => {
+  authToken = token || null;
+};
+
+export const getAuthToken = () => authToken;
+
+// Called by AuthContext to decide what happens when the server rejects the token
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+// Called by AuthContext with a function that trades the refresh token for a
+// new access token and resolves to it
+export const setRefreshHandler = (handler) => {
+  refreshHandler = handler;
+};
+
+// Error shape thrown by every API method
+export class ApiError extends Error {
+  constructor(message, { status = null, data = null, isNetworkError = false } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+    // The request never reached the server (no connection), as opposed to the
+    // server refusing it or timing out
+    this.isNetworkError = isNetworkError;
+  }
+}
+
+// Normalise an axios error, preferring the server's message over the fallback
+export const toApiError = (error, fallbackMessage = 'An error occurred') => {
+  if (error instanceof ApiError) return error;
+
+  const data = error.response?.data || null;
+  return new ApiError(data?.message || fallbackMessage, {
+    status: error.response?.status || null,
+    data,
+    isNetworkError: !error.response && error.code === 'ERR_NETWORK'
+  });
+};
+
+// Get a new access token. Concurrent callers share a single refresh request,
+// so a burst of 401s only refreshes once.
+export const refreshAuthToken = () => {
+  if (!refreshHandler) {
+    return Promise.reject(new ApiError('Session expired', { status: 401 }));
+  }
+  if (!refreshPromise) {
+    refreshPromise = refreshHandler().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+// End the session once the server has rejected it and refreshing did not help
+export const expireSession = (error) => {
+  if (unauthorizedHandler) unauthorizedHandler(error);
+};
+
+// 401 recovery shared by every axios instance that sends the session token:
+// refresh once, then replay the request through `client`. Resolves to the
+// replayed response, or rejects after ending the session. Requests marked
+// `skipAuthRefresh` (the refresh call itself) are passed straight through.
+export const retryWithFreshToken = async (error, client) => {
+  const request = error.config;
+  if (request.skipAuthRefresh) throw error;
+
+  if (request._retry) {
+    expireSession(error);
+    throw error;
+  }
+
+  request._retry = true;
+
+  // Another request already refreshed while this one was in flight
+  if (authToken && request.headers.Authorization !== `Bearer ${authToken}`) {
+    return client(request);
+  }
+
+  try {
+    await refreshAuthToken();
+  } catch (refreshError) {
+    expireSession(error);
+    throw error;
+  }
+  return client(request);
+};
+
+const apiClient = axios.create({
+  baseURL: API_BASE_URL,
+  timeout: 10000,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+// Request interceptor to add auth token
+apiClient.interceptors.request.use(
+  (config) => {
+    if (authToken) {
+      config.headers.Authorization = `Bearer ${authToken}`;
+    }
+    return config;
+  },
+  (error) => {
+    return Promise.reject(error);
+  }
+);
+
+// Response interceptor: one 401 policy for the whole app. Only requests that
+// carried a token can expire a session, so a failed login is left alone.
+apiClient.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    if (error.response?.status === 401 && error.config?.headers?.Authorization) {
+      return retryWithFreshToken(error, apiClient);
+    }
+    return Promise.reject(error);
+  }
+);
+
+export default apiClient;
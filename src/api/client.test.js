@@ -0,0 +1,139 @@
+import apiClient, {
+  ApiError,
+  toApiError,
+  setAuthToken,
+  setRefreshHandler,
+  setUnauthorizedHandler
+} from './client';
+
+// Stands in for the server: accepts only the token in `validToken` and
+// records the Authorization header of every request it sees
+let validToken;
+let seenTokens;
+
+const server = async (config) => {
+  const token = config.headers.Authorization || null;
+  seenTokens.push(token);
+  const response = { data: { url: config.url }, status: 200, statusText: 'OK', headers: {}, config };
+  if (token && token !== `Bearer ${validToken}`) {
+    throw Object.assign(new Error('Request failed with status code 401'), {
+      config,
+      response: { ...response, data: { message: 'Token expired' }, status: 401 }
+    });
+  }
+  return response;
+};
+
+let onUnauthorized;
+
+beforeEach(() => {
+  apiClient.defaults.adapter = server;
+  validToken = 'fresh';
+  seenTokens = [];
+  onUnauthorized = jest.fn();
+  setAuthToken('stale');
+  setUnauthorizedHandler(onUnauthorized);
+});
+
+afterEach(() => {
+  setAuthToken(null);
+  setRefreshHandler(null);
+  setUnauthorizedHandler(null);
+});
+
+// A refresh handler that swaps in the fresh token, as AuthContext does
+const refreshTo = (token) => jest.fn(async () => {
+  setAuthToken(token);
+  return token;
+});
+
+describe('refreshing an expired token', () => {
+  it('refreshes once for a burst of 401s and replays every request', async () => {
+    const refresh = refreshTo('fresh');
+    setRefreshHandler(refresh);
+
+    const responses = await Promise.all(['/books', '/issues', '/members'].map(url => apiClient.get(url)));
+
+    expect(refresh).toHaveBeenCalledTimes(1);
+    expect(responses.map(response => response.data.url)).toEqual(['/books', '/issues', '/members']);
+    expect(seenTokens.filter(token => token === 'Bearer fresh')).toHaveLength(3);
+    expect(onUnauthorized).not.toHaveBeenCalled();
+  });
+
+  it('replays without refreshing when another request already did', async () => {
+    const refresh = refreshTo('fresh');
+    setRefreshHandler(refresh);
+    // Another request refreshes while this one is still on its way
+    apiClient.defaults.adapter = (config) => {
+      setAuthToken('fresh');
+      apiClient.defaults.adapter = server;
+      return server(config);
+    };
+
+    const response = await apiClient.get('/issues');
+
+    expect(refresh).not.toHaveBeenCalled();
+    expect(seenTokens).toEqual(['Bearer stale', 'Bearer fresh']);
+    expect(response.data.url).toBe('/issues');
+  });
+
+  it('ends the session when the refresh fails', async () => {
+    setRefreshHandler(jest.fn().mockRejectedValue(new ApiError('Session expired', { status: 401 })));
+
+    await expect(apiClient.get('/books')).rejects.toMatchObject({ response: { status: 401 } });
+    expect(onUnauthorized).toHaveBeenCalledTimes(1);
+  });
+
+  it('ends the session when the replay is refused too, without refreshing again', async () => {
+    const refresh = refreshTo('also-stale');
+    setRefreshHandler(refresh);
+
+    await expect(apiClient.get('/books')).rejects.toMatchObject({ response: { status: 401 } });
+    expect(refresh).toHaveBeenCalledTimes(1);
+    expect(onUnauthorized).toHaveBeenCalledTimes(1);
+  });
+
+  it('leaves requests marked skipAuthRefresh alone', async () => {
+    const refresh = refreshTo('fresh');
+    setRefreshHandler(refresh);
+
+    await expect(apiClient.post('/auth/refresh', {}, { skipAuthRefresh: true }))
+      .rejects.toMatchObject({ response: { status: 401 } });
+    expect(refresh).not.toHaveBeenCalled();
+    expect(onUnauthorized).not.toHaveBeenCalled();
+  });
+
+  it('leaves a 401 on a request sent without a token alone', async () => {
+    setAuthToken(null);
+    apiClient.defaults.adapter = async (config) => {
+      throw Object.assign(new Error('Request failed with status code 401'), {
+        config,
+        response: { data: { message: 'Wrong password' }, status: 401, headers: {}, config }
+      });
+    };
+    const refresh = refreshTo('fresh');
+    setRefreshHandler(refresh);
+
+    await expect(apiClient.post('/auth/login', {})).rejects.toMatchObject({ response: { status: 401 } });
+    expect(refresh).not.toHaveBeenCalled();
+    expect(onUnauthorized).not.toHaveBeenCalled();
+  });
+});
+
+describe('toApiError', () => {
+  it("prefers the server's message and keeps the status", () => {
+    const error = toApiError({ response: { status: 409, data: { message: 'No copies left' } } }, 'Failed to issue book');
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error).toMatchObject({ message: 'No copies left', status: 409, isNetworkError: false });
+  });
+
+  it('flags a request that never reached the server', () => {
+    const error = toApiError({ code: 'ERR_NETWORK' }, 'Failed to issue book');
+    expect(error).toMatchObject({ message: 'Failed to issue book', status: null, isNetworkError: true });
+  });
+
+  it('passes an ApiError through unchanged', () => {
+    const error = new ApiError('Session expired', { status: 401 });
+    expect(toApiError(error)).toBe(error);
+  });
+});
@@ -1,76 +1,60 @@
-import axios from 'axios';
+import {
+  booksAPI as libraryBooksAPI,
+  issuesAPI as libraryIssuesAPI,
+  adminAPI as libraryAdminAPI,
+  usersAPI as libraryUsersAPI,
+  holdsAPI,
+  copiesAPI,
+  auditAPI,
+  membersAPI,
+  settingsAPI,
+  remindersAPI
+} from './libraryAPI';
+
+// Public entry point for the API layer. The short method names below are
+// aliases kept for callers written against the original index.js client.
 
-// Create axios instance with base configuration
-const api = axios.create({
-  baseURL: process.env.REACT_APP_API_URL || 'http://localhost:5000/api',
-  timeout: 10000,
-  headers: {
-    'Content-Type': 'application/json',
-  },
-});
-
-// Request interceptor to add auth token
-api.interceptors.request.use(
-  (config) => {
-    const token = localStorage.getItem('token');
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
-    }
-    return config;
-  },
-  (error) => {
-    return Promise.reject(error);
-  }
-);
-
-// Response interceptor for error handling
-api.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Handle unauthorized access
-      localStorage.removeItem('token');
-      window.location.href = '/login';
-    }
-    return Promise.reject(error);
-  }
-);
-
-// API endpoints
 export const booksAPI = {
-  getAll: () => api.get('/books'),
-  getById: (id) => api.get(`/books/${id}`),
-  create: (data) => api.post('/books', data),
-  update: (id, data) => api.put(`/books/${id}`, data),
-  delete: (id) => api.delete(`/books/${id}`),
-  search: (query) => api.get(`/books/search?q=${encodeURIComponent(query)}`),
+  ...libraryBooksAPI,
+  getAll: libraryBooksAPI.getAllBooks,
+  getById: libraryBooksAPI.getBookById,
+  create: libraryBooksAPI.addBook,
+  update: libraryBooksAPI.updateBook,
+  delete: libraryBooksAPI.deleteBook,
+  search: libraryBooksAPI.searchBooks,
 };
 
 export const issuesAPI = {
-  create: (data) => api.post('/issues', data),
-  getAll: () => api.get('/issues'),
-  getById: (id) => api.get(`/issues/${id}`),
-  update: (id, data) => api.put(`/issues/${id}`, data),
-  return: (id) => api.patch(`/issues/${id}/return`),
-  getUserIssues: (userId) => api.get(`/issues/user/${userId}`),
+  ...libraryIssuesAPI,
+  create: libraryIssuesAPI.issueBook,
+  getAll: libraryIssuesAPI.getIssuedBooks,
+  getById: libraryIssuesAPI.getIssueById,
+  update: libraryIssuesAPI.updateIssue,
+  return: libraryIssuesAPI.returnBook,
 };
 
 export const usersAPI = {
-  getAll: () => api.get('/users'),
-  getById: (id) => api.get(`/users/${id}`),
-  create: (data) => api.post('/users', data),
-  update: (id, data) => api.put(`/users/${id}`, data),
-  delete: (id) => api.delete(`/users/${id}`),
-  login: (credentials) => api.post('/users/login', credentials),
-  register: (userData) => api.post('/users/register', userData),
+  ...libraryUsersAPI,
+  getAll: libraryUsersAPI.getAllUsers,
+  getById: libraryUsersAPI.getUserById,
+  create: libraryUsersAPI.createUser,
+  update: libraryUsersAPI.updateUser,
+  delete: libraryUsersAPI.deleteUser,
+  login: libraryUsersAPI.loginUser,
+  register: libraryUsersAPI.registerUser,
 };
 
 export const adminAPI = {
-  getDashboard: () => api.get('/admin/dashboard'),
-  getStats: () => api.get('/admin/stats'),
-  getUsers: () => api.get('/admin/users'),
-  getIssues: () => api.get('/admin/issues'),
-  getOverdueBooks: () => api.get('/admin/overdue'),
+  ...libraryAdminAPI,
+  getDashboard: libraryAdminAPI.getDashboardOverview,
+  getStats: libraryAdminAPI.getDashboardStats,
+  getUsers: libraryAdminAPI.getAllUsers,
+  getIssues: libraryAdminAPI.getAdminIssues,
+  getOverdueBooks: libraryAdminAPI.getAdminOverdueBooks,
 };
 
-export default api;
+export { holdsAPI, copiesAPI, auditAPI, membersAPI, settingsAPI, remindersAPI };
+export { authAPI } from './authAPI';
+export { getReminderAdapter, getReminderAdapters, registerReminderAdapter } from './reminderAdapters';
+export { ApiError, API_BASE_URL } from './client';
+export { default } from './client';
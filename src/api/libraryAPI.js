@@ -1,51 +1,15 @@
-import axios from 'axios';
-
-// Create axios instance with base configuration
-const api = axios.create({
-  baseURL: process.env.REACT_APP_API_URL || 'http://localhost:5000/api',
-  timeout: 10000,
-  headers: {
-    'Content-Type': 'application/json',
-  },
-});
-
-// Request interceptor to add auth token if needed
-api.interceptors.request.use(
-  (config) => {
-    const token = localStorage.getItem('token');
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
-    }
-    return config;
-  },
-  (error) => {
-    return Promise.reject(error);
-  }
-);
-
-// Response interceptor for error handling
-api.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Handle unauthorized access
-      localStorage.removeItem('token');
-      // Redirect to login if needed
-      // window.location.href = '/login';
-    }
-    return Promise.reject(error);
-  }
-);
+import api, { toApiError } from './client';
+import { getNextWaitingHold } from '../utils/holdUtils';
 
 // Books API
 export const booksAPI = {
-  // Get all books
+  // Get books (page, limit, sort, order, search, category, language, author, available)
   getAllBooks: async (params = {}) => {
     try {
       const response = await api.get('/books', { params });
       return response.data;
     } catch (error) {
-      throw error.response?.data || { message: 'Failed to fetch books' };
+      throw toApiError(error, 'Failed to fetch books');
     }
   },
 
@@ -55,7 +19,7 @@ export const booksAPI = {
       const response = await api.get(`/books/${id}`);
       return response.data;
     } catch (error) {
-      throw error.response?.data || { message: 'Failed to fetch book' };
+      throw toApiError(error, 'Failed to fetch book');
     }
   },
 
@@ -65,7 +29,7 @@ export const booksAPI = {
       const response = await api.post('/books', bookData);
       return response.data;
     } catch (error) {
-      throw error.response?.data || { message: 'Failed to add book' };
+      throw toApiError(error, 'Failed to add book');
     }
   },
 
@@ -75,7 +39,7 @@ export const booksAPI = {
       const response = await api.put(`/books/${id}`, bookData);
       return response.data;
     } catch (error) {
-      throw error.response?.data || { message: 'Failed to update book' };
+      throw toApiError(error, 'Failed to update book');
     }
   },
 
@@ -85,17 +49,47 @@ export const booksAPI = {
       const response = await api.patch(`/books/${id}/stock`, stockData);
       return response.data;
     } catch (error) {
-      throw error.response?.data || { message: 'Failed to update stock' };
+      throw toApiError(error, 'Failed to update stock');
     }
   },
 
-  // Delete book
+  // Move a book to the trash. It can be restored until it is purged.
   deleteBook: async (id) => {
     try {
       const response = await api.delete(`/books/${id}`);
       return response.data;
     } catch (error) {
-      throw error.response?.data || { message: 'Failed to delete book' };
+      throw toApiError(error, 'Failed to delete book');
+    }
+  },
+
+  // Get books in the trash
+  getDeletedBooks: async (params = {}) => {
+    try {
+      const response = await api.get('/books/trash', { params });
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to fetch deleted books');
+    }
+  },
+
+  // Take a book back out of the trash
+  restoreBook: async (id) => {
+    try {
+      const response = await api.post(`/books/${id}/restore`);
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to restore book');
+    }
+  },
+
+  // Delete a trashed book for good
+  purgeBook: async (id) => {
+    try {
+      const response = await api.delete(`/books/trash/${id}`);
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to permanently delete book');
     }
   },
 
@@ -105,7 +99,7 @@ export const booksAPI = {
       const response = await api.get(`/books/search?q=${encodeURIComponent(query)}`);
       return response.data;
     } catch (error) {
-      throw error.response?.data || { message: 'Failed to search books' };
+      throw toApiError(error, 'Failed to search books');
     }
   },
 
@@ -115,7 +109,19 @@ export const booksAPI = {
       const response = await api.get('/books/available');
       return response.data;
     } catch (error) {
-      throw error.response?.data || { message: 'Failed to fetch available books' };
+      throw toApiError(error, 'Failed to fetch available books');
+    }
+  },
+
+  // Get the books whose ISBN is in the given list
+  getBooksByIsbns: async (isbns) => {
+    try {
+      const response = await api.get('/books', {
+        params: { isbn: isbns.join(','), limit: isbns.length }
+      });
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to look up ISBNs');
     }
   }
 };
@@ -128,7 +134,7 @@ export const issuesAPI = {
       const response = await api.post('/issues', issueData);
       return response.data;
     } catch (error) {
-      throw error.response?.data || { message: 'Failed to issue book' };
+      throw toApiError(error, 'Failed to issue book');
     }
   },
 
@@ -138,7 +144,7 @@ export const issuesAPI = {
       const response = await api.get('/issues', { params });
       return response.data;
     } catch (error) {
-      throw error.response?.data || { message: 'Failed to fetch issued books' };
+      throw toApiError(error, 'Failed to fetch issued books');
     }
   },
 
@@ -148,27 +154,28 @@ export const issuesAPI = {
       const response = await api.get(`/issues/${id}`);
       return response.data;
     } catch (error) {
-      throw error.response?.data || { message: 'Failed to fetch issue record' };
+      throw toApiError(error, 'Failed to fetch issue record');
     }
   },
 
-  // Return a book
-  returnBook: async (issueId) => {
+  // Return a book. Returns synced after an outage pass { actualReturnDate } so
+  // the book counts as back when it was handed in.
+  returnBook: async (issueId, returnData = {}) => {
     try {
-      const response = await api.patch(`/issues/${issueId}/return`);
+      const response = await api.patch(`/issues/${issueId}/return`, returnData);
       return response.data;
     } catch (error) {
-      throw error.response?.data || { message: 'Failed to return book' };
+      throw toApiError(error, 'Failed to return book');
     }
   },
 
-  // Get user's active issues
-  getUserIssues: async (erpId) => {
+  // Get user's issues (active only unless params ask for history)
+  getUserIssues: async (erpId, params = {}) => {
     try {
-      const response = await api.get(`/issues/user/${erpId}`);
+      const response = await api.get(`/issues/user/${encodeURIComponent(erpId)}`, { params });
       return response.data;
     } catch (error) {
-      throw error.response?.data || { message: 'Failed to fetch user issues' };
+      throw toApiError(error, 'Failed to fetch user issues');
     }
   },
 
@@ -178,7 +185,7 @@ export const issuesAPI = {
       const response = await api.get('/issues/overdue');
       return response.data;
     } catch (error) {
-      throw error.response?.data || { message: 'Failed to fetch overdue books' };
+      throw toApiError(error, 'Failed to fetch overdue books');
     }
   },
 
@@ -188,17 +195,418 @@ export const issuesAPI = {
       const response = await api.put(`/issues/${id}`, updateData);
       return response.data;
     } catch (error) {
-      throw error.response?.data || { message: 'Failed to update issue record' };
+      throw toApiError(error, 'Failed to update issue record');
     }
   },
 
-  // Delete issue record
+  // Move an issue record to the trash. It can be restored until it is purged.
   deleteIssue: async (id) => {
     try {
       const response = await api.delete(`/issues/${id}`);
       return response.data;
     } catch (error) {
-      throw error.response?.data || { message: 'Failed to delete issue record' };
+      throw toApiError(error, 'Failed to delete issue record');
+    }
+  },
+
+  // Get issue records in the trash
+  getDeletedIssues: async (params = {}) => {
+    try {
+      const response = await api.get('/issues/trash', { params });
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to fetch deleted issue records');
+    }
+  },
+
+  // Take an issue record back out of the trash
+  restoreIssue: async (id) => {
+    try {
+      const response = await api.post(`/issues/${id}/restore`);
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to restore issue record');
+    }
+  },
+
+  // Delete a trashed issue record for good
+  purgeIssue: async (id) => {
+    try {
+      const response = await api.delete(`/issues/trash/${id}`);
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to permanently delete issue record');
+    }
+  }
+};
+
+// Holds (reservations) API
+export const holdsAPI = {
+  // Place a hold on an unavailable book
+  placeHold: async (holdData) => {
+    try {
+      const response = await api.post('/holds', holdData);
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to place hold');
+    }
+  },
+
+  // Get all holds (admin view)
+  getAllHolds: async (params = {}) => {
+    try {
+      const response = await api.get('/holds', { params });
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to fetch holds');
+    }
+  },
+
+  // Get the hold queue for a single book
+  getBookHolds: async (bookId) => {
+    try {
+      const response = await api.get(`/holds/book/${bookId}`);
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to fetch book holds');
+    }
+  },
+
+  // Update hold status (ready, collected, expired...)
+  updateHold: async (id, updateData) => {
+    try {
+      const response = await api.put(`/holds/${id}`, updateData);
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to update hold');
+    }
+  },
+
+  // Cancel a hold
+  cancelHold: async (id) => {
+    try {
+      const response = await api.delete(`/holds/${id}`);
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to cancel hold');
+    }
+  },
+
+  // Flag the next waiting member in a book's queue as ready for pickup.
+  // Resolves to the promoted hold, or null when nobody is waiting.
+  promoteNextHold: async (bookId, readyData) => {
+    const { holds = [] } = await holdsAPI.getBookHolds(bookId);
+    const next = getNextWaitingHold(holds);
+    if (!next) return null;
+
+    await holdsAPI.updateHold(next._id, readyData);
+    return { ...next, ...readyData };
+  }
+};
+
+// Copies API. Each physical copy of a book has its own accession number;
+// the book's totalQuantity/availableQuantity are derived from its copies.
+// addBook creates totalQuantity copies with the next free accession numbers.
+export const copiesAPI = {
+  // Get every copy of a book
+  getBookCopies: async (bookId) => {
+    try {
+      const response = await api.get(`/books/${bookId}/copies`);
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to fetch copies');
+    }
+  },
+
+  // Find a copy (and its book) by accession number
+  getCopyByAccession: async (accessionNumber) => {
+    try {
+      const response = await api.get(`/copies/accession/${encodeURIComponent(accessionNumber)}`);
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to find copy');
+    }
+  },
+
+  // Add a copy to a book
+  addCopy: async (bookId, copyData) => {
+    try {
+      const response = await api.post(`/books/${bookId}/copies`, copyData);
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to add copy');
+    }
+  },
+
+  // Update a copy's location, condition or status
+  updateCopy: async (copyId, copyData) => {
+    try {
+      const response = await api.put(`/copies/${copyId}`, copyData);
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to update copy');
+    }
+  }
+};
+
+// Audit log API. Every admin change is recorded with who made it and what
+// changed, so questions like "who deleted this book?" can be answered.
+export const auditAPI = {
+  // Get audit entries (page, limit, actor, entityType, action, search, from, to)
+  getAuditLog: async (params = {}) => {
+    try {
+      const response = await api.get('/admin/audit', { params });
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to fetch activity log');
+    }
+  },
+
+  // Record one audit entry
+  recordEntry: async (entry) => {
+    try {
+      const response = await api.post('/admin/audit', entry);
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to record activity');
+    }
+  }
+};
+
+// Members API. Members are the people who borrow, keyed by ERP ID. Their
+// record holds contact details and whether they are blocked from borrowing.
+export const membersAPI = {
+  // Get all member records
+  getMembers: async (params = {}) => {
+    try {
+      const response = await api.get('/admin/members', { params });
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to fetch members');
+    }
+  },
+
+  // Whether a member may borrow a book, checked by the server against their
+  // record, loans and fines. Public: it answers { allowed, reasons,
+  // borrowerType } and nothing else from the member record.
+  getEligibility: async (erpId, bookId) => {
+    try {
+      const response = await api.get(`/members/${encodeURIComponent(erpId)}/eligibility`, { params: { bookId } });
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to check eligibility');
+    }
+  },
+
+  // Get one member record by ERP ID
+  getMember: async (erpId) => {
+    try {
+      const response = await api.get(`/admin/members/${encodeURIComponent(erpId)}`);
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to fetch member');
+    }
+  },
+
+  // Update a member's contact details, creating the record if there is none yet
+  updateMember: async (erpId, memberData) => {
+    try {
+      const response = await api.put(`/admin/members/${encodeURIComponent(erpId)}`, memberData);
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to update member');
+    }
+  },
+
+  // Block a member from borrowing ({ blocked: true, reason }) or lift the block
+  setMemberBlocked: async (erpId, blockData) => {
+    try {
+      const response = await api.patch(`/admin/members/${encodeURIComponent(erpId)}/block`, blockData);
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to update member block');
+    }
+  }
+};
+
+// Settings API. Loan periods and the closure calendar are read by the public
+// pages to work out due dates, and edited from the admin dashboard.
+export const settingsAPI = {
+  // Get the loan periods by book category and borrower type
+  getLoanPolicy: async () => {
+    try {
+      const response = await api.get('/settings/loan-policy');
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to fetch loan policy');
+    }
+  },
+
+  // Replace the loan policy ({ defaultDays, rules })
+  updateLoanPolicy: async (policy) => {
+    try {
+      const response = await api.put('/settings/loan-policy', policy);
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to update loan policy');
+    }
+  },
+
+  // Get the days the library is closed
+  getClosureCalendar: async () => {
+    try {
+      const response = await api.get('/settings/closures');
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to fetch closure calendar');
+    }
+  },
+
+  // Replace the closure calendar ({ closedWeekdays, closures })
+  updateClosureCalendar: async (calendar) => {
+    try {
+      const response = await api.put('/settings/closures', calendar);
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to update closure calendar');
+    }
+  }
+};
+
+// Reminders API. Templates and the log of reminders already sent live on the
+// server; the notification endpoints hand a message to the SMS or email
+// gateway (see reminderAdapters.js).
+export const remindersAPI = {
+  // Get the saved reminder message templates
+  getTemplates: async () => {
+    try {
+      const response = await api.get('/settings/reminder-templates');
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to fetch reminder templates');
+    }
+  },
+
+  // Replace the reminder templates ({ [type]: { subject, body } })
+  updateTemplates: async (templates) => {
+    try {
+      const response = await api.put('/settings/reminder-templates', templates);
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to update reminder templates');
+    }
+  },
+
+  // Get reminders already sent (params: { since, limit })
+  getSentReminders: async (params = {}) => {
+    try {
+      const response = await api.get('/admin/reminders', { params });
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to fetch sent reminders');
+    }
+  },
+
+  // Record that a reminder was sent, so it is not queued again
+  recordSent: async (reminder) => {
+    try {
+      const response = await api.post('/admin/reminders', reminder);
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to record sent reminder');
+    }
+  },
+
+  // Send a text message ({ to, message })
+  sendSms: async (sms) => {
+    try {
+      const response = await api.post('/notifications/sms', sms);
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to send SMS');
+    }
+  },
+
+  // Send an email ({ to, subject, body })
+  sendEmail: async (email) => {
+    try {
+      const response = await api.post('/notifications/email', email);
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to send email');
+    }
+  }
+};
+
+// Users API
+export const usersAPI = {
+  // Get all users
+  getAllUsers: async () => {
+    try {
+      const response = await api.get('/users');
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to fetch users');
+    }
+  },
+
+  // Get single user by ID
+  getUserById: async (id) => {
+    try {
+      const response = await api.get(`/users/${id}`);
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to fetch user');
+    }
+  },
+
+  // Create user
+  createUser: async (userData) => {
+    try {
+      const response = await api.post('/users', userData);
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to create user');
+    }
+  },
+
+  // Update user
+  updateUser: async (id, userData) => {
+    try {
+      const response = await api.put(`/users/${id}`, userData);
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to update user');
+    }
+  },
+
+  // Delete user
+  deleteUser: async (id) => {
+    try {
+      const response = await api.delete(`/users/${id}`);
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to delete user');
+    }
+  },
+
+  // Log a member in
+  loginUser: async (credentials) => {
+    try {
+      const response = await api.post('/users/login', credentials);
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to log in');
+    }
+  },
+
+  // Register a member
+  registerUser: async (userData) => {
+    try {
+      const response = await api.post('/users/register', userData);
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to register user');
     }
   }
 };
@@ -211,7 +619,7 @@ export const adminAPI = {
       const response = await api.get('/admin/stats');
       return response.data;
     } catch (error) {
-      throw error.response?.data || { message: 'Failed to fetch dashboard stats' };
+      throw toApiError(error, 'Failed to fetch dashboard stats');
     }
   },
 
@@ -221,7 +629,7 @@ export const adminAPI = {
       const response = await api.get('/admin/dashboard');
       return response.data;
     } catch (error) {
-      throw error.response?.data || { message: 'Failed to fetch dashboard overview' };
+      throw toApiError(error, 'Failed to fetch dashboard overview');
     }
   },
 
@@ -231,7 +639,7 @@ export const adminAPI = {
       const response = await api.get('/admin/users');
       return response.data;
     } catch (error) {
-      throw error.response?.data || { message: 'Failed to fetch users' };
+      throw toApiError(error, 'Failed to fetch users');
     }
   },
 
@@ -241,7 +649,7 @@ export const adminAPI = {
       const response = await api.get('/admin/issues', { params });
       return response.data;
     } catch (error) {
-      throw error.response?.data || { message: 'Failed to fetch admin issues' };
+      throw toApiError(error, 'Failed to fetch admin issues');
     }
   },
 
@@ -251,7 +659,7 @@ export const adminAPI = {
       const response = await api.get(`/admin/monthly-stats?year=${year}`);
       return response.data;
     } catch (error) {
-      throw error.response?.data || { message: 'Failed to fetch monthly stats' };
+      throw toApiError(error, 'Failed to fetch monthly stats');
     }
   },
 
@@ -261,7 +669,27 @@ export const adminAPI = {
       const response = await api.get('/admin/overdue');
       return response.data;
     } catch (error) {
-      throw error.response?.data || { message: 'Failed to fetch overdue books' };
+      throw toApiError(error, 'Failed to fetch overdue books');
+    }
+  },
+
+  // Record a fine payment against an issue
+  recordFinePayment: async (issueId, paymentData) => {
+    try {
+      const response = await api.post(`/admin/fines/${issueId}/payments`, paymentData);
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to record fine payment');
+    }
+  },
+
+  // Waive all or part of an issue's fine
+  waiveFine: async (issueId, waiverData) => {
+    try {
+      const response = await api.post(`/admin/fines/${issueId}/waivers`, waiverData);
+      return response.data;
+    } catch (error) {
+      throw toApiError(error, 'Failed to waive fine');
     }
   }
 };
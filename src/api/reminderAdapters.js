@@ -0,0 +1,52 @@
+import { remindersAPI } from './libraryAPI';
+
+// Delivery adapters for reminders. Each adapter is
+//   { id, label, channel, getRecipient(reminder), send(reminder) }
+// where getRecipient returns the address it would deliver to (or '' when the
+// borrower has none) and send resolves once the message has been handed on.
+// Deployments with their own gateway can add one with registerReminderAdapter.
+
+const adapters = new Map();
+
+export const registerReminderAdapter = (adapter) => {
+  adapters.set(adapter.id, adapter);
+};
+
+export const getReminderAdapters = () => Array.from(adapters.values());
+
+// Unknown ids fall back to the console adapter, so a stale setting never
+// sends anything for real
+export const getReminderAdapter = (id) => adapters.get(id) || adapters.get('console');
+
+// Logs each message instead of sending it; for trying templates and the queue
+// without a gateway
+registerReminderAdapter({
+  id: 'console',
+  label: 'Console (test, nothing is sent)',
+  channel: 'mock',
+  getRecipient: (reminder) => reminder.email || reminder.phone || reminder.erpId,
+  send: async (reminder) => {
+    console.info(`[reminder] to ${reminder.userName} (${reminder.erpId}): ${reminder.subject}\n${reminder.message}`);
+    return { delivered: true };
+  }
+});
+
+registerReminderAdapter({
+  id: 'sms',
+  label: 'SMS',
+  channel: 'sms',
+  getRecipient: (reminder) => reminder.phone,
+  send: (reminder) => remindersAPI.sendSms({ to: reminder.phone, message: reminder.message })
+});
+
+registerReminderAdapter({
+  id: 'email',
+  label: 'Email',
+  channel: 'email',
+  getRecipient: (reminder) => reminder.email,
+  send: (reminder) => remindersAPI.sendEmail({
+    to: reminder.email,
+    subject: reminder.subject,
+    body: reminder.message
+  })
+});
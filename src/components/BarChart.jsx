@@ -0,0 +1,47 @@
+import React from 'react';
+
+// Vertical bar chart drawn with plain elements. `series` lists the values to
+// plot from each row as [{ key, label, className }]; bars of one row sit
+// side by side. Rows with a null value leave a gap.
+const BarChart = ({ data, series, formatValue = (value) => value, maxValue, height = 160 }) => {
+  const largest = maxValue ?? Math.max(1, ...data.flatMap(row => series.map(({ key }) => row[key] || 0)));
+
+  return (
+    <div>
+      <div className="flex items-end gap-2" style={{ height }}>
+        {data.map(row => (
+          <div key={row.label} className="flex-1 flex items-end justify-center gap-0.5 h-full">
+            {series.map(({ key, label, className }) => {
+              const value = row[key];
+              return (
+                <div
+                  key={key}
+                  title={`${row.label} · ${label}: ${value === null || value === undefined ? '—' : formatValue(value)}`}
+                  className={`flex-1 max-w-[1.5rem] rounded-t ${className}`}
+                  style={{ height: `${((value || 0) / largest) * 100}%`, minHeight: value ? 2 : 0 }}
+                ></div>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-2 mt-2 border-t pt-1">
+        {data.map(row => (
+          <span key={row.label} className="flex-1 text-center text-xs text-gray-500">{row.label}</span>
+        ))}
+      </div>
+      {series.length > 1 && (
+        <div className="flex justify-center space-x-4 mt-3 text-xs text-gray-600">
+          {series.map(({ key, label, className }) => (
+            <span key={key} className="flex items-center">
+              <span className={`inline-block h-2.5 w-2.5 rounded-sm mr-1 ${className}`}></span>
+              {label}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BarChart;
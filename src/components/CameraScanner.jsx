@@ -0,0 +1,77 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { CameraOff } from 'lucide-react';
+
+const SCAN_INTERVAL_MS = 300;
+// Ignore the same code seen again this soon, so one scan is reported once
+const REPEAT_COOLDOWN_MS = 2000;
+const BARCODE_FORMATS = ['ean_13', 'ean_8', 'upc_a', 'code_128', 'code_39', 'qr_code'];
+
+// Reads barcodes from the webcam using the browser's BarcodeDetector API
+const CameraScanner = ({ onScan }) => {
+  const videoRef = useRef(null);
+  const onScanRef = useRef(onScan);
+  const [error, setError] = useState(
+    'BarcodeDetector' in window ? null : 'This browser cannot read barcodes from the camera. Use a USB scanner or type the code.'
+  );
+
+  onScanRef.current = onScan;
+
+  useEffect(() => {
+    if (!('BarcodeDetector' in window)) return undefined;
+
+    let stream = null;
+    let timer = null;
+    let cancelled = false;
+    let lastValue = '';
+    let lastSeenAt = 0;
+
+    const start = async () => {
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        if (cancelled) return;
+
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+
+        const detector = new window.BarcodeDetector({ formats: BARCODE_FORMATS });
+        timer = setInterval(async () => {
+          try {
+            const [barcode] = await detector.detect(videoRef.current);
+            if (!barcode) return;
+
+            const now = Date.now();
+            if (barcode.rawValue === lastValue && now - lastSeenAt < REPEAT_COOLDOWN_MS) return;
+            lastValue = barcode.rawValue;
+            lastSeenAt = now;
+            onScanRef.current(barcode.rawValue);
+          } catch (detectError) {
+            // A frame that cannot be decoded is not worth reporting
+          }
+        }, SCAN_INTERVAL_MS);
+      } catch (cameraError) {
+        console.error('Error starting camera:', cameraError);
+        if (!cancelled) setError('Could not access the camera. Check the browser permissions.');
+      }
+    };
+
+    start();
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+      if (stream) stream.getTracks().forEach(track => track.stop());
+    };
+  }, []);
+
+  if (error) {
+    return (
+      <div className="flex items-center p-4 bg-gray-100 rounded-lg text-sm text-gray-600">
+        <CameraOff className="mr-2 flex-shrink-0" size={20} />
+        {error}
+      </div>
+    );
+  }
+
+  return <video ref={videoRef} muted playsInline className="w-full rounded-lg bg-black" />;
+};
+
+export default CameraScanner;
@@ -0,0 +1,122 @@
+import React, { useState, useEffect } from 'react';
+import { Search, X } from 'lucide-react';
+import { BOOK_CATEGORIES, AVAILABILITY_OPTIONS, SORT_OPTIONS } from '../config/catalogue';
+import { hasActiveFilters } from '../utils/catalogueParams';
+
+const SEARCH_DELAY_MS = 400;
+
+const inputClassName = 'px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// Search, filter and sort controls for the book catalogue. Text fields are
+// debounced so typing does not fire a request per keystroke.
+const CatalogueFilters = ({ params, onChange, onReset, showSort = true }) => {
+  const [search, setSearch] = useState(params.search);
+  const [author, setAuthor] = useState(params.author);
+  const [language, setLanguage] = useState(params.language);
+
+  // Pick up changes made elsewhere (back button, reset)
+  useEffect(() => setSearch(params.search), [params.search]);
+  useEffect(() => setAuthor(params.author), [params.author]);
+  useEffect(() => setLanguage(params.language), [params.language]);
+
+  useEffect(() => {
+    if (search === params.search && author === params.author && language === params.language) {
+      return undefined;
+    }
+
+    const timer = setTimeout(() => onChange({ search, author, language }), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [search, author, language]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  return (
+    <div className="space-y-3">
+      <div className="relative">
+        <input
+          type="text"
+          placeholder="Search by title, author or ISBN..."
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          className={`w-full pl-10 pr-4 ${inputClassName}`}
+        />
+        <Search className="absolute left-3 top-2.5 text-gray-400" size={20} />
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <select
+          value={params.category}
+          onChange={(e) => onChange({ category: e.target.value })}
+          className={inputClassName}
+        >
+          <option value="">All categories</option>
+          {BOOK_CATEGORIES.map(cat => (
+            <option key={cat} value={cat}>{cat}</option>
+          ))}
+        </select>
+
+        <input
+          type="text"
+          placeholder="Author"
+          value={author}
+          onChange={(e) => setAuthor(e.target.value)}
+          className={inputClassName}
+        />
+
+        <input
+          type="text"
+          placeholder="Language"
+          value={language}
+          onChange={(e) => setLanguage(e.target.value)}
+          className={inputClassName}
+        />
+
+        <select
+          value={params.availability}
+          onChange={(e) => onChange({ availability: e.target.value })}
+          className={inputClassName}
+        >
+          {AVAILABILITY_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="flex items-center justify-between">
+        {showSort ? (
+          <div className="flex items-center space-x-2 text-sm text-gray-600">
+            <span>Sort by</span>
+            <select
+              value={params.sort}
+              onChange={(e) => onChange({ sort: e.target.value })}
+              className="px-2 py-1 border border-gray-300 rounded"
+            >
+              {SORT_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <select
+              value={params.order}
+              onChange={(e) => onChange({ order: e.target.value })}
+              className="px-2 py-1 border border-gray-300 rounded"
+            >
+              <option value="asc">Ascending</option>
+              <option value="desc">Descending</option>
+            </select>
+          </div>
+        ) : <span />}
+
+        {hasActiveFilters(params) && (
+          <button
+            type="button"
+            onClick={onReset}
+            className="flex items-center text-sm text-gray-500 hover:text-gray-700"
+          >
+            <X size={14} className="mr-1" />
+            Clear filters
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CatalogueFilters;
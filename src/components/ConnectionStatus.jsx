@@ -0,0 +1,27 @@
+import React from 'react';
+import { NOTIFICATION_STATUS } from '../api/advancedAxios';
+
+const STATUS_DISPLAY = {
+  [NOTIFICATION_STATUS.OPEN]: { label: 'Live', dotClassName: 'bg-green-500', title: 'Receiving live updates' },
+  [NOTIFICATION_STATUS.CONNECTING]: { label: 'Connecting...', dotClassName: 'bg-yellow-400', title: 'Connecting to live updates' },
+  [NOTIFICATION_STATUS.RECONNECTING]: {
+    label: 'Reconnecting...',
+    dotClassName: 'bg-yellow-400 animate-pulse',
+    title: 'Live updates interrupted; data may be out of date until reconnected'
+  },
+  [NOTIFICATION_STATUS.CLOSED]: { label: 'Offline', dotClassName: 'bg-gray-400', title: 'Live updates are off' }
+};
+
+// Small badge showing whether live updates are flowing
+const ConnectionStatus = ({ status }) => {
+  const display = STATUS_DISPLAY[status] || STATUS_DISPLAY[NOTIFICATION_STATUS.CLOSED];
+
+  return (
+    <span className="flex items-center text-sm text-gray-600" title={display.title}>
+      <span className={`h-2.5 w-2.5 rounded-full mr-2 ${display.dotClassName}`}></span>
+      {display.label}
+    </span>
+  );
+};
+
+export default ConnectionStatus;
@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { CloudOff, RefreshCw, AlertTriangle, X } from 'lucide-react';
+import { useOfflineSync } from '../hooks/useOfflineSync';
+import { OFFLINE_MUTATION_LABELS, QUEUE_STATUS } from '../utils/offlineQueue';
+
+// Badge for issues and returns made offline that have not reached the server
+// yet. Hidden while online with nothing queued. Opens a list where refused
+// changes (say, a copy someone else issued meanwhile) can be retried once
+// sorted out, or discarded.
+const OfflineSyncStatus = () => {
+  const { entries, pendingCount, conflicts, isOnline, isSyncing, syncNow, retryEntry, discardEntry } = useOfflineSync();
+  const [isOpen, setIsOpen] = useState(false);
+
+  if (isOnline && entries.length === 0) return null;
+
+  const handleDiscard = (entry) => {
+    if (!window.confirm(`Discard the offline ${OFFLINE_MUTATION_LABELS[entry.type].toLowerCase()} "${entry.label}"? It will not be sent.`)) {
+      return;
+    }
+    discardEntry(entry.id);
+  };
+
+  let badge = { label: `${pendingCount} pending sync`, className: 'bg-yellow-100 text-yellow-800' };
+  if (conflicts.length > 0) {
+    badge = { label: `${conflicts.length} sync conflict${conflicts.length === 1 ? '' : 's'}`, className: 'bg-red-100 text-red-800' };
+  } else if (!isOnline) {
+    badge = {
+      label: pendingCount > 0 ? `Offline · ${pendingCount} pending` : 'Offline',
+      className: 'bg-gray-200 text-gray-800'
+    };
+  }
+
+  return (
+    <div className="relative inline-block text-left">
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        title="Changes made offline"
+        className={`flex items-center px-3 py-1 text-sm font-medium rounded-full ${badge.className}`}
+      >
+        {conflicts.length > 0 ? (
+          <AlertTriangle className="mr-1" size={14} />
+        ) : (
+          <CloudOff className="mr-1" size={14} />
+        )}
+        {badge.label}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 z-20 mt-2 w-96 bg-white rounded-lg shadow-lg border border-gray-200">
+          <div className="flex justify-between items-center px-4 py-3 border-b">
+            <h3 className="text-sm font-medium text-gray-900">Offline changes</h3>
+            <div className="flex items-center space-x-3">
+              <button
+                onClick={syncNow}
+                disabled={!isOnline || isSyncing || pendingCount === 0}
+                className="flex items-center text-sm text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+              >
+                <RefreshCw className={`mr-1 ${isSyncing ? 'animate-spin' : ''}`} size={14} />
+                {isSyncing ? 'Syncing...' : 'Sync now'}
+              </button>
+              <button onClick={() => setIsOpen(false)} className="text-gray-400 hover:text-gray-600">
+                <X size={16} />
+              </button>
+            </div>
+          </div>
+
+          {!isOnline && (
+            <p className="px-4 py-2 text-xs text-gray-600 bg-gray-50 border-b">
+              No connection. Issues and returns are kept on this device and sent when it is back.
+            </p>
+          )}
+
+          {entries.length === 0 ? (
+            <p className="px-4 py-6 text-center text-sm text-gray-500">Nothing waiting to sync</p>
+          ) : (
+            <ul className="max-h-80 overflow-y-auto divide-y divide-gray-200">
+              {entries.map(entry => (
+                <li key={entry.id} className="px-4 py-3 text-sm">
+                  <div className="flex justify-between">
+                    <span className="font-medium text-gray-900">{OFFLINE_MUTATION_LABELS[entry.type]}</span>
+                    <span className="text-xs text-gray-500">{new Date(entry.queuedAt).toLocaleString()}</span>
+                  </div>
+                  <div className="text-gray-700">{entry.label}</div>
+                  {entry.status === QUEUE_STATUS.CONFLICT && (
+                    <div className="mt-2">
+                      <p className="text-red-600">{entry.error}</p>
+                      <div className="flex space-x-3 mt-1">
+                        <button
+                          onClick={() => retryEntry(entry.id)}
+                          disabled={!isOnline || isSyncing}
+                          className="text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+                        >
+                          Retry
+                        </button>
+                        <button onClick={() => handleDiscard(entry)} className="text-red-600 hover:text-red-900">
+                          Discard
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OfflineSyncStatus;
@@ -0,0 +1,56 @@
+import React from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import { PAGE_SIZE_OPTIONS } from '../config/catalogue';
+
+// Page controls for server-paginated lists
+const Pagination = ({ page, totalPages, total, limit, onPageChange, onLimitChange }) => {
+  const firstItem = total === 0 ? 0 : (page - 1) * limit + 1;
+  const lastItem = Math.min(page * limit, total);
+
+  return (
+    <div className="flex flex-col sm:flex-row items-center justify-between gap-3 text-sm text-gray-600">
+      <div className="flex items-center space-x-2">
+        <span>
+          Showing {firstItem}–{lastItem} of {total}
+        </span>
+        {onLimitChange && (
+          <select
+            value={limit}
+            onChange={(e) => onLimitChange(parseInt(e.target.value, 10))}
+            className="px-2 py-1 border border-gray-300 rounded"
+          >
+            {PAGE_SIZE_OPTIONS.map(size => (
+              <option key={size} value={size}>{size} per page</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      <div className="flex items-center space-x-2">
+        <button
+          type="button"
+          onClick={() => onPageChange(page - 1)}
+          disabled={page <= 1}
+          className="flex items-center px-3 py-1 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <ChevronLeft size={16} />
+          Prev
+        </button>
+        <span>
+          Page {page} of {Math.max(totalPages, 1)}
+        </span>
+        <button
+          type="button"
+          onClick={() => onPageChange(page + 1)}
+          disabled={page >= totalPages}
+          className="flex items-center px-3 py-1 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Next
+          <ChevronRight size={16} />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default Pagination;
@@ -1,9 +1,11 @@
 import React, { useContext } from 'react';
 import { Navigate, useLocation } from 'react-router-dom';
 import { AuthContext } from '../context/AuthContext';
+import ForbiddenPage from '../pages/Auth/ForbiddenPage';
 
-const ProtectedRoute = ({ children }) => {
-  const { isAuthenticated, isLoading } = useContext(AuthContext);
+// Requires a signed-in user and, when `permission` is given, a role that grants it
+const ProtectedRoute = ({ children, permission }) => {
+  const { isAuthenticated, isLoading, can } = useContext(AuthContext);
   const location = useLocation();
 
   if (isLoading) {
@@ -22,6 +24,10 @@ const ProtectedRoute = ({ children }) => {
     return <Navigate to="/login" state={{ from: location }} replace />;
   }
 
+  if (permission && !can(permission)) {
+    return <ForbiddenPage />;
+  }
+
   return children;
 };
 
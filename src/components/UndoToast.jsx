@@ -0,0 +1,23 @@
+import React from 'react';
+import { Undo2 } from 'lucide-react';
+
+// Toast body with an Undo button, e.g. toast.success(<UndoToast ... />).
+// react-toastify passes in closeToast.
+const UndoToast = ({ message, onUndo, closeToast }) => (
+  <div className="flex items-center justify-between space-x-3">
+    <span>{message}</span>
+    <button
+      onClick={(e) => {
+        e.stopPropagation();
+        onUndo();
+        closeToast();
+      }}
+      className="flex items-center px-2 py-1 text-sm font-medium text-blue-600 border border-blue-200 rounded hover:bg-blue-50"
+    >
+      <Undo2 className="mr-1" size={14} />
+      Undo
+    </button>
+  </div>
+);
+
+export default UndoToast;
@@ -0,0 +1,55 @@
+// Catalogue options shared by the book forms, filters and list views
+
+export const BOOK_CATEGORIES = [
+  'Fiction',
+  'Non-Fiction',
+  'Science',
+  'Technology',
+  'History',
+  'Biography',
+  'Mathematics',
+  'Literature',
+  'Philosophy',
+  'Arts',
+  'Business',
+  'Self-Help',
+  'Reference',
+  'Journals',
+  'Children',
+  'Other'
+];
+
+export const PAGE_SIZE_OPTIONS = [10, 20, 50, 100];
+
+export const SORT_OPTIONS = [
+  { value: 'title', label: 'Title' },
+  { value: 'author', label: 'Author' },
+  { value: 'category', label: 'Category' },
+  { value: 'availableQuantity', label: 'Availability' },
+  { value: 'createdAt', label: 'Date added' }
+];
+
+export const AVAILABILITY_OPTIONS = [
+  { value: '', label: 'Any availability' },
+  { value: 'available', label: 'Available now' },
+  { value: 'unavailable', label: 'Out of stock' }
+];
+
+// Defaults are left out of the URL so a plain /admin or / stays clean
+export const DEFAULT_CATALOGUE_PARAMS = {
+  page: 1,
+  limit: 20,
+  sort: 'title',
+  order: 'asc',
+  search: '',
+  category: '',
+  language: '',
+  author: '',
+  availability: ''
+};
+
+// Accession numbers are printed on each copy's barcode label, e.g. ACC000123
+export const ACCESSION_PREFIX = (process.env.REACT_APP_ACCESSION_PREFIX || 'ACC').toUpperCase();
+export const ACCESSION_PATTERN = new RegExp(`^${ACCESSION_PREFIX}\\d+$`, 'i');
+
+export const COPY_CONDITIONS = ['new', 'good', 'fair', 'poor'];
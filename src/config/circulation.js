@@ -0,0 +1,77 @@
+// Circulation rules for the library. Values can be overridden per deployment
+// through REACT_APP_* environment variables.
+
+import { readNumber, readInteger, readBoolean, readPattern } from './env';
+
+const readWeekdays = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  return value.split(',')
+    .map(day => parseInt(day, 10))
+    .filter(day => day >= 0 && day <= 6);
+};
+
+// Fallback loan period. Periods by book category and borrower type are set
+// in the admin Loan Rules tab; this applies where no rule matches and until
+// the saved rules have loaded.
+export const LOAN_POLICY = {
+  // Days a book may be kept from its issue date
+  periodDays: readInteger(process.env.REACT_APP_LOAN_PERIOD_DAYS, 14)
+};
+
+export const BORROWER_TYPES = {
+  STUDENT: 'student',
+  FACULTY: 'faculty',
+  STAFF: 'staff'
+};
+
+export const BORROWER_TYPE_LABELS = {
+  [BORROWER_TYPES.STUDENT]: 'Student',
+  [BORROWER_TYPES.FACULTY]: 'Faculty',
+  [BORROWER_TYPES.STAFF]: 'Staff'
+};
+
+// Members without a recorded type borrow as students
+export const DEFAULT_BORROWER_TYPE = BORROWER_TYPES.STUDENT;
+
+// ERP IDs as printed on member cards: letters then digits (ERP1023) or ten
+// digits. A scan matching this is taken as a member card before it is tried as
+// an ISBN, since a ten-digit ID can pass the ISBN-10 checksum. Set
+// REACT_APP_MEMBER_ID_PATTERN to the institution's own format.
+export const MEMBER_ID_PATTERN = readPattern(process.env.REACT_APP_MEMBER_ID_PATTERN, /^(?:[A-Za-z]+\d+|\d{10})$/);
+
+// Checked before every issue; a member failing any rule is refused
+export const BORROWING_POLICY = {
+  // Books a member may have on loan at the same time
+  maxActiveLoans: readInteger(process.env.REACT_APP_MAX_ACTIVE_LOANS, 4),
+  // Refuse new loans while any of the member's books is overdue
+  blockWhenOverdue: readBoolean(process.env.REACT_APP_BLOCK_WHEN_OVERDUE, true),
+  // Unpaid fines, in rupees, above which new loans are refused
+  maxOutstandingFines: readNumber(process.env.REACT_APP_MAX_OUTSTANDING_FINES, 100),
+  // Whether a member may borrow a second copy of a title they already have
+  allowDuplicateTitles: readBoolean(process.env.REACT_APP_ALLOW_DUPLICATE_TITLES, false)
+};
+
+export const RENEWAL_POLICY = {
+  // Days added to the current due date on each renewal
+  periodDays: readInteger(process.env.REACT_APP_RENEWAL_PERIOD_DAYS, 7),
+  // Maximum number of times a single issue may be renewed
+  maxRenewals: readInteger(process.env.REACT_APP_MAX_RENEWALS, 2)
+};
+
+export const HOLD_POLICY = {
+  // Days a member has to collect a book once their hold is ready
+  pickupWindowDays: readInteger(process.env.REACT_APP_HOLD_PICKUP_DAYS, 3)
+};
+
+export const FINE_POLICY = {
+  // Amount charged for each chargeable day late, in rupees
+  ratePerDay: readNumber(process.env.REACT_APP_FINE_PER_DAY, 5),
+  // Days after the due date before fines start accruing
+  graceDays: readInteger(process.env.REACT_APP_FINE_GRACE_DAYS, 2),
+  // Maximum fine charged for a single issue
+  maxPerItem: readNumber(process.env.REACT_APP_FINE_MAX_PER_ITEM, 500)
+};
+
+// Days of the week the library is closed (0 = Sunday) until the admin closure
+// calendar has loaded, or when none has been saved
+export const CLOSED_WEEKDAYS = readWeekdays(process.env.REACT_APP_CLOSED_WEEKDAYS, [0]);
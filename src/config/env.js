@@ -0,0 +1,32 @@
+// Readers for REACT_APP_* environment variables, shared by the config
+// modules. Each returns the fallback when the variable is unset or invalid.
+
+const isUnset = (value) => value === undefined || value.trim() === '';
+
+// Any number, decimals included (e.g. a fine rate of 2.5)
+export const readNumber = (value, fallback) => {
+  if (isUnset(value)) return fallback;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+// Whole numbers only, for counts of days, loans and the like
+export const readInteger = (value, fallback) => {
+  const parsed = readNumber(value, fallback);
+  return Number.isInteger(parsed) ? parsed : fallback;
+};
+
+export const readBoolean = (value, fallback) => {
+  if (isUnset(value)) return fallback;
+  return value.trim() === 'true';
+};
+
+// A regular expression that must match the whole value, e.g. \d{10}
+export const readPattern = (value, fallback) => {
+  if (isUnset(value)) return fallback;
+  try {
+    return new RegExp(`^(?:${value.trim()})$`);
+  } catch (error) {
+    return fallback;
+  }
+};
@@ -0,0 +1,17 @@
+import { ROLES, PERMISSIONS, DEFAULT_ROLE, getUserRole, hasAssignedRole, hasPermission } from './permissions';
+
+describe('getUserRole', () => {
+  it('uses the role on the account', () => {
+    expect(getUserRole({ role: ROLES.ASSISTANT })).toBe(ROLES.ASSISTANT);
+    expect(hasAssignedRole({ role: ROLES.ASSISTANT })).toBe(true);
+  });
+
+  it('falls back to read-only for accounts without a known role', () => {
+    [{}, { role: '' }, { role: 'admin' }, null].forEach(user => {
+      expect(hasAssignedRole(user)).toBe(false);
+      expect(getUserRole(user)).toBe(DEFAULT_ROLE);
+    });
+    expect(hasPermission(DEFAULT_ROLE, PERMISSIONS.VIEW_ADMIN)).toBe(true);
+    expect(hasPermission(DEFAULT_ROLE, PERMISSIONS.ISSUE_BOOK)).toBe(false);
+  });
+});
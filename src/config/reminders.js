@@ -0,0 +1,16 @@
+// When borrowers are reminded about their loans, and how. Values can be
+// overridden per deployment through REACT_APP_* environment variables.
+
+import { readInteger } from './env';
+
+export const REMINDER_POLICY = {
+  // Days before the due date that a due-soon reminder is queued
+  dueSoonDays: readInteger(process.env.REACT_APP_REMINDER_DAYS_BEFORE, 2),
+  // Days between repeated overdue notices for the same loan
+  overdueRepeatDays: readInteger(process.env.REACT_APP_OVERDUE_NOTICE_EVERY_DAYS, 7),
+  // Delivery adapter selected when the Reminders tab opens (see api/reminderAdapters)
+  defaultAdapter: process.env.REACT_APP_REMINDER_ADAPTER || 'console'
+};
+
+// Signs off every message
+export const LIBRARY_NAME = process.env.REACT_APP_LIBRARY_NAME || 'Kitabghar Library';
@@ -0,0 +1,9 @@
+// Admin session timing. Values can be overridden per deployment through
+// REACT_APP_* environment variables.
+
+import { readInteger } from './env';
+
+export const SESSION_POLICY = {
+  // Minutes before the session ends that the user is warned
+  warnBeforeMinutes: readInteger(process.env.REACT_APP_SESSION_WARNING_MINUTES, 5)
+};
@@ -1,72 +1,254 @@
-import React, { createContext, useState, useEffect } from 'react';
+import React, { createContext, useState, useEffect, useRef } from 'react';
+import { toast } from 'react-toastify';
+import { authAPI } from '../api/authAPI';
+import { ApiError, getAuthToken, setAuthToken, setRefreshHandler, setUnauthorizedHandler } from '../api/client';
+import { getUserRole, hasPermission } from '../config/permissions';
+import { SESSION_POLICY } from '../config/session';
+import { getSessionExpiry } from '../utils/tokenUtils';
+import { SESSION_EVENTS, createSessionChannel } from '../utils/sessionSync';
 
 export const AuthContext = createContext();
 
+const TOKEN_KEY = 'adminToken';
+const REFRESH_TOKEN_KEY = 'adminRefreshToken';
+const USER_KEY = 'adminUser';
+
+const WARNING_TOAST_ID = 'session-expiry-warning';
+const EXPIRED_TOAST_ID = 'session-expired';
+
+// setTimeout overflows past ~24.8 days; such sessions are rescheduled on the next load
+const MAX_TIMER_DELAY = 2147483647;
+
 export const AuthProvider = ({ children }) => {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [user, setUser] = useState(null);
   const [token, setToken] = useState(null);
+  const [sessionExpiresAt, setSessionExpiresAt] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
 
+  // Whether a session was live, so a stale token found at startup ends quietly
+  const sessionActiveRef = useRef(false);
+  // Keeps the other open tabs in step with this one
+  const sessionChannelRef = useRef(null);
+
+  // The API client refreshes expired access tokens through us, and ends the
+  // session when that fails; ProtectedRoute then sends the user back to the
+  // login page.
+  useEffect(() => {
+    setRefreshHandler(refreshSession);
+    setUnauthorizedHandler(() => expireSession());
+    return () => {
+      setRefreshHandler(null);
+      setUnauthorizedHandler(null);
+    };
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Follow logins, logouts and token refreshes made in other tabs
+  useEffect(() => {
+    const channel = createSessionChannel(handleSessionEvent);
+    sessionChannelRef.current = channel;
+    return () => {
+      channel.close();
+      sessionChannelRef.current = null;
+    };
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
   // Check if user is logged in on app start
   useEffect(() => {
     checkAuthStatus();
   }, []); // eslint-disable-line react-hooks/exhaustive-deps
 
+  // Warn a few minutes before the session ends, then end it
+  useEffect(() => {
+    if (!sessionExpiresAt) return undefined;
+
+    const timers = [];
+    const schedule = (at, callback) => {
+      const delay = at - Date.now();
+      if (delay <= MAX_TIMER_DELAY) {
+        timers.push(setTimeout(callback, Math.max(delay, 0)));
+      }
+    };
+
+    schedule(sessionExpiresAt - SESSION_POLICY.warnBeforeMinutes * 60 * 1000, () => {
+      const minutesLeft = Math.max(1, Math.round((sessionExpiresAt - Date.now()) / 60000));
+      toast.warning(
+        `Your session ends in ${minutesLeft} minute${minutesLeft === 1 ? '' : 's'}. Save your work and log in again to continue.`,
+        { toastId: WARNING_TOAST_ID, autoClose: false }
+      );
+    });
+    schedule(sessionExpiresAt, () => expireSession());
+
+    return () => timers.forEach(clearTimeout);
+  }, [sessionExpiresAt]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const storeSession = (newToken, refreshToken) => {
+    setAuthToken(newToken);
+    setToken(newToken);
+    setSessionExpiresAt(getSessionExpiry(newToken, refreshToken));
+    localStorage.setItem(TOKEN_KEY, newToken);
+    if (refreshToken) {
+      localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+    } else {
+      localStorage.removeItem(REFRESH_TOKEN_KEY);
+    }
+  };
+
+  const clearSession = () => {
+    sessionActiveRef.current = false;
+    setAuthToken(null);
+    setToken(null);
+    setSessionExpiresAt(null);
+    setUser(null);
+    setIsAuthenticated(false);
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+    localStorage.removeItem(USER_KEY);
+    toast.dismiss(WARNING_TOAST_ID);
+  };
+
+  const broadcastSessionEvent = (type) => {
+    sessionChannelRef.current?.post(type);
+  };
+
+  // Take over the session another tab has just stored
+  const adoptStoredSession = () => {
+    const savedToken = localStorage.getItem(TOKEN_KEY);
+    const savedUser = localStorage.getItem(USER_KEY);
+    if (!savedToken || !savedUser) return;
+
+    storeSession(savedToken, localStorage.getItem(REFRESH_TOKEN_KEY));
+    setUser(JSON.parse(savedUser));
+    setIsAuthenticated(true);
+    sessionActiveRef.current = true;
+    setIsLoading(false);
+  };
+
+  const handleSessionEvent = (type) => {
+    switch (type) {
+      case SESSION_EVENTS.LOGIN:
+        adoptStoredSession();
+        break;
+      case SESSION_EVENTS.REFRESH:
+        // Only tabs that are signed in care about the new token
+        if (sessionActiveRef.current) adoptStoredSession();
+        break;
+      case SESSION_EVENTS.LOGOUT:
+        if (sessionActiveRef.current) {
+          clearSession();
+          toast.info('You have been logged out in another tab.', { toastId: EXPIRED_TOAST_ID });
+        }
+        break;
+      default:
+        break;
+    }
+  };
+
+  // Exchange the stored refresh token for a new access token. Called by the
+  // API client, which makes sure only one refresh runs at a time in this tab.
+  const refreshSession = async () => {
+    // Another tab may already have refreshed; its token is as good as ours
+    const storedToken = localStorage.getItem(TOKEN_KEY);
+    if (storedToken && storedToken !== getAuthToken()) {
+      storeSession(storedToken, localStorage.getItem(REFRESH_TOKEN_KEY));
+      return storedToken;
+    }
+
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+    if (!refreshToken) {
+      throw new ApiError('Session expired', { status: 401 });
+    }
+
+    const data = await authAPI.refreshToken(refreshToken);
+    if (!data.token) {
+      throw new ApiError(data.message || 'Session expired', { status: 401 });
+    }
+
+    storeSession(data.token, data.refreshToken || refreshToken);
+    broadcastSessionEvent(SESSION_EVENTS.REFRESH);
+    return data.token;
+  };
+
+  // The server rejected the session, or it ran out
+  const expireSession = () => {
+    const wasActive = sessionActiveRef.current;
+    clearSession();
+    if (wasActive) {
+      broadcastSessionEvent(SESSION_EVENTS.LOGOUT);
+      toast.info('Your session has expired. Please log in again.', { toastId: EXPIRED_TOAST_ID });
+    }
+  };
+
   const checkAuthStatus = async () => {
     try {
-      const savedToken = localStorage.getItem('adminToken');
-      const savedUser = localStorage.getItem('adminUser');
+      const savedToken = localStorage.getItem(TOKEN_KEY);
+      const savedUser = localStorage.getItem(USER_KEY);
 
       if (savedToken && savedUser) {
-        // Verify token with backend
-        const response = await fetch('http://localhost:5000/api/auth/verify', {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${savedToken}`,
-            'Content-Type': 'application/json',
-          },
-        });
-
-        const data = await response.json();
+        // Verify token with backend (an expired token is refreshed on the way)
+        setAuthToken(savedToken);
+        const data = await authAPI.verifyToken();
 
         if (data.success) {
-          setToken(savedToken);
+          storeSession(localStorage.getItem(TOKEN_KEY), localStorage.getItem(REFRESH_TOKEN_KEY));
           setUser(JSON.parse(savedUser));
           setIsAuthenticated(true);
+          sessionActiveRef.current = true;
         } else {
           // Token is invalid, clear storage
-          logout();
+          clearSession();
         }
       }
     } catch (error) {
       console.error('Auth check error:', error);
-      logout();
+      if (error.isNetworkError) {
+        // The server could not be reached, which says nothing about the token.
+        // Keep the saved session so the desk works offline; the next request
+        // that reaches the server checks it.
+        adoptStoredSession();
+      } else {
+        clearSession();
+      }
     } finally {
       setIsLoading(false);
     }
   };
 
-  const login = (newToken, userData) => {
-    setToken(newToken);
+  const login = (newToken, userData, refreshToken) => {
+    storeSession(newToken, refreshToken);
     setUser(userData);
     setIsAuthenticated(true);
-    localStorage.setItem('adminToken', newToken);
-    localStorage.setItem('adminUser', JSON.stringify(userData));
+    localStorage.setItem(USER_KEY, JSON.stringify(userData));
+    sessionActiveRef.current = true;
+    broadcastSessionEvent(SESSION_EVENTS.LOGIN);
   };
 
+  // Sign out here and in every other tab, revoking the refresh token on the
+  // server. The local session is cleared straight away whether or not the
+  // server can be reached.
   const logout = () => {
-    setToken(null);
-    setUser(null);
-    setIsAuthenticated(false);
-    localStorage.removeItem('adminToken');
-    localStorage.removeItem('adminUser');
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+    if (refreshToken) {
+      authAPI.logout(refreshToken).catch(error => {
+        console.error('Error revoking session:', error);
+      });
+    }
+    clearSession();
+    broadcastSessionEvent(SESSION_EVENTS.LOGOUT);
   };
 
+  const role = getUserRole(user);
+
+  // Whether the signed-in user's role grants a permission from config/permissions
+  const can = (permission) => isAuthenticated && hasPermission(role, permission);
+
   const value = {
     isAuthenticated,
     user,
+    role,
+    can,
     token,
+    sessionExpiresAt,
     isLoading,
     login,
     logout,
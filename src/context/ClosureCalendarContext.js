@@ -0,0 +1,7 @@
+import { createContext } from 'react';
+import { DEFAULT_CLOSURE_CALENDAR } from '../utils/closureUtils';
+
+// The saved closure calendar, provided near the app root (see AppRoutes) and
+// read with useClosureCalendar. Outside a provider only the weekly
+// CLOSED_WEEKDAYS apply.
+export const ClosureCalendarContext = createContext(DEFAULT_CLOSURE_CALENDAR);
@@ -0,0 +1,46 @@
+import { useEffect, useRef } from 'react';
+
+// Keyboard-wedge scanners "type" the barcode much faster than a person and
+// finish with Enter. Keys further apart than this start a new buffer.
+const MAX_KEY_INTERVAL_MS = 50;
+const MIN_BARCODE_LENGTH = 4;
+
+const isEditableTarget = (target) =>
+  target instanceof HTMLElement &&
+  (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+// Listen for barcode scans anywhere on the page. Scans into a focused text
+// field are left to that field, so forms keep working as normal.
+export const useBarcodeScanner = (onScan, { enabled = true } = {}) => {
+  const onScanRef = useRef(onScan);
+  onScanRef.current = onScan;
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    let buffer = '';
+    let lastKeyAt = 0;
+
+    const handleKeyDown = (event) => {
+      if (isEditableTarget(event.target) || event.ctrlKey || event.altKey || event.metaKey) return;
+
+      const now = Date.now();
+      if (now - lastKeyAt > MAX_KEY_INTERVAL_MS) buffer = '';
+      lastKeyAt = now;
+
+      if (event.key === 'Enter') {
+        if (buffer.length >= MIN_BARCODE_LENGTH) {
+          // Stop the Enter from also pressing whatever button has focus
+          event.preventDefault();
+          onScanRef.current(buffer);
+        }
+        buffer = '';
+      } else if (event.key.length === 1) {
+        buffer += event.key;
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [enabled]);
+};
@@ -0,0 +1,35 @@
+import { useSearchParams } from 'react-router-dom';
+import { DEFAULT_CATALOGUE_PARAMS } from '../config/catalogue';
+import { parseCatalogueParams, serializeCatalogueParams } from '../utils/catalogueParams';
+
+// Catalogue page, sort and filters backed by the URL query string, so a
+// filtered view survives reloads and can be shared as a link.
+export const useCatalogueParams = (defaults = DEFAULT_CATALOGUE_PARAMS) => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const params = parseCatalogueParams(searchParams, defaults);
+
+  // Rewrite the catalogue keys while leaving any other query keys alone
+  const writeParams = (next) => {
+    const query = new URLSearchParams(searchParams);
+    Object.keys(defaults).forEach(key => query.delete(key));
+    Object.entries(serializeCatalogueParams(next, defaults)).forEach(([key, value]) => query.set(key, value));
+    setSearchParams(query, { replace: true });
+  };
+
+  // Any change other than paging itself starts again from the first page
+  const updateParams = (changes) => {
+    const next = { ...params, ...changes };
+    if (!('page' in changes)) {
+      next.page = 1;
+    }
+    writeParams(next);
+  };
+
+  const resetParams = () => {
+    writeParams(defaults);
+  };
+
+  return { params, updateParams, resetParams };
+};
+
+export default useCatalogueParams;
@@ -1,176 +1,787 @@
-import { useState, useEffect } from 'react';
-import { booksAPI, issuesAPI, adminAPI } from '../api/libraryAPI';
+import { useContext, useMemo } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { booksAPI, issuesAPI, adminAPI, copiesAPI, auditAPI, membersAPI, settingsAPI, remindersAPI } from '../api/libraryAPI';
+import { getReminderAdapter } from '../api/reminderAdapters';
 import { toast } from 'react-toastify';
+import { AuthContext } from '../context/AuthContext';
+import { ClosureCalendarContext } from '../context/ClosureCalendarContext';
+import { buildAuditEntry, getIssueAuditLabel } from '../utils/auditUtils';
+import { getIsbnVariants, toCanonicalIsbn } from '../utils/isbn';
+import { getIssueBookId } from '../utils/loanUtils';
+import { checkBorrowingEligibility, buildMemberProfile, isSameErpId } from '../utils/memberUtils';
+import { normaliseLoanPolicy } from '../utils/loanPolicyUtils';
+import { normaliseClosureCalendar } from '../utils/closureUtils';
+import { OFFLINE_MUTATIONS, enqueueMutation, isBrowserOffline } from '../utils/offlineQueue';
+import { BORROWING_POLICY, FINE_POLICY, LOAN_POLICY, DEFAULT_BORROWER_TYPE } from '../config/circulation';
 
-// Custom hook for books management
-export const useBooks = () => {
-  const [books, setBooks] = useState([]);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
+// Shared React Query keys. Every books query lives under ['books'] and every
+// issues query under ['issues'] so mutations can invalidate a whole family.
+export const queryKeys = {
+  books: ['books'],
+  bookList: (params = {}) => ['books', 'list', params],
+  isbnLookup: (isbn) => ['books', 'isbn', isbn],
+  bookCopies: (bookId) => ['books', 'copies', bookId],
+  copyLookup: (accessionNumber) => ['books', 'accession', accessionNumber],
+  issues: ['issues'],
+  issueList: (params = {}) => ['issues', 'list', params],
+  userIssues: (erpId, params = {}) => ['issues', 'user', erpId, params],
+  stats: ['admin', 'stats'],
+  dashboard: ['admin', 'dashboard'],
+  users: ['admin', 'users'],
+  monthlyStats: (year) => ['admin', 'monthly-stats', year],
+  audit: ['audit'],
+  auditLog: (params = {}) => ['audit', 'list', params],
+  trash: ['trash'],
+  deletedBooks: (params = {}) => ['trash', 'books', params],
+  deletedIssues: (params = {}) => ['trash', 'issues', params],
+  members: ['members'],
+  memberList: (params = {}) => ['members', 'list', params],
+  member: (erpId) => ['members', 'detail', erpId],
+  eligibility: ['eligibility'],
+  memberEligibility: (erpId, bookId) => ['eligibility', erpId, bookId],
+  loanPolicy: ['settings', 'loan-policy'],
+  closureCalendar: ['settings', 'closures'],
+  reminderTemplates: ['settings', 'reminder-templates'],
+  reminders: ['reminders'],
+  sentReminders: (params = {}) => ['reminders', 'sent', params]
+};
+
+// ========================================
+// Optimistic cache helpers
+// ========================================
+
+// Snapshot every cached query under a key so a failed mutation can roll back
+const snapshotQueries = (queryClient, queryKey) => queryClient.getQueriesData(queryKey);
+
+const restoreQueries = (queryClient, snapshot = []) => {
+  snapshot.forEach(([key, data]) => queryClient.setQueryData(key, data));
+};
+
+const updateBookInCache = (queryClient, bookId, updater) => {
+  queryClient.setQueriesData(queryKeys.books, (data) => {
+    if (!data?.books) return data;
+    return {
+      ...data,
+      books: data.books.map(book => (book._id === bookId ? updater(book) : book))
+    };
+  });
+};
+
+const updateIssueInCache = (queryClient, issueId, updater) => {
+  queryClient.setQueriesData(queryKeys.issues, (data) => {
+    if (!data?.issues) return data;
+    return {
+      ...data,
+      issues: data.issues.map(issue => (issue._id === issueId ? updater(issue) : issue))
+    };
+  });
+};
+
+const adjustAvailableQuantity = (queryClient, bookId, delta) => {
+  updateBookInCache(queryClient, bookId, book => ({
+    ...book,
+    availableQuantity: Math.max(0, Math.min(book.totalQuantity, book.availableQuantity + delta))
+  }));
+};
 
-  const fetchBooks = async (params = {}) => {
+const findCachedBook = (queryClient, bookId) =>
+  queryClient.getQueriesData(queryKeys.books)
+    .flatMap(([, data]) => data?.books || [])
+    .find(book => book._id === bookId);
+
+// A member's loans from every cached issues query, each once
+const findCachedIssues = (queryClient, erpId) => {
+  const issues = new Map();
+  queryClient.getQueriesData(queryKeys.issues)
+    .flatMap(([, data]) => data?.issues || [])
+    .filter(issue => isSameErpId(issue.erpId, erpId))
+    .forEach(issue => issues.set(issue._id, issue));
+  return [...issues.values()];
+};
+
+// Every cached book catalogued under any form of an ISBN, each once
+const findCachedBooksByIsbn = (queryClient, isbn) => {
+  const canonicalIsbn = toCanonicalIsbn(isbn);
+  const books = new Map();
+  queryClient.getQueriesData(queryKeys.books)
+    .flatMap(([, data]) => data?.books || [])
+    .filter(book => toCanonicalIsbn(book.isbn) === canonicalIsbn)
+    .forEach(book => books.set(book._id, book));
+  return [...books.values()];
+};
+
+// A copy from an earlier lookup or the cached copy lists, as { book, copy },
+// or null
+const findCachedCopy = (queryClient, accessionNumber) => {
+  const lookedUp = queryClient.getQueryData(queryKeys.copyLookup(accessionNumber));
+  if (lookedUp) return lookedUp;
+
+  const wanted = accessionNumber.toUpperCase();
+  for (const [queryKey, data] of queryClient.getQueriesData(['books', 'copies'])) {
+    const copy = (data?.copies || []).find(item => String(item.accessionNumber).toUpperCase() === wanted);
+    const book = copy && findCachedBook(queryClient, queryKey[2]);
+    if (book) return { book, copy };
+  }
+  return null;
+};
+
+// Run `request`, or put the mutation in the offline queue when there is no
+// connection. Queued mutations resolve to { queued: entry } and are replayed
+// by useOfflineSync.
+const runOrQueue = async (request, queueEntry) => {
+  if (!isBrowserOffline()) {
     try {
-      setLoading(true);
-      setError(null);
-      const response = await booksAPI.getAllBooks(params);
-      setBooks(response.books || []);
-      return response;
-    } catch (err) {
-      setError(err.message);
-      toast.error(err.message || 'Failed to fetch books');
-      throw err;
-    } finally {
-      setLoading(false);
+      return await request();
+    } catch (error) {
+      if (!error.isNetworkError) throw error;
     }
-  };
+  }
+  return { queued: await enqueueMutation(queueEntry) };
+};
 
-  const addBook = async (bookData) => {
-    try {
-      setLoading(true);
-      const response = await booksAPI.addBook(bookData);
-      toast.success('Book added successfully!');
-      await fetchBooks(); // Refresh the list
-      return response;
-    } catch (err) {
-      setError(err.message);
-      toast.error(err.message || 'Failed to add book');
-      throw err;
-    } finally {
-      setLoading(false);
+// ========================================
+// Queries
+// ========================================
+
+export const useBooksQuery = (params = {}, options = {}) =>
+  useQuery(queryKeys.bookList(params), () => booksAPI.getAllBooks(params), options);
+
+// Other books already catalogued under this ISBN, in either ISBN form.
+// Nothing is looked up until the ISBN passes its checksum.
+export const useIsbnDuplicates = (isbn, excludeBookId) => {
+  const variants = getIsbnVariants(isbn);
+  const canonicalIsbn = variants[0];
+
+  const lookupQuery = useQuery(
+    queryKeys.isbnLookup(canonicalIsbn),
+    () => booksAPI.getBooksByIsbns(variants),
+    { enabled: !!canonicalIsbn, staleTime: 30 * 1000 }
+  );
+
+  if (!canonicalIsbn) return [];
+  return (lookupQuery.data?.books || []).filter(book =>
+    book._id !== excludeBookId && toCanonicalIsbn(book.isbn) === canonicalIsbn
+  );
+};
+
+export const useBookCopiesQuery = (bookId, options = {}) =>
+  useQuery(queryKeys.bookCopies(bookId), () => copiesAPI.getBookCopies(bookId), {
+    enabled: !!bookId,
+    ...options
+  });
+
+export const useIssuesQuery = (params = {}, options = {}) =>
+  useQuery(queryKeys.issueList(params), () => issuesAPI.getIssuedBooks(params), options);
+
+export const useUserIssuesQuery = (erpId, params = {}, options = {}) =>
+  useQuery(queryKeys.userIssues(erpId, params), () => issuesAPI.getUserIssues(erpId, params), {
+    enabled: !!erpId,
+    ...options
+  });
+
+export const useDashboardStatsQuery = (options = {}) =>
+  useQuery(queryKeys.stats, () => adminAPI.getDashboardStats(), options);
+
+export const useMonthlyStatsQuery = (year, options = {}) =>
+  useQuery(queryKeys.monthlyStats(year), () => adminAPI.getMonthlyStats(year), options);
+
+export const useDeletedBooksQuery = (params = {}, options = {}) =>
+  useQuery(queryKeys.deletedBooks(params), () => booksAPI.getDeletedBooks(params), options);
+
+export const useDeletedIssuesQuery = (params = {}, options = {}) =>
+  useQuery(queryKeys.deletedIssues(params), () => issuesAPI.getDeletedIssues(params), options);
+
+export const useAuditLogQuery = (params = {}, options = {}) =>
+  useQuery(queryKeys.auditLog(params), () => auditAPI.getAuditLog(params), options);
+
+export const useMembersQuery = (params = {}, options = {}) =>
+  useQuery(queryKeys.memberList(params), () => membersAPI.getMembers(params), options);
+
+export const useLoanPolicyQuery = (options = {}) =>
+  useQuery(queryKeys.loanPolicy, () => settingsAPI.getLoanPolicy(), options);
+
+// The saved loan policy, normalised. Falls back to LOAN_POLICY for every loan
+// while it loads or when the server has none.
+export const useLoanPolicy = () => {
+  const loanPolicyQuery = useLoanPolicyQuery({ retry: false, staleTime: 5 * 60 * 1000 });
+  return normaliseLoanPolicy(loanPolicyQuery.data?.policy, LOAN_POLICY);
+};
+
+export const useClosureCalendarQuery = (options = {}) =>
+  useQuery(queryKeys.closureCalendar, () => settingsAPI.getClosureCalendar(), options);
+
+// Loads the saved closure calendar, normalised. Called once, near the root of
+// the app, to provide ClosureCalendarContext; until it arrives only the
+// CLOSED_WEEKDAYS default applies.
+export const useSavedClosureCalendar = () => {
+  const closureCalendarQuery = useClosureCalendarQuery({ retry: false, staleTime: 5 * 60 * 1000 });
+  return useMemo(
+    () => normaliseClosureCalendar(closureCalendarQuery.data?.calendar),
+    [closureCalendarQuery.data]
+  );
+};
+
+// The closure calendar to pass to the due date, overdue and fine helpers
+export const useClosureCalendar = () => useContext(ClosureCalendarContext);
+
+export const useReminderTemplatesQuery = (options = {}) =>
+  useQuery(queryKeys.reminderTemplates, () => remindersAPI.getTemplates(), options);
+
+export const useSentRemindersQuery = (params = {}, options = {}) =>
+  useQuery(queryKeys.sentReminders(params), () => remindersAPI.getSentReminders(params), options);
+
+export const useMemberQuery = (erpId, options = {}) =>
+  useQuery(queryKeys.member(erpId), () => membersAPI.getMember(erpId), {
+    enabled: !!erpId,
+    ...options
+  });
+
+// ========================================
+// Mutations
+// ========================================
+
+export const useAddBookMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation((bookData) => booksAPI.addBook(bookData), {
+    onSuccess: () => {
+      queryClient.invalidateQueries(queryKeys.books);
+      queryClient.invalidateQueries(queryKeys.stats);
+    }
+  });
+};
+
+export const useUpdateBookMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation(({ id, bookData }) => booksAPI.updateBook(id, bookData), {
+    onSuccess: () => {
+      queryClient.invalidateQueries(queryKeys.books);
+    }
+  });
+};
+
+// Deleting moves a book to the trash; restoring brings it back
+export const useDeleteBookMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation((id) => booksAPI.deleteBook(id), {
+    onSuccess: () => {
+      queryClient.invalidateQueries(queryKeys.books);
+      queryClient.invalidateQueries(queryKeys.stats);
+      queryClient.invalidateQueries(queryKeys.trash);
+    }
+  });
+};
+
+export const useRestoreBookMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation((id) => booksAPI.restoreBook(id), {
+    onSuccess: () => {
+      queryClient.invalidateQueries(queryKeys.books);
+      queryClient.invalidateQueries(queryKeys.stats);
+      queryClient.invalidateQueries(queryKeys.trash);
     }
+  });
+};
+
+export const usePurgeBookMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation((id) => booksAPI.purgeBook(id), {
+    onSuccess: () => {
+      queryClient.invalidateQueries(queryKeys.trash);
+    }
+  });
+};
+
+// Stock edits show immediately and roll back if the server rejects them
+export const useUpdateStockMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation(({ id, stockData }) => booksAPI.updateStock(id, stockData), {
+    onMutate: async ({ id, stockData }) => {
+      await queryClient.cancelQueries(queryKeys.books);
+      const snapshot = snapshotQueries(queryClient, queryKeys.books);
+      updateBookInCache(queryClient, id, book => ({ ...book, ...stockData }));
+      return { snapshot };
+    },
+    onError: (err, variables, context) => {
+      restoreQueries(queryClient, context?.snapshot);
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries(queryKeys.books);
+    }
+  });
+};
+
+// Issuing takes a copy off the shelf straight away. Offline, the issue is
+// queued and the copy stays off the shelf until it syncs.
+export const useIssueBookMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation((issueData) => runOrQueue(() => issuesAPI.issueBook(issueData), {
+    type: OFFLINE_MUTATIONS.ISSUE,
+    payload: issueData,
+    label: getIssueAuditLabel({ ...issueData, bookId: findCachedBook(queryClient, issueData.bookId) })
+  }), {
+    onMutate: async (issueData) => {
+      await queryClient.cancelQueries(queryKeys.books);
+      const snapshot = snapshotQueries(queryClient, queryKeys.books);
+      adjustAvailableQuantity(queryClient, issueData.bookId, -1);
+      return { snapshot };
+    },
+    onError: (err, variables, context) => {
+      restoreQueries(queryClient, context?.snapshot);
+    },
+    onSettled: (data) => {
+      // Refetching offline would only fail; the sync refreshes everything
+      if (data?.queued) return;
+      queryClient.invalidateQueries(queryKeys.books);
+      queryClient.invalidateQueries(queryKeys.issues);
+      queryClient.invalidateQueries(queryKeys.stats);
+      queryClient.invalidateQueries(queryKeys.eligibility);
+    }
+  });
+};
+
+// Returning marks the issue and puts the copy back on the shelf straight away.
+// Takes the whole issue record so the affected book is known up front.
+// Offline, the return is queued with the time the book came back.
+export const useReturnBookMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation((issue) => runOrQueue(() => issuesAPI.returnBook(issue._id), {
+    type: OFFLINE_MUTATIONS.RETURN,
+    payload: { issueId: issue._id, bookId: getIssueBookId(issue), actualReturnDate: new Date().toISOString() },
+    label: getIssueAuditLabel(issue)
+  }), {
+    onMutate: async (issue) => {
+      await Promise.all([
+        queryClient.cancelQueries(queryKeys.books),
+        queryClient.cancelQueries(queryKeys.issues)
+      ]);
+      const snapshot = [
+        ...snapshotQueries(queryClient, queryKeys.books),
+        ...snapshotQueries(queryClient, queryKeys.issues)
+      ];
+      updateIssueInCache(queryClient, issue._id, current => ({
+        ...current,
+        status: 'returned',
+        actualReturnDate: new Date().toISOString()
+      }));
+      adjustAvailableQuantity(queryClient, getIssueBookId(issue), 1);
+      return { snapshot };
+    },
+    onError: (err, variables, context) => {
+      restoreQueries(queryClient, context?.snapshot);
+    },
+    onSettled: (data) => {
+      // Refetching offline would only fail; the sync refreshes everything
+      if (data?.queued) return;
+      queryClient.invalidateQueries(queryKeys.books);
+      queryClient.invalidateQueries(queryKeys.issues);
+      queryClient.invalidateQueries(queryKeys.stats);
+      queryClient.invalidateQueries(queryKeys.eligibility);
+    }
+  });
+};
+
+// Copy changes alter the book's counts, so every books query is refreshed
+export const useAddCopyMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation(({ bookId, copyData }) => copiesAPI.addCopy(bookId, copyData), {
+    onSuccess: () => {
+      queryClient.invalidateQueries(queryKeys.books);
+      queryClient.invalidateQueries(queryKeys.stats);
+    }
+  });
+};
+
+export const useUpdateCopyMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation(({ id, copyData }) => copiesAPI.updateCopy(id, copyData), {
+    onSuccess: () => {
+      queryClient.invalidateQueries(queryKeys.books);
+      queryClient.invalidateQueries(queryKeys.stats);
+    }
+  });
+};
+
+export const useUpdateIssueMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation(({ id, updateData }) => issuesAPI.updateIssue(id, updateData), {
+    onSuccess: () => {
+      queryClient.invalidateQueries(queryKeys.issues);
+    }
+  });
+};
+
+// Issue records are trashed and restored like books
+export const useDeleteIssueMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation((id) => issuesAPI.deleteIssue(id), {
+    onSuccess: () => {
+      queryClient.invalidateQueries(queryKeys.issues);
+      queryClient.invalidateQueries(queryKeys.stats);
+      queryClient.invalidateQueries(queryKeys.trash);
+    }
+  });
+};
+
+export const useRestoreIssueMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation((id) => issuesAPI.restoreIssue(id), {
+    onSuccess: () => {
+      queryClient.invalidateQueries(queryKeys.issues);
+      queryClient.invalidateQueries(queryKeys.stats);
+      queryClient.invalidateQueries(queryKeys.trash);
+    }
+  });
+};
+
+export const usePurgeIssueMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation((id) => issuesAPI.purgeIssue(id), {
+    onSuccess: () => {
+      queryClient.invalidateQueries(queryKeys.trash);
+    }
+  });
+};
+
+export const useUpdateMemberMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation(({ erpId, memberData }) => membersAPI.updateMember(erpId, memberData), {
+    onSuccess: () => {
+      queryClient.invalidateQueries(queryKeys.members);
+    }
+  });
+};
+
+export const useSetMemberBlockedMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation(({ erpId, blocked, reason }) => membersAPI.setMemberBlocked(erpId, { blocked, reason }), {
+    onSuccess: () => {
+      queryClient.invalidateQueries(queryKeys.members);
+      queryClient.invalidateQueries(queryKeys.eligibility);
+    }
+  });
+};
+
+export const useUpdateLoanPolicyMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation((policy) => settingsAPI.updateLoanPolicy(policy), {
+    onSuccess: () => {
+      queryClient.invalidateQueries(queryKeys.loanPolicy);
+    }
+  });
+};
+
+export const useUpdateClosureCalendarMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation((calendar) => settingsAPI.updateClosureCalendar(calendar), {
+    onSuccess: () => {
+      queryClient.invalidateQueries(queryKeys.closureCalendar);
+    }
+  });
+};
+
+export const useUpdateReminderTemplatesMutation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation((templates) => remindersAPI.updateTemplates(templates), {
+    onSuccess: () => {
+      queryClient.invalidateQueries(queryKeys.reminderTemplates);
+    }
+  });
+};
+
+// ========================================
+// Reminders
+// ========================================
+
+// Returns sendReminders(reminders, adapterId), which delivers each reminder
+// (see buildReminderQueue) through the chosen adapter one at a time and
+// resolves to { sent, failed: [{ reminder, error }] }. Reminders sent for real
+// are recorded so they leave the queue; test sends through a mock adapter are
+// not. Recording is best effort, like useRecordActivity.
+export const useSendReminders = () => {
+  const queryClient = useQueryClient();
+  const { user } = useContext(AuthContext);
+
+  return async (reminders, adapterId) => {
+    const adapter = getReminderAdapter(adapterId);
+    const result = { sent: 0, failed: [] };
+
+    for (const reminder of reminders) {
+      const recipient = adapter.getRecipient(reminder);
+      if (!recipient) {
+        result.failed.push({ reminder, error: new Error(`No ${adapter.channel} contact on record`) });
+        continue;
+      }
+
+      try {
+        await adapter.send(reminder);
+        result.sent += 1;
+      } catch (error) {
+        result.failed.push({ reminder, error });
+        continue;
+      }
+
+      if (adapter.channel === 'mock') continue;
+      try {
+        await remindersAPI.recordSent({
+          reminderId: reminder.id,
+          issueId: reminder.issueId,
+          erpId: reminder.erpId,
+          type: reminder.type,
+          channel: adapter.channel,
+          recipient,
+          subject: reminder.subject,
+          sentBy: user?.username,
+          sentAt: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Error recording sent reminder:', error);
+      }
+    }
+
+    queryClient.invalidateQueries(queryKeys.reminders);
+    return result;
+  };
+};
+
+// ========================================
+// Borrowing eligibility
+// ========================================
+
+// Whether a member may borrow a book, as { allowed, reasons, borrowerType }.
+// The server checks blocks, loan limits, overdue books and fines against the
+// member's record, which the public pages never read. Offline, the last answer
+// for this member and book is reused, or else whatever of their loans is
+// cached is checked with checkBorrowingEligibility; the server has the final
+// say when the issue syncs.
+const fetchEligibility = async (queryClient, erpId, bookId, calendar) => {
+  try {
+    const data = await membersAPI.getEligibility(erpId, bookId);
+    return {
+      allowed: !!data?.allowed,
+      reasons: data?.reasons || [],
+      borrowerType: data?.borrowerType || DEFAULT_BORROWER_TYPE
+    };
+  } catch (error) {
+    if (!error.isNetworkError) throw error;
+  }
+
+  const cached = queryClient.getQueryData(queryKeys.memberEligibility(erpId, bookId));
+  if (cached) return cached;
+
+  const issues = findCachedIssues(queryClient, erpId);
+  return {
+    ...checkBorrowingEligibility(issues, bookId, {
+      borrowingPolicy: BORROWING_POLICY,
+      finePolicy: FINE_POLICY,
+      calendar
+    }),
+    borrowerType: buildMemberProfile(erpId, issues, null).borrowerType
+  };
+};
+
+// Eligibility to show while a member and book are picked; nothing is asked
+// until both are known
+export const useEligibilityQuery = (erpId, bookId, options = {}) => {
+  const queryClient = useQueryClient();
+  const calendar = useClosureCalendar();
+
+  return useQuery(
+    queryKeys.memberEligibility(erpId, bookId),
+    () => fetchEligibility(queryClient, erpId, bookId, calendar),
+    { enabled: !!erpId && !!bookId, ...options }
+  );
+};
+
+// Returns checkEligibility(erpId, bookId), which asks afresh right before an
+// issue or hold. The desk and the public page both go through it, so they
+// apply the same rules.
+export const useEligibilityCheck = () => {
+  const queryClient = useQueryClient();
+  const calendar = useClosureCalendar();
+
+  return (erpId, bookId) => queryClient.fetchQuery(
+    queryKeys.memberEligibility(erpId, bookId),
+    () => fetchEligibility(queryClient, erpId, bookId, calendar),
+    { staleTime: 0 }
+  );
+};
+
+// ========================================
+// Desk lookups
+// ========================================
+
+// The desk looks books and copies up as they are scanned. Offline, a scan is
+// answered from whatever books and copies are already cached (the service
+// worker also keeps the last answer for each lookup), and only fails with the
+// network error when nothing there matches.
+
+// Returns lookUpIsbn(isbn), which resolves to { books } catalogued under any
+// form of the ISBN
+export const useIsbnLookup = () => {
+  const queryClient = useQueryClient();
+
+  return (isbn) => {
+    const variants = getIsbnVariants(isbn);
+    return queryClient.fetchQuery(queryKeys.isbnLookup(variants[0]), async () => {
+      try {
+        return await booksAPI.getBooksByIsbns(variants);
+      } catch (error) {
+        const books = error.isNetworkError ? findCachedBooksByIsbn(queryClient, isbn) : [];
+        if (!books.length) throw error;
+        return { books };
+      }
+    }, { staleTime: 30 * 1000 });
   };
+};
+
+// Returns lookUpCopy(accessionNumber), which resolves to { book, copy }
+export const useCopyLookup = () => {
+  const queryClient = useQueryClient();
 
-  const updateBook = async (id, bookData) => {
+  return (accessionNumber) => queryClient.fetchQuery(queryKeys.copyLookup(accessionNumber), async () => {
     try {
-      setLoading(true);
-      const response = await booksAPI.updateBook(id, bookData);
-      toast.success('Book updated successfully!');
-      await fetchBooks(); // Refresh the list
-      return response;
-    } catch (err) {
-      setError(err.message);
-      toast.error(err.message || 'Failed to update book');
-      throw err;
-    } finally {
-      setLoading(false);
+      return await copiesAPI.getCopyByAccession(accessionNumber);
+    } catch (error) {
+      const cached = error.isNetworkError && findCachedCopy(queryClient, accessionNumber);
+      if (!cached) throw error;
+      return cached;
     }
-  };
+  }, { staleTime: 30 * 1000 });
+};
+
+// ========================================
+// Audit log
+// ========================================
+
+// Returns recordActivity(details), which logs a change made by the signed-in
+// user (see buildAuditEntry for the details). Call it after the change has
+// succeeded. Recording is best effort: a failure is logged to the console and
+// never undoes or blocks the change itself.
+export const useRecordActivity = () => {
+  const queryClient = useQueryClient();
+  const { user, role } = useContext(AuthContext);
 
-  const updateStock = async (id, stockData) => {
+  return async (details) => {
     try {
-      const response = await booksAPI.updateStock(id, stockData);
-      toast.success('Stock updated successfully!');
-      await fetchBooks(); // Refresh the list
-      return response;
-    } catch (err) {
-      setError(err.message);
-      toast.error(err.message || 'Failed to update stock');
-      throw err;
+      await auditAPI.recordEntry(buildAuditEntry(details, { username: user?.username, role }));
+      queryClient.invalidateQueries(queryKeys.audit);
+    } catch (error) {
+      console.error('Error recording activity:', error);
     }
   };
+};
+
+// ========================================
+// Convenience hooks with toast feedback
+// ========================================
 
-  const deleteBook = async (id) => {
+// Custom hook for books management
+export const useBooks = (params = {}) => {
+  const booksQuery = useBooksQuery(params);
+  const addMutation = useAddBookMutation();
+  const updateMutation = useUpdateBookMutation();
+  const stockMutation = useUpdateStockMutation();
+  const deleteMutation = useDeleteBookMutation();
+
+  const withToast = async (action, successMessage, errorMessage) => {
     try {
-      setLoading(true);
-      const response = await booksAPI.deleteBook(id);
-      toast.success('Book deleted successfully!');
-      await fetchBooks(); // Refresh the list
+      const response = await action();
+      toast.success(successMessage);
       return response;
     } catch (err) {
-      setError(err.message);
-      toast.error(err.message || 'Failed to delete book');
+      toast.error(err.message || errorMessage);
       throw err;
-    } finally {
-      setLoading(false);
     }
   };
 
   return {
-    books,
-    loading,
-    error,
-    fetchBooks,
-    addBook,
-    updateBook,
-    updateStock,
-    deleteBook
+    books: booksQuery.data?.books || [],
+    loading: booksQuery.isLoading || addMutation.isLoading || updateMutation.isLoading || deleteMutation.isLoading,
+    error: booksQuery.error?.message || null,
+    fetchBooks: booksQuery.refetch,
+    addBook: (bookData) =>
+      withToast(() => addMutation.mutateAsync(bookData), 'Book added successfully!', 'Failed to add book'),
+    updateBook: (id, bookData) =>
+      withToast(() => updateMutation.mutateAsync({ id, bookData }), 'Book updated successfully!', 'Failed to update book'),
+    updateStock: (id, stockData) =>
+      withToast(() => stockMutation.mutateAsync({ id, stockData }), 'Stock updated successfully!', 'Failed to update stock'),
+    deleteBook: (id) =>
+      withToast(() => deleteMutation.mutateAsync(id), 'Book deleted successfully!', 'Failed to delete book')
   };
 };
 
 // Custom hook for issues management
-export const useIssues = () => {
-  const [issues, setIssues] = useState([]);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
+export const useIssues = (params = {}) => {
+  const queryClient = useQueryClient();
+  const issuesQuery = useIssuesQuery(params);
+  const issueMutation = useIssueBookMutation();
+  const returnMutation = useReturnBookMutation();
 
-  const fetchIssues = async (params = {}) => {
-    try {
-      setLoading(true);
-      setError(null);
-      const response = await issuesAPI.getIssuedBooks(params);
-      setIssues(response.issues || []);
-      return response;
-    } catch (err) {
-      setError(err.message);
-      toast.error(err.message || 'Failed to fetch issued books');
-      throw err;
-    } finally {
-      setLoading(false);
-    }
-  };
+  const issues = issuesQuery.data?.issues || [];
 
   const issueBook = async (issueData) => {
     try {
-      setLoading(true);
-      const response = await issuesAPI.issueBook(issueData);
-      toast.success(`Book "${issueData.bookTitle || 'Unknown'}" issued successfully!`);
-      await fetchIssues(); // Refresh the list
+      const response = await issueMutation.mutateAsync(issueData);
+      toast.success(response?.queued
+        ? `Offline: issue of "${issueData.bookTitle || 'Unknown'}" will sync when the connection is back`
+        : `Book "${issueData.bookTitle || 'Unknown'}" issued successfully!`);
       return response;
     } catch (err) {
-      setError(err.message);
       toast.error(err.message || 'Failed to issue book');
       throw err;
-    } finally {
-      setLoading(false);
     }
   };
 
   const returnBook = async (issueId) => {
     try {
-      setLoading(true);
-      const response = await issuesAPI.returnBook(issueId);
-      toast.success('Book returned successfully!');
-      await fetchIssues(); // Refresh the list
+      const issue = issues.find(item => item._id === issueId) || { _id: issueId };
+      const response = await returnMutation.mutateAsync(issue);
+      toast.success(response?.queued
+        ? 'Offline: return will sync when the connection is back'
+        : 'Book returned successfully!');
       return response;
     } catch (err) {
-      setError(err.message);
       toast.error(err.message || 'Failed to return book');
       throw err;
-    } finally {
-      setLoading(false);
     }
   };
 
   const getUserIssues = async (erpId) => {
     try {
-      setLoading(true);
-      setError(null);
-      const response = await issuesAPI.getUserIssues(erpId);
+      const response = await queryClient.fetchQuery(queryKeys.userIssues(erpId), () =>
+        issuesAPI.getUserIssues(erpId)
+      );
       return response.issues || [];
     } catch (err) {
-      setError(err.message);
       toast.error(err.message || 'Failed to fetch user issues');
       throw err;
-    } finally {
-      setLoading(false);
     }
   };
 
   return {
     issues,
-    loading,
-    error,
-    fetchIssues,
+    loading: issuesQuery.isLoading || issueMutation.isLoading || returnMutation.isLoading,
+    error: issuesQuery.error?.message || null,
+    fetchIssues: issuesQuery.refetch,
     issueBook,
     returnBook,
     getUserIssues
@@ -179,37 +790,26 @@ export const useIssues = () => {
 
 // Custom hook for admin dashboard
 export const useAdminDashboard = () => {
-  const [dashboardData, setDashboardData] = useState({});
-  const [stats, setStats] = useState({});
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
+  const queryClient = useQueryClient();
+  const statsQuery = useDashboardStatsQuery();
+  const dashboardQuery = useQuery(queryKeys.dashboard, () => adminAPI.getDashboardOverview());
 
   const fetchDashboardData = async () => {
     try {
-      setLoading(true);
-      setError(null);
-      
       const [statsResponse, dashboardResponse] = await Promise.all([
-        adminAPI.getDashboardStats(),
-        adminAPI.getDashboardOverview()
+        statsQuery.refetch({ throwOnError: true }),
+        dashboardQuery.refetch({ throwOnError: true })
       ]);
-      
-      setStats(statsResponse.stats || {});
-      setDashboardData(dashboardResponse.dashboard || {});
-      
-      return { stats: statsResponse.stats, dashboard: dashboardResponse.dashboard };
+      return { stats: statsResponse.data?.stats, dashboard: dashboardResponse.data?.dashboard };
     } catch (err) {
-      setError(err.message);
       toast.error(err.message || 'Failed to fetch dashboard data');
       throw err;
-    } finally {
-      setLoading(false);
     }
   };
 
   const fetchUsers = async () => {
     try {
-      const response = await adminAPI.getAllUsers();
+      const response = await queryClient.fetchQuery(queryKeys.users, () => adminAPI.getAllUsers());
       return response.users || [];
     } catch (err) {
       toast.error(err.message || 'Failed to fetch users');
@@ -219,7 +819,9 @@ export const useAdminDashboard = () => {
 
   const fetchMonthlyStats = async (year) => {
     try {
-      const response = await adminAPI.getMonthlyStats(year);
+      const response = await queryClient.fetchQuery(queryKeys.monthlyStats(year), () =>
+        adminAPI.getMonthlyStats(year)
+      );
       return response.monthlyStats || [];
     } catch (err) {
       toast.error(err.message || 'Failed to fetch monthly statistics');
@@ -228,10 +830,10 @@ export const useAdminDashboard = () => {
   };
 
   return {
-    dashboardData,
-    stats,
-    loading,
-    error,
+    dashboardData: dashboardQuery.data?.dashboard || {},
+    stats: statsQuery.data?.stats || {},
+    loading: statsQuery.isLoading || dashboardQuery.isLoading,
+    error: (statsQuery.error || dashboardQuery.error)?.message || null,
     fetchDashboardData,
     fetchUsers,
     fetchMonthlyStats
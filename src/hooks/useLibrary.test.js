@@ -0,0 +1,102 @@
+import 'fake-indexeddb/auto';
+import React from 'react';
+import { renderHook, act } from '@testing-library/react';
+import { QueryClient, QueryClientProvider, setLogger } from 'react-query';
+import { booksAPI, copiesAPI, issuesAPI, membersAPI } from '../api/libraryAPI';
+import {
+  queryKeys,
+  useIsbnLookup,
+  useCopyLookup,
+  useEligibilityCheck,
+  useIssueBookMutation
+} from './useLibrary';
+import { OFFLINE_MUTATIONS, getQueuedMutations } from '../utils/offlineQueue';
+
+jest.mock('../api/libraryAPI', () => ({
+  booksAPI: { getBooksByIsbns: jest.fn() },
+  copiesAPI: { getCopyByAccession: jest.fn() },
+  issuesAPI: { issueBook: jest.fn() },
+  membersAPI: { getEligibility: jest.fn() },
+  adminAPI: {},
+  auditAPI: {},
+  settingsAPI: {},
+  remindersAPI: {}
+}));
+
+// Failed lookups are expected here; keep react-query from logging them
+setLogger({ log: () => {}, warn: () => {}, error: () => {} });
+
+const networkError = () => Object.assign(new Error('Network Error'), { isNetworkError: true });
+
+const book = { _id: 'book-1', title: 'Dune', isbn: '9780441013593', totalQuantity: 2, availableQuantity: 2 };
+const copy = { _id: 'copy-1', accessionNumber: 'ACC-0042', status: 'available' };
+
+const renderDesk = () => {
+  const queryClient = new QueryClient({ defaultOptions: { queries: { retry: false } } });
+  // What the desk had loaded before the connection dropped
+  queryClient.setQueryData(queryKeys.bookList({ page: 1 }), { books: [book] });
+  queryClient.setQueryData(queryKeys.bookCopies(book._id), { copies: [copy] });
+
+  const wrapper = ({ children }) => <QueryClientProvider client={queryClient}>{children}</QueryClientProvider>;
+  const { result } = renderHook(() => ({
+    lookUpIsbn: useIsbnLookup(),
+    lookUpCopy: useCopyLookup(),
+    checkEligibility: useEligibilityCheck(),
+    issueBook: useIssueBookMutation()
+  }), { wrapper });
+  return { result, queryClient };
+};
+
+describe('the circulation desk offline', () => {
+  beforeEach(() => {
+    booksAPI.getBooksByIsbns.mockRejectedValue(networkError());
+    copiesAPI.getCopyByAccession.mockRejectedValue(networkError());
+    issuesAPI.issueBook.mockRejectedValue(networkError());
+    membersAPI.getEligibility.mockRejectedValue(networkError());
+  });
+
+  it('finds scanned books and copies in the cache and queues the issue', async () => {
+    const { result, queryClient } = renderDesk();
+
+    // The ISBN-10 on an older barcode finds the book stored under its ISBN-13
+    await expect(result.current.lookUpIsbn('0441013597')).resolves.toEqual({ books: [book] });
+    await expect(result.current.lookUpCopy('acc-0042')).resolves.toEqual({ book, copy });
+    await expect(result.current.checkEligibility('ERP001', book._id)).resolves.toMatchObject({ allowed: true });
+
+    const issueData = {
+      bookId: book._id,
+      copyId: copy._id,
+      userName: 'Anu Rao',
+      erpId: 'ERP001',
+      issueDate: '2026-10-19',
+      expectedReturnDate: '2026-11-02'
+    };
+    let response;
+    await act(async () => {
+      response = await result.current.issueBook.mutateAsync(issueData);
+    });
+
+    expect(issuesAPI.issueBook).toHaveBeenCalledWith(issueData);
+    expect(response.queued).toMatchObject({ type: OFFLINE_MUTATIONS.ISSUE, payload: issueData });
+    const queue = await getQueuedMutations();
+    expect(queue).toHaveLength(1);
+    expect(queue[0]).toMatchObject({ type: OFFLINE_MUTATIONS.ISSUE, payload: issueData, label: expect.stringContaining('Dune') });
+    // The copy is shown as taken until the queue syncs
+    expect(queryClient.getQueryData(queryKeys.bookList({ page: 1 })).books[0].availableQuantity).toBe(1);
+  });
+
+  it('reports the network error when nothing cached matches the scan', async () => {
+    const { result } = renderDesk();
+
+    await expect(result.current.lookUpIsbn('9780140449136')).rejects.toMatchObject({ isNetworkError: true });
+    await expect(result.current.lookUpCopy('ACC-9999')).rejects.toMatchObject({ isNetworkError: true });
+  });
+
+  it('passes other errors straight through', async () => {
+    const notFound = Object.assign(new Error('Copy not found'), { status: 404 });
+    copiesAPI.getCopyByAccession.mockRejectedValue(notFound);
+    const { result } = renderDesk();
+
+    await expect(result.current.lookUpCopy('ACC-0042')).rejects.toBe(notFound);
+  });
+});
@@ -0,0 +1,53 @@
+import { useState, useEffect } from 'react';
+import { useQueryClient } from 'react-query';
+import { subscribeToNotifications, NOTIFICATION_STATUS } from '../api/advancedAxios';
+import { queryKeys } from './useLibrary';
+
+// Server events are named "<entity>.<change>", e.g. "issue.created" or
+// "stock.changed". Each entity marks these cached queries as stale.
+const ENTITY_QUERY_KEYS = {
+  issue: [queryKeys.issues, queryKeys.books, queryKeys.stats],
+  book: [queryKeys.books, queryKeys.stats],
+  stock: [queryKeys.books, queryKeys.stats],
+  copy: [queryKeys.books, queryKeys.stats]
+};
+
+// Bursts of events (a bulk import, a busy desk) refetch once
+const REFETCH_DELAY_MS = 300;
+
+// Keeps the admin queries up to date from the /notifications stream while
+// `enabled`. Returns the connection status (see NOTIFICATION_STATUS).
+export const useLiveUpdates = (enabled = true) => {
+  const queryClient = useQueryClient();
+  const [status, setStatus] = useState(NOTIFICATION_STATUS.CLOSED);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const staleKeys = new Map();
+    let refetchTimer = null;
+
+    const refetchStale = () => {
+      staleKeys.forEach(key => queryClient.invalidateQueries(key));
+      staleKeys.clear();
+      refetchTimer = null;
+    };
+
+    const handleEvent = (event) => {
+      const entity = event?.type?.split('.')[0];
+      const keys = ENTITY_QUERY_KEYS[entity];
+      if (!keys) return;
+
+      keys.forEach(key => staleKeys.set(JSON.stringify(key), key));
+      if (!refetchTimer) refetchTimer = setTimeout(refetchStale, REFETCH_DELAY_MS);
+    };
+
+    const unsubscribe = subscribeToNotifications(handleEvent, null, { onStatusChange: setStatus });
+    return () => {
+      clearTimeout(refetchTimer);
+      unsubscribe();
+    };
+  }, [enabled, queryClient]);
+
+  return status;
+};
@@ -0,0 +1,144 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useQueryClient } from 'react-query';
+import { toast } from 'react-toastify';
+import { issuesAPI, holdsAPI } from '../api/libraryAPI';
+import { queryKeys, useRecordActivity } from './useLibrary';
+import {
+  OFFLINE_MUTATIONS,
+  QUEUE_STATUS,
+  getQueuedMutations,
+  subscribeToQueue,
+  replayQueuedMutations,
+  updateQueuedMutation,
+  removeQueuedMutation,
+  isBrowserOffline
+} from '../utils/offlineQueue';
+import { AUDIT_ACTIONS, AUDIT_ENTITIES } from '../utils/auditUtils';
+import { buildReadyUpdate } from '../utils/holdUtils';
+import { HOLD_POLICY } from '../config/circulation';
+
+// How each queued mutation is sent once the connection is back
+const REPLAY_HANDLERS = {
+  [OFFLINE_MUTATIONS.ISSUE]: (issueData) => issuesAPI.issueBook(issueData),
+  [OFFLINE_MUTATIONS.RETURN]: ({ issueId, actualReturnDate }) => issuesAPI.returnBook(issueId, { actualReturnDate })
+};
+
+const AUDIT_ACTION_FOR = {
+  [OFFLINE_MUTATIONS.ISSUE]: AUDIT_ACTIONS.ISSUE,
+  [OFFLINE_MUTATIONS.RETURN]: AUDIT_ACTIONS.RETURN
+};
+
+// A synced return hands the copy to the next member waiting, as a return at
+// the desk does
+const promoteHoldAfterReturn = async (entry) => {
+  try {
+    const nextHold = await holdsAPI.promoteNextHold(entry.payload.bookId, buildReadyUpdate(HOLD_POLICY));
+    if (nextHold) {
+      toast.info(`Hold ready: keep the copy returned offline for ${nextHold.userName} (${nextHold.erpId})`);
+    }
+  } catch (error) {
+    console.error('Error updating hold queue:', error);
+  }
+};
+
+// Tracks the connection and the offline queue, and replays the queue whenever
+// the browser comes back online.
+// Returns { entries, pendingCount, conflicts, isOnline, isSyncing, syncNow,
+// retryEntry, discardEntry }.
+export const useOfflineSync = () => {
+  const queryClient = useQueryClient();
+  const recordActivity = useRecordActivity();
+  const [entries, setEntries] = useState([]);
+  const [isOnline, setIsOnline] = useState(!isBrowserOffline());
+  const [isSyncing, setIsSyncing] = useState(false);
+
+  const loadEntries = useCallback(async () => {
+    try {
+      const queued = await getQueuedMutations();
+      setEntries(queued);
+      return queued;
+    } catch (error) {
+      console.error('Error reading offline queue:', error);
+      return [];
+    }
+  }, []);
+
+  const syncNow = useCallback(async () => {
+    if (isBrowserOffline()) return;
+
+    setIsSyncing(true);
+    try {
+      const { synced, conflicts } = await replayQueuedMutations(REPLAY_HANDLERS);
+      synced.forEach(entry => recordActivity({
+        action: AUDIT_ACTION_FOR[entry.type],
+        entityType: AUDIT_ENTITIES.ISSUE,
+        entityLabel: entry.label,
+        after: entry.payload,
+        note: `Made offline at ${new Date(entry.queuedAt).toLocaleString()}`
+      }));
+      await Promise.all(synced
+        .filter(entry => entry.type === OFFLINE_MUTATIONS.RETURN && entry.payload.bookId)
+        .map(promoteHoldAfterReturn));
+      if (synced.length > 0) {
+        queryClient.invalidateQueries(queryKeys.books);
+        queryClient.invalidateQueries(queryKeys.issues);
+        queryClient.invalidateQueries(queryKeys.stats);
+        toast.success(`Synced ${synced.length} offline change(s)`);
+      }
+      if (conflicts.length > 0) {
+        toast.error(`${conflicts.length} offline change(s) were refused and need checking`);
+      }
+    } catch (error) {
+      console.error('Error syncing offline changes:', error);
+      toast.error(error.message || 'Failed to sync offline changes');
+    } finally {
+      setIsSyncing(false);
+    }
+  }, [queryClient]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  useEffect(() => {
+    // Entries left from before a reload go as soon as the page is back
+    loadEntries().then(queued => {
+      if (queued.some(entry => entry.status === QUEUE_STATUS.PENDING)) syncNow();
+    });
+    const unsubscribe = subscribeToQueue(loadEntries);
+
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncNow();
+    };
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    return () => {
+      unsubscribe();
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [loadEntries, syncNow]);
+
+  // Send a refused entry again, e.g. once the clash has been sorted out
+  const retryEntry = async (id) => {
+    await updateQueuedMutation(id, { status: QUEUE_STATUS.PENDING, error: null });
+    await syncNow();
+  };
+
+  // Drop an entry for good; whatever it changed is refreshed from the server
+  const discardEntry = async (id) => {
+    await removeQueuedMutation(id);
+    queryClient.invalidateQueries(queryKeys.books);
+    queryClient.invalidateQueries(queryKeys.issues);
+  };
+
+  return {
+    entries,
+    pendingCount: entries.filter(entry => entry.status === QUEUE_STATUS.PENDING).length,
+    conflicts: entries.filter(entry => entry.status === QUEUE_STATUS.CONFLICT),
+    isOnline,
+    isSyncing,
+    syncNow,
+    retryEntry,
+    discardEntry
+  };
+};
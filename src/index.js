@@ -1,6 +1,7 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
+import { register as registerServiceWorker } from './serviceWorkerRegistration';
 import './styles/index.css';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
@@ -9,3 +10,6 @@ root.render(
     <App />
   </React.StrictMode>
 );
+
+// Lets the desk keep working through network drops (see public/service-worker.js)
+registerServiceWorker();
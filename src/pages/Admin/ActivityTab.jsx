@@ -0,0 +1,256 @@
+import React, { useState, useEffect } from 'react';
+import { Activity, X } from 'lucide-react';
+import { useAuditLogQuery } from '../../hooks/useLibrary';
+import Pagination from '../../components/Pagination';
+import {
+  AUDIT_ENTITIES,
+  AUDIT_ENTITY_LABELS,
+  AUDIT_ACTIONS,
+  AUDIT_ACTION_LABELS,
+  AUDIT_ACTION_COLORS,
+  formatAuditValue
+} from '../../utils/auditUtils';
+
+const SEARCH_DELAY_MS = 400;
+
+const inputClassName = 'px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+const headerClassName = 'px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider';
+
+const DEFAULT_FILTERS = {
+  actor: '',
+  entityType: '',
+  action: '',
+  search: '',
+  from: '',
+  to: ''
+};
+
+// Only send the filters that are set; `to` covers the whole of its day
+const toAuditQueryParams = (filters, page, limit) => {
+  const params = { page, limit };
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) params[key] = value;
+  });
+  if (filters.to) params.to = `${filters.to}T23:59:59.999`;
+  return params;
+};
+
+// Who changed what and when, newest first. Answers questions like "who
+// deleted this book?" by filtering on user, entity and date range.
+const ActivityTab = () => {
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [actor, setActor] = useState('');
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [limit, setLimit] = useState(20);
+  const [expandedId, setExpandedId] = useState(null);
+
+  const auditQuery = useAuditLogQuery(toAuditQueryParams(filters, page, limit), { keepPreviousData: true });
+  const entries = auditQuery.data?.entries || [];
+
+  // Text filters are debounced so typing does not fire a request per keystroke
+  useEffect(() => {
+    if (actor === filters.actor && search === filters.search) return undefined;
+
+    const timer = setTimeout(() => updateFilters({ actor, search }), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [actor, search]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const updateFilters = (changes) => {
+    setFilters(prev => ({ ...prev, ...changes }));
+    setPage(1);
+  };
+
+  const resetFilters = () => {
+    setActor('');
+    setSearch('');
+    updateFilters(DEFAULT_FILTERS);
+  };
+
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-2xl font-semibold text-gray-900">Activity</h2>
+        {auditQuery.isFetching && <span className="text-sm text-gray-500">Refreshing...</span>}
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white p-4 rounded-lg shadow-md space-y-3">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          <input
+            type="text"
+            placeholder="Search by title, member or ID..."
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            className={inputClassName}
+          />
+          <input
+            type="text"
+            placeholder="User"
+            value={actor}
+            onChange={(e) => setActor(e.target.value)}
+            className={inputClassName}
+          />
+          <div className="grid grid-cols-2 gap-3">
+            <select
+              value={filters.entityType}
+              onChange={(e) => updateFilters({ entityType: e.target.value })}
+              className={inputClassName}
+            >
+              <option value="">All entities</option>
+              {Object.values(AUDIT_ENTITIES).map(entityType => (
+                <option key={entityType} value={entityType}>{AUDIT_ENTITY_LABELS[entityType]}</option>
+              ))}
+            </select>
+            <select
+              value={filters.action}
+              onChange={(e) => updateFilters({ action: e.target.value })}
+              className={inputClassName}
+            >
+              <option value="">All actions</option>
+              {Object.values(AUDIT_ACTIONS).map(action => (
+                <option key={action} value={action}>{AUDIT_ACTION_LABELS[action]}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <div className="flex flex-wrap items-center gap-3 text-sm text-gray-600">
+          <label className="flex items-center space-x-2">
+            <span>From</span>
+            <input
+              type="date"
+              value={filters.from}
+              max={filters.to || undefined}
+              onChange={(e) => updateFilters({ from: e.target.value })}
+              className={inputClassName}
+            />
+          </label>
+          <label className="flex items-center space-x-2">
+            <span>To</span>
+            <input
+              type="date"
+              value={filters.to}
+              min={filters.from || undefined}
+              onChange={(e) => updateFilters({ to: e.target.value })}
+              className={inputClassName}
+            />
+          </label>
+          {hasFilters && (
+            <button onClick={resetFilters} className="flex items-center text-blue-600 hover:text-blue-800">
+              <X className="mr-1" size={16} />
+              Clear filters
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Entries */}
+      <div className="bg-white rounded-lg shadow-md overflow-hidden">
+        {auditQuery.isLoading ? (
+          <div className="text-center py-8">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+            <p className="mt-4 text-gray-600">Loading activity...</p>
+          </div>
+        ) : auditQuery.isError ? (
+          <p className="p-8 text-center text-red-600">{auditQuery.error?.message || 'Failed to fetch activity log'}</p>
+        ) : entries.length === 0 ? (
+          <div className="p-8 text-center text-gray-500">
+            <Activity size={48} className="mx-auto mb-4 text-gray-300" />
+            <p>{hasFilters ? 'No activity matches these filters' : 'No activity recorded yet'}</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className={headerClassName}>When</th>
+                  <th className={headerClassName}>User</th>
+                  <th className={headerClassName}>Action</th>
+                  <th className={headerClassName}>Entity</th>
+                  <th className={headerClassName}>Changes</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {entries.map(entry => {
+                  const entryId = entry._id || `${entry.timestamp}-${entry.entityId}`;
+                  const changes = entry.changes || [];
+                  const isExpanded = expandedId === entryId;
+
+                  return (
+                    <React.Fragment key={entryId}>
+                      <tr className="hover:bg-gray-50">
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                          {new Date(entry.timestamp).toLocaleString()}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {entry.actor}
+                          {entry.actorRole && <span className="text-gray-500"> ({entry.actorRole})</span>}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className={`px-2 py-1 text-xs font-semibold rounded-full ${AUDIT_ACTION_COLORS[entry.action] || 'bg-gray-100 text-gray-800'}`}>
+                            {AUDIT_ACTION_LABELS[entry.action] || entry.action}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4 text-sm text-gray-900">
+                          <span className="text-gray-500">{AUDIT_ENTITY_LABELS[entry.entityType] || entry.entityType}:</span>{' '}
+                          {entry.entityLabel || entry.entityId}
+                          {entry.note && <p className="text-xs text-gray-500">{entry.note}</p>}
+                        </td>
+                        <td className="px-6 py-4 text-sm">
+                          {changes.length === 0 ? (
+                            <span className="text-gray-400">—</span>
+                          ) : (
+                            <button
+                              onClick={() => setExpandedId(isExpanded ? null : entryId)}
+                              className="text-blue-600 hover:text-blue-800"
+                            >
+                              {isExpanded ? 'Hide' : 'Show'} {changes.length} field{changes.length === 1 ? '' : 's'}
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                      {isExpanded && (
+                        <tr>
+                          <td colSpan="5" className="px-6 py-3 bg-gray-50">
+                            <table className="text-sm">
+                              <tbody>
+                                {changes.map(({ field, from, to }) => (
+                                  <tr key={field}>
+                                    <td className="pr-4 py-1 font-medium text-gray-700">{field}</td>
+                                    <td className="pr-4 py-1 text-red-700 line-through">{formatAuditValue(from)}</td>
+                                    <td className="py-1 text-green-700">{formatAuditValue(to)}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+        <div className="px-6 py-4 border-t">
+          <Pagination
+            page={page}
+            totalPages={auditQuery.data?.totalPages || 1}
+            total={auditQuery.data?.total || 0}
+            limit={limit}
+            onPageChange={setPage}
+            onLimitChange={(newLimit) => {
+              setLimit(newLimit);
+              setPage(1);
+            }}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ActivityTab;
@@ -1,7 +1,8 @@
 import React, { useState, useEffect, useContext } from 'react';
 import { useForm } from 'react-hook-form';
+import { useQueryClient } from 'react-query';
 import { toast } from 'react-toastify';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { 
   Book, 
   Users, 
@@ -15,20 +16,101 @@ import {
   BarChart3,
   Eye,
   X,
-  LogOut
+  LogOut,
+  ArrowUp,
+  ArrowDown,
+  RefreshCw,
+  Bookmark,
+  IndianRupee,
+  Upload,
+  Download,
+  Printer,
+  ScanLine,
+  Layers,
+  Activity,
+  Contact,
+  CalendarClock,
+  CalendarX,
+  BellRing
 } from 'lucide-react';
-import { booksAPI, issuesAPI, adminAPI } from '../../api/libraryAPI';
+import { booksAPI, holdsAPI } from '../../api/libraryAPI';
+import {
+  queryKeys,
+  useBooksQuery,
+  useIssuesQuery,
+  useDashboardStatsQuery,
+  useAddBookMutation,
+  useUpdateBookMutation,
+  useDeleteBookMutation,
+  useRestoreBookMutation,
+  useReturnBookMutation,
+  useUpdateIssueMutation,
+  useDeleteIssueMutation,
+  useRestoreIssueMutation,
+  useRecordActivity,
+  useIsbnDuplicates,
+  useClosureCalendar
+} from '../../hooks/useLibrary';
+import { useCatalogueParams } from '../../hooks/useCatalogueParams';
+import { useLiveUpdates } from '../../hooks/useLiveUpdates';
+import { toBooksQueryParams } from '../../utils/catalogueParams';
+import { BOOK_CATEGORIES } from '../../config/catalogue';
+import CatalogueFilters from '../../components/CatalogueFilters';
+import Pagination from '../../components/Pagination';
+import ConnectionStatus from '../../components/ConnectionStatus';
+import OfflineSyncStatus from '../../components/OfflineSyncStatus';
 import { AuthContext } from '../../context/AuthContext';
+import { PERMISSIONS, ROLE_LABELS, hasAssignedRole } from '../../config/permissions';
+import { maskPhone } from '../../utils/memberUtils';
+import { RENEWAL_POLICY, HOLD_POLICY, FINE_POLICY } from '../../config/circulation';
+import {
+  getRenewalCount,
+  checkRenewal,
+  buildRenewalUpdate,
+  getIssueBookId,
+  getActiveIssuesForBook,
+  isReturned,
+  isOverdue,
+  getEffectiveDueDate,
+  formatDate
+} from '../../utils/loanUtils';
+import { buildReadyUpdate } from '../../utils/holdUtils';
+import { calculateFine, formatCurrency } from '../../utils/fineUtils';
+import HoldsTab from './HoldsTab';
+import FinesTab from './FinesTab';
+import CirculationDeskTab from './CirculationDeskTab';
+import ActivityTab from './ActivityTab';
+import MembersTab from './MembersTab';
+import LoanPolicyTab from './LoanPolicyTab';
+import ClosuresTab from './ClosuresTab';
+import RemindersTab from './RemindersTab';
+import AnalyticsSection from './AnalyticsSection';
+import TrashTab from './TrashTab';
+import UndoToast from '../../components/UndoToast';
+import BookImportModal from './BookImportModal';
+import BookCopiesModal from './BookCopiesModal';
+import OverdueReport from './OverdueReport';
+import { toCsv, downloadCsv } from '../../utils/csv';
+import { normaliseIsbn, validateIsbn, toCanonicalIsbn } from '../../utils/isbn';
+import { BOOK_EXPORT_COLUMNS, getIssueExportColumns, buildExportFilename } from '../../utils/reportUtils';
+import { AUDIT_ACTIONS, AUDIT_ENTITIES, getIssueAuditLabel } from '../../utils/auditUtils';
+
+// Page size used when walking the catalogue for an export
+const EXPORT_PAGE_SIZE = 100;
+// How long the Undo button stays up after moving something to the trash
+const UNDO_WINDOW_MS = 8000;
 
 const AdminDashboard = () => {
-  const [activeTab, setActiveTab] = useState('dashboard');
-  const [books, setBooks] = useState([]);
-  const [issuedBooks, setIssuedBooks] = useState([]);
-  const [dashboardStats, setDashboardStats] = useState({});
-  const [loading, setLoading] = useState(true);
+  const location = useLocation();
+  // Pages opened from a tab (e.g. a member profile) link back to it
+  const [activeTab, setActiveTab] = useState(location.state?.tab || 'dashboard');
   const [selectedBook, setSelectedBook] = useState(null);
   const [showAddBookModal, setShowAddBookModal] = useState(false);
   const [showEditBookModal, setShowEditBookModal] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [copiesBook, setCopiesBook] = useState(null);
+  const [showOverdueReport, setShowOverdueReport] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
   const [showIssueDetailsModal, setShowIssueDetailsModal] = useState(false);
   const [selectedIssue, setSelectedIssue] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
@@ -38,6 +120,7 @@ const AdminDashboard = () => {
     register: registerBook,
     handleSubmit: handleBookSubmit,
     reset: resetBookForm,
+    watch: watchBook,
     formState: { errors: bookErrors }
   } = useForm();
 
@@ -46,50 +129,88 @@ const AdminDashboard = () => {
     handleSubmit: handleEditSubmit,
     reset: resetEditForm,
     setValue: setEditValue,
+    watch: watchEdit,
     formState: { errors: editErrors }
   } = useForm();
 
-  const { user, logout } = useContext(AuthContext);
+  const { user, role, can, logout } = useContext(AuthContext);
+  const canViewPhone = can(PERMISSIONS.VIEW_PHONE);
   const navigate = useNavigate();
 
-  useEffect(() => {
-    fetchDashboardData();
-  }, []);
+  const queryClient = useQueryClient();
+  const { params: catalogueParams, updateParams: updateCatalogueParams, resetParams: resetCatalogueParams } = useCatalogueParams();
+  const booksQuery = useBooksQuery(toBooksQueryParams(catalogueParams), { keepPreviousData: true });
+  // Only the total is needed for the stats card, so ask for a single row
+  const availableBooksQuery = useBooksQuery({ available: true, limit: 1 });
+  const issuesQuery = useIssuesQuery();
+  const statsQuery = useDashboardStatsQuery();
+  const addIsbnDuplicates = useIsbnDuplicates(showAddBookModal ? watchBook('isbn') : '');
+  const editIsbnDuplicates = useIsbnDuplicates(showEditBookModal ? watchEdit('isbn') : '', selectedBook?._id);
 
-  const fetchDashboardData = async () => {
-    try {
-      setLoading(true);
-      const [booksRes, issuesRes, statsRes] = await Promise.all([
-        booksAPI.getAllBooks(),
-        issuesAPI.getIssuedBooks(),
-        adminAPI.getDashboardStats()
-      ]);
-
-      setBooks(booksRes.books || []);
-      setIssuedBooks(issuesRes.issues || []);
-      setDashboardStats(statsRes.stats || {});
-    } catch (error) {
-      console.error('Error fetching dashboard data:', error);
+  const books = booksQuery.data?.books || [];
+  const booksTotal = booksQuery.data?.total ?? books.length;
+  const booksTotalPages = booksQuery.data?.totalPages || 1;
+  const issuedBooks = issuesQuery.data?.issues || [];
+  const dashboardStats = statsQuery.data?.stats || {};
+  const loading = booksQuery.isLoading || issuesQuery.isLoading || statsQuery.isLoading;
+  const fetchError = booksQuery.error || issuesQuery.error || statsQuery.error;
+
+  const addBookMutation = useAddBookMutation();
+  const updateBookMutation = useUpdateBookMutation();
+  const deleteBookMutation = useDeleteBookMutation();
+  const restoreBookMutation = useRestoreBookMutation();
+  const returnBookMutation = useReturnBookMutation();
+  const updateIssueMutation = useUpdateIssueMutation();
+  const deleteIssueMutation = useDeleteIssueMutation();
+  const restoreIssueMutation = useRestoreIssueMutation();
+  const recordActivity = useRecordActivity();
+  const calendar = useClosureCalendar();
+  const now = new Date();
+  // Issues made from the user page, returns and stock changes show up live
+  const liveStatus = useLiveUpdates();
+
+  useEffect(() => {
+    if (fetchError) {
+      console.error('Error fetching dashboard data:', fetchError);
       toast.error('Failed to fetch dashboard data');
-    } finally {
-      setLoading(false);
     }
+  }, [fetchError]);
+
+  // Fine payments and hold pickups change issue records held elsewhere
+  const refreshIssues = () => {
+    queryClient.invalidateQueries(queryKeys.issues);
+    queryClient.invalidateQueries(queryKeys.stats);
   };
 
+  // Duplicates are allowed (e.g. a second edition record) but must be confirmed
+  const confirmDuplicateIsbn = (duplicates) =>
+    duplicates.length === 0 ||
+    window.confirm(`"${duplicates[0].title}" already uses this ISBN. Save anyway?`);
+
   const handleAddBook = async (data) => {
+    if (!confirmDuplicateIsbn(addIsbnDuplicates)) return;
+
     setIsSubmitting(true);
     try {
-      await booksAPI.addBook({
+      const bookData = {
         ...data,
+        isbn: toCanonicalIsbn(data.isbn),
         totalQuantity: parseInt(data.totalQuantity),
         availableQuantity: parseInt(data.totalQuantity), // Initially all books are available
         publicationYear: parseInt(data.publicationYear)
+      };
+      const response = await addBookMutation.mutateAsync(bookData);
+      recordActivity({
+        action: AUDIT_ACTIONS.CREATE,
+        entityType: AUDIT_ENTITIES.BOOK,
+        entityId: response?.book?._id,
+        entityLabel: bookData.title,
+        after: bookData
       });
 
       toast.success('Book added successfully!');
       resetBookForm();
       setShowAddBookModal(false);
-      fetchDashboardData();
     } catch (error) {
       console.error('Error adding book:', error);
       toast.error(error.message || 'Failed to add book');
@@ -100,20 +221,29 @@ const AdminDashboard = () => {
 
   const handleEditBook = async (data) => {
     if (!selectedBook) return;
+    if (!confirmDuplicateIsbn(editIsbnDuplicates)) return;
 
     setIsSubmitting(true);
     try {
-      await booksAPI.updateBook(selectedBook._id, {
+      const bookData = {
         ...data,
-        totalQuantity: parseInt(data.totalQuantity),
+        isbn: toCanonicalIsbn(data.isbn),
         publicationYear: parseInt(data.publicationYear)
+      };
+      await updateBookMutation.mutateAsync({ id: selectedBook._id, bookData });
+      recordActivity({
+        action: AUDIT_ACTIONS.UPDATE,
+        entityType: AUDIT_ENTITIES.BOOK,
+        entityId: selectedBook._id,
+        entityLabel: bookData.title,
+        before: selectedBook,
+        after: bookData
       });
 
       toast.success('Book updated successfully!');
       resetEditForm();
       setShowEditBookModal(false);
       setSelectedBook(null);
-      fetchDashboardData();
     } catch (error) {
       console.error('Error updating book:', error);
       toast.error(error.message || 'Failed to update book');
@@ -122,40 +252,152 @@ const AdminDashboard = () => {
     }
   };
 
-  const handleDeleteBook = async (bookId) => {
-    if (!window.confirm('Are you sure you want to delete this book?')) return;
+  // Deleting moves the book to the trash, with a few seconds to undo it.
+  // Books still out on loan cannot be deleted.
+  const handleDeleteBook = async (book) => {
+    const activeIssues = getActiveIssuesForBook(issuedBooks, book._id);
+    if (activeIssues.length > 0) {
+      toast.error(
+        `"${book.title}" has ${activeIssues.length} active loan${activeIssues.length === 1 ? '' : 's'}. Return ${activeIssues.length === 1 ? 'it' : 'them'} before deleting the book.`
+      );
+      return;
+    }
 
     try {
-      await booksAPI.deleteBook(bookId);
-      toast.success('Book deleted successfully!');
-      fetchDashboardData();
+      await deleteBookMutation.mutateAsync(book._id);
+      recordActivity({
+        action: AUDIT_ACTIONS.DELETE,
+        entityType: AUDIT_ENTITIES.BOOK,
+        entityId: book._id,
+        entityLabel: book.title,
+        before: book
+      });
+      toast.success(
+        <UndoToast message={`"${book.title}" moved to trash`} onUndo={() => handleRestoreBook(book)} />,
+        { autoClose: UNDO_WINDOW_MS }
+      );
     } catch (error) {
       console.error('Error deleting book:', error);
       toast.error(error.message || 'Failed to delete book');
     }
   };
 
-  const handleUpdateStock = async (bookId, newStock) => {
+  const handleRestoreBook = async (book) => {
+    try {
+      await restoreBookMutation.mutateAsync(book._id);
+      recordActivity({
+        action: AUDIT_ACTIONS.RESTORE,
+        entityType: AUDIT_ENTITIES.BOOK,
+        entityId: book._id,
+        entityLabel: book.title
+      });
+      toast.success(`"${book.title}" restored`);
+    } catch (error) {
+      console.error('Error restoring book:', error);
+      toast.error(error.message || 'Failed to restore book');
+    }
+  };
+
+  // Only returned loans can be deleted, so no copy is left marked as issued
+  const handleDeleteIssue = async (issue) => {
+    if (!isReturned(issue)) {
+      toast.error('Return the book before deleting this issue record');
+      return;
+    }
+
     try {
-      await booksAPI.updateStock(bookId, {
-        availableQuantity: parseInt(newStock)
+      await deleteIssueMutation.mutateAsync(issue._id);
+      recordActivity({
+        action: AUDIT_ACTIONS.DELETE,
+        entityType: AUDIT_ENTITIES.ISSUE,
+        entityId: issue._id,
+        entityLabel: getIssueAuditLabel(issue)
       });
-      toast.success('Stock updated successfully!');
-      fetchDashboardData();
+      setShowIssueDetailsModal(false);
+      toast.success(
+        <UndoToast message="Issue record moved to trash" onUndo={() => handleRestoreIssue(issue)} />,
+        { autoClose: UNDO_WINDOW_MS }
+      );
     } catch (error) {
-      console.error('Error updating stock:', error);
-      toast.error(error.message || 'Failed to update stock');
+      console.error('Error deleting issue record:', error);
+      toast.error(error.message || 'Failed to delete issue record');
     }
   };
 
-  const handleReturnBook = async (issueId) => {
+  const handleRestoreIssue = async (issue) => {
     try {
-      await issuesAPI.returnBook(issueId);
+      await restoreIssueMutation.mutateAsync(issue._id);
+      recordActivity({
+        action: AUDIT_ACTIONS.RESTORE,
+        entityType: AUDIT_ENTITIES.ISSUE,
+        entityId: issue._id,
+        entityLabel: getIssueAuditLabel(issue)
+      });
+      toast.success('Issue record restored');
+    } catch (error) {
+      console.error('Error restoring issue record:', error);
+      toast.error(error.message || 'Failed to restore issue record');
+    }
+  };
+
+  const handleReturnBook = async (issue) => {
+    try {
+      const response = await returnBookMutation.mutateAsync(issue);
+      // Logged, and the hold queue moved on, when the return syncs
+      if (response?.queued) {
+        toast.info('No connection: the return is saved on this device and will sync when it is back');
+        return true;
+      }
+      recordActivity({
+        action: AUDIT_ACTIONS.RETURN,
+        entityType: AUDIT_ENTITIES.ISSUE,
+        entityId: issue._id,
+        entityLabel: getIssueAuditLabel(issue),
+        before: { status: issue.status },
+        after: { status: 'returned' }
+      });
       toast.success('Book returned successfully!');
-      fetchDashboardData();
     } catch (error) {
       console.error('Error returning book:', error);
       toast.error(error.message || 'Failed to return book');
+      return false;
+    }
+
+    // Hand the returned copy to the next member waiting for it
+    try {
+      const nextHold = await holdsAPI.promoteNextHold(getIssueBookId(issue), buildReadyUpdate(HOLD_POLICY));
+      if (nextHold) {
+        toast.info(`Hold ready: keep this copy for ${nextHold.userName} (${nextHold.erpId})`);
+      }
+    } catch (error) {
+      console.error('Error updating hold queue:', error);
+      toast.error(error.message || 'Book returned, but the hold queue could not be updated');
+    }
+    return true;
+  };
+
+  const handleRenewIssue = async (issue) => {
+    const { allowed, reason } = checkRenewal(issue, RENEWAL_POLICY, now, calendar);
+    if (!allowed) {
+      toast.warning(reason);
+      return;
+    }
+
+    try {
+      const update = buildRenewalUpdate(issue, RENEWAL_POLICY, user?.username || 'admin', new Date(), calendar);
+      await updateIssueMutation.mutateAsync({ id: issue._id, updateData: update });
+      recordActivity({
+        action: AUDIT_ACTIONS.RENEW,
+        entityType: AUDIT_ENTITIES.ISSUE,
+        entityId: issue._id,
+        entityLabel: getIssueAuditLabel(issue),
+        before: issue,
+        after: update
+      });
+      toast.success(`Loan renewed until ${formatDate(update.expectedReturnDate)}`);
+    } catch (error) {
+      console.error('Error renewing issue:', error);
+      toast.error(error.message || 'Failed to renew loan');
     }
   };
 
@@ -168,7 +410,6 @@ const AdminDashboard = () => {
     setEditValue('description', book.description || '');
     setEditValue('publisher', book.publisher || '');
     setEditValue('publicationYear', book.publicationYear || '');
-    setEditValue('totalQuantity', book.totalQuantity);
     setEditValue('language', book.language || '');
     setEditValue('location', book.location || '');
     setShowEditBookModal(true);
@@ -186,10 +427,51 @@ const AdminDashboard = () => {
   };
 
   // Filter functions
-  const filteredBooks = books.filter(book =>
-    book.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    book.author.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    book.isbn.toLowerCase().includes(searchTerm.toLowerCase())
+  // Clicking a column header sorts by it, clicking again flips the order
+  const handleSortChange = (field) => {
+    if (catalogueParams.sort === field) {
+      updateCatalogueParams({ order: catalogueParams.order === 'asc' ? 'desc' : 'asc' });
+    } else {
+      updateCatalogueParams({ sort: field, order: 'asc' });
+    }
+  };
+
+  // Conversion note and duplicate warning shown under an ISBN input
+  const renderIsbnHints = (isbn, duplicates) => {
+    const normalised = normaliseIsbn(isbn);
+    const canonical = toCanonicalIsbn(isbn);
+
+    return (
+      <>
+        {normalised.length === 10 && canonical !== normalised && (
+          <p className="text-gray-500 text-sm mt-1">Will be saved as ISBN-13 {canonical}</p>
+        )}
+        {duplicates.length > 0 && (
+          <p className="flex items-start text-yellow-700 text-sm mt-1">
+            <AlertTriangle size={14} className="mr-1 mt-0.5 flex-shrink-0" />
+            Already in the catalogue as "{duplicates[0].title}"
+            {duplicates.length > 1 && ` and ${duplicates.length - 1} more`}
+          </p>
+        )}
+      </>
+    );
+  };
+
+  const renderSortableHeader = (label, field) => (
+    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+      <button
+        type="button"
+        onClick={() => handleSortChange(field)}
+        className="flex items-center uppercase tracking-wider hover:text-gray-700"
+      >
+        {label}
+        {catalogueParams.sort === field && (
+          catalogueParams.order === 'asc'
+            ? <ArrowUp size={12} className="ml-1" />
+            : <ArrowDown size={12} className="ml-1" />
+        )}
+      </button>
+    </th>
   );
 
   const filteredIssues = issuedBooks.filter(issue =>
@@ -198,21 +480,49 @@ const AdminDashboard = () => {
     issue.bookId?.title?.toLowerCase().includes(searchTerm.toLowerCase())
   );
 
+  // Export every page of the current catalogue filters, not just the visible one
+  const handleExportBooks = async () => {
+    setIsExporting(true);
+    try {
+      const filters = toBooksQueryParams(catalogueParams);
+      const exportedBooks = [];
+      let page = 1;
+      let totalPages = 1;
+
+      do {
+        const response = await booksAPI.getAllBooks({ ...filters, page, limit: EXPORT_PAGE_SIZE });
+        exportedBooks.push(...(response.books || []));
+        totalPages = response.totalPages || 1;
+        page += 1;
+      } while (page <= totalPages);
+
+      downloadCsv(buildExportFilename('books'), toCsv(exportedBooks, BOOK_EXPORT_COLUMNS));
+      toast.success(`Exported ${exportedBooks.length} books`);
+    } catch (error) {
+      console.error('Error exporting books:', error);
+      toast.error(error.message || 'Failed to export books');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleExportIssues = () => {
+    downloadCsv(buildExportFilename('issues'), toCsv(filteredIssues, getIssueExportColumns(calendar)));
+    toast.success(`Exported ${filteredIssues.length} issue records`);
+  };
+
+  const selectedIssueFine = selectedIssue ? calculateFine(selectedIssue, FINE_POLICY, now, calendar) : null;
+
+  // Overdue only counts days the library was open (see loanUtils)
   const getIssueStatusColor = (issue) => {
-    const now = new Date();
-    const expectedReturn = new Date(issue.expectedReturnDate);
-    
     if (issue.status === 'returned') return 'text-green-600 bg-green-100';
-    if (now > expectedReturn) return 'text-red-600 bg-red-100';
+    if (isOverdue(issue, now, calendar)) return 'text-red-600 bg-red-100';
     return 'text-yellow-600 bg-yellow-100';
   };
 
   const getIssueStatusText = (issue) => {
-    const now = new Date();
-    const expectedReturn = new Date(issue.expectedReturnDate);
-    
     if (issue.status === 'returned') return 'Returned';
-    if (now > expectedReturn) return 'Overdue';
+    if (isOverdue(issue, now, calendar)) return 'Overdue';
     return 'Issued';
   };
 
@@ -237,8 +547,10 @@ const AdminDashboard = () => {
               📚 Admin Dashboard - Kitabghar
             </h1>
             <div className="flex items-center space-x-4">
+              <OfflineSyncStatus />
+              <ConnectionStatus status={liveStatus} />
               <span className="text-sm text-gray-600">
-                Welcome, {user?.username || 'Admin'}
+                Welcome, {user?.username || 'Admin'} ({ROLE_LABELS[role] || role})
               </span>
               <button
                 onClick={handleLogout}
@@ -252,6 +564,18 @@ const AdminDashboard = () => {
         </div>
       </div>
 
+      {/* Accounts without a role fall back to read-only; say so rather than
+          leaving buttons to go missing without explanation */}
+      {!hasAssignedRole(user) && (
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 pt-4">
+          <p className="flex items-start text-sm text-yellow-700 bg-yellow-50 border border-yellow-200 rounded-lg px-4 py-3">
+            <AlertTriangle size={16} className="mr-2 mt-0.5 flex-shrink-0" />
+            {user?.role ? `Your account's role "${user.role}" is not one this app knows` : 'Your account has no staff role'},
+            so it has read-only {ROLE_LABELS[role]} access. Ask a librarian to assign you a role to issue, return or edit anything.
+          </p>
+        </div>
+      )}
+
       {/* Navigation Tabs */}
       <div className="bg-white border-b">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -259,8 +583,17 @@ const AdminDashboard = () => {
             {[
               { id: 'dashboard', label: 'Dashboard', icon: BarChart3 },
               { id: 'books', label: 'Manage Books', icon: Book },
-              { id: 'issues', label: 'Issued Books', icon: Users }
-            ].map((tab) => {
+              { id: 'issues', label: 'Issued Books', icon: Users },
+              { id: 'desk', label: 'Circulation Desk', icon: ScanLine, permission: PERMISSIONS.ISSUE_BOOK },
+              { id: 'members', label: 'Members', icon: Contact },
+              { id: 'holds', label: 'Holds', icon: Bookmark },
+              { id: 'fines', label: 'Fines', icon: IndianRupee },
+              { id: 'reminders', label: 'Reminders', icon: BellRing, permission: PERMISSIONS.SEND_REMINDERS },
+              { id: 'loan-rules', label: 'Loan Rules', icon: CalendarClock, permission: PERMISSIONS.MANAGE_LOAN_POLICY },
+              { id: 'closures', label: 'Closures', icon: CalendarX, permission: PERMISSIONS.MANAGE_CLOSURES },
+              { id: 'activity', label: 'Activity', icon: Activity, permission: PERMISSIONS.VIEW_ACTIVITY },
+              { id: 'trash', label: 'Trash', icon: Trash2, permission: PERMISSIONS.MANAGE_TRASH }
+            ].filter(tab => !tab.permission || can(tab.permission)).map((tab) => {
               const Icon = tab.icon;
               return (
                 <button
@@ -295,7 +628,7 @@ const AdminDashboard = () => {
                   <div className="ml-4">
                     <p className="text-sm font-medium text-gray-500">Total Books</p>
                     <p className="text-2xl font-semibold text-gray-900">
-                      {dashboardStats.totalBooks || books.length}
+                      {dashboardStats.totalBooks || booksTotal}
                     </p>
                   </div>
                 </div>
@@ -309,7 +642,7 @@ const AdminDashboard = () => {
                   <div className="ml-4">
                     <p className="text-sm font-medium text-gray-500">Available Books</p>
                     <p className="text-2xl font-semibold text-gray-900">
-                      {books.filter(book => book.availableQuantity > 0).length}
+                      {availableBooksQuery.data?.total ?? dashboardStats.availableBooks ?? 0}
                     </p>
                   </div>
                 </div>
@@ -337,11 +670,7 @@ const AdminDashboard = () => {
                   <div className="ml-4">
                     <p className="text-sm font-medium text-gray-500">Overdue Books</p>
                     <p className="text-2xl font-semibold text-gray-900">
-                      {issuedBooks.filter(issue => {
-                        const now = new Date();
-                        const expectedReturn = new Date(issue.expectedReturnDate);
-                        return issue.status !== 'returned' && now > expectedReturn;
-                      }).length}
+                      {issuedBooks.filter(issue => isOverdue(issue, now, calendar)).length}
                     </p>
                   </div>
                 </div>
@@ -360,7 +689,7 @@ const AdminDashboard = () => {
                         Issued to: {issue.userName} ({issue.erpId})
                       </p>
                       <p className="text-xs text-gray-500">
-                        Issue Date: {new Date(issue.issueDate).toLocaleDateString()}
+                        Issue Date: {formatDate(issue.issueDate)}
                       </p>
                     </div>
                     <span className={`px-2 py-1 rounded-full text-xs font-medium ${getIssueStatusColor(issue)}`}>
@@ -370,6 +699,9 @@ const AdminDashboard = () => {
                 ))}
               </div>
             </div>
+
+            {/* Analytics */}
+            <AnalyticsSection issues={issuedBooks} />
           </div>
         )}
 
@@ -379,42 +711,55 @@ const AdminDashboard = () => {
             {/* Header with Add Button */}
             <div className="flex justify-between items-center">
               <h2 className="text-2xl font-semibold text-gray-900">Manage Books</h2>
-              <button
-                onClick={() => setShowAddBookModal(true)}
-                className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
-              >
-                <Plus className="mr-2" size={20} />
-                Add New Book
-              </button>
+              <div className="flex space-x-3">
+                {can(PERMISSIONS.EXPORT_DATA) && (
+                  <button
+                    onClick={handleExportBooks}
+                    disabled={isExporting}
+                    className="flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+                  >
+                    <Download className="mr-2" size={20} />
+                    {isExporting ? 'Exporting...' : 'Export CSV'}
+                  </button>
+                )}
+                {can(PERMISSIONS.MANAGE_BOOKS) && (
+                  <>
+                    <button
+                      onClick={() => setShowImportModal(true)}
+                      className="flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                    >
+                      <Upload className="mr-2" size={20} />
+                      Import CSV
+                    </button>
+                    <button
+                      onClick={() => setShowAddBookModal(true)}
+                      className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+                    >
+                      <Plus className="mr-2" size={20} />
+                      Add New Book
+                    </button>
+                  </>
+                )}
+              </div>
             </div>
 
-            {/* Search */}
-            <div className="relative">
-              <input
-                type="text"
-                placeholder="Search books..."
-                value={searchTerm}
-                onChange={(e) => setSearchTerm(e.target.value)}
-                className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-              />
-              <Search className="absolute left-3 top-2.5 text-gray-400" size={20} />
-            </div>
+            {/* Search and Filters */}
+            <CatalogueFilters
+              params={catalogueParams}
+              onChange={updateCatalogueParams}
+              onReset={resetCatalogueParams}
+              showSort={false}
+            />
 
             {/* Books Table */}
-            <div className="bg-white rounded-lg shadow-md overflow-hidden">
+            <div className={`bg-white rounded-lg shadow-md overflow-hidden ${booksQuery.isFetching ? 'opacity-75' : ''}`}>
               <div className="overflow-x-auto">
                 <table className="min-w-full divide-y divide-gray-200">
                   <thead className="bg-gray-50">
                     <tr>
-                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                        Book Details
-                      </th>
-                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                        Category
-                      </th>
-                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                        Stock
-                      </th>
+                      {renderSortableHeader('Book Details', 'title')}
+                      {renderSortableHeader('Category', 'category')}
+                      {renderSortableHeader('Stock', 'availableQuantity')}
                       <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                         Status
                       </th>
@@ -424,7 +769,14 @@ const AdminDashboard = () => {
                     </tr>
                   </thead>
                   <tbody className="bg-white divide-y divide-gray-200">
-                    {filteredBooks.map((book) => (
+                    {books.length === 0 && (
+                      <tr>
+                        <td colSpan="5" className="px-6 py-8 text-center text-gray-500">
+                          No books match the current filters
+                        </td>
+                      </tr>
+                    )}
+                    {books.map((book) => (
                       <tr key={book._id} className="hover:bg-gray-50">
                         <td className="px-6 py-4 whitespace-nowrap">
                           <div>
@@ -439,22 +791,14 @@ const AdminDashboard = () => {
                           </span>
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
-                          <div className="flex items-center space-x-2">
-                            <input
-                              type="number"
-                              min="0"
-                              max={book.totalQuantity}
-                              defaultValue={book.availableQuantity}
-                              className="w-16 px-2 py-1 text-sm border border-gray-300 rounded"
-                              onBlur={(e) => {
-                                const newStock = parseInt(e.target.value);
-                                if (newStock !== book.availableQuantity && newStock >= 0 && newStock <= book.totalQuantity) {
-                                  handleUpdateStock(book._id, newStock);
-                                }
-                              }}
-                            />
-                            <span className="text-sm text-gray-500">/ {book.totalQuantity}</span>
-                          </div>
+                          <button
+                            onClick={() => setCopiesBook(book)}
+                            title={can(PERMISSIONS.EDIT_STOCK) ? 'Manage copies' : 'View copies'}
+                            className="text-sm text-gray-900 hover:text-blue-600"
+                          >
+                            {book.availableQuantity}
+                            <span className="text-gray-500"> / {book.totalQuantity}</span>
+                          </button>
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
                           <span className={`px-2 py-1 text-xs font-semibold rounded-full ${
@@ -467,17 +811,29 @@ const AdminDashboard = () => {
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-2">
                           <button
-                            onClick={() => openEditModal(book)}
-                            className="text-indigo-600 hover:text-indigo-900"
+                            onClick={() => setCopiesBook(book)}
+                            title={can(PERMISSIONS.EDIT_STOCK) ? 'Manage copies' : 'View copies'}
+                            className="text-gray-600 hover:text-gray-900"
                           >
-                            <Edit size={16} />
-                          </button>
-                          <button
-                            onClick={() => handleDeleteBook(book._id)}
-                            className="text-red-600 hover:text-red-900"
-                          >
-                            <Trash2 size={16} />
+                            <Layers size={16} />
                           </button>
+                          {can(PERMISSIONS.MANAGE_BOOKS) && (
+                            <button
+                              onClick={() => openEditModal(book)}
+                              className="text-indigo-600 hover:text-indigo-900"
+                            >
+                              <Edit size={16} />
+                            </button>
+                          )}
+                          {can(PERMISSIONS.DELETE_BOOK) && (
+                            <button
+                              onClick={() => handleDeleteBook(book)}
+                              title="Move to trash"
+                              className="text-red-600 hover:text-red-900"
+                            >
+                              <Trash2 size={16} />
+                            </button>
+                          )}
                         </td>
                       </tr>
                     ))}
@@ -485,6 +841,15 @@ const AdminDashboard = () => {
                 </table>
               </div>
             </div>
+
+            <Pagination
+              page={catalogueParams.page}
+              totalPages={booksTotalPages}
+              total={booksTotal}
+              limit={catalogueParams.limit}
+              onPageChange={(page) => updateCatalogueParams({ page })}
+              onLimitChange={(limit) => updateCatalogueParams({ limit })}
+            />
           </div>
         )}
 
@@ -494,6 +859,25 @@ const AdminDashboard = () => {
             {/* Header */}
             <div className="flex justify-between items-center">
               <h2 className="text-2xl font-semibold text-gray-900">Issued Books</h2>
+              <div className="flex space-x-3">
+                {can(PERMISSIONS.EXPORT_DATA) && (
+                  <button
+                    onClick={handleExportIssues}
+                    disabled={filteredIssues.length === 0}
+                    className="flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+                  >
+                    <Download className="mr-2" size={20} />
+                    Export CSV
+                  </button>
+                )}
+                <button
+                  onClick={() => setShowOverdueReport(true)}
+                  className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+                >
+                  <Printer className="mr-2" size={20} />
+                  Overdue Report
+                </button>
+              </div>
             </div>
 
             {/* Search */}
@@ -545,20 +929,28 @@ const AdminDashboard = () => {
                             <div className="text-sm text-gray-500">
                               by {issue.bookId?.author || 'Unknown Author'}
                             </div>
+                            {issue.copyId?.accessionNumber && (
+                              <div className="text-xs text-gray-400">Copy: {issue.copyId.accessionNumber}</div>
+                            )}
                           </div>
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
                           <div>
-                            <div className="text-sm font-medium text-gray-900">{issue.userName}</div>
+                            <Link
+                              to={`/admin/members/${encodeURIComponent(issue.erpId)}`}
+                              className="text-sm font-medium text-gray-900 hover:text-blue-600"
+                            >
+                              {issue.userName}
+                            </Link>
                             <div className="text-sm text-gray-500">ERP: {issue.erpId}</div>
-                            <div className="text-sm text-gray-500">📞 {issue.phone}</div>
+                            <div className="text-sm text-gray-500">📞 {canViewPhone ? issue.phone : maskPhone(issue.phone)}</div>
                           </div>
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                          {new Date(issue.issueDate).toLocaleDateString()}
+                          {formatDate(issue.issueDate)}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                          {new Date(issue.expectedReturnDate).toLocaleDateString()}
+                          {formatDate(getEffectiveDueDate(issue.expectedReturnDate, calendar))}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
                           <span className={`px-2 py-1 text-xs font-semibold rounded-full ${getIssueStatusColor(issue)}`}>
@@ -572,14 +964,32 @@ const AdminDashboard = () => {
                           >
                             <Eye size={16} />
                           </button>
-                          {issue.status !== 'returned' && (
+                          {issue.status !== 'returned' && can(PERMISSIONS.RETURN_BOOK) && (
                             <button
-                              onClick={() => handleReturnBook(issue._id)}
+                              onClick={() => handleReturnBook(issue)}
                               className="text-green-600 hover:text-green-900"
                             >
                               <CheckCircle size={16} />
                             </button>
                           )}
+                          {checkRenewal(issue, RENEWAL_POLICY, now, calendar).allowed && can(PERMISSIONS.RENEW_ISSUE) && (
+                            <button
+                              onClick={() => handleRenewIssue(issue)}
+                              title={`Renew for ${RENEWAL_POLICY.periodDays} days`}
+                              className="text-indigo-600 hover:text-indigo-900"
+                            >
+                              <RefreshCw size={16} />
+                            </button>
+                          )}
+                          {isReturned(issue) && can(PERMISSIONS.DELETE_ISSUE) && (
+                            <button
+                              onClick={() => handleDeleteIssue(issue)}
+                              title="Move to trash"
+                              className="text-red-600 hover:text-red-900"
+                            >
+                              <Trash2 size={16} />
+                            </button>
+                          )}
                         </td>
                       </tr>
                     ))}
@@ -589,8 +999,53 @@ const AdminDashboard = () => {
             </div>
           </div>
         )}
+
+        {/* Circulation Desk Tab */}
+        {activeTab === 'desk' && <CirculationDeskTab issues={issuedBooks} onReturn={handleReturnBook} />}
+
+        {/* Members Tab */}
+        {activeTab === 'members' && <MembersTab issues={issuedBooks} />}
+
+        {/* Holds Tab */}
+        {activeTab === 'holds' && <HoldsTab onHoldsChanged={refreshIssues} />}
+
+        {/* Fines Tab */}
+        {activeTab === 'fines' && <FinesTab issues={issuedBooks} onFinesChanged={refreshIssues} />}
+
+        {/* Reminders Tab */}
+        {activeTab === 'reminders' && <RemindersTab issues={issuedBooks} />}
+
+        {/* Loan Rules Tab */}
+        {activeTab === 'loan-rules' && <LoanPolicyTab />}
+
+        {/* Closures Tab */}
+        {activeTab === 'closures' && <ClosuresTab />}
+
+        {/* Activity Tab */}
+        {activeTab === 'activity' && <ActivityTab />}
+
+        {/* Trash Tab */}
+        {activeTab === 'trash' && (
+          <TrashTab onRestoreBook={handleRestoreBook} onRestoreIssue={handleRestoreIssue} />
+        )}
       </div>
 
+      {/* Printable Overdue Report */}
+      {showOverdueReport && (
+        <OverdueReport
+          issues={filteredIssues}
+          searchTerm={searchTerm}
+          showPhone={canViewPhone}
+          onClose={() => setShowOverdueReport(false)}
+        />
+      )}
+
+      {/* Book Copies Modal */}
+      {copiesBook && <BookCopiesModal book={copiesBook} onClose={() => setCopiesBook(null)} />}
+
+      {/* Bulk Import Modal */}
+      {showImportModal && <BookImportModal onClose={() => setShowImportModal(false)} />}
+
       {/* Add Book Modal */}
       {showAddBookModal && (
         <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
@@ -637,19 +1092,18 @@ const AdminDashboard = () => {
                   <label className="block text-sm font-medium text-gray-700 mb-1">ISBN *</label>
                   <input
                     type="text"
-                    {...registerBook('isbn', { 
+                    {...registerBook('isbn', {
                       required: 'ISBN is required',
-                      pattern: {
-                        value: /^(?:\d{10}|\d{13})$/,
-                        message: 'Please enter a valid 10 or 13 digit ISBN'
-                      }
+                      validate: validateIsbn,
+                      setValueAs: normaliseIsbn
                     })}
                     className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                    placeholder="Enter ISBN"
+                    placeholder="ISBN-10 or ISBN-13, hyphens optional"
                   />
                   {bookErrors.isbn && (
                     <p className="text-red-500 text-sm mt-1">{bookErrors.isbn.message}</p>
                   )}
+                  {renderIsbnHints(watchBook('isbn'), addIsbnDuplicates)}
                 </div>
 
                 <div>
@@ -659,7 +1113,7 @@ const AdminDashboard = () => {
                     className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                   >
                     <option value="">Select category</option>
-                    {['Fiction', 'Non-Fiction', 'Science', 'Technology', 'History', 'Biography', 'Mathematics', 'Literature', 'Philosophy', 'Arts', 'Business', 'Self-Help', 'Reference', 'Children', 'Other'].map(cat => (
+                    {BOOK_CATEGORIES.map(cat => (
                       <option key={cat} value={cat}>{cat}</option>
                     ))}
                   </select>
@@ -691,7 +1145,7 @@ const AdminDashboard = () => {
                 </div>
 
                 <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Total Quantity *</label>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Number of Copies *</label>
                   <input
                     type="number"
                     min="1"
@@ -702,6 +1156,7 @@ const AdminDashboard = () => {
                     className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                     placeholder="Enter total quantity"
                   />
+                  <p className="text-gray-500 text-xs mt-1">Copies are created with the next free accession numbers.</p>
                   {bookErrors.totalQuantity && (
                     <p className="text-red-500 text-sm mt-1">{bookErrors.totalQuantity.message}</p>
                   )}
@@ -804,20 +1259,38 @@ const AdminDashboard = () => {
                 </div>
 
                 <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Total Quantity *</label>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">ISBN *</label>
                   <input
-                    type="number"
-                    min="1"
-                    {...registerEdit('totalQuantity', { 
-                      required: 'Total quantity is required',
-                      min: { value: 1, message: 'Quantity must be at least 1' }
+                    type="text"
+                    {...registerEdit('isbn', {
+                      required: 'ISBN is required',
+                      validate: validateIsbn,
+                      setValueAs: normaliseIsbn
                     })}
                     className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                    placeholder="Enter total quantity"
+                    placeholder="ISBN-10 or ISBN-13, hyphens optional"
                   />
-                  {editErrors.totalQuantity && (
-                    <p className="text-red-500 text-sm mt-1">{editErrors.totalQuantity.message}</p>
+                  {editErrors.isbn && (
+                    <p className="text-red-500 text-sm mt-1">{editErrors.isbn.message}</p>
                   )}
+                  {renderIsbnHints(watchEdit('isbn'), editIsbnDuplicates)}
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Copies</label>
+                  <p className="text-sm text-gray-600 py-2">
+                    {selectedBook.availableQuantity} of {selectedBook.totalQuantity} available.{' '}
+                    <button
+                      type="button"
+                      onClick={() => {
+                        setShowEditBookModal(false);
+                        setCopiesBook(selectedBook);
+                      }}
+                      className="text-blue-600 hover:text-blue-800"
+                    >
+                      Manage copies
+                    </button>
+                  </p>
                 </div>
 
                 <div>
@@ -827,7 +1300,7 @@ const AdminDashboard = () => {
                     className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                   >
                     <option value="">Select category</option>
-                    {['Fiction', 'Non-Fiction', 'Science', 'Technology', 'History', 'Biography', 'Mathematics', 'Literature', 'Philosophy', 'Arts', 'Business', 'Self-Help', 'Reference', 'Children', 'Other'].map(cat => (
+                    {BOOK_CATEGORIES.map(cat => (
                       <option key={cat} value={cat}>{cat}</option>
                     ))}
                   </select>
@@ -878,21 +1351,29 @@ const AdminDashboard = () => {
                 <p className="text-sm text-gray-600">Title: {selectedIssue.bookId?.title}</p>
                 <p className="text-sm text-gray-600">Author: {selectedIssue.bookId?.author}</p>
                 <p className="text-sm text-gray-600">ISBN: {selectedIssue.bookId?.isbn}</p>
+                {selectedIssue.copyId?.accessionNumber && (
+                  <p className="text-sm text-gray-600">
+                    Copy: {selectedIssue.copyId.accessionNumber}
+                    {selectedIssue.copyId.location && ` (${selectedIssue.copyId.location})`}
+                  </p>
+                )}
               </div>
 
               <div>
                 <h4 className="font-medium text-gray-900">User Information</h4>
                 <p className="text-sm text-gray-600">Name: {selectedIssue.userName}</p>
                 <p className="text-sm text-gray-600">ERP ID: {selectedIssue.erpId}</p>
-                <p className="text-sm text-gray-600">Phone: {selectedIssue.phone}</p>
+                <p className="text-sm text-gray-600">
+                  Phone: {canViewPhone ? selectedIssue.phone : maskPhone(selectedIssue.phone)}
+                </p>
               </div>
 
               <div>
                 <h4 className="font-medium text-gray-900">Issue Information</h4>
-                <p className="text-sm text-gray-600">Issue Date: {new Date(selectedIssue.issueDate).toLocaleDateString()}</p>
-                <p className="text-sm text-gray-600">Expected Return: {new Date(selectedIssue.expectedReturnDate).toLocaleDateString()}</p>
+                <p className="text-sm text-gray-600">Issue Date: {formatDate(selectedIssue.issueDate)}</p>
+                <p className="text-sm text-gray-600">Expected Return: {formatDate(getEffectiveDueDate(selectedIssue.expectedReturnDate, calendar))}</p>
                 {selectedIssue.actualReturnDate && (
-                  <p className="text-sm text-gray-600">Actual Return: {new Date(selectedIssue.actualReturnDate).toLocaleDateString()}</p>
+                  <p className="text-sm text-gray-600">Actual Return: {formatDate(selectedIssue.actualReturnDate)}</p>
                 )}
                 <p className="text-sm text-gray-600">Status: 
                   <span className={`ml-2 px-2 py-1 text-xs font-semibold rounded-full ${getIssueStatusColor(selectedIssue)}`}>
@@ -901,6 +1382,44 @@ const AdminDashboard = () => {
                 </p>
               </div>
 
+              {selectedIssueFine?.amount > 0 && (
+                <div>
+                  <h4 className="font-medium text-gray-900">Fine</h4>
+                  <p className="text-sm text-gray-600">
+                    Days late: {selectedIssueFine.daysLate} ({selectedIssueFine.chargeableDays} chargeable)
+                  </p>
+                  <p className="text-sm text-gray-600">
+                    Amount: {formatCurrency(selectedIssueFine.amount)}{selectedIssueFine.isCapped && ' (capped)'}
+                  </p>
+                  <p className="text-sm text-gray-600">
+                    Paid: {formatCurrency(selectedIssueFine.paid)} · Waived: {formatCurrency(selectedIssueFine.waived)}
+                  </p>
+                  <p className={`text-sm font-semibold ${selectedIssueFine.outstanding > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                    Outstanding: {formatCurrency(selectedIssueFine.outstanding)}
+                  </p>
+                </div>
+              )}
+
+              <div>
+                <h4 className="font-medium text-gray-900">Renewals</h4>
+                <p className="text-sm text-gray-600">
+                  Renewed {getRenewalCount(selectedIssue)} of {RENEWAL_POLICY.maxRenewals} times
+                </p>
+                {selectedIssue.renewals?.length > 0 && (
+                  <ul className="mt-1 space-y-1">
+                    {selectedIssue.renewals.map((renewal, index) => (
+                      <li key={index} className="text-xs text-gray-500">
+                        {formatDate(renewal.renewedAt)}: due {formatDate(renewal.previousDueDate)} → {formatDate(renewal.newDueDate)}
+                        {renewal.renewedBy && ` (by ${renewal.renewedBy})`}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {selectedIssue.status !== 'returned' && !checkRenewal(selectedIssue, RENEWAL_POLICY, now, calendar).allowed && (
+                  <p className="text-xs text-red-500 mt-1">{checkRenewal(selectedIssue, RENEWAL_POLICY, now, calendar).reason}</p>
+                )}
+              </div>
+
               {selectedIssue.notes && (
                 <div>
                   <h4 className="font-medium text-gray-900">Notes</h4>
@@ -910,10 +1429,10 @@ const AdminDashboard = () => {
             </div>
 
             <div className="flex justify-end space-x-3 pt-4">
-              {selectedIssue.status !== 'returned' && (
+              {selectedIssue.status !== 'returned' && can(PERMISSIONS.RETURN_BOOK) && (
                 <button
                   onClick={() => {
-                    handleReturnBook(selectedIssue._id);
+                    handleReturnBook(selectedIssue);
                     setShowIssueDetailsModal(false);
                   }}
                   className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
@@ -921,6 +1440,17 @@ const AdminDashboard = () => {
                   Mark as Returned
                 </button>
               )}
+              {checkRenewal(selectedIssue, RENEWAL_POLICY, now, calendar).allowed && can(PERMISSIONS.RENEW_ISSUE) && (
+                <button
+                  onClick={() => {
+                    handleRenewIssue(selectedIssue);
+                    setShowIssueDetailsModal(false);
+                  }}
+                  className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700"
+                >
+                  Renew Loan
+                </button>
+              )}
               <button
                 onClick={() => setShowIssueDetailsModal(false)}
                 className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import { useMonthlyStatsQuery, useClosureCalendar } from '../../hooks/useLibrary';
+import BarChart from '../../components/BarChart';
+import {
+  getIssueYears,
+  buildMonthlyCirculation,
+  normaliseMonthlyStats,
+  getMostBorrowedBooks,
+  getMostBorrowedCategories,
+  getAverageLoanDuration,
+  getOverdueRateByMonth,
+  getBusiestWeekdays
+} from '../../utils/analyticsUtils';
+
+const CIRCULATION_SERIES = [
+  { key: 'issues', label: 'Issues', className: 'bg-blue-500' },
+  { key: 'returns', label: 'Returns', className: 'bg-green-500' }
+];
+
+const OVERDUE_SERIES = [{ key: 'rate', label: 'Returned late', className: 'bg-red-400' }];
+
+const cardClassName = 'bg-white rounded-lg shadow-md p-6';
+
+// Ranked list with a bar proportional to each count
+const RankedList = ({ items, emptyMessage }) => {
+  if (items.length === 0) return <p className="text-sm text-gray-500">{emptyMessage}</p>;
+
+  const largest = items[0].count;
+  return (
+    <ol className="space-y-3">
+      {items.map(item => (
+        <li key={item.key}>
+          <div className="flex justify-between text-sm">
+            <span className="text-gray-900 truncate mr-2">
+              {item.label}
+              {item.detail && <span className="text-gray-500"> · {item.detail}</span>}
+            </span>
+            <span className="text-gray-600">{item.count}</span>
+          </div>
+          <div className="h-2 bg-gray-100 rounded mt-1">
+            <div className="h-2 bg-indigo-500 rounded" style={{ width: `${(item.count / largest) * 100}%` }}></div>
+          </div>
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+// Circulation trends for the Dashboard tab. Monthly issues and returns come
+// from /admin/monthly-stats when the backend has them; everything else is
+// worked out from the loaded issue records.
+const AnalyticsSection = ({ issues }) => {
+  const years = getIssueYears(issues);
+  const [year, setYear] = useState(years[0]);
+
+  const monthlyStatsQuery = useMonthlyStatsQuery(year, { retry: false });
+  const calendar = useClosureCalendar();
+  const now = new Date();
+  const serverMonthly = normaliseMonthlyStats(monthlyStatsQuery.data?.monthlyStats);
+  const monthly = serverMonthly || buildMonthlyCirculation(issues, year);
+
+  const overdueByMonth = getOverdueRateByMonth(issues, year, now, calendar);
+  const weekdays = getBusiestWeekdays(issues);
+  const averageLoanDays = getAverageLoanDuration(issues);
+  const yearIssues = monthly.reduce((total, row) => total + row.issues, 0);
+  const yearReturns = monthly.reduce((total, row) => total + row.returns, 0);
+  const yearDue = overdueByMonth.reduce((total, row) => total + row.due, 0);
+  const yearLate = overdueByMonth.reduce((total, row) => total + row.late, 0);
+
+  const topBooks = getMostBorrowedBooks(issues).map(book => ({
+    key: book.bookId,
+    label: book.title,
+    detail: book.author,
+    count: book.count
+  }));
+  const topCategories = getMostBorrowedCategories(issues).map(({ category, count }) => ({
+    key: category,
+    label: category,
+    count
+  }));
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h3 className="text-lg font-semibold text-gray-900">Circulation Analytics</h3>
+        <select
+          value={year}
+          onChange={(e) => setYear(parseInt(e.target.value, 10))}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        >
+          {years.map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Headline figures */}
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-6">
+        {[
+          { label: `Issues in ${year}`, value: yearIssues },
+          { label: `Returns in ${year}`, value: yearReturns },
+          { label: 'Average loan', value: averageLoanDays === null ? '—' : `${averageLoanDays.toFixed(1)} days` },
+          { label: `Returned late in ${year}`, value: yearDue === 0 ? '—' : `${Math.round((yearLate / yearDue) * 100)}%` }
+        ].map(card => (
+          <div key={card.label} className="bg-white p-6 rounded-lg shadow-md">
+            <p className="text-sm font-medium text-gray-500">{card.label}</p>
+            <p className="text-2xl font-semibold text-gray-900">{card.value}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className={cardClassName}>
+          <h4 className="font-medium text-gray-900 mb-1">Issues vs returns</h4>
+          <p className="text-xs text-gray-500 mb-4">
+            {serverMonthly ? 'Monthly totals from the server' : 'Computed from loan records'}
+          </p>
+          <BarChart data={monthly} series={CIRCULATION_SERIES} />
+        </div>
+
+        <div className={cardClassName}>
+          <h4 className="font-medium text-gray-900 mb-1">Overdue rate</h4>
+          <p className="text-xs text-gray-500 mb-4">Share of loans due each month that came back late</p>
+          <BarChart data={overdueByMonth} series={OVERDUE_SERIES} maxValue={100} formatValue={(value) => `${value}%`} />
+        </div>
+
+        <div className={cardClassName}>
+          <h4 className="font-medium text-gray-900 mb-4">Most borrowed books</h4>
+          <RankedList items={topBooks} emptyMessage="No loans yet" />
+        </div>
+
+        <div className={cardClassName}>
+          <h4 className="font-medium text-gray-900 mb-4">Most borrowed categories</h4>
+          <RankedList items={topCategories} emptyMessage="No loans yet" />
+        </div>
+
+        <div className={`${cardClassName} lg:col-span-2`}>
+          <h4 className="font-medium text-gray-900 mb-1">Busiest days of the week</h4>
+          <p className="text-xs text-gray-500 mb-4">All loans on record</p>
+          <BarChart data={weekdays} series={CIRCULATION_SERIES} height={120} />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AnalyticsSection;
@@ -0,0 +1,322 @@
+import React, { useState, useContext } from 'react';
+import { useForm } from 'react-hook-form';
+import { toast } from 'react-toastify';
+import { X, Plus, Edit, History } from 'lucide-react';
+import {
+  useBookCopiesQuery,
+  useIssuesQuery,
+  useAddCopyMutation,
+  useUpdateCopyMutation,
+  useRecordActivity
+} from '../../hooks/useLibrary';
+import { AuthContext } from '../../context/AuthContext';
+import { PERMISSIONS } from '../../config/permissions';
+import { ACCESSION_PATTERN, ACCESSION_PREFIX, COPY_CONDITIONS } from '../../config/catalogue';
+import {
+  COPY_STATUS,
+  COPY_STATUS_LABELS,
+  COPY_STATUS_COLORS,
+  MANUAL_COPY_STATUSES,
+  summarizeCopies,
+  buildCopyUpdate,
+  buildCopyTimeline
+} from '../../utils/copyUtils';
+import { formatDate } from '../../utils/loanUtils';
+import { AUDIT_ACTIONS, AUDIT_ENTITIES } from '../../utils/auditUtils';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+const headerClassName = 'px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider';
+
+// Loans and status changes of one copy, newest first
+const CopyHistory = ({ copy }) => {
+  const { data, isLoading } = useIssuesQuery({ copyId: copy._id });
+  const timeline = buildCopyTimeline(copy, data?.issues || []);
+
+  if (isLoading) return <p className="text-sm text-gray-500">Loading history...</p>;
+  if (timeline.length === 0) return <p className="text-sm text-gray-500">No history for this copy yet.</p>;
+
+  return (
+    <ul className="space-y-2">
+      {timeline.map(event => (
+        <li key={`${event.type}-${event.date}`} className="text-sm text-gray-700">
+          <span className="text-gray-500">{formatDate(event.date)}</span>{' '}
+          {event.type === 'loan' ? (
+            <>
+              Issued to {event.issue.userName} ({event.issue.erpId})
+              {event.issue.actualReturnDate
+                ? `, returned ${formatDate(event.issue.actualReturnDate)}`
+                : ', not yet returned'}
+            </>
+          ) : (
+            <>
+              Marked {COPY_STATUS_LABELS[event.entry.status] || event.entry.status}, {event.entry.condition} condition
+              {event.entry.location && ` at ${event.entry.location}`}
+              {event.entry.changedBy && ` (by ${event.entry.changedBy})`}
+              {event.entry.note && ` — ${event.entry.note}`}
+            </>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// Drill-down for one book: its physical copies, their state and history
+const BookCopiesModal = ({ book, onClose }) => {
+  const [editingCopy, setEditingCopy] = useState(null);
+  const [historyCopy, setHistoryCopy] = useState(null);
+
+  const { user, can } = useContext(AuthContext);
+  const canEditStock = can(PERMISSIONS.EDIT_STOCK);
+  const copiesQuery = useBookCopiesQuery(book._id);
+  const addCopyMutation = useAddCopyMutation();
+  const updateCopyMutation = useUpdateCopyMutation();
+  const recordActivity = useRecordActivity();
+
+  const copies = copiesQuery.data?.copies || [];
+  const summary = summarizeCopies(copies);
+
+  const {
+    register: registerAdd,
+    handleSubmit: handleAddSubmit,
+    reset: resetAddForm,
+    formState: { errors: addErrors }
+  } = useForm({ defaultValues: { location: book.location || '', condition: 'new' } });
+
+  const {
+    register: registerEdit,
+    handleSubmit: handleEditSubmit,
+    reset: resetEditForm
+  } = useForm();
+
+  const handleAddCopy = async (data) => {
+    try {
+      const copyData = {
+        accessionNumber: data.accessionNumber.toUpperCase(),
+        location: data.location,
+        condition: data.condition,
+        status: COPY_STATUS.AVAILABLE
+      };
+      const response = await addCopyMutation.mutateAsync({ bookId: book._id, copyData });
+      recordActivity({
+        action: AUDIT_ACTIONS.CREATE,
+        entityType: AUDIT_ENTITIES.COPY,
+        entityId: response?.copy?._id,
+        entityLabel: `${copyData.accessionNumber} of ${book.title}`,
+        after: copyData
+      });
+      toast.success(`Copy ${data.accessionNumber.toUpperCase()} added`);
+      resetAddForm({ accessionNumber: '', location: data.location, condition: data.condition });
+    } catch (error) {
+      console.error('Error adding copy:', error);
+      toast.error(error.message || 'Failed to add copy');
+    }
+  };
+
+  const startEditing = (copy) => {
+    setEditingCopy(copy);
+    resetEditForm({ status: copy.status, condition: copy.condition, location: copy.location || '', note: '' });
+  };
+
+  const handleUpdateCopy = async (data) => {
+    try {
+      const copyData = buildCopyUpdate(editingCopy, data, user?.username || 'admin');
+      await updateCopyMutation.mutateAsync({ id: editingCopy._id, copyData });
+      recordActivity({
+        action: AUDIT_ACTIONS.UPDATE,
+        entityType: AUDIT_ENTITIES.COPY,
+        entityId: editingCopy._id,
+        entityLabel: `${editingCopy.accessionNumber} of ${book.title}`,
+        before: editingCopy,
+        after: copyData,
+        note: data.note
+      });
+      toast.success(`Copy ${editingCopy.accessionNumber} updated`);
+      setEditingCopy(null);
+    } catch (error) {
+      console.error('Error updating copy:', error);
+      toast.error(error.message || 'Failed to update copy');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-10 mx-auto p-5 border w-11/12 lg:w-3/4 shadow-lg rounded-md bg-white mb-10">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Copies of "{book.title}"</h3>
+            <p className="text-sm text-gray-500">
+              {summary.total} cop{summary.total === 1 ? 'y' : 'ies'}
+              {Object.values(COPY_STATUS)
+                .filter(status => summary[status])
+                .map(status => ` · ${summary[status]} ${COPY_STATUS_LABELS[status].toLowerCase()}`)
+                .join('')}
+            </p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X size={24} />
+          </button>
+        </div>
+
+        {/* Add copy */}
+        {canEditStock && (
+          <form onSubmit={handleAddSubmit(handleAddCopy)} className="grid grid-cols-1 md:grid-cols-4 gap-3 items-start mb-6 p-4 bg-gray-50 rounded-lg">
+            <div>
+              <input
+                type="text"
+                {...registerAdd('accessionNumber', {
+                  required: 'Accession number is required',
+                  pattern: {
+                    value: ACCESSION_PATTERN,
+                    message: `Use the ${ACCESSION_PREFIX} prefix followed by digits`
+                  }
+                })}
+                className={inputClassName}
+                placeholder={`Accession no. (${ACCESSION_PREFIX}000123)`}
+              />
+              {addErrors.accessionNumber && (
+                <p className="text-red-500 text-sm mt-1">{addErrors.accessionNumber.message}</p>
+              )}
+            </div>
+            <input
+              type="text"
+              {...registerAdd('location')}
+              className={inputClassName}
+              placeholder="Shelf location"
+            />
+            <select {...registerAdd('condition')} className={inputClassName}>
+              {COPY_CONDITIONS.map(condition => (
+                <option key={condition} value={condition}>{condition}</option>
+              ))}
+            </select>
+            <button
+              type="submit"
+              disabled={addCopyMutation.isLoading}
+              className="flex items-center justify-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400"
+            >
+              <Plus className="mr-2" size={18} />
+              {addCopyMutation.isLoading ? 'Adding...' : 'Add Copy'}
+            </button>
+          </form>
+        )}
+
+        {/* Copies */}
+        <div className="overflow-x-auto border rounded-lg">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className={headerClassName}>Accession No.</th>
+                <th className={headerClassName}>Location</th>
+                <th className={headerClassName}>Condition</th>
+                <th className={headerClassName}>Status</th>
+                <th className={headerClassName}>Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {copiesQuery.isLoading && (
+                <tr>
+                  <td colSpan="5" className="px-4 py-6 text-center text-gray-500">Loading copies...</td>
+                </tr>
+              )}
+              {!copiesQuery.isLoading && copies.length === 0 && (
+                <tr>
+                  <td colSpan="5" className="px-4 py-6 text-center text-gray-500">
+                    No copies recorded for this book yet
+                  </td>
+                </tr>
+              )}
+              {copies.map(copy => (
+                <React.Fragment key={copy._id}>
+                  {editingCopy?._id === copy._id ? (
+                    <tr className="bg-blue-50">
+                      <td className="px-4 py-2 text-sm font-medium text-gray-900">{copy.accessionNumber}</td>
+                      <td className="px-4 py-2">
+                        <input type="text" {...registerEdit('location')} className={inputClassName} />
+                      </td>
+                      <td className="px-4 py-2">
+                        <select {...registerEdit('condition')} className={inputClassName}>
+                          {COPY_CONDITIONS.map(condition => (
+                            <option key={condition} value={condition}>{condition}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className="px-4 py-2">
+                        {copy.status === COPY_STATUS.ISSUED ? (
+                          <span className="text-sm text-gray-500">Issued (return it first)</span>
+                        ) : (
+                          <select {...registerEdit('status')} className={inputClassName}>
+                            {MANUAL_COPY_STATUSES.map(status => (
+                              <option key={status} value={status}>{COPY_STATUS_LABELS[status]}</option>
+                            ))}
+                          </select>
+                        )}
+                      </td>
+                      <td className="px-4 py-2 space-y-2">
+                        <input type="text" {...registerEdit('note')} className={inputClassName} placeholder="Note (optional)" />
+                        <div className="flex space-x-2">
+                          <button
+                            type="button"
+                            onClick={handleEditSubmit(handleUpdateCopy)}
+                            disabled={updateCopyMutation.isLoading}
+                            className="px-3 py-1 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400"
+                          >
+                            Save
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => setEditingCopy(null)}
+                            className="px-3 py-1 text-sm border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ) : (
+                    <tr className="hover:bg-gray-50">
+                      <td className="px-4 py-2 text-sm font-medium text-gray-900">{copy.accessionNumber}</td>
+                      <td className="px-4 py-2 text-sm text-gray-700">{copy.location || '—'}</td>
+                      <td className="px-4 py-2 text-sm text-gray-700 capitalize">{copy.condition}</td>
+                      <td className="px-4 py-2">
+                        <span className={`px-2 py-1 text-xs font-semibold rounded-full ${COPY_STATUS_COLORS[copy.status] || 'bg-gray-100 text-gray-800'}`}>
+                          {COPY_STATUS_LABELS[copy.status] || copy.status}
+                        </span>
+                      </td>
+                      <td className="px-4 py-2 text-sm font-medium space-x-2">
+                        {canEditStock && (
+                          <button
+                            onClick={() => startEditing(copy)}
+                            title="Edit copy"
+                            className="text-indigo-600 hover:text-indigo-900"
+                          >
+                            <Edit size={16} />
+                          </button>
+                        )}
+                        <button
+                          onClick={() => setHistoryCopy(historyCopy?._id === copy._id ? null : copy)}
+                          title="Show history"
+                          className="text-gray-600 hover:text-gray-900"
+                        >
+                          <History size={16} />
+                        </button>
+                      </td>
+                    </tr>
+                  )}
+                  {historyCopy?._id === copy._id && (
+                    <tr>
+                      <td colSpan="5" className="px-4 py-3 bg-gray-50">
+                        <CopyHistory copy={copy} />
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BookCopiesModal;
@@ -0,0 +1,334 @@
+import React, { useState, useEffect } from 'react';
+import { useQueryClient } from 'react-query';
+import { toast } from 'react-toastify';
+import { X, Upload, CheckCircle, AlertTriangle } from 'lucide-react';
+import { booksAPI } from '../../api/libraryAPI';
+import { queryKeys, useRecordActivity } from '../../hooks/useLibrary';
+import { parseCsvWithHeader } from '../../utils/csv';
+import {
+  BOOK_IMPORT_FIELDS,
+  autoMapColumns,
+  buildImportRows,
+  markCatalogueDuplicates,
+  chunk
+} from '../../utils/bookImport';
+import { getIsbnVariants } from '../../utils/isbn';
+import { AUDIT_ACTIONS, AUDIT_ENTITIES } from '../../utils/auditUtils';
+
+// Rows sent to the server at once, and ISBNs looked up per duplicate check
+const IMPORT_BATCH_SIZE = 10;
+const ISBN_LOOKUP_SIZE = 100;
+
+// Upload a CSV of books, map its columns, review per-row problems and add the
+// valid rows to the catalogue in batches
+const BookImportModal = ({ onClose }) => {
+  const [fileName, setFileName] = useState('');
+  const [headers, setHeaders] = useState([]);
+  const [records, setRecords] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [rows, setRows] = useState([]);
+  const [checkingDuplicates, setCheckingDuplicates] = useState(false);
+  const [showErrorsOnly, setShowErrorsOnly] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [result, setResult] = useState(null);
+
+  const queryClient = useQueryClient();
+  const recordActivity = useRecordActivity();
+
+  // Re-validate whenever the file or the column mapping changes
+  useEffect(() => {
+    if (records.length === 0) {
+      setRows([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const builtRows = buildImportRows(records, mapping);
+    setRows(builtRows);
+
+    // Ask for both ISBN forms since older records may be stored as ISBN-10
+    const isbns = [...new Set(builtRows.flatMap(row => getIsbnVariants(row.book.isbn)))];
+    if (isbns.length === 0) return undefined;
+
+    const checkCatalogue = async () => {
+      setCheckingDuplicates(true);
+      try {
+        const responses = await Promise.all(
+          chunk(isbns, ISBN_LOOKUP_SIZE).map(batch => booksAPI.getBooksByIsbns(batch))
+        );
+        const existingIsbns = responses.flatMap(response => (response.books || []).map(book => book.isbn));
+        if (!cancelled) setRows(markCatalogueDuplicates(builtRows, existingIsbns));
+      } catch (error) {
+        console.error('Error checking ISBNs:', error);
+        if (!cancelled) toast.error(error.message || 'Failed to check ISBNs against the catalogue');
+      } finally {
+        if (!cancelled) setCheckingDuplicates(false);
+      }
+    };
+
+    checkCatalogue();
+    return () => {
+      cancelled = true;
+    };
+  }, [records, mapping]);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      const { headers: fileHeaders, records: fileRecords } = parseCsvWithHeader(await file.text());
+      if (fileRecords.length === 0) {
+        toast.error('The file has no book rows');
+        return;
+      }
+
+      setFileName(file.name);
+      setHeaders(fileHeaders);
+      setMapping(autoMapColumns(fileHeaders));
+      setRecords(fileRecords);
+      setResult(null);
+    } catch (error) {
+      console.error('Error reading CSV:', error);
+      toast.error('Failed to read the CSV file');
+    }
+  };
+
+  const handleMappingChange = (field, header) => {
+    setMapping(prev => ({ ...prev, [field]: header || undefined }));
+  };
+
+  const validRows = rows.filter(row => row.errors.length === 0);
+  const invalidCount = rows.length - validRows.length;
+  const visibleRows = showErrorsOnly ? rows.filter(row => row.errors.length > 0) : rows;
+
+  const handleImport = async () => {
+    setImporting(true);
+    setProgress({ done: 0, total: validRows.length });
+
+    let created = 0;
+    const failures = [];
+
+    for (const batch of chunk(validRows, IMPORT_BATCH_SIZE)) {
+      const outcomes = await Promise.allSettled(batch.map(row => booksAPI.addBook(row.book)));
+
+      for (let i = 0; i < outcomes.length; i++) {
+        if (outcomes[i].status === 'fulfilled') {
+          created += 1;
+          recordActivity({
+            action: AUDIT_ACTIONS.CREATE,
+            entityType: AUDIT_ENTITIES.BOOK,
+            entityId: outcomes[i].value?.book?._id,
+            entityLabel: batch[i].book.title,
+            after: batch[i].book,
+            note: `CSV import, row ${batch[i].rowNumber}`
+          });
+        } else {
+          failures.push({ rowNumber: batch[i].rowNumber, message: outcomes[i].reason?.message || 'Failed to add book' });
+        }
+      }
+
+      setProgress(prev => ({ ...prev, done: prev.done + batch.length }));
+    }
+
+    queryClient.invalidateQueries(queryKeys.books);
+    queryClient.invalidateQueries(queryKeys.stats);
+
+    setResult({ created, failures });
+    setImporting(false);
+
+    if (failures.length === 0) {
+      toast.success(`Imported ${created} book${created === 1 ? '' : 's'}`);
+    } else {
+      toast.warn(`Imported ${created} book${created === 1 ? '' : 's'}, ${failures.length} failed`);
+    }
+  };
+
+  const progressPercent = progress.total ? Math.round((progress.done / progress.total) * 100) : 0;
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-10 mx-auto p-5 border w-11/12 lg:w-3/4 shadow-lg rounded-md bg-white mb-10">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Import Books from CSV</h3>
+          <button onClick={onClose} disabled={importing} className="text-gray-400 hover:text-gray-600">
+            <X size={24} />
+          </button>
+        </div>
+
+        {/* File picker */}
+        <div className="mb-6">
+          <label className="flex items-center justify-center px-4 py-6 border-2 border-dashed border-gray-300 rounded-lg cursor-pointer hover:border-blue-400">
+            <Upload className="mr-2 text-gray-500" size={20} />
+            <span className="text-sm text-gray-600">
+              {fileName ? `${fileName} — ${records.length} rows (choose another file)` : 'Choose a CSV file with a header row'}
+            </span>
+            <input type="file" accept=".csv,text/csv" onChange={handleFileChange} disabled={importing} className="hidden" />
+          </label>
+          <p className="text-xs text-gray-500 mt-2">
+            Columns: {BOOK_IMPORT_FIELDS.map(({ label, required }) => `${label}${required ? ' *' : ''}`).join(', ')}
+          </p>
+        </div>
+
+        {headers.length > 0 && !result && (
+          <>
+            {/* Column mapping */}
+            <div className="mb-6">
+              <h4 className="font-medium text-gray-900 mb-2">Column Mapping</h4>
+              <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+                {BOOK_IMPORT_FIELDS.map(({ field, label, required }) => (
+                  <div key={field}>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">
+                      {label}{required ? ' *' : ''}
+                    </label>
+                    <select
+                      value={mapping[field] || ''}
+                      onChange={(e) => handleMappingChange(field, e.target.value)}
+                      disabled={importing}
+                      className="w-full px-2 py-1 text-sm border border-gray-300 rounded"
+                    >
+                      <option value="">— not mapped —</option>
+                      {headers.map(header => (
+                        <option key={header} value={header}>{header}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            {/* Preview */}
+            <div className="flex items-center justify-between mb-2">
+              <div className="text-sm text-gray-600">
+                <span className="text-green-600 font-medium">{validRows.length} ready</span>
+                {' · '}
+                <span className="text-red-600 font-medium">{invalidCount} with errors</span>
+                {checkingDuplicates && <span className="ml-2 text-gray-400">Checking catalogue for duplicates...</span>}
+              </div>
+              <label className="flex items-center text-sm text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={showErrorsOnly}
+                  onChange={(e) => setShowErrorsOnly(e.target.checked)}
+                  className="mr-2"
+                />
+                Show rows with errors only
+              </label>
+            </div>
+
+            <div className="max-h-80 overflow-y-auto border rounded-lg mb-4">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Row</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Title / Author</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ISBN</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Category</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Qty</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {visibleRows.map(row => (
+                    <tr key={row.rowNumber} className={row.errors.length > 0 ? 'bg-red-50' : ''}>
+                      <td className="px-4 py-2 text-sm text-gray-500">{row.rowNumber}</td>
+                      <td className="px-4 py-2 text-sm">
+                        <div className="font-medium text-gray-900">{row.book.title || '—'}</div>
+                        <div className="text-gray-500">{row.book.author || '—'}</div>
+                      </td>
+                      <td className="px-4 py-2 text-sm text-gray-900">{row.book.isbn || '—'}</td>
+                      <td className="px-4 py-2 text-sm text-gray-900">{row.book.category || '—'}</td>
+                      <td className="px-4 py-2 text-sm text-gray-900">{row.book.totalQuantity}</td>
+                      <td className="px-4 py-2 text-sm">
+                        {row.errors.length === 0 ? (
+                          <span className="inline-flex items-center text-green-600">
+                            <CheckCircle size={14} className="mr-1" />
+                            Ready
+                          </span>
+                        ) : (
+                          <ul className="text-red-600 space-y-0.5">
+                            {row.errors.map(error => (
+                              <li key={error} className="flex items-start">
+                                <AlertTriangle size={14} className="mr-1 mt-0.5 flex-shrink-0" />
+                                {error}
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {importing && (
+              <div className="mb-4">
+                <div className="flex justify-between text-sm text-gray-600 mb-1">
+                  <span>Importing...</span>
+                  <span>{progress.done} / {progress.total}</span>
+                </div>
+                <div className="w-full bg-gray-200 rounded-full h-2">
+                  <div className="bg-blue-600 h-2 rounded-full transition-all" style={{ width: `${progressPercent}%` }} />
+                </div>
+              </div>
+            )}
+
+            <div className="flex justify-end space-x-3">
+              <button
+                type="button"
+                onClick={onClose}
+                disabled={importing}
+                className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                onClick={handleImport}
+                disabled={importing || checkingDuplicates || validRows.length === 0}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400"
+              >
+                {importing ? 'Importing...' : `Import ${validRows.length} Book${validRows.length === 1 ? '' : 's'}`}
+              </button>
+            </div>
+          </>
+        )}
+
+        {/* Summary once the import has run */}
+        {result && (
+          <div className="space-y-4">
+            <div className="p-4 bg-green-50 rounded-lg text-green-800">
+              {result.created} book{result.created === 1 ? '' : 's'} added to the catalogue.
+              {invalidCount > 0 && ` ${invalidCount} row${invalidCount === 1 ? ' was' : 's were'} skipped because of errors.`}
+            </div>
+
+            {result.failures.length > 0 && (
+              <div className="p-4 bg-red-50 rounded-lg">
+                <h4 className="font-medium text-red-800 mb-2">Rejected by the server</h4>
+                <ul className="text-sm text-red-700 space-y-1">
+                  {result.failures.map(failure => (
+                    <li key={failure.rowNumber}>Row {failure.rowNumber}: {failure.message}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <div className="flex justify-end">
+              <button
+                type="button"
+                onClick={onClose}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+              >
+                Done
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BookImportModal;
@@ -0,0 +1,518 @@
+import React, { useState, useEffect, useRef, useContext } from 'react';
+import { useForm } from 'react-hook-form';
+import { toast } from 'react-toastify';
+import { ScanLine, Camera, CameraOff, User, Book, CheckCircle, X, Ban } from 'lucide-react';
+import {
+  useIssueBookMutation,
+  useMembersQuery,
+  useLoanPolicy,
+  useRecordActivity,
+  useClosureCalendar,
+  useEligibilityQuery,
+  useEligibilityCheck,
+  useIsbnLookup,
+  useCopyLookup
+} from '../../hooks/useLibrary';
+import { useBarcodeScanner } from '../../hooks/useBarcodeScanner';
+import CameraScanner from '../../components/CameraScanner';
+import {
+  BORROWER_TYPES,
+  BORROWER_TYPE_LABELS,
+  DEFAULT_BORROWER_TYPE
+} from '../../config/circulation';
+import { PERMISSIONS } from '../../config/permissions';
+import { AuthContext } from '../../context/AuthContext';
+import { maskPhone, isSameErpId, buildMemberProfile } from '../../utils/memberUtils';
+import { classifyScan, SCAN_TYPE } from '../../utils/barcode';
+import { getLoanTerms } from '../../utils/loanPolicyUtils';
+import {
+  isReturned,
+  getIssueBookId,
+  calculateDueDate,
+  getEffectiveDueDate,
+  getDueLabel,
+  formatDate
+} from '../../utils/loanUtils';
+import { toDateKey } from '../../utils/closureUtils';
+import { COPY_STATUS, COPY_STATUS_LABELS, getCopyId } from '../../utils/copyUtils';
+import { AUDIT_ACTIONS, AUDIT_ENTITIES, getIssueAuditLabel } from '../../utils/auditUtils';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const isSameMember = (issue, erpId) => isSameErpId(issue.erpId, erpId);
+
+// Circulation desk: scan a member card and a book barcode (USB scanner or
+// webcam) to issue the book, or scan a book on loan to return it. Scanning a
+// copy's accession label pins the exact copy; an ISBN leaves the choice of
+// copy to the server.
+const CirculationDeskTab = ({ issues, onReturn }) => {
+  const [scanInput, setScanInput] = useState('');
+  const [showCamera, setShowCamera] = useState(false);
+  const [member, setMember] = useState(null);
+  const [book, setBook] = useState(null);
+  const [copy, setCopy] = useState(null);
+  const [lookingUp, setLookingUp] = useState(false);
+  const [isReturning, setIsReturning] = useState(false);
+
+  const scanInputRef = useRef(null);
+  const actionButtonRef = useRef(null);
+
+  const issueBookMutation = useIssueBookMutation();
+  // Member records hold contact details and blocks; loans are still issued
+  // from the desk if they cannot be loaded
+  const membersQuery = useMembersQuery({}, { retry: false });
+  const memberRecords = membersQuery.data?.members || [];
+  const loanPolicy = useLoanPolicy();
+  const calendar = useClosureCalendar();
+  const recordActivity = useRecordActivity();
+  const checkEligibility = useEligibilityCheck();
+  const lookUpIsbn = useIsbnLookup();
+  const lookUpAccession = useCopyLookup();
+  const { can } = useContext(AuthContext);
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    watch,
+    formState: { errors }
+  } = useForm();
+
+  const openIssues = issues.filter(issue => !isReturned(issue));
+  const memberLoans = member ? openIssues.filter(issue => isSameMember(issue, member.erpId)) : [];
+  const bookLoans = book
+    ? openIssues.filter(issue =>
+      copy ? getCopyId(issue.copyId) === copy._id : getIssueBookId(issue) === book._id
+    )
+    : [];
+  // Once a member is known only their own loan of this book can be returned
+  const returnCandidates = member ? bookLoans.filter(issue => isSameMember(issue, member.erpId)) : bookLoans;
+  const isReturnMode = returnCandidates.length > 0;
+  const now = new Date();
+  const today = toDateKey(now);
+  const canIssue = copy ? copy.status === COPY_STATUS.AVAILABLE : book?.availableQuantity > 0;
+
+  // Pre-fill the issue form with what we know about the scanned member
+  useEffect(() => {
+    reset({
+      erpId: member?.erpId || '',
+      userName: member?.userName || '',
+      phone: member?.phone || '',
+      borrowerType: member?.borrowerType || DEFAULT_BORROWER_TYPE
+    });
+  }, [member, reset]);
+
+  // Focus the obvious next action so a single Enter completes it
+  useEffect(() => {
+    if (book && (returnCandidates.length === 1 || (member?.known && !isReturnMode))) {
+      actionButtonRef.current?.focus();
+    }
+  }, [book, member, returnCandidates.length, isReturnMode]);
+
+  const findMemberRecord = (erpId) => memberRecords.find(record => isSameErpId(record.erpId, erpId));
+
+  // Blocks, loan limits, overdue books and unpaid fines, checked by the server
+  // against all of the member's loans rather than those on the desk
+  const eligibilityQuery = useEligibilityQuery(member && !isReturnMode ? member.erpId : null, book?._id, { retry: false });
+  const memberEligibility = eligibilityQuery.data || null;
+  const dueDate = book ? calculateDueDate(today, getLoanTerms(loanPolicy, book, watch('borrowerType')), calendar) : null;
+
+  // Use the member record, or else the most recent loan, for the member's name and phone
+  const findMember = (erpId) => {
+    const memberIssues = issues.filter(issue => isSameMember(issue, erpId));
+    const record = findMemberRecord(erpId);
+    const profile = buildMemberProfile(erpId, memberIssues, record);
+
+    return {
+      erpId: profile.erpId,
+      userName: profile.name,
+      phone: profile.phone,
+      borrowerType: profile.borrowerType,
+      blocked: profile.blocked,
+      blockedReason: profile.blockedReason,
+      known: memberIssues.length > 0 || !!record
+    };
+  };
+
+  const lookUpBook = async (isbn) => {
+    setLookingUp(true);
+    try {
+      const response = await lookUpIsbn(isbn);
+      const [foundBook] = response.books || [];
+      if (foundBook) {
+        setBook(foundBook);
+        setCopy(null);
+      } else {
+        toast.error(`No book found with ISBN ${isbn}`);
+      }
+    } catch (error) {
+      console.error('Error looking up book:', error);
+      toast.error(error.message || 'Failed to look up book');
+    } finally {
+      setLookingUp(false);
+    }
+  };
+
+  const lookUpCopy = async (accessionNumber) => {
+    setLookingUp(true);
+    try {
+      const response = await lookUpAccession(accessionNumber);
+      setBook(response.book);
+      setCopy(response.copy);
+    } catch (error) {
+      console.error('Error looking up copy:', error);
+      toast.error(error.status === 404 ? `No copy with accession number ${accessionNumber}` : error.message);
+    } finally {
+      setLookingUp(false);
+    }
+  };
+
+  const handleScan = (rawValue) => {
+    const scan = classifyScan(rawValue);
+
+    if (scan.type === SCAN_TYPE.COPY) {
+      lookUpCopy(scan.value);
+    } else if (scan.type === SCAN_TYPE.BOOK) {
+      lookUpBook(scan.value);
+    } else if (scan.type === SCAN_TYPE.MEMBER) {
+      setMember(findMember(scan.value));
+    } else {
+      toast.warning(`Unrecognised barcode "${scan.value}"`);
+    }
+  };
+
+  useBarcodeScanner(handleScan);
+
+  const handleScanSubmit = (e) => {
+    e.preventDefault();
+    if (!scanInput.trim()) return;
+    handleScan(scanInput);
+    setScanInput('');
+  };
+
+  const clearDesk = () => {
+    setMember(null);
+    setBook(null);
+    setCopy(null);
+    setScanInput('');
+    scanInputRef.current?.focus();
+  };
+
+  const handleReturn = async (issue) => {
+    setIsReturning(true);
+    const returned = await onReturn(issue);
+    setIsReturning(false);
+    if (returned) {
+      setBook(null);
+      setCopy(null);
+      scanInputRef.current?.focus();
+    }
+  };
+
+  const handleIssue = async (data) => {
+    try {
+      // The ERP ID can be typed in, so check again for whoever it names
+      const { allowed, reasons } = await checkEligibility(data.erpId, book._id);
+      if (!allowed) {
+        toast.error(`Cannot issue to ${data.erpId}: ${reasons.join(' ')}`);
+        return;
+      }
+
+      const issueData = {
+        bookId: book._id,
+        copyId: copy?._id,
+        userName: data.userName,
+        phone: data.phone,
+        erpId: data.erpId,
+        borrowerType: data.borrowerType,
+        issueDate: today,
+        expectedReturnDate: calculateDueDate(today, getLoanTerms(loanPolicy, book, data.borrowerType), calendar)
+      };
+      const response = await issueBookMutation.mutateAsync(issueData);
+      if (response?.queued) {
+        // Logged when it syncs
+        toast.info(`No connection: issue of "${book.title}" to ${data.userName} will sync when it is back`);
+      } else {
+        recordActivity({
+          action: AUDIT_ACTIONS.ISSUE,
+          entityType: AUDIT_ENTITIES.ISSUE,
+          entityId: response?.issue?._id,
+          entityLabel: getIssueAuditLabel({ ...issueData, bookId: book }),
+          after: { ...issueData, accessionNumber: copy?.accessionNumber }
+        });
+        toast.success(`Book "${book.title}" issued to ${data.userName}`);
+      }
+      // Keep the member so the next book can be scanned straight away
+      setMember({
+        erpId: data.erpId,
+        userName: data.userName,
+        phone: data.phone,
+        borrowerType: data.borrowerType,
+        known: true
+      });
+      setBook(null);
+      setCopy(null);
+      scanInputRef.current?.focus();
+    } catch (error) {
+      console.error('Error issuing book:', error);
+      toast.error(error.message || 'Failed to issue book');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-2xl font-semibold text-gray-900">Circulation Desk</h2>
+        <button
+          onClick={clearDesk}
+          className="flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+        >
+          <X className="mr-2" size={20} />
+          Clear
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Scanning */}
+        <div className="space-y-4">
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <form onSubmit={handleScanSubmit} className="flex space-x-2">
+              <div className="relative flex-1">
+                <input
+                  ref={scanInputRef}
+                  type="text"
+                  autoFocus
+                  value={scanInput}
+                  onChange={(e) => setScanInput(e.target.value)}
+                  placeholder="Scan or type an accession no., ISBN or ERP ID..."
+                  className={`pl-10 ${inputClassName}`}
+                />
+                <ScanLine className="absolute left-3 top-2.5 text-gray-400" size={20} />
+              </div>
+              <button
+                type="button"
+                onClick={() => setShowCamera(prev => !prev)}
+                title={showCamera ? 'Stop camera' : 'Scan with camera'}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+              >
+                {showCamera ? <CameraOff size={20} /> : <Camera size={20} />}
+              </button>
+            </form>
+            <p className="text-xs text-gray-500 mt-2">
+              A USB scanner works from anywhere on this tab. Scan the member's ERP ID card and the copy's accession label (or ISBN barcode) in either order.
+            </p>
+            {showCamera && (
+              <div className="mt-4">
+                <CameraScanner onScan={handleScan} />
+              </div>
+            )}
+          </div>
+
+          {/* Member card */}
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <h3 className="flex items-center font-medium text-gray-900 mb-3">
+              <User className="mr-2" size={18} />
+              Member
+            </h3>
+            {member ? (
+              <div>
+                <p className="text-sm font-medium text-gray-900">{member.userName || 'New member'}</p>
+                <p className="text-sm text-gray-500">ERP: {member.erpId}</p>
+                {member.blocked && (
+                  <p className="flex items-center mt-2 text-sm font-medium text-red-600">
+                    <Ban className="mr-1" size={16} />
+                    Blocked from borrowing{member.blockedReason && `: ${member.blockedReason}`}
+                  </p>
+                )}
+                {member.phone && (
+                  <p className="text-sm text-gray-500">
+                    📞 {can(PERMISSIONS.VIEW_PHONE) ? member.phone : maskPhone(member.phone)}
+                  </p>
+                )}
+                <p className="text-sm text-gray-600 mt-2">
+                  {memberLoans.length} book{memberLoans.length === 1 ? '' : 's'} currently on loan
+                </p>
+                {memberLoans.length > 0 && (
+                  <ul className="mt-1 text-sm text-gray-500 space-y-1">
+                    {memberLoans.map(issue => (
+                      <li key={issue._id}>
+                        {issue.bookId?.title || 'Unknown Book'} · {getDueLabel(issue, now, calendar)}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">Scan a member card.</p>
+            )}
+          </div>
+
+          {/* Book card */}
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <h3 className="flex items-center font-medium text-gray-900 mb-3">
+              <Book className="mr-2" size={18} />
+              Book
+            </h3>
+            {lookingUp && <p className="text-sm text-gray-500">Looking up book...</p>}
+            {!lookingUp && book && (
+              <div>
+                <p className="text-sm font-medium text-gray-900">{book.title}</p>
+                <p className="text-sm text-gray-500">by {book.author}</p>
+                <p className="text-xs text-gray-400">ISBN: {book.isbn}</p>
+                {copy && (
+                  <p className="text-sm text-gray-600 mt-2">
+                    Copy {copy.accessionNumber} · {COPY_STATUS_LABELS[copy.status] || copy.status}
+                    {copy.location && ` · ${copy.location}`}
+                  </p>
+                )}
+                <p className="text-sm text-gray-600 mt-2">
+                  {book.availableQuantity} of {book.totalQuantity} available
+                </p>
+              </div>
+            )}
+            {!lookingUp && !book && <p className="text-sm text-gray-500">Scan a book barcode.</p>}
+          </div>
+        </div>
+
+        {/* Action */}
+        <div className="bg-white rounded-lg shadow-md p-6">
+          {!book && (
+            <div className="text-center text-gray-500 py-12">
+              <ScanLine className="mx-auto mb-3" size={40} />
+              <p>Scan a book to issue or return it.</p>
+            </div>
+          )}
+
+          {book && isReturnMode && (
+            <div className="space-y-4">
+              <h3 className="text-lg font-semibold text-gray-900">Return</h3>
+              {!member && returnCandidates.length > 1 && (
+                <p className="text-sm text-gray-600">
+                  {returnCandidates.length} copies of this book are on loan. Scan the member's card or pick the loan below.
+                </p>
+              )}
+              {returnCandidates.map((issue, index) => (
+                <div key={issue._id} className="p-4 border rounded-lg">
+                  <p className="text-sm font-medium text-gray-900">{issue.userName}</p>
+                  <p className="text-sm text-gray-500">ERP: {issue.erpId}</p>
+                  {issue.copyId?.accessionNumber && (
+                    <p className="text-sm text-gray-500">Copy: {issue.copyId.accessionNumber}</p>
+                  )}
+                  <p className="text-sm text-gray-500">
+                    Issued {formatDate(issue.issueDate)} · Due {formatDate(getEffectiveDueDate(issue.expectedReturnDate, calendar))} · {getDueLabel(issue, now, calendar)}
+                  </p>
+                  <button
+                    ref={index === 0 ? actionButtonRef : undefined}
+                    onClick={() => handleReturn(issue)}
+                    disabled={isReturning || !can(PERMISSIONS.RETURN_BOOK)}
+                    title={can(PERMISSIONS.RETURN_BOOK) ? undefined : 'Your role cannot return books'}
+                    className="mt-3 flex items-center px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:bg-gray-400"
+                  >
+                    <CheckCircle className="mr-2" size={18} />
+                    {isReturning ? 'Returning...' : 'Return (Enter)'}
+                  </button>
+                </div>
+              ))}
+              {!member && (
+                <p className="text-xs text-gray-500">To issue another copy instead, scan the borrower's member card.</p>
+              )}
+            </div>
+          )}
+
+          {book && !isReturnMode && (
+            <form onSubmit={handleSubmit(handleIssue)} className="space-y-4">
+              <h3 className="text-lg font-semibold text-gray-900">Issue</h3>
+              {!canIssue ? (
+                <p className="text-sm text-red-600">
+                  {copy
+                    ? `Copy ${copy.accessionNumber} is ${(COPY_STATUS_LABELS[copy.status] || copy.status).toLowerCase()} and cannot be issued.`
+                    : 'No copies of this book are available to issue.'}
+                </p>
+              ) : (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">ERP ID *</label>
+                    <input
+                      type="text"
+                      {...register('erpId', {
+                        required: 'ERP ID is required',
+                        pattern: {
+                          value: /^[A-Za-z0-9]+$/,
+                          message: 'ERP ID should contain only letters and numbers'
+                        }
+                      })}
+                      className={inputClassName}
+                      placeholder="Scan the member card"
+                    />
+                    {errors.erpId && <p className="text-red-500 text-sm mt-1">{errors.erpId.message}</p>}
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Name *</label>
+                    <input
+                      type="text"
+                      {...register('userName', {
+                        required: 'Name is required',
+                        minLength: { value: 2, message: 'Name must be at least 2 characters' }
+                      })}
+                      className={inputClassName}
+                    />
+                    {errors.userName && <p className="text-red-500 text-sm mt-1">{errors.userName.message}</p>}
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Phone *</label>
+                    <input
+                      type="tel"
+                      {...register('phone', {
+                        required: 'Phone number is required',
+                        pattern: { value: /^[0-9]{10}$/, message: 'Please enter a valid 10-digit phone number' }
+                      })}
+                      className={inputClassName}
+                    />
+                    {errors.phone && <p className="text-red-500 text-sm mt-1">{errors.phone.message}</p>}
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Borrower type</label>
+                    <select {...register('borrowerType')} className={inputClassName}>
+                      {Object.values(BORROWER_TYPES).map(type => (
+                        <option key={type} value={type}>{BORROWER_TYPE_LABELS[type]}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <p className="text-sm text-gray-600">
+                    Due back on {formatDate(dueDate)}
+                  </p>
+
+                  {memberEligibility && !memberEligibility.allowed && (
+                    <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+                      <p className="text-sm font-medium text-red-800 mb-1">This member cannot borrow right now:</p>
+                      <ul className="list-disc ml-5 text-sm text-red-700 space-y-1">
+                        {memberEligibility.reasons.map(reason => (
+                          <li key={reason}>{reason}</li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+
+                  <button
+                    ref={actionButtonRef}
+                    type="submit"
+                    disabled={issueBookMutation.isLoading || (memberEligibility && !memberEligibility.allowed)}
+                    className="w-full py-3 px-4 rounded-lg font-medium bg-blue-600 text-white hover:bg-blue-700 disabled:bg-gray-400"
+                  >
+                    {issueBookMutation.isLoading ? 'Issuing...' : 'Issue Book (Enter)'}
+                  </button>
+                </>
+              )}
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CirculationDeskTab;
@@ -0,0 +1,248 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { Plus, Save, Trash2, X } from 'lucide-react';
+import { useClosureCalendarQuery, useUpdateClosureCalendarMutation, useRecordActivity } from '../../hooks/useLibrary';
+import { CLOSED_WEEKDAYS } from '../../config/circulation';
+import {
+  normaliseClosureCalendar,
+  validateClosureCalendar,
+  getClosureLength,
+  toDateKey
+} from '../../utils/closureUtils';
+import { formatDate } from '../../utils/loanUtils';
+import { AUDIT_ACTIONS, AUDIT_ENTITIES } from '../../utils/auditUtils';
+
+const inputClassName = 'px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+const headerClassName = 'px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider';
+
+// Monday first, as the library's week runs; values are Date#getDay numbers
+const WEEKDAYS = [
+  { day: 1, label: 'Monday' },
+  { day: 2, label: 'Tuesday' },
+  { day: 3, label: 'Wednesday' },
+  { day: 4, label: 'Thursday' },
+  { day: 5, label: 'Friday' },
+  { day: 6, label: 'Saturday' },
+  { day: 0, label: 'Sunday' }
+];
+
+const EMPTY_CLOSURE = { from: '', to: '', label: '' };
+
+// Days the library is shut. Due dates that land on one move to the next open
+// day, and closed days never count towards how overdue a book is. Edits are
+// kept locally until saved.
+const ClosuresTab = () => {
+  const closureCalendarQuery = useClosureCalendarQuery({ retry: false });
+  const updateClosureCalendarMutation = useUpdateClosureCalendarMutation();
+  const recordActivity = useRecordActivity();
+
+  const savedCalendar = normaliseClosureCalendar(closureCalendarQuery.data?.calendar);
+  // null until something is changed, so a refetch shows through while not editing
+  const [draft, setDraft] = useState(null);
+  const [newClosure, setNewClosure] = useState(EMPTY_CLOSURE);
+  const calendar = draft || savedCalendar;
+  const loadError = closureCalendarQuery.isError && closureCalendarQuery.error?.status !== 404
+    ? closureCalendarQuery.error
+    : null;
+  const today = toDateKey(new Date());
+
+  const updateDraft = (changes) => setDraft(normaliseClosureCalendar({ ...calendar, ...changes }));
+
+  const toggleWeekday = (day) => {
+    const closedWeekdays = calendar.closedWeekdays.includes(day)
+      ? calendar.closedWeekdays.filter(closedDay => closedDay !== day)
+      : [...calendar.closedWeekdays, day].sort();
+    updateDraft({ closedWeekdays });
+  };
+
+  const handleAddClosure = (e) => {
+    e.preventDefault();
+    if (!newClosure.from || !newClosure.label.trim()) {
+      toast.error('Please enter a date and a name for the closure');
+      return;
+    }
+    if (newClosure.to && newClosure.to < newClosure.from) {
+      toast.error('The closure cannot end before it starts');
+      return;
+    }
+
+    updateDraft({ closures: [...calendar.closures, { ...newClosure, label: newClosure.label.trim() }] });
+    setNewClosure(EMPTY_CLOSURE);
+  };
+
+  const handleSave = async () => {
+    const error = validateClosureCalendar(calendar);
+    if (error) {
+      toast.error(error);
+      return;
+    }
+
+    try {
+      await updateClosureCalendarMutation.mutateAsync(calendar);
+      recordActivity({
+        action: AUDIT_ACTIONS.UPDATE,
+        entityType: AUDIT_ENTITIES.SETTING,
+        entityId: 'closures',
+        entityLabel: 'Closure calendar',
+        before: savedCalendar,
+        after: calendar
+      });
+      setDraft(null);
+      toast.success('Closure calendar saved');
+    } catch (error) {
+      console.error('Error saving closure calendar:', error);
+      toast.error(error.message || 'Failed to save closure calendar');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-2xl font-semibold text-gray-900">Closures</h2>
+        <div className="flex space-x-3">
+          {draft && (
+            <button
+              onClick={() => setDraft(null)}
+              className="flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              <X className="mr-2" size={20} />
+              Discard
+            </button>
+          )}
+          <button
+            onClick={handleSave}
+            disabled={!draft || updateClosureCalendarMutation.isLoading}
+            className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400 transition-colors"
+          >
+            <Save className="mr-2" size={20} />
+            {updateClosureCalendarMutation.isLoading ? 'Saving...' : 'Save Changes'}
+          </button>
+        </div>
+      </div>
+
+      {loadError && (
+        <p className="text-sm text-yellow-700 bg-yellow-50 border border-yellow-200 rounded-lg px-4 py-3">
+          The saved closure calendar could not be loaded ({loadError.message}). Only the default weekly
+          closures ({CLOSED_WEEKDAYS.map(day => WEEKDAYS.find(weekday => weekday.day === day)?.label).join(', ') || 'none'}) apply.
+        </p>
+      )}
+
+      {closureCalendarQuery.isLoading ? (
+        <div className="text-center py-8">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+          <p className="mt-4 text-gray-600">Loading closures...</p>
+        </div>
+      ) : (
+        <>
+          {/* Weekly closures */}
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <h3 className="font-medium text-gray-900 mb-3">Closed every week on</h3>
+            <div className="flex flex-wrap gap-4">
+              {WEEKDAYS.map(({ day, label }) => (
+                <label key={day} className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={calendar.closedWeekdays.includes(day)}
+                    onChange={() => toggleWeekday(day)}
+                    className="rounded border-gray-300"
+                  />
+                  <span>{label}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          {/* Dated closures */}
+          <div className="bg-white rounded-lg shadow-md overflow-hidden">
+            <div className="px-6 py-4 border-b bg-gray-50">
+              <h3 className="font-medium text-gray-900">Holidays and other closures</h3>
+            </div>
+
+            <form onSubmit={handleAddClosure} className="px-6 py-4 border-b flex flex-wrap items-center gap-3 text-sm text-gray-700">
+              <input
+                type="text"
+                value={newClosure.label}
+                onChange={(e) => setNewClosure(prev => ({ ...prev, label: e.target.value }))}
+                placeholder="Name, e.g. Diwali break"
+                className={`flex-1 min-w-[12rem] ${inputClassName}`}
+              />
+              <label className="flex items-center space-x-2">
+                <span>From</span>
+                <input
+                  type="date"
+                  value={newClosure.from}
+                  onChange={(e) => setNewClosure(prev => ({ ...prev, from: e.target.value }))}
+                  className={inputClassName}
+                />
+              </label>
+              <label className="flex items-center space-x-2">
+                <span>To</span>
+                <input
+                  type="date"
+                  value={newClosure.to}
+                  min={newClosure.from || undefined}
+                  onChange={(e) => setNewClosure(prev => ({ ...prev, to: e.target.value }))}
+                  className={inputClassName}
+                />
+              </label>
+              <button
+                type="submit"
+                className="flex items-center px-4 py-2 border border-blue-600 text-blue-600 rounded-lg hover:bg-blue-50"
+              >
+                <Plus className="mr-1" size={16} />
+                Add
+              </button>
+            </form>
+
+            {calendar.closures.length === 0 ? (
+              <p className="px-6 py-6 text-center text-gray-500">No closures added yet</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className={headerClassName}>Closure</th>
+                      <th className={headerClassName}>Dates</th>
+                      <th className={headerClassName}>Days</th>
+                      <th className={headerClassName}>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {calendar.closures.map((closure, index) => (
+                      <tr
+                        key={`${closure.from}-${closure.label}`}
+                        className={closure.to < today ? 'text-gray-400' : 'hover:bg-gray-50'}
+                      >
+                        <td className="px-6 py-4 text-sm font-medium">{closure.label || '—'}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm">
+                          {formatDate(closure.from)}
+                          {closure.to !== closure.from && ` – ${formatDate(closure.to)}`}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm">{getClosureLength(closure)}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm">
+                          <button
+                            onClick={() => updateDraft({ closures: calendar.closures.filter((_, i) => i !== index) })}
+                            title="Remove closure"
+                            className="text-red-600 hover:text-red-900"
+                          >
+                            <Trash2 size={16} />
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+          <p className="text-xs text-gray-500">
+            Loans already issued keep their recorded due date, but a closure on that day moves the
+            effective due date to the next open day.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ClosuresTab;
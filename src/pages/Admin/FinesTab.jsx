@@ -0,0 +1,306 @@
+import React, { useState, useContext } from 'react';
+import { useForm } from 'react-hook-form';
+import { toast } from 'react-toastify';
+import { IndianRupee, X } from 'lucide-react';
+import { adminAPI } from '../../api/libraryAPI';
+import { useRecordActivity, useClosureCalendar } from '../../hooks/useLibrary';
+import { FINE_POLICY } from '../../config/circulation';
+import { PERMISSIONS } from '../../config/permissions';
+import { AuthContext } from '../../context/AuthContext';
+import { FINE_ENTRY_TYPE, formatCurrency, getFinedIssues } from '../../utils/fineUtils';
+import { getEffectiveDueDate, formatDate } from '../../utils/loanUtils';
+import { AUDIT_ACTIONS, AUDIT_ENTITIES, getIssueAuditLabel } from '../../utils/auditUtils';
+
+const FinesTab = ({ issues, onFinesChanged }) => {
+  const [showSettled, setShowSettled] = useState(false);
+  const [selectedEntry, setSelectedEntry] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const { can } = useContext(AuthContext);
+  const canWaive = can(PERMISSIONS.WAIVE_FINE);
+  const recordActivity = useRecordActivity();
+  const calendar = useClosureCalendar();
+  const now = new Date();
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    watch,
+    formState: { errors }
+  } = useForm({ defaultValues: { type: FINE_ENTRY_TYPE.PAYMENT } });
+
+  const entryType = watch('type');
+
+  const finedIssues = getFinedIssues(issues, FINE_POLICY, now, calendar);
+  const visibleFines = showSettled
+    ? finedIssues
+    : finedIssues.filter(({ fine }) => fine.outstanding > 0);
+
+  const totals = finedIssues.reduce(
+    (sum, { fine }) => ({
+      amount: sum.amount + fine.amount,
+      paid: sum.paid + fine.paid,
+      waived: sum.waived + fine.waived,
+      outstanding: sum.outstanding + fine.outstanding
+    }),
+    { amount: 0, paid: 0, waived: 0, outstanding: 0 }
+  );
+
+  const openEntryModal = (entry) => {
+    setSelectedEntry(entry);
+    reset({ type: FINE_ENTRY_TYPE.PAYMENT, amount: entry.fine.outstanding, note: '' });
+  };
+
+  const closeEntryModal = () => {
+    setSelectedEntry(null);
+    reset();
+  };
+
+  const handleRecordEntry = async (data) => {
+    const { issue, fine } = selectedEntry;
+    const isWaiver = data.type === FINE_ENTRY_TYPE.WAIVER;
+    const payload = {
+      amount: parseFloat(data.amount),
+      note: data.note
+    };
+
+    setIsSubmitting(true);
+    try {
+      if (isWaiver) {
+        await adminAPI.waiveFine(issue._id, payload);
+        toast.success('Fine waived');
+      } else {
+        await adminAPI.recordFinePayment(issue._id, payload);
+        toast.success('Payment recorded');
+      }
+      recordActivity({
+        action: isWaiver ? AUDIT_ACTIONS.WAIVE : AUDIT_ACTIONS.PAYMENT,
+        entityType: AUDIT_ENTITIES.FINE,
+        entityId: issue._id,
+        entityLabel: getIssueAuditLabel(issue),
+        before: { outstanding: fine.outstanding },
+        after: { outstanding: Math.max(0, fine.outstanding - payload.amount) },
+        note: data.note
+      });
+      closeEntryModal();
+      if (onFinesChanged) onFinesChanged();
+    } catch (error) {
+      console.error('Error recording fine entry:', error);
+      toast.error(error.message || 'Failed to record fine entry');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-2xl font-semibold text-gray-900">Fines</h2>
+        <span className="text-sm text-gray-500">
+          {formatCurrency(FINE_POLICY.ratePerDay)}/day after {FINE_POLICY.graceDays} grace days,
+          capped at {formatCurrency(FINE_POLICY.maxPerItem)} per item
+        </span>
+      </div>
+
+      {/* Totals */}
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+        {[
+          { label: 'Total Fines', value: totals.amount, color: 'text-gray-900' },
+          { label: 'Collected', value: totals.paid, color: 'text-green-600' },
+          { label: 'Waived', value: totals.waived, color: 'text-blue-600' },
+          { label: 'Outstanding', value: totals.outstanding, color: 'text-red-600' }
+        ].map((card) => (
+          <div key={card.label} className="bg-white p-6 rounded-lg shadow-md">
+            <p className="text-sm font-medium text-gray-500">{card.label}</p>
+            <p className={`text-2xl font-semibold ${card.color}`}>{formatCurrency(card.value)}</p>
+          </div>
+        ))}
+      </div>
+
+      <label className="flex items-center text-sm text-gray-600">
+        <input
+          type="checkbox"
+          checked={showSettled}
+          onChange={(e) => setShowSettled(e.target.checked)}
+          className="mr-2"
+        />
+        Show settled fines
+      </label>
+
+      {/* Fines Table */}
+      <div className="bg-white rounded-lg shadow-md overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                {['Book', 'Member', 'Days Late', 'Fine', 'Paid / Waived', 'Outstanding', 'Actions'].map((heading) => (
+                  <th
+                    key={heading}
+                    className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                  >
+                    {heading}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {visibleFines.length === 0 ? (
+                <tr>
+                  <td colSpan="7" className="px-6 py-8 text-center text-gray-500">
+                    No outstanding fines
+                  </td>
+                </tr>
+              ) : (
+                visibleFines.map((entry) => {
+                  const { issue, fine } = entry;
+
+                  return (
+                    <tr key={issue._id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm font-medium text-gray-900">{issue.bookId?.title || 'Unknown Book'}</div>
+                        <div className="text-xs text-gray-500">
+                          Due {formatDate(getEffectiveDueDate(issue.expectedReturnDate, calendar))}
+                          {issue.status === 'returned' ? ' · Returned' : ' · Not returned'}
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm text-gray-900">{issue.userName}</div>
+                        <div className="text-sm text-gray-500">ERP: {issue.erpId}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{fine.daysLate}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {formatCurrency(fine.amount)}
+                        {fine.isCapped && <span className="ml-1 text-xs text-gray-500">(capped)</span>}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                        {formatCurrency(fine.paid)} / {formatCurrency(fine.waived)}
+                      </td>
+                      <td className={`px-6 py-4 whitespace-nowrap text-sm font-semibold ${
+                        fine.outstanding > 0 ? 'text-red-600' : 'text-green-600'
+                      }`}>
+                        {formatCurrency(fine.outstanding)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                        {fine.outstanding > 0 && can(PERMISSIONS.RECORD_FINE_PAYMENT) && (
+                          <button
+                            onClick={() => openEntryModal(entry)}
+                            title="Record payment or waiver"
+                            className="text-green-600 hover:text-green-900"
+                          >
+                            <IndianRupee size={16} />
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Record Payment / Waiver Modal */}
+      {selectedEntry && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-11/12 md:w-1/2 lg:w-1/3 shadow-lg rounded-md bg-white">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-lg font-semibold text-gray-900">Settle Fine</h3>
+              <button onClick={closeEntryModal} className="text-gray-400 hover:text-gray-600">
+                <X size={24} />
+              </button>
+            </div>
+
+            <p className="text-sm text-gray-600 mb-4">
+              {selectedEntry.issue.userName} ({selectedEntry.issue.erpId}) owes{' '}
+              <strong>{formatCurrency(selectedEntry.fine.outstanding)}</strong> for "
+              {selectedEntry.issue.bookId?.title || 'Unknown Book'}".
+            </p>
+
+            <form onSubmit={handleSubmit(handleRecordEntry)} className="space-y-4">
+              <div className="flex space-x-6">
+                <label className="flex items-center text-sm text-gray-700">
+                  <input type="radio" value={FINE_ENTRY_TYPE.PAYMENT} {...register('type')} className="mr-2" />
+                  Payment
+                </label>
+                <label
+                  title={canWaive ? undefined : 'Only librarians can waive fines'}
+                  className={`flex items-center text-sm ${canWaive ? 'text-gray-700' : 'text-gray-400'}`}
+                >
+                  <input
+                    type="radio"
+                    value={FINE_ENTRY_TYPE.WAIVER}
+                    {...register('type')}
+                    disabled={!canWaive}
+                    className="mr-2"
+                  />
+                  Waiver
+                </label>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Amount *</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  {...register('amount', {
+                    required: 'Amount is required',
+                    min: { value: 0.01, message: 'Amount must be greater than zero' },
+                    max: {
+                      value: selectedEntry.fine.outstanding,
+                      message: `Amount cannot exceed ${formatCurrency(selectedEntry.fine.outstanding)}`
+                    }
+                  })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                {errors.amount && (
+                  <p className="text-red-500 text-sm mt-1">{errors.amount.message}</p>
+                )}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  {entryType === FINE_ENTRY_TYPE.WAIVER ? 'Reason *' : 'Note'}
+                </label>
+                <input
+                  type="text"
+                  {...register('note', {
+                    validate: (value) =>
+                      entryType !== FINE_ENTRY_TYPE.WAIVER || !!value.trim() || 'Please give a reason for the waiver'
+                  })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  placeholder={entryType === FINE_ENTRY_TYPE.WAIVER ? 'Why is this fine being waived?' : 'Receipt number, payment method...'}
+                />
+                {errors.note && (
+                  <p className="text-red-500 text-sm mt-1">{errors.note.message}</p>
+                )}
+              </div>
+
+              <div className="flex justify-end space-x-3 pt-4">
+                <button
+                  type="button"
+                  onClick={closeEntryModal}
+                  className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={isSubmitting}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400"
+                >
+                  {isSubmitting
+                    ? 'Saving...'
+                    : entryType === FINE_ENTRY_TYPE.WAIVER ? 'Waive Fine' : 'Record Payment'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FinesTab;
@@ -0,0 +1,208 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { toast } from 'react-toastify';
+import { Bookmark, CheckCircle, X, SkipForward } from 'lucide-react';
+import { holdsAPI } from '../../api/libraryAPI';
+import { useRecordActivity } from '../../hooks/useLibrary';
+import { HOLD_POLICY } from '../../config/circulation';
+import { PERMISSIONS } from '../../config/permissions';
+import { AuthContext } from '../../context/AuthContext';
+import { maskPhone } from '../../utils/memberUtils';
+import { formatDate } from '../../utils/loanUtils';
+import {
+  HOLD_STATUS,
+  groupHoldsByBook,
+  isPickupExpired,
+  buildReadyUpdate
+} from '../../utils/holdUtils';
+import { AUDIT_ACTIONS, AUDIT_ENTITIES, getIssueAuditLabel } from '../../utils/auditUtils';
+
+const HoldsTab = ({ onHoldsChanged }) => {
+  const [holds, setHolds] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const { can } = useContext(AuthContext);
+  const canManageHolds = can(PERMISSIONS.MANAGE_HOLDS);
+  const recordActivity = useRecordActivity();
+
+  const recordHoldActivity = (hold, action, after) => recordActivity({
+    action,
+    entityType: AUDIT_ENTITIES.HOLD,
+    entityId: hold._id,
+    entityLabel: getIssueAuditLabel(hold),
+    before: { status: hold.status },
+    after
+  });
+
+  useEffect(() => {
+    fetchHolds();
+  }, []);
+
+  const fetchHolds = async () => {
+    try {
+      setLoading(true);
+      const response = await holdsAPI.getAllHolds();
+      setHolds(response.holds || []);
+    } catch (error) {
+      console.error('Error fetching holds:', error);
+      toast.error(error.message || 'Failed to fetch holds');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCollected = async (hold) => {
+    try {
+      const update = {
+        status: HOLD_STATUS.COLLECTED,
+        collectedAt: new Date().toISOString()
+      };
+      await holdsAPI.updateHold(hold._id, update);
+      recordHoldActivity(hold, AUDIT_ACTIONS.COLLECT, update);
+      toast.success(`Hold for ${hold.userName} marked as collected`);
+      fetchHolds();
+      if (onHoldsChanged) onHoldsChanged();
+    } catch (error) {
+      console.error('Error updating hold:', error);
+      toast.error(error.message || 'Failed to update hold');
+    }
+  };
+
+  const handleCancel = async (hold) => {
+    if (!window.confirm(`Cancel the hold for ${hold.userName}?`)) return;
+
+    try {
+      await holdsAPI.cancelHold(hold._id);
+      recordHoldActivity(hold, AUDIT_ACTIONS.CANCEL, { status: 'cancelled' });
+      toast.success('Hold cancelled');
+      fetchHolds();
+    } catch (error) {
+      console.error('Error cancelling hold:', error);
+      toast.error(error.message || 'Failed to cancel hold');
+    }
+  };
+
+  // Expire an uncollected ready hold and pass the copy to the next member
+  const handleExpire = async (hold) => {
+    try {
+      await holdsAPI.updateHold(hold._id, { status: HOLD_STATUS.EXPIRED });
+      recordHoldActivity(hold, AUDIT_ACTIONS.EXPIRE, { status: HOLD_STATUS.EXPIRED });
+      const next = await holdsAPI.promoteNextHold(
+        hold.bookId?._id || hold.bookId,
+        buildReadyUpdate(HOLD_POLICY)
+      );
+      toast.success(next ? `Copy passed on to ${next.userName}` : 'Hold expired, nobody else is waiting');
+      fetchHolds();
+    } catch (error) {
+      console.error('Error expiring hold:', error);
+      toast.error(error.message || 'Failed to expire hold');
+    }
+  };
+
+  const getHoldStatusBadge = (hold) => {
+    if (isPickupExpired(hold)) {
+      return { label: 'Pickup expired', className: 'bg-red-100 text-red-800' };
+    }
+    if (hold.status === HOLD_STATUS.READY) {
+      return { label: 'Ready for pickup', className: 'bg-green-100 text-green-800' };
+    }
+    return { label: 'Waiting', className: 'bg-yellow-100 text-yellow-800' };
+  };
+
+  const queues = groupHoldsByBook(holds);
+
+  if (loading) {
+    return (
+      <div className="text-center py-8">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+        <p className="mt-4 text-gray-600">Loading holds...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-2xl font-semibold text-gray-900">Hold Queues</h2>
+        <span className="text-sm text-gray-500">
+          Pickup window: {HOLD_POLICY.pickupWindowDays} days
+        </span>
+      </div>
+
+      {queues.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-md p-8 text-center text-gray-500">
+          <Bookmark size={48} className="mx-auto mb-4 text-gray-300" />
+          <p>No open holds</p>
+        </div>
+      ) : (
+        queues.map(({ book, holds: queue }) => (
+          <div key={book?._id || book} className="bg-white rounded-lg shadow-md overflow-hidden">
+            <div className="px-6 py-4 border-b bg-gray-50">
+              <p className="font-medium text-gray-900">{book?.title || 'Unknown Book'}</p>
+              <p className="text-sm text-gray-500">
+                {queue.length} in queue · {book?.availableQuantity ?? 0} available
+              </p>
+            </div>
+            <ol className="divide-y divide-gray-200">
+              {queue.map((hold, index) => {
+                const badge = getHoldStatusBadge(hold);
+
+                return (
+                  <li key={hold._id} className="px-6 py-3 flex items-center justify-between">
+                    <div className="flex items-center">
+                      <span className="w-8 text-sm font-semibold text-gray-400">#{index + 1}</span>
+                      <div>
+                        <p className="text-sm font-medium text-gray-900">{hold.userName}</p>
+                        <p className="text-xs text-gray-500">
+                          ERP: {hold.erpId} · 📞 {can(PERMISSIONS.VIEW_PHONE) ? hold.phone : maskPhone(hold.phone)} · Requested {formatDate(hold.createdAt)}
+                        </p>
+                        {hold.pickupExpiresAt && (
+                          <p className="text-xs text-gray-500">
+                            Collect by {formatDate(hold.pickupExpiresAt)}
+                          </p>
+                        )}
+                      </div>
+                    </div>
+                    <div className="flex items-center space-x-3">
+                      <span className={`px-2 py-1 text-xs font-semibold rounded-full ${badge.className}`}>
+                        {badge.label}
+                      </span>
+                      {canManageHolds && hold.status === HOLD_STATUS.READY && (
+                        <button
+                          onClick={() => handleCollected(hold)}
+                          title="Mark as collected"
+                          className="text-green-600 hover:text-green-900"
+                        >
+                          <CheckCircle size={16} />
+                        </button>
+                      )}
+                      {canManageHolds && isPickupExpired(hold) && (
+                        <button
+                          onClick={() => handleExpire(hold)}
+                          title="Expire and offer to next in queue"
+                          className="text-orange-600 hover:text-orange-900"
+                        >
+                          <SkipForward size={16} />
+                        </button>
+                      )}
+                      {canManageHolds && (
+                        <button
+                          onClick={() => handleCancel(hold)}
+                          title="Cancel hold"
+                          className="text-red-600 hover:text-red-900"
+                        >
+                          <X size={16} />
+                        </button>
+                      )}
+                    </div>
+                  </li>
+                );
+              })}
+            </ol>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default HoldsTab;
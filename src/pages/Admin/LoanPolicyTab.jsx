@@ -0,0 +1,231 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { Plus, Save, Trash2, X } from 'lucide-react';
+import { useLoanPolicyQuery, useUpdateLoanPolicyMutation, useRecordActivity } from '../../hooks/useLibrary';
+import { BOOK_CATEGORIES } from '../../config/catalogue';
+import { LOAN_POLICY, BORROWER_TYPES, BORROWER_TYPE_LABELS } from '../../config/circulation';
+import {
+  normaliseLoanPolicy,
+  getLoanTerms,
+  validateLoanPolicy,
+  MIN_LOAN_DAYS,
+  MAX_LOAN_DAYS
+} from '../../utils/loanPolicyUtils';
+import { AUDIT_ACTIONS, AUDIT_ENTITIES } from '../../utils/auditUtils';
+
+const inputClassName = 'px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+const headerClassName = 'px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider';
+
+const EMPTY_RULE = { category: '', borrowerType: '', periodDays: LOAN_POLICY.periodDays };
+
+const toDays = (value) => parseInt(value, 10);
+
+// Loan periods by book category and borrower type. Edits are kept locally
+// until saved; the most specific rule wins, and the default covers the rest.
+const LoanPolicyTab = () => {
+  const loanPolicyQuery = useLoanPolicyQuery({ retry: false });
+  const updateLoanPolicyMutation = useUpdateLoanPolicyMutation();
+  const recordActivity = useRecordActivity();
+
+  const savedPolicy = normaliseLoanPolicy(loanPolicyQuery.data?.policy, LOAN_POLICY);
+  // null until something is changed, so a refetch shows through while not editing
+  const [draft, setDraft] = useState(null);
+  const policy = draft || savedPolicy;
+  const loadError = loanPolicyQuery.isError && loanPolicyQuery.error?.status !== 404 ? loanPolicyQuery.error : null;
+
+  const updateDraft = (changes) => setDraft({ ...policy, ...changes });
+
+  const updateRule = (index, changes) => {
+    updateDraft({ rules: policy.rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)) });
+  };
+
+  const handleSave = async () => {
+    const error = validateLoanPolicy(policy);
+    if (error) {
+      toast.error(error);
+      return;
+    }
+
+    try {
+      await updateLoanPolicyMutation.mutateAsync(policy);
+      recordActivity({
+        action: AUDIT_ACTIONS.UPDATE,
+        entityType: AUDIT_ENTITIES.SETTING,
+        entityId: 'loan-policy',
+        entityLabel: 'Loan periods',
+        before: savedPolicy,
+        after: policy
+      });
+      setDraft(null);
+      toast.success('Loan periods saved');
+    } catch (error) {
+      console.error('Error saving loan policy:', error);
+      toast.error(error.message || 'Failed to save loan periods');
+    }
+  };
+
+  const borrowerTypes = Object.values(BORROWER_TYPES);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-2xl font-semibold text-gray-900">Loan Rules</h2>
+        <div className="flex space-x-3">
+          {draft && (
+            <button
+              onClick={() => setDraft(null)}
+              className="flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              <X className="mr-2" size={20} />
+              Discard
+            </button>
+          )}
+          <button
+            onClick={handleSave}
+            disabled={!draft || updateLoanPolicyMutation.isLoading}
+            className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400 transition-colors"
+          >
+            <Save className="mr-2" size={20} />
+            {updateLoanPolicyMutation.isLoading ? 'Saving...' : 'Save Changes'}
+          </button>
+        </div>
+      </div>
+
+      {loadError && (
+        <p className="text-sm text-yellow-700 bg-yellow-50 border border-yellow-200 rounded-lg px-4 py-3">
+          The saved loan rules could not be loaded ({loadError.message}). Every loan currently gets {LOAN_POLICY.periodDays} days.
+        </p>
+      )}
+
+      {loanPolicyQuery.isLoading ? (
+        <div className="text-center py-8">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+          <p className="mt-4 text-gray-600">Loading loan rules...</p>
+        </div>
+      ) : (
+        <>
+          {/* Default period and rules */}
+          <div className="bg-white rounded-lg shadow-md p-6 space-y-6">
+            <label className="flex flex-wrap items-center gap-3 text-sm text-gray-700">
+              <span className="font-medium">Default loan period</span>
+              <input
+                type="number"
+                min={MIN_LOAN_DAYS}
+                max={MAX_LOAN_DAYS}
+                value={Number.isNaN(policy.defaultDays) ? '' : policy.defaultDays}
+                onChange={(e) => updateDraft({ defaultDays: toDays(e.target.value) })}
+                className={`w-24 ${inputClassName}`}
+              />
+              <span>days, for any loan no rule below covers</span>
+            </label>
+
+            <div>
+              <div className="flex justify-between items-center mb-3">
+                <h3 className="font-medium text-gray-900">Rules</h3>
+                <button
+                  onClick={() => updateDraft({ rules: [...policy.rules, EMPTY_RULE] })}
+                  className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+                >
+                  <Plus className="mr-1" size={16} />
+                  Add rule
+                </button>
+              </div>
+              {policy.rules.length === 0 ? (
+                <p className="text-sm text-gray-500">No rules yet. Every book is lent for the default period.</p>
+              ) : (
+                <div className="space-y-3">
+                  {policy.rules.map((rule, index) => (
+                    <div key={index} className="flex flex-wrap items-center gap-3 text-sm text-gray-700">
+                      <select
+                        value={rule.category}
+                        onChange={(e) => updateRule(index, { category: e.target.value })}
+                        className={inputClassName}
+                      >
+                        <option value="">Any category</option>
+                        {BOOK_CATEGORIES.map(category => (
+                          <option key={category} value={category}>{category}</option>
+                        ))}
+                      </select>
+                      <span>lent to</span>
+                      <select
+                        value={rule.borrowerType}
+                        onChange={(e) => updateRule(index, { borrowerType: e.target.value })}
+                        className={inputClassName}
+                      >
+                        <option value="">Any borrower</option>
+                        {borrowerTypes.map(type => (
+                          <option key={type} value={type}>{BORROWER_TYPE_LABELS[type]}</option>
+                        ))}
+                      </select>
+                      <span>for</span>
+                      <input
+                        type="number"
+                        min={MIN_LOAN_DAYS}
+                        max={MAX_LOAN_DAYS}
+                        value={Number.isNaN(rule.periodDays) ? '' : rule.periodDays}
+                        onChange={(e) => updateRule(index, { periodDays: toDays(e.target.value) })}
+                        className={`w-24 ${inputClassName}`}
+                      />
+                      <span>days</span>
+                      <button
+                        onClick={() => updateDraft({ rules: policy.rules.filter((_, i) => i !== index) })}
+                        title="Remove rule"
+                        className="text-red-600 hover:text-red-900"
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+              <p className="text-xs text-gray-500 mt-3">
+                Where several rules match, one naming both a category and a borrower type wins, then one naming only a category.
+              </p>
+            </div>
+          </div>
+
+          {/* Resulting periods */}
+          <div className="bg-white rounded-lg shadow-md overflow-hidden">
+            <div className="px-6 py-4 border-b bg-gray-50">
+              <h3 className="font-medium text-gray-900">Loan period in days{draft && ' (unsaved)'}</h3>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className={headerClassName}>Category</th>
+                    {borrowerTypes.map(type => (
+                      <th key={type} className={headerClassName}>{BORROWER_TYPE_LABELS[type]}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {BOOK_CATEGORIES.map(category => (
+                    <tr key={category} className="hover:bg-gray-50">
+                      <td className="px-6 py-2 whitespace-nowrap text-sm text-gray-900">{category}</td>
+                      {borrowerTypes.map(type => {
+                        const { periodDays } = getLoanTerms(policy, { category }, type);
+                        return (
+                          <td
+                            key={type}
+                            className={`px-6 py-2 whitespace-nowrap text-sm ${
+                              periodDays === policy.defaultDays ? 'text-gray-500' : 'font-medium text-blue-700'
+                            }`}
+                          >
+                            {Number.isNaN(periodDays) ? '—' : periodDays}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LoanPolicyTab;
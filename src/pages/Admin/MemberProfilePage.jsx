@@ -0,0 +1,431 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { toast } from 'react-toastify';
+import { ArrowLeft, Ban, CheckCircle, Clock, History, Save, User } from 'lucide-react';
+import {
+  useUserIssuesQuery,
+  useMemberQuery,
+  useUpdateMemberMutation,
+  useSetMemberBlockedMutation,
+  useRecordActivity,
+  useClosureCalendar
+} from '../../hooks/useLibrary';
+import { PERMISSIONS } from '../../config/permissions';
+import { FINE_POLICY, BORROWER_TYPES, BORROWER_TYPE_LABELS } from '../../config/circulation';
+import { AuthContext } from '../../context/AuthContext';
+import { buildMemberProfile, summariseMemberLoans, maskPhone } from '../../utils/memberUtils';
+import { calculateFine, formatCurrency } from '../../utils/fineUtils';
+import { isReturned, isOverdue, getDueLabel, getEffectiveDueDate, formatDate } from '../../utils/loanUtils';
+import { AUDIT_ACTIONS, AUDIT_ENTITIES, getMemberAuditLabel } from '../../utils/auditUtils';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+const headerClassName = 'px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider';
+const cardClassName = 'bg-white rounded-lg shadow-md p-6';
+
+// One member's contact details, loans and fines, looked up by ERP ID. Staff
+// with the right permissions can correct contact details and block the
+// member from borrowing.
+const MemberProfilePage = () => {
+  const { erpId } = useParams();
+  const [blockReason, setBlockReason] = useState('');
+  const { can } = useContext(AuthContext);
+  const canViewPhone = can(PERMISSIONS.VIEW_PHONE);
+  const canEdit = can(PERMISSIONS.EDIT_MEMBER);
+  const canBlock = can(PERMISSIONS.BLOCK_MEMBER);
+
+  const issuesQuery = useUserIssuesQuery(erpId, { includeReturned: true });
+  // A member who has only borrowed may not have a record yet (404)
+  const memberQuery = useMemberQuery(erpId, { retry: false });
+  const updateMemberMutation = useUpdateMemberMutation();
+  const setMemberBlockedMutation = useSetMemberBlockedMutation();
+  const recordActivity = useRecordActivity();
+  const calendar = useClosureCalendar();
+  const now = new Date();
+
+  const issues = issuesQuery.data?.issues || [];
+  const record = memberQuery.data?.member || null;
+  const recordError = memberQuery.isError && memberQuery.error?.status !== 404 ? memberQuery.error : null;
+  const profile = buildMemberProfile(erpId, issues, record);
+  const summary = summariseMemberLoans(issues, FINE_POLICY, now, calendar);
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors, isDirty }
+  } = useForm();
+
+  // Show the saved details once both the record and the loans have loaded
+  useEffect(() => {
+    reset({ name: profile.name, phone: profile.phone, email: profile.email, borrowerType: profile.borrowerType });
+  }, [profile.name, profile.phone, profile.email, profile.borrowerType, reset]);
+
+  useEffect(() => {
+    if (issuesQuery.error) {
+      console.error('Error fetching member loans:', issuesQuery.error);
+      toast.error(issuesQuery.error.message || 'Failed to fetch member loans');
+    }
+  }, [issuesQuery.error]);
+
+  const activeLoans = issues
+    .filter(issue => !isReturned(issue))
+    .sort((a, b) => new Date(a.expectedReturnDate) - new Date(b.expectedReturnDate));
+
+  const pastLoans = issues
+    .filter(isReturned)
+    .sort((a, b) => new Date(b.actualReturnDate || b.updatedAt) - new Date(a.actualReturnDate || a.updatedAt));
+
+  const handleSaveContact = async (data) => {
+    const before = { name: profile.name, phone: profile.phone, email: profile.email, borrowerType: profile.borrowerType };
+    try {
+      await updateMemberMutation.mutateAsync({ erpId: profile.erpId, memberData: data });
+      recordActivity({
+        action: AUDIT_ACTIONS.UPDATE,
+        entityType: AUDIT_ENTITIES.MEMBER,
+        entityId: profile.erpId,
+        entityLabel: getMemberAuditLabel({ ...profile, ...data }),
+        before,
+        after: data
+      });
+      toast.success('Contact details updated');
+    } catch (error) {
+      console.error('Error updating member:', error);
+      toast.error(error.message || 'Failed to update contact details');
+    }
+  };
+
+  const handleBlock = async (e) => {
+    e.preventDefault();
+    const reason = blockReason.trim();
+    if (!reason) {
+      toast.error('Please give a reason for blocking this member');
+      return;
+    }
+
+    try {
+      await setMemberBlockedMutation.mutateAsync({ erpId: profile.erpId, blocked: true, reason });
+      recordActivity({
+        action: AUDIT_ACTIONS.BLOCK,
+        entityType: AUDIT_ENTITIES.MEMBER,
+        entityId: profile.erpId,
+        entityLabel: getMemberAuditLabel(profile),
+        note: reason
+      });
+      setBlockReason('');
+      toast.success(`${profile.name || profile.erpId} can no longer borrow`);
+    } catch (error) {
+      console.error('Error blocking member:', error);
+      toast.error(error.message || 'Failed to block member');
+    }
+  };
+
+  const handleUnblock = async () => {
+    if (!window.confirm(`Allow ${profile.name || profile.erpId} to borrow again?`)) return;
+
+    try {
+      await setMemberBlockedMutation.mutateAsync({ erpId: profile.erpId, blocked: false });
+      recordActivity({
+        action: AUDIT_ACTIONS.UNBLOCK,
+        entityType: AUDIT_ENTITIES.MEMBER,
+        entityId: profile.erpId,
+        entityLabel: getMemberAuditLabel(profile)
+      });
+      toast.success(`${profile.name || profile.erpId} can borrow again`);
+    } catch (error) {
+      console.error('Error unblocking member:', error);
+      toast.error(error.message || 'Failed to unblock member');
+    }
+  };
+
+  const isLoading = issuesQuery.isLoading || memberQuery.isLoading;
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 space-y-6">
+        <Link
+          to="/admin"
+          state={{ tab: 'members' }}
+          className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800"
+        >
+          <ArrowLeft size={16} className="mr-1" />
+          Back to members
+        </Link>
+
+        <div className="flex flex-wrap justify-between items-center gap-3">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 flex items-center">
+              <User className="mr-2" size={28} />
+              {profile.name || 'Unnamed member'}
+            </h1>
+            <p className="text-gray-500">
+              ERP: {profile.erpId} · {BORROWER_TYPE_LABELS[profile.borrowerType] || profile.borrowerType}
+            </p>
+          </div>
+          {profile.blocked && (
+            <span className="inline-flex items-center px-3 py-1 rounded-full text-sm font-medium bg-red-100 text-red-800">
+              <Ban size={16} className="mr-1" />
+              Blocked from borrowing
+            </span>
+          )}
+        </div>
+
+        {recordError && (
+          <p className="text-sm text-yellow-700 bg-yellow-50 border border-yellow-200 rounded-lg px-4 py-3">
+            The member record could not be loaded ({recordError.message}). Details below come from loan records.
+          </p>
+        )}
+
+        {isLoading ? (
+          <div className="text-center py-8">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+            <p className="mt-4 text-gray-600">Loading member...</p>
+          </div>
+        ) : (
+          <>
+            {/* Summary */}
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-6">
+              {[
+                { label: 'On loan', value: summary.activeLoans },
+                { label: 'Overdue', value: summary.overdueCount, alert: summary.overdueCount > 0 },
+                { label: 'Fines due', value: formatCurrency(summary.outstandingFines), alert: summary.outstandingFines > 0 },
+                { label: 'Loans in total', value: summary.totalLoans }
+              ].map(card => (
+                <div key={card.label} className="bg-white p-6 rounded-lg shadow-md">
+                  <p className="text-sm font-medium text-gray-500">{card.label}</p>
+                  <p className={`text-2xl font-semibold ${card.alert ? 'text-red-600' : 'text-gray-900'}`}>{card.value}</p>
+                </div>
+              ))}
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              {/* Contact details */}
+              <div className={cardClassName}>
+                <h2 className="text-lg font-semibold text-gray-900 mb-4">Contact details</h2>
+                {canEdit ? (
+                  <form onSubmit={handleSubmit(handleSaveContact)} className="space-y-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Name *</label>
+                      <input
+                        type="text"
+                        {...register('name', {
+                          required: 'Name is required',
+                          minLength: { value: 2, message: 'Name must be at least 2 characters' }
+                        })}
+                        className={inputClassName}
+                      />
+                      {errors.name && <p className="text-red-500 text-sm mt-1">{errors.name.message}</p>}
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Phone *</label>
+                      <input
+                        type="tel"
+                        {...register('phone', {
+                          required: 'Phone number is required',
+                          pattern: { value: /^[0-9]{10}$/, message: 'Please enter a valid 10-digit phone number' }
+                        })}
+                        className={inputClassName}
+                      />
+                      {errors.phone && <p className="text-red-500 text-sm mt-1">{errors.phone.message}</p>}
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+                      <input
+                        type="email"
+                        {...register('email', {
+                          pattern: { value: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, message: 'Please enter a valid email address' }
+                        })}
+                        className={inputClassName}
+                      />
+                      {errors.email && <p className="text-red-500 text-sm mt-1">{errors.email.message}</p>}
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Borrower type</label>
+                      <select {...register('borrowerType')} className={inputClassName}>
+                        {Object.values(BORROWER_TYPES).map(type => (
+                          <option key={type} value={type}>{BORROWER_TYPE_LABELS[type]}</option>
+                        ))}
+                      </select>
+                      <p className="text-xs text-gray-500 mt-1">Sets the loan period for this member's new loans</p>
+                    </div>
+
+                    <button
+                      type="submit"
+                      disabled={!isDirty || updateMemberMutation.isLoading}
+                      className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400"
+                    >
+                      <Save className="mr-2" size={16} />
+                      {updateMemberMutation.isLoading ? 'Saving...' : 'Save Changes'}
+                    </button>
+                  </form>
+                ) : (
+                  <dl className="space-y-2 text-sm">
+                    <div>
+                      <dt className="text-gray-500">Phone</dt>
+                      <dd className="text-gray-900">{profile.phone ? (canViewPhone ? profile.phone : maskPhone(profile.phone)) : '—'}</dd>
+                    </div>
+                    <div>
+                      <dt className="text-gray-500">Email</dt>
+                      <dd className="text-gray-900">{profile.email || '—'}</dd>
+                    </div>
+                  </dl>
+                )}
+              </div>
+
+              {/* Borrowing status */}
+              <div className={cardClassName}>
+                <h2 className="text-lg font-semibold text-gray-900 mb-4">Borrowing</h2>
+                {profile.blocked ? (
+                  <div className="space-y-3">
+                    <p className="text-sm text-gray-700">
+                      Blocked{profile.blockedAt && ` on ${formatDate(profile.blockedAt)}`}
+                      {profile.blockedBy && ` by ${profile.blockedBy}`}.
+                    </p>
+                    {profile.blockedReason && (
+                      <p className="text-sm text-gray-600 bg-gray-50 rounded-lg px-3 py-2">{profile.blockedReason}</p>
+                    )}
+                    {canBlock && (
+                      <button
+                        onClick={handleUnblock}
+                        disabled={setMemberBlockedMutation.isLoading}
+                        className="flex items-center px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:bg-gray-400"
+                      >
+                        <CheckCircle className="mr-2" size={16} />
+                        Allow Borrowing
+                      </button>
+                    )}
+                  </div>
+                ) : (
+                  <div className="space-y-3">
+                    <p className="text-sm text-gray-700">This member can borrow books.</p>
+                    {canBlock && (
+                      <form onSubmit={handleBlock} className="space-y-3">
+                        <input
+                          type="text"
+                          value={blockReason}
+                          onChange={(e) => setBlockReason(e.target.value)}
+                          placeholder="Reason, e.g. lost books not replaced"
+                          className={inputClassName}
+                        />
+                        <button
+                          type="submit"
+                          disabled={setMemberBlockedMutation.isLoading}
+                          className="flex items-center px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:bg-gray-400"
+                        >
+                          <Ban className="mr-2" size={16} />
+                          Block from Borrowing
+                        </button>
+                      </form>
+                    )}
+                  </div>
+                )}
+              </div>
+            </div>
+
+            {/* Current loans */}
+            <div className="bg-white rounded-lg shadow-md overflow-hidden">
+              <div className="px-6 py-4 border-b bg-gray-50">
+                <h2 className="font-medium text-gray-900 flex items-center">
+                  <Clock className="mr-2" size={18} />
+                  Current loans ({activeLoans.length})
+                </h2>
+              </div>
+              {activeLoans.length === 0 ? (
+                <p className="px-6 py-6 text-center text-gray-500">No books on loan</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className={headerClassName}>Book</th>
+                        <th className={headerClassName}>Issued</th>
+                        <th className={headerClassName}>Due</th>
+                        <th className={headerClassName}>Fine Due</th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {activeLoans.map(issue => (
+                        <tr key={issue._id} className={isOverdue(issue, now, calendar) ? 'bg-red-50' : 'hover:bg-gray-50'}>
+                          <td className="px-6 py-4">
+                            <div className="text-sm font-medium text-gray-900">{issue.bookId?.title || 'Unknown Book'}</div>
+                            {issue.copyId?.accessionNumber && (
+                              <div className="text-sm text-gray-500">Copy {issue.copyId.accessionNumber}</div>
+                            )}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">{formatDate(issue.issueDate)}</td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm">
+                            <div className="text-gray-700">{formatDate(getEffectiveDueDate(issue.expectedReturnDate, calendar))}</div>
+                            <div className={isOverdue(issue, now, calendar) ? 'text-red-600' : 'text-gray-500'}>{getDueLabel(issue, now, calendar)}</div>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                            {formatCurrency(calculateFine(issue, FINE_POLICY, now, calendar).outstanding)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+
+            {/* Loan history */}
+            <div className="bg-white rounded-lg shadow-md overflow-hidden">
+              <div className="px-6 py-4 border-b bg-gray-50">
+                <h2 className="font-medium text-gray-900 flex items-center">
+                  <History className="mr-2" size={18} />
+                  Loan history ({pastLoans.length})
+                </h2>
+              </div>
+              {pastLoans.length === 0 ? (
+                <p className="px-6 py-6 text-center text-gray-500">No returned loans</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className={headerClassName}>Book</th>
+                        <th className={headerClassName}>Issued</th>
+                        <th className={headerClassName}>Returned</th>
+                        <th className={headerClassName}>Fine</th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {pastLoans.map(issue => {
+                        const fine = calculateFine(issue, FINE_POLICY, now, calendar);
+                        return (
+                          <tr key={issue._id} className="hover:bg-gray-50">
+                            <td className="px-6 py-4 text-sm font-medium text-gray-900">{issue.bookId?.title || 'Unknown Book'}</td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">{formatDate(issue.issueDate)}</td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                              {issue.actualReturnDate ? formatDate(issue.actualReturnDate) : '—'}
+                              {fine.daysLate > 0 && <div className="text-red-600">{fine.daysLate} days late</div>}
+                            </td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                              {fine.amount > 0 ? (
+                                <>
+                                  {formatCurrency(fine.amount)}
+                                  <div className="text-gray-500">
+                                    {fine.outstanding > 0 ? `${formatCurrency(fine.outstanding)} due` : 'Settled'}
+                                  </div>
+                                </>
+                              ) : '—'}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MemberProfilePage;
@@ -0,0 +1,138 @@
+import React, { useState, useContext } from 'react';
+import { Link } from 'react-router-dom';
+import { Search, Users, Ban } from 'lucide-react';
+import { useMembersQuery, useClosureCalendar } from '../../hooks/useLibrary';
+import { PERMISSIONS } from '../../config/permissions';
+import { FINE_POLICY } from '../../config/circulation';
+import { AuthContext } from '../../context/AuthContext';
+import { buildMemberDirectory, matchesMemberSearch, maskPhone } from '../../utils/memberUtils';
+import { formatCurrency } from '../../utils/fineUtils';
+import { formatDate } from '../../utils/loanUtils';
+
+const inputClassName = 'px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+const headerClassName = 'px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider';
+
+// Everyone who has borrowed, with their current loans, overdue count and
+// fines. Contact details and blocks come from the member records; when those
+// cannot be loaded the list is still built from the loan records alone.
+const MembersTab = ({ issues }) => {
+  const [searchTerm, setSearchTerm] = useState('');
+  const [blockedOnly, setBlockedOnly] = useState(false);
+  const { can } = useContext(AuthContext);
+  const canViewPhone = can(PERMISSIONS.VIEW_PHONE);
+
+  const membersQuery = useMembersQuery({}, { retry: false });
+  const records = membersQuery.data?.members || [];
+  const calendar = useClosureCalendar();
+  const now = new Date();
+
+  const members = buildMemberDirectory(records, issues, FINE_POLICY, now, calendar)
+    .filter(member => matchesMemberSearch(member, searchTerm))
+    .filter(member => !blockedOnly || member.blocked);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-2xl font-semibold text-gray-900">Members</h2>
+        {membersQuery.isFetching && <span className="text-sm text-gray-500">Refreshing...</span>}
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white p-4 rounded-lg shadow-md flex flex-wrap items-center gap-4">
+        <div className="relative flex-1 min-w-[16rem]">
+          <input
+            type="text"
+            placeholder="Search by name, ERP ID, phone or email..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            className={`w-full pl-10 ${inputClassName}`}
+          />
+          <Search className="absolute left-3 top-2.5 text-gray-400" size={20} />
+        </div>
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={blockedOnly}
+            onChange={(e) => setBlockedOnly(e.target.checked)}
+            className="rounded border-gray-300"
+          />
+          <span>Blocked only</span>
+        </label>
+      </div>
+
+      {membersQuery.isError && (
+        <p className="text-sm text-yellow-700 bg-yellow-50 border border-yellow-200 rounded-lg px-4 py-3">
+          Member records could not be loaded ({membersQuery.error?.message}). Details below come from loan records, and blocks are not shown.
+        </p>
+      )}
+
+      <div className="bg-white rounded-lg shadow-md overflow-hidden">
+        {members.length === 0 ? (
+          <div className="p-8 text-center text-gray-500">
+            <Users size={48} className="mx-auto mb-4 text-gray-300" />
+            <p>{searchTerm || blockedOnly ? 'No members match these filters' : 'Nobody has borrowed yet'}</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className={headerClassName}>Member</th>
+                  <th className={headerClassName}>Contact</th>
+                  <th className={headerClassName}>On Loan</th>
+                  <th className={headerClassName}>Overdue</th>
+                  <th className={headerClassName}>Fines Due</th>
+                  <th className={headerClassName}>Last Borrowed</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {members.map(member => (
+                  <tr key={member.erpId} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <Link
+                        to={`/admin/members/${encodeURIComponent(member.erpId)}`}
+                        className="text-sm font-medium text-blue-600 hover:text-blue-800"
+                      >
+                        {member.name || 'Unnamed member'}
+                      </Link>
+                      <div className="text-sm text-gray-500">ERP: {member.erpId}</div>
+                      {member.blocked && (
+                        <span className="inline-flex items-center mt-1 px-2 py-0.5 text-xs font-semibold rounded-full bg-red-100 text-red-800">
+                          <Ban className="mr-1" size={12} />
+                          Blocked
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {member.phone && <div>📞 {canViewPhone ? member.phone : maskPhone(member.phone)}</div>}
+                      {member.email && <div>{member.email}</div>}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {member.activeLoans}
+                      <span className="text-gray-500"> of {member.totalLoans}</span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <span className={member.overdueCount > 0 ? 'font-medium text-red-600' : 'text-gray-500'}>
+                        {member.overdueCount}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <span className={member.outstandingFines > 0 ? 'font-medium text-red-600' : 'text-gray-500'}>
+                        {formatCurrency(member.outstandingFines)}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {member.lastBorrowedAt ? formatDate(member.lastBorrowedAt) : '—'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MembersTab;
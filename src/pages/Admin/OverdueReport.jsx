@@ -0,0 +1,83 @@
+import React from 'react';
+import { Printer, X } from 'lucide-react';
+import { FINE_POLICY } from '../../config/circulation';
+import { formatDate, getEffectiveDueDate } from '../../utils/loanUtils';
+import { formatCurrency } from '../../utils/fineUtils';
+import { getOverdueReportRows } from '../../utils/reportUtils';
+import { maskPhone } from '../../utils/memberUtils';
+import { useClosureCalendar } from '../../hooks/useLibrary';
+
+// Printable list of overdue loans. Only the .print-report area is printed;
+// see the print rules in styles/index.css.
+const OverdueReport = ({ issues, searchTerm, showPhone, onClose }) => {
+  const calendar = useClosureCalendar();
+  const generatedAt = new Date();
+  const rows = getOverdueReportRows(issues, FINE_POLICY, generatedAt, calendar);
+  const totalOutstanding = rows.reduce((total, { fine }) => total + fine.outstanding, 0);
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50 print-overlay">
+      <div className="relative top-10 mx-auto p-8 border w-11/12 lg:w-3/4 shadow-lg rounded-md bg-white mb-10 print-report">
+        <div className="flex justify-end space-x-3 mb-6 no-print">
+          <button
+            onClick={() => window.print()}
+            className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            <Printer className="mr-2" size={20} />
+            Print
+          </button>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="mb-6">
+          <h2 className="text-2xl font-semibold text-gray-900">Kitabghar Library — Overdue Books Report</h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Generated {generatedAt.toLocaleString()}
+            {searchTerm && ` · Filtered by "${searchTerm}"`}
+          </p>
+          <p className="text-sm text-gray-600">
+            {rows.length} overdue loan{rows.length === 1 ? '' : 's'} · {formatCurrency(totalOutstanding)} in outstanding fines
+          </p>
+        </div>
+
+        {rows.length === 0 ? (
+          <p className="text-gray-500">No overdue loans.</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-300 text-sm">
+            <thead>
+              <tr>
+                <th className="py-2 pr-4 text-left font-semibold text-gray-700">ERP ID</th>
+                <th className="py-2 pr-4 text-left font-semibold text-gray-700">Borrower</th>
+                <th className="py-2 pr-4 text-left font-semibold text-gray-700">Phone</th>
+                <th className="py-2 pr-4 text-left font-semibold text-gray-700">Book</th>
+                <th className="py-2 pr-4 text-left font-semibold text-gray-700">Due Date</th>
+                <th className="py-2 pr-4 text-right font-semibold text-gray-700">Days Overdue</th>
+                <th className="py-2 text-right font-semibold text-gray-700">Fine Due</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {rows.map(({ issue, fine }) => (
+                <tr key={issue._id}>
+                  <td className="py-2 pr-4">{issue.erpId}</td>
+                  <td className="py-2 pr-4">{issue.userName}</td>
+                  <td className="py-2 pr-4">{showPhone ? issue.phone : maskPhone(issue.phone)}</td>
+                  <td className="py-2 pr-4">
+                    {issue.bookId?.title || 'Unknown Book'}
+                    {issue.bookId?.isbn && <span className="text-gray-500"> ({issue.bookId.isbn})</span>}
+                  </td>
+                  <td className="py-2 pr-4">{formatDate(getEffectiveDueDate(issue.expectedReturnDate, calendar))}</td>
+                  <td className="py-2 pr-4 text-right">{fine.daysLate}</td>
+                  <td className="py-2 text-right">{formatCurrency(fine.outstanding)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OverdueReport;
@@ -0,0 +1,360 @@
+import React, { useState, useContext } from 'react';
+import { toast } from 'react-toastify';
+import { BellRing, Save, Send, X } from 'lucide-react';
+import {
+  useMembersQuery,
+  useReminderTemplatesQuery,
+  useSentRemindersQuery,
+  useUpdateReminderTemplatesMutation,
+  useSendReminders,
+  useRecordActivity,
+  useClosureCalendar
+} from '../../hooks/useLibrary';
+import { getReminderAdapters, getReminderAdapter } from '../../api/reminderAdapters';
+import { PERMISSIONS } from '../../config/permissions';
+import { FINE_POLICY } from '../../config/circulation';
+import { REMINDER_POLICY } from '../../config/reminders';
+import { AuthContext } from '../../context/AuthContext';
+import {
+  REMINDER_TYPES,
+  REMINDER_TYPE_LABELS,
+  REMINDER_TYPE_COLORS,
+  TEMPLATE_PLACEHOLDERS,
+  SAMPLE_TEMPLATE_VALUES,
+  buildReminderQueue,
+  normaliseReminderTemplates,
+  renderTemplate,
+  validateReminderTemplates
+} from '../../utils/reminderUtils';
+import { isSameErpId, maskPhone } from '../../utils/memberUtils';
+import { formatDate, getEffectiveDueDate } from '../../utils/loanUtils';
+import { AUDIT_ACTIONS, AUDIT_ENTITIES } from '../../utils/auditUtils';
+
+const inputClassName = 'px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+const headerClassName = 'px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider';
+
+// Due-soon reminders and overdue notices waiting to go out, worded by the
+// saved templates. Nothing is sent until staff pick reminders and an adapter;
+// the console adapter only logs, for trying things out.
+const RemindersTab = ({ issues }) => {
+  const { can } = useContext(AuthContext);
+  const canViewPhone = can(PERMISSIONS.VIEW_PHONE);
+  const canEditTemplates = can(PERMISSIONS.EDIT_REMINDER_TEMPLATES);
+
+  const membersQuery = useMembersQuery({}, { retry: false });
+  const templatesQuery = useReminderTemplatesQuery({ retry: false });
+  const sentRemindersQuery = useSentRemindersQuery({}, { retry: false });
+  const updateTemplatesMutation = useUpdateReminderTemplatesMutation();
+  const sendReminders = useSendReminders();
+  const recordActivity = useRecordActivity();
+  const calendar = useClosureCalendar();
+
+  const [adapterId, setAdapterId] = useState(getReminderAdapter(REMINDER_POLICY.defaultAdapter).id);
+  const [selectedIds, setSelectedIds] = useState(new Set());
+  const [isSending, setIsSending] = useState(false);
+  // null until something is changed, so a refetch shows through while not editing
+  const [draft, setDraft] = useState(null);
+
+  const adapter = getReminderAdapter(adapterId);
+  const savedTemplates = normaliseReminderTemplates(templatesQuery.data?.templates);
+  const templates = draft || savedTemplates;
+  const templatesError = templatesQuery.isError && templatesQuery.error?.status !== 404 ? templatesQuery.error : null;
+
+  const sentReminders = sentRemindersQuery.data?.reminders || [];
+  const memberRecords = membersQuery.data?.members || [];
+  const getContact = (issue) => memberRecords.find(record => isSameErpId(record.erpId, issue.erpId)) || {};
+
+  // Worded with the saved templates, as they will be sent
+  const queue = buildReminderQueue(issues, {
+    policy: REMINDER_POLICY,
+    templates: savedTemplates,
+    finePolicy: FINE_POLICY,
+    calendar,
+    sentIds: new Set(sentReminders.map(reminder => reminder.reminderId)),
+    getContact
+  });
+  const selected = queue.filter(reminder => selectedIds.has(reminder.id));
+  // Without the sent log a real send could repeat reminders already delivered
+  const canSend = adapter.channel === 'mock' || !sentRemindersQuery.isError;
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  const toggleAll = () => {
+    setSelectedIds(selected.length === queue.length ? new Set() : new Set(queue.map(reminder => reminder.id)));
+  };
+
+  const handleSend = async () => {
+    if (selected.length === 0) return;
+    if (adapter.channel !== 'mock' && !window.confirm(`Send ${selected.length} reminder(s) by ${adapter.label}?`)) {
+      return;
+    }
+
+    setIsSending(true);
+    try {
+      const { sent, failed } = await sendReminders(selected, adapter.id);
+      if (sent > 0) {
+        toast.success(adapter.channel === 'mock'
+          ? `${sent} reminder(s) written to the console`
+          : `${sent} reminder(s) sent`);
+      }
+      failed.forEach(({ reminder, error }) => {
+        toast.error(`${reminder.userName || reminder.erpId}: ${error.message || 'Failed to send reminder'}`);
+      });
+      setSelectedIds(new Set(failed.map(({ reminder }) => reminder.id)));
+    } catch (error) {
+      console.error('Error sending reminders:', error);
+      toast.error(error.message || 'Failed to send reminders');
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const updateTemplate = (type, changes) => {
+    setDraft({ ...templates, [type]: { ...templates[type], ...changes } });
+  };
+
+  const handleSaveTemplates = async () => {
+    const error = validateReminderTemplates(templates);
+    if (error) {
+      toast.error(error);
+      return;
+    }
+
+    try {
+      await updateTemplatesMutation.mutateAsync(templates);
+      recordActivity({
+        action: AUDIT_ACTIONS.UPDATE,
+        entityType: AUDIT_ENTITIES.SETTING,
+        entityId: 'reminder-templates',
+        entityLabel: 'Reminder templates',
+        before: savedTemplates,
+        after: templates
+      });
+      setDraft(null);
+      toast.success('Reminder templates saved');
+    } catch (error) {
+      console.error('Error saving reminder templates:', error);
+      toast.error(error.message || 'Failed to save reminder templates');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-2xl font-semibold text-gray-900">Reminders</h2>
+        <div className="flex items-center space-x-3">
+          <select
+            value={adapterId}
+            onChange={(e) => setAdapterId(e.target.value)}
+            className={inputClassName}
+          >
+            {getReminderAdapters().map(option => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
+          <button
+            onClick={handleSend}
+            disabled={selected.length === 0 || isSending || !canSend}
+            className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400 transition-colors"
+          >
+            <Send className="mr-2" size={20} />
+            {isSending ? 'Sending...' : `Send ${selected.length || ''} Selected`}
+          </button>
+        </div>
+      </div>
+
+      {sentRemindersQuery.isError && (
+        <p className="text-sm text-yellow-700 bg-yellow-50 border border-yellow-200 rounded-lg px-4 py-3">
+          The log of reminders already sent could not be loaded ({sentRemindersQuery.error?.message}). The queue
+          may repeat them, so only the console adapter can be used until it loads.
+        </p>
+      )}
+      {membersQuery.isError && (
+        <p className="text-sm text-yellow-700 bg-yellow-50 border border-yellow-200 rounded-lg px-4 py-3">
+          Member records could not be loaded ({membersQuery.error?.message}). Phone numbers come from loan records, and
+          email addresses are missing.
+        </p>
+      )}
+
+      {/* Queue */}
+      <div className="bg-white rounded-lg shadow-md overflow-hidden">
+        <div className="px-6 py-4 border-b bg-gray-50">
+          <h3 className="font-medium text-gray-900">Waiting to be sent ({queue.length})</h3>
+          <p className="text-xs text-gray-500 mt-1">
+            Loans due within {REMINDER_POLICY.dueSoonDays} days get a reminder; overdue loans get a notice
+            every {REMINDER_POLICY.overdueRepeatDays} days until returned.
+          </p>
+        </div>
+        {queue.length === 0 ? (
+          <div className="p-8 text-center text-gray-500">
+            <BellRing size={48} className="mx-auto mb-4 text-gray-300" />
+            <p>No reminders are due</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className={headerClassName}>
+                    <input
+                      type="checkbox"
+                      checked={selected.length === queue.length}
+                      onChange={toggleAll}
+                      className="rounded border-gray-300"
+                    />
+                  </th>
+                  <th className={headerClassName}>Type</th>
+                  <th className={headerClassName}>Borrower</th>
+                  <th className={headerClassName}>Send To</th>
+                  <th className={headerClassName}>Due</th>
+                  <th className={headerClassName}>Message</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {queue.map(reminder => {
+                  const recipient = adapter.getRecipient(reminder);
+                  return (
+                    <tr key={reminder.id} className="hover:bg-gray-50 align-top">
+                      <td className="px-6 py-4">
+                        <input
+                          type="checkbox"
+                          checked={selectedIds.has(reminder.id)}
+                          onChange={() => toggleSelected(reminder.id)}
+                          className="rounded border-gray-300"
+                        />
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${REMINDER_TYPE_COLORS[reminder.type]}`}>
+                          {REMINDER_TYPE_LABELS[reminder.type]}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm font-medium text-gray-900">{reminder.userName}</div>
+                        <div className="text-sm text-gray-500">ERP: {reminder.erpId}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">
+                        {recipient ? (
+                          <span className="text-gray-700">
+                            {recipient === reminder.phone && !canViewPhone ? maskPhone(recipient) : recipient}
+                          </span>
+                        ) : (
+                          <span className="text-red-600">No {adapter.channel} contact</span>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {formatDate(getEffectiveDueDate(reminder.dueDate, calendar))}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-700 max-w-md">
+                        {adapter.channel !== 'sms' && <div className="font-medium">{reminder.subject}</div>}
+                        <div className="text-gray-500">{reminder.message}</div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Templates */}
+      <div className="bg-white rounded-lg shadow-md overflow-hidden">
+        <div className="px-6 py-4 border-b bg-gray-50 flex justify-between items-center">
+          <h3 className="font-medium text-gray-900">Message templates</h3>
+          {canEditTemplates && (
+            <div className="flex space-x-3">
+              {draft && (
+                <button
+                  onClick={() => setDraft(null)}
+                  className="flex items-center px-3 py-1.5 border border-gray-300 text-sm text-gray-700 rounded-lg hover:bg-gray-50"
+                >
+                  <X className="mr-1" size={16} />
+                  Discard
+                </button>
+              )}
+              <button
+                onClick={handleSaveTemplates}
+                disabled={!draft || updateTemplatesMutation.isLoading}
+                className="flex items-center px-3 py-1.5 bg-blue-600 text-sm text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400"
+              >
+                <Save className="mr-1" size={16} />
+                {updateTemplatesMutation.isLoading ? 'Saving...' : 'Save Templates'}
+              </button>
+            </div>
+          )}
+        </div>
+
+        {templatesError && (
+          <p className="mx-6 mt-4 text-sm text-yellow-700 bg-yellow-50 border border-yellow-200 rounded-lg px-4 py-3">
+            The saved templates could not be loaded ({templatesError.message}). The default wording is used.
+          </p>
+        )}
+
+        <div className="p-6 space-y-6">
+          {Object.values(REMINDER_TYPES).map(type => (
+            <div key={type} className="space-y-2">
+              <h4 className="text-sm font-medium text-gray-900">{REMINDER_TYPE_LABELS[type]}</h4>
+              <input
+                type="text"
+                value={templates[type].subject}
+                onChange={(e) => updateTemplate(type, { subject: e.target.value })}
+                disabled={!canEditTemplates}
+                placeholder="Subject (email only)"
+                className={`w-full ${inputClassName} disabled:bg-gray-50`}
+              />
+              <textarea
+                rows={3}
+                value={templates[type].body}
+                onChange={(e) => updateTemplate(type, { body: e.target.value })}
+                disabled={!canEditTemplates}
+                className={`w-full ${inputClassName} disabled:bg-gray-50`}
+              />
+              <p className="text-xs text-gray-500">
+                Preview: {renderTemplate(templates[type].body, SAMPLE_TEMPLATE_VALUES)}
+              </p>
+            </div>
+          ))}
+          <p className="text-xs text-gray-500">
+            Placeholders:{' '}
+            {Object.entries(TEMPLATE_PLACEHOLDERS).map(([key, label]) => `{{${key}}} ${label.toLowerCase()}`).join(', ')}
+          </p>
+        </div>
+      </div>
+
+      {/* Recently sent */}
+      {sentReminders.length > 0 && (
+        <div className="bg-white rounded-lg shadow-md overflow-hidden">
+          <div className="px-6 py-4 border-b bg-gray-50">
+            <h3 className="font-medium text-gray-900">Recently sent</h3>
+          </div>
+          <ul className="divide-y divide-gray-200">
+            {sentReminders.slice(0, 10).map(reminder => (
+              <li key={reminder._id || reminder.reminderId} className="px-6 py-3 text-sm text-gray-700 flex justify-between">
+                <span>
+                  <span className="font-medium">{REMINDER_TYPE_LABELS[reminder.type] || reminder.type}</span>
+                  {' '}to {reminder.erpId} by {reminder.channel}
+                </span>
+                <span className="text-gray-500">
+                  {reminder.sentAt ? formatDate(reminder.sentAt) : '—'}
+                  {reminder.sentBy && ` · ${reminder.sentBy}`}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RemindersTab;
@@ -0,0 +1,221 @@
+import React, { useContext } from 'react';
+import { toast } from 'react-toastify';
+import { Trash2, RotateCcw } from 'lucide-react';
+import {
+  useDeletedBooksQuery,
+  useDeletedIssuesQuery,
+  usePurgeBookMutation,
+  usePurgeIssueMutation,
+  useRecordActivity
+} from '../../hooks/useLibrary';
+import { PERMISSIONS } from '../../config/permissions';
+import { AuthContext } from '../../context/AuthContext';
+import { formatDate } from '../../utils/loanUtils';
+import { AUDIT_ACTIONS, AUDIT_ENTITIES, getIssueAuditLabel } from '../../utils/auditUtils';
+
+const headerClassName = 'px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider';
+
+// When and by whom an item was trashed, as far as the server recorded it
+const DeletedCell = ({ item }) => (
+  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+    {item.deletedAt ? formatDate(item.deletedAt) : '—'}
+    {item.deletedBy && <div className="text-xs">by {item.deletedBy}</div>}
+  </td>
+);
+
+// Deleted books and issue records, which can be restored or purged for good.
+// Restoring goes through the dashboard so it behaves like the Undo toast.
+const TrashTab = ({ onRestoreBook, onRestoreIssue }) => {
+  const { can } = useContext(AuthContext);
+  const canDeleteBooks = can(PERMISSIONS.DELETE_BOOK);
+  const canDeleteIssues = can(PERMISSIONS.DELETE_ISSUE);
+
+  const booksQuery = useDeletedBooksQuery();
+  const issuesQuery = useDeletedIssuesQuery();
+  const purgeBookMutation = usePurgeBookMutation();
+  const purgeIssueMutation = usePurgeIssueMutation();
+  const recordActivity = useRecordActivity();
+
+  const deletedBooks = booksQuery.data?.books || [];
+  const deletedIssues = issuesQuery.data?.issues || [];
+
+  const handlePurgeBook = async (book) => {
+    if (!window.confirm(`Permanently delete "${book.title}"? This cannot be undone.`)) return;
+
+    try {
+      await purgeBookMutation.mutateAsync(book._id);
+      recordActivity({
+        action: AUDIT_ACTIONS.PURGE,
+        entityType: AUDIT_ENTITIES.BOOK,
+        entityId: book._id,
+        entityLabel: book.title,
+        before: book
+      });
+      toast.success(`"${book.title}" permanently deleted`);
+    } catch (error) {
+      console.error('Error purging book:', error);
+      toast.error(error.message || 'Failed to permanently delete book');
+    }
+  };
+
+  const handlePurgeIssue = async (issue) => {
+    if (!window.confirm('Permanently delete this issue record? This cannot be undone.')) return;
+
+    try {
+      await purgeIssueMutation.mutateAsync(issue._id);
+      recordActivity({
+        action: AUDIT_ACTIONS.PURGE,
+        entityType: AUDIT_ENTITIES.ISSUE,
+        entityId: issue._id,
+        entityLabel: getIssueAuditLabel(issue)
+      });
+      toast.success('Issue record permanently deleted');
+    } catch (error) {
+      console.error('Error purging issue record:', error);
+      toast.error(error.message || 'Failed to permanently delete issue record');
+    }
+  };
+
+  const renderStatus = (query, items, emptyMessage, colSpan) => {
+    if (query.isLoading) {
+      return (
+        <tr>
+          <td colSpan={colSpan} className="px-6 py-6 text-center text-gray-500">Loading...</td>
+        </tr>
+      );
+    }
+    if (query.isError) {
+      return (
+        <tr>
+          <td colSpan={colSpan} className="px-6 py-6 text-center text-red-600">{query.error?.message}</td>
+        </tr>
+      );
+    }
+    if (items.length === 0) {
+      return (
+        <tr>
+          <td colSpan={colSpan} className="px-6 py-6 text-center text-gray-500">{emptyMessage}</td>
+        </tr>
+      );
+    }
+    return null;
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-2xl font-semibold text-gray-900">Trash</h2>
+        <span className="text-sm text-gray-500">Restore deleted items or remove them for good</span>
+      </div>
+
+      {/* Deleted books */}
+      <div className="bg-white rounded-lg shadow-md overflow-hidden">
+        <div className="px-6 py-4 border-b bg-gray-50">
+          <h3 className="font-medium text-gray-900">Books ({deletedBooks.length})</h3>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className={headerClassName}>Book</th>
+                <th className={headerClassName}>ISBN</th>
+                <th className={headerClassName}>Deleted</th>
+                <th className={headerClassName}>Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {renderStatus(booksQuery, deletedBooks, 'No deleted books', 4)}
+              {deletedBooks.map(book => (
+                <tr key={book._id} className="hover:bg-gray-50">
+                  <td className="px-6 py-4">
+                    <div className="text-sm font-medium text-gray-900">{book.title}</div>
+                    <div className="text-sm text-gray-500">by {book.author}</div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">{book.isbn}</td>
+                  <DeletedCell item={book} />
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-3">
+                    <button
+                      onClick={() => onRestoreBook(book)}
+                      title="Restore"
+                      className="text-green-600 hover:text-green-900"
+                    >
+                      <RotateCcw size={16} />
+                    </button>
+                    {canDeleteBooks && (
+                      <button
+                        onClick={() => handlePurgeBook(book)}
+                        title="Delete permanently"
+                        className="text-red-600 hover:text-red-900"
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Deleted issue records */}
+      <div className="bg-white rounded-lg shadow-md overflow-hidden">
+        <div className="px-6 py-4 border-b bg-gray-50">
+          <h3 className="font-medium text-gray-900">Issue records ({deletedIssues.length})</h3>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className={headerClassName}>Book</th>
+                <th className={headerClassName}>Borrower</th>
+                <th className={headerClassName}>Loan</th>
+                <th className={headerClassName}>Deleted</th>
+                <th className={headerClassName}>Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {renderStatus(issuesQuery, deletedIssues, 'No deleted issue records', 5)}
+              {deletedIssues.map(issue => (
+                <tr key={issue._id} className="hover:bg-gray-50">
+                  <td className="px-6 py-4 text-sm font-medium text-gray-900">
+                    {issue.bookId?.title || 'Unknown Book'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="text-sm text-gray-900">{issue.userName}</div>
+                    <div className="text-sm text-gray-500">ERP: {issue.erpId}</div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                    {formatDate(issue.issueDate)}
+                    {issue.actualReturnDate && ` – ${formatDate(issue.actualReturnDate)}`}
+                  </td>
+                  <DeletedCell item={issue} />
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-3">
+                    <button
+                      onClick={() => onRestoreIssue(issue)}
+                      title="Restore"
+                      className="text-green-600 hover:text-green-900"
+                    >
+                      <RotateCcw size={16} />
+                    </button>
+                    {canDeleteIssues && (
+                      <button
+                        onClick={() => handlePurgeIssue(issue)}
+                        title="Delete permanently"
+                        className="text-red-600 hover:text-red-900"
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TrashTab;
@@ -0,0 +1,39 @@
+import React, { useContext } from 'react';
+import { Link } from 'react-router-dom';
+import { ShieldAlert } from 'lucide-react';
+import { AuthContext } from '../../context/AuthContext';
+import { ROLE_LABELS } from '../../config/permissions';
+
+// Shown in place of a route the signed-in user's role may not open
+const ForbiddenPage = () => {
+  const { user, role, logout } = useContext(AuthContext);
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center py-12 px-4">
+      <div className="max-w-md w-full bg-white rounded-lg shadow-xl p-8 text-center">
+        <ShieldAlert className="mx-auto text-red-500 mb-4" size={48} />
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">403</h1>
+        <p className="text-gray-600 mb-6">
+          {user?.username || 'This account'} ({ROLE_LABELS[role] || role}) does not have access to this page.
+          Ask a librarian if you need it.
+        </p>
+        <div className="flex justify-center space-x-3">
+          <Link
+            to="/"
+            className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+          >
+            Go to catalogue
+          </Link>
+          <button
+            onClick={logout}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+          >
+            Sign in as someone else
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForbiddenPage;
@@ -1,8 +1,9 @@
 import React, { useState, useContext } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { Navigate, useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import { Lock, User, Eye, EyeOff, LogIn } from 'lucide-react';
 import { AuthContext } from '../../context/AuthContext';
+import { authAPI } from '../../api/authAPI';
 
 const LoginPage = () => {
   const [formData, setFormData] = useState({
@@ -12,7 +13,7 @@ const LoginPage = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
 
-  const { login } = useContext(AuthContext);
+  const { login, isAuthenticated } = useContext(AuthContext);
   const navigate = useNavigate();
 
   const handleChange = (e) => {
@@ -33,23 +34,11 @@ const LoginPage = () => {
     setIsLoading(true);
 
     try {
-      const response = await fetch('http://localhost:5000/api/auth/login', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(formData),
-      });
-
-      const data = await response.json();
+      const data = await authAPI.login(formData);
 
       if (data.success) {
-        // Store token and user data
-        localStorage.setItem('adminToken', data.token);
-        localStorage.setItem('adminUser', JSON.stringify(data.user));
-        
-        // Update auth context
-        login(data.token, data.user);
+        // Update auth context (also persists the session)
+        login(data.token, data.user, data.refreshToken);
 
         toast.success('Login successful!');
         navigate('/admin');
@@ -58,12 +47,17 @@ const LoginPage = () => {
       }
     } catch (error) {
       console.error('Login error:', error);
-      toast.error('Login failed. Please try again.');
+      toast.error(error.message || 'Login failed. Please try again.');
     } finally {
       setIsLoading(false);
     }
   };
 
+  // Already signed in, possibly from another tab
+  if (isAuthenticated) {
+    return <Navigate to="/admin" replace />;
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full">
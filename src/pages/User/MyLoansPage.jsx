@@ -0,0 +1,274 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { Book, Hash, Search, Clock, AlertTriangle, History, ArrowLeft, RefreshCw } from 'lucide-react';
+import { useUserIssuesQuery, useUpdateIssueMutation, useClosureCalendar } from '../../hooks/useLibrary';
+import { RENEWAL_POLICY } from '../../config/circulation';
+import {
+  getDaysRemaining,
+  getDueLabel,
+  isOverdue,
+  isReturned,
+  formatDate,
+  getEffectiveDueDate,
+  getRenewalCount,
+  checkRenewal,
+  buildRenewalUpdate
+} from '../../utils/loanUtils';
+
+const MyLoansPage = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const erpId = searchParams.get('erpId') || '';
+  const [erpInput, setErpInput] = useState(erpId);
+  const [renewingId, setRenewingId] = useState(null);
+
+  // Loans are fetched whenever the ERP ID in the URL changes
+  const {
+    data: loansData,
+    isLoading: loading,
+    isFetched: hasSearched,
+    error: loansError,
+    refetch: refetchLoans
+  } = useUserIssuesQuery(erpId, { includeReturned: true });
+  const issues = loansData?.issues || [];
+  const updateIssueMutation = useUpdateIssueMutation();
+  const calendar = useClosureCalendar();
+  const now = new Date();
+
+  useEffect(() => {
+    if (loansError) {
+      console.error('Error fetching loans:', loansError);
+      toast.error(loansError.message || 'Failed to fetch your loans');
+    }
+  }, [loansError]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const id = erpInput.trim();
+
+    if (!/^[A-Za-z0-9]+$/.test(id)) {
+      toast.error('ERP ID should contain only letters and numbers');
+      return;
+    }
+
+    if (id === erpId) {
+      refetchLoans();
+    } else {
+      setSearchParams({ erpId: id });
+    }
+  };
+
+  const handleRenew = async (issue) => {
+    const { allowed, reason } = checkRenewal(issue, RENEWAL_POLICY, now, calendar);
+    if (!allowed) {
+      toast.warning(reason);
+      return;
+    }
+
+    setRenewingId(issue._id);
+    try {
+      const update = buildRenewalUpdate(issue, RENEWAL_POLICY, issue.erpId, new Date(), calendar);
+      await updateIssueMutation.mutateAsync({ id: issue._id, updateData: update });
+      toast.success(`Renewed until ${formatDate(update.expectedReturnDate)}`);
+    } catch (error) {
+      console.error('Error renewing loan:', error);
+      toast.error(error.message || 'Failed to renew loan');
+    } finally {
+      setRenewingId(null);
+    }
+  };
+
+  const activeLoans = issues
+    .filter(issue => !isReturned(issue))
+    .sort((a, b) => new Date(a.expectedReturnDate) - new Date(b.expectedReturnDate));
+
+  const pastLoans = issues
+    .filter(isReturned)
+    .sort((a, b) => new Date(b.actualReturnDate || b.updatedAt) - new Date(a.actualReturnDate || a.updatedAt));
+
+  const overdueCount = activeLoans.filter(issue => isOverdue(issue, now, calendar)).length;
+
+  const getDueBadgeColor = (issue) => {
+    if (isOverdue(issue, now, calendar)) return 'bg-red-100 text-red-800';
+    if (getDaysRemaining(issue.expectedReturnDate, now, calendar) <= 2) return 'bg-yellow-100 text-yellow-800';
+    return 'bg-green-100 text-green-800';
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="text-center mb-8">
+          <h1 className="text-4xl font-bold text-gray-900 mb-2">
+            📚 My Loans
+          </h1>
+          <p className="text-lg text-gray-600">
+            Check your borrowed books and when they are due
+          </p>
+          <Link to="/" className="inline-flex items-center mt-3 text-sm text-blue-600 hover:text-blue-800">
+            <ArrowLeft size={16} className="mr-1" />
+            Back to catalogue
+          </Link>
+        </div>
+
+        {/* ERP ID lookup */}
+        <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-md p-6 mb-8">
+          <label htmlFor="erpId" className="block text-sm font-medium text-gray-700 mb-1">
+            <Hash size={16} className="inline mr-1" />
+            ERP ID
+          </label>
+          <div className="flex gap-3">
+            <input
+              id="erpId"
+              type="text"
+              value={erpInput}
+              onChange={(e) => setErpInput(e.target.value)}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              placeholder="Enter your ERP ID"
+            />
+            <button
+              type="submit"
+              disabled={loading || !erpInput.trim()}
+              className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400"
+            >
+              <Search size={16} className="mr-2" />
+              {loading ? 'Searching...' : 'Find Loans'}
+            </button>
+          </div>
+        </form>
+
+        {loading && (
+          <div className="text-center py-8">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+            <p className="mt-4 text-gray-600">Loading your loans...</p>
+          </div>
+        )}
+
+        {!loading && hasSearched && (
+          <div className="space-y-8">
+            {/* Current Loans */}
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <div className="flex items-center justify-between mb-4">
+                <h2 className="text-2xl font-semibold text-gray-900 flex items-center">
+                  <Clock className="mr-2" size={24} />
+                  Current Loans
+                </h2>
+                {overdueCount > 0 && (
+                  <span className="inline-flex items-center px-3 py-1 rounded-full text-sm font-medium bg-red-100 text-red-800">
+                    <AlertTriangle size={16} className="mr-1" />
+                    {overdueCount} overdue
+                  </span>
+                )}
+              </div>
+
+              {activeLoans.length === 0 ? (
+                <div className="text-center py-8 text-gray-500">
+                  <Book size={48} className="mx-auto mb-4 text-gray-300" />
+                  <p>You have no books on loan</p>
+                </div>
+              ) : (
+                <div className="grid gap-4">
+                  {activeLoans.map((issue) => (
+                    <div
+                      key={issue._id}
+                      className={`border rounded-lg p-4 ${
+                        isOverdue(issue, now, calendar) ? 'border-red-200 bg-red-50' : 'border-gray-200'
+                      }`}
+                    >
+                      <div className="flex justify-between items-start">
+                        <div className="flex-1">
+                          <h3 className="font-semibold text-gray-900 mb-1">
+                            {issue.bookId?.title || 'Unknown Book'}
+                          </h3>
+                          <p className="text-gray-600 mb-2">by {issue.bookId?.author || 'Unknown Author'}</p>
+                          <div className="flex items-center gap-4 text-sm text-gray-500">
+                            <span>Issued: {formatDate(issue.issueDate)}</span>
+                            <span>Due: {formatDate(getEffectiveDueDate(issue.expectedReturnDate, calendar))}</span>
+                          </div>
+                        </div>
+                        <div className="text-right space-y-2">
+                          <span className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-medium ${getDueBadgeColor(issue)}`}>
+                            {getDueLabel(issue, now, calendar)}
+                          </span>
+                          <div>
+                            <button
+                              onClick={() => handleRenew(issue)}
+                              disabled={renewingId === issue._id || !checkRenewal(issue, RENEWAL_POLICY, now, calendar).allowed}
+                              title={checkRenewal(issue, RENEWAL_POLICY, now, calendar).reason || `Extend by ${RENEWAL_POLICY.periodDays} days`}
+                              className="inline-flex items-center px-3 py-1 text-sm border border-blue-600 text-blue-600 rounded-lg hover:bg-blue-50 disabled:border-gray-300 disabled:text-gray-400 disabled:hover:bg-transparent"
+                            >
+                              <RefreshCw size={14} className="mr-1" />
+                              {renewingId === issue._id ? 'Renewing...' : 'Renew'}
+                            </button>
+                            <p className="text-xs text-gray-500 mt-1">
+                              Renewed {getRenewalCount(issue)} of {RENEWAL_POLICY.maxRenewals}
+                            </p>
+                          </div>
+                        </div>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* Return History */}
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <h2 className="text-2xl font-semibold text-gray-900 mb-4 flex items-center">
+                <History className="mr-2" size={24} />
+                Return History
+              </h2>
+
+              {pastLoans.length === 0 ? (
+                <p className="text-center py-4 text-gray-500">No returned books yet</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Book
+                        </th>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Issued
+                        </th>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Due
+                        </th>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Returned
+                        </th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {pastLoans.map((issue) => {
+                        const returnedLate = issue.actualReturnDate &&
+                          getDaysRemaining(issue.expectedReturnDate, issue.actualReturnDate, calendar) < 0;
+
+                        return (
+                          <tr key={issue._id}>
+                            <td className="px-4 py-3 text-sm text-gray-900">
+                              {issue.bookId?.title || 'Unknown Book'}
+                            </td>
+                            <td className="px-4 py-3 text-sm text-gray-600">{formatDate(issue.issueDate)}</td>
+                            <td className="px-4 py-3 text-sm text-gray-600">{formatDate(getEffectiveDueDate(issue.expectedReturnDate, calendar))}</td>
+                            <td className={`px-4 py-3 text-sm ${returnedLate ? 'text-red-600' : 'text-gray-600'}`}>
+                              {issue.actualReturnDate ? formatDate(issue.actualReturnDate) : '—'}
+                              {returnedLate && ' (late)'}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MyLoansPage;
@@ -1,55 +1,113 @@
 import React, { useState, useEffect } from 'react';
 import { useForm } from 'react-hook-form';
+import { Link } from 'react-router-dom';
 import { toast } from 'react-toastify';
-import { Book, User, Phone, Calendar, Hash, AlertCircle, CheckCircle } from 'lucide-react';
-import { booksAPI, issuesAPI } from '../../api/libraryAPI';
+import { Book, User, Phone, Calendar, Hash, AlertCircle, CheckCircle, BookmarkPlus } from 'lucide-react';
+import { holdsAPI } from '../../api/libraryAPI';
+import { useBooksQuery, useIssueBookMutation, useEligibilityCheck, useEligibilityQuery, useLoanPolicy, useClosureCalendar } from '../../hooks/useLibrary';
+import { useCatalogueParams } from '../../hooks/useCatalogueParams';
+import { toBooksQueryParams } from '../../utils/catalogueParams';
+import CatalogueFilters from '../../components/CatalogueFilters';
+import Pagination from '../../components/Pagination';
+import OfflineSyncStatus from '../../components/OfflineSyncStatus';
+import {
+  HOLD_POLICY,
+  FINE_POLICY,
+  BORROWING_POLICY,
+  BORROWER_TYPE_LABELS
+} from '../../config/circulation';
+import { calculateDueDate, formatDate } from '../../utils/loanUtils';
+import { toDateKey } from '../../utils/closureUtils';
+import { getLoanTerms } from '../../utils/loanPolicyUtils';
+import { formatCurrency } from '../../utils/fineUtils';
 
 const UserPage = () => {
-  const [books, setBooks] = useState([]);
   const [selectedBook, setSelectedBook] = useState(null);
-  const [loading, setLoading] = useState(true);
   const [isSubmitting, setIsSubmitting] = useState(false);
-  const [searchTerm, setSearchTerm] = useState('');
+  // Why the last issue attempt was refused, as a list of reasons
+  const [refusalReasons, setRefusalReasons] = useState([]);
+  // ERP ID whose borrower type the due date preview uses, set when the field is left
+  const [previewErpId, setPreviewErpId] = useState('');
 
   const {
     register,
     handleSubmit,
     reset,
+    watch,
     formState: { errors }
   } = useForm();
 
-  // Fetch available books
-  useEffect(() => {
-    fetchBooks();
-  }, []);
+  // Fetch the current page of books; filters live in the URL query string
+  const { params, updateParams, resetParams } = useCatalogueParams();
+  const {
+    data: booksData,
+    isLoading: loading,
+    isFetching,
+    error: booksError
+  } = useBooksQuery(toBooksQueryParams(params), { keepPreviousData: true });
+  const books = booksData?.books || [];
+  const totalBooks = booksData?.total ?? books.length;
+  const totalPages = booksData?.totalPages || 1;
+  const issueBookMutation = useIssueBookMutation();
+  const checkEligibility = useEligibilityCheck();
+  const loanPolicy = useLoanPolicy();
+  const calendar = useClosureCalendar();
 
-  const fetchBooks = async () => {
-    try {
-      setLoading(true);
-      // Get all books
-      const response = await booksAPI.getAllBooks();
-      setBooks(response.books || []);
-    } catch (error) {
-      console.error('Error fetching books:', error);
+  useEffect(() => {
+    if (booksError) {
+      console.error('Error fetching books:', booksError);
       toast.error('Failed to fetch books');
-    } finally {
-      setLoading(false);
     }
-  };
+  }, [booksError]);
 
-  // Filter books based on search term
-  const filteredBooks = books.filter(book =>
-    book.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    book.author.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    book.isbn.toLowerCase().includes(searchTerm.toLowerCase())
-  );
+  // Out of stock books can be selected to place a hold instead of issuing
+  const isHoldMode = selectedBook?.availableQuantity === 0;
 
-  // Handle book selection for issuing
+  // Handle book selection for issuing or placing a hold
   const handleBookSelect = (book) => {
-    if (book.availableQuantity > 0) {
-      setSelectedBook(book);
-    } else {
-      toast.warning('This book is currently out of stock');
+    setSelectedBook(book);
+    setRefusalReasons([]);
+    if (book.availableQuantity === 0) {
+      toast.info('This book is out of stock. You can place a hold to join the queue.');
+    }
+  };
+
+  // Blocks, loan limits, overdue books and unpaid fines are checked before
+  // an issue or a hold. Lists the reasons for a refusal under the form.
+  const checkMember = async (erpId) => {
+    const eligibility = await checkEligibility(erpId, selectedBook._id);
+    setRefusalReasons(eligibility.reasons);
+    return eligibility;
+  };
+
+  // Place a hold on the selected out of stock book
+  const placeHold = async (data) => {
+    setIsSubmitting(true);
+    try {
+      const { allowed } = await checkMember(data.erpId);
+      if (!allowed) return;
+
+      const response = await holdsAPI.placeHold({
+        bookId: selectedBook._id,
+        userName: data.userName,
+        phone: data.phone,
+        erpId: data.erpId
+      });
+
+      const position = response.hold?.queuePosition;
+      toast.success(
+        position
+          ? `Hold placed on "${selectedBook.title}". You are #${position} in the queue.`
+          : `Hold placed on "${selectedBook.title}".`
+      );
+      reset();
+      setPreviewErpId('');
+      setSelectedBook(null);
+    } catch (error) {
+      console.error('Error placing hold:', error);
+      toast.error(error.message || 'Failed to place hold');
+    } finally {
+      setIsSubmitting(false);
     }
   };
 
@@ -60,27 +118,39 @@ const UserPage = () => {
       return;
     }
 
+    if (isHoldMode) {
+      await placeHold(data);
+      return;
+    }
+
     setIsSubmitting(true);
+    setPreviewErpId(data.erpId);
     try {
+      // The borrower type comes from the library's records, not the form, and
+      // is the one the preview showed
+      const { allowed, borrowerType } = await checkMember(data.erpId);
+      if (!allowed) return;
+
+      const expectedReturnDate = calculateReturnDate(data.issueDate, borrowerType);
       const issueData = {
         bookId: selectedBook._id,
         userName: data.userName,
         phone: data.phone,
         erpId: data.erpId,
+        borrowerType,
         issueDate: data.issueDate,
-        expectedReturnDate: calculateReturnDate(data.issueDate)
+        expectedReturnDate
       };
 
-      // Issue a book
-      await issuesAPI.issueBook(issueData);
-      
-      // Get all issued books
-      await issuesAPI.getIssuedBooks();
+      // Issue a book (stock updates optimistically, then refetches)
+      const response = await issueBookMutation.mutateAsync(issueData);
 
-      toast.success(`Book "${selectedBook.title}" issued successfully!`);
+      toast.success(response?.queued
+        ? `No connection: "${selectedBook.title}" will be issued once the library is back online`
+        : `Book "${selectedBook.title}" issued successfully! Due back on ${formatDate(expectedReturnDate)}`);
       reset();
+      setPreviewErpId('');
       setSelectedBook(null);
-      fetchBooks(); // Refresh books to update quantities
     } catch (error) {
       console.error('Error issuing book:', error);
       toast.error(error.message || 'Failed to issue book');
@@ -89,16 +159,21 @@ const UserPage = () => {
     }
   };
 
-  // Calculate expected return date (14 days from issue date)
-  const calculateReturnDate = (issueDate) => {
-    const date = new Date(issueDate);
-    date.setDate(date.getDate() + 14);
-    return date.toISOString().split('T')[0];
-  };
+  // Calculate expected return date from the loan period for this book and borrower
+  const calculateReturnDate = (issueDate, borrowerType) =>
+    calculateDueDate(issueDate, getLoanTerms(loanPolicy, selectedBook, borrowerType), calendar);
+
+  // The preview asks the same eligibility endpoint as the issue itself, so
+  // it shows the due date for the borrower type that will be used
+  const previewQuery = useEligibilityQuery(isHoldMode ? null : previewErpId, selectedBook?._id, { retry: false });
+  const previewBorrowerType = previewQuery.data?.borrowerType;
+  const previewTypeLabel = BORROWER_TYPE_LABELS[previewBorrowerType] || previewBorrowerType;
+  const watchedIssueDate = watch('issueDate');
+  const loanTerms = getLoanTerms(loanPolicy, selectedBook, previewBorrowerType);
 
   // Get today's date for min date validation
   const getTodayDate = () => {
-    return new Date().toISOString().split('T')[0];
+    return toDateKey(new Date());
   };
 
   if (loading) {
@@ -123,37 +198,40 @@ const UserPage = () => {
           <p className="text-lg text-gray-600">
             Browse and issue books from our collection
           </p>
+          <Link to="/my-loans" className="inline-block mt-3 text-sm text-blue-600 hover:text-blue-800">
+            Already borrowed? Check your loans and due dates →
+          </Link>
+          <div className="mt-3 empty:hidden">
+            <OfflineSyncStatus />
+          </div>
         </div>
 
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
           {/* Books List */}
           <div className="lg:col-span-2">
             <div className="bg-white rounded-lg shadow-md p-6">
-              <div className="flex items-center justify-between mb-6">
+              <div className="flex items-center justify-between mb-4">
                 <h2 className="text-2xl font-semibold text-gray-900 flex items-center">
                   <Book className="mr-2" size={24} />
                   Available Books
                 </h2>
-                <div className="relative">
-                  <input
-                    type="text"
-                    placeholder="Search books..."
-                    value={searchTerm}
-                    onChange={(e) => setSearchTerm(e.target.value)}
-                    className="pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                  />
-                  <Book className="absolute left-3 top-2.5 text-gray-400" size={20} />
-                </div>
+                {isFetching && (
+                  <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-blue-600"></div>
+                )}
+              </div>
+
+              <div className="mb-6">
+                <CatalogueFilters params={params} onChange={updateParams} onReset={resetParams} />
               </div>
 
               <div className="grid gap-4">
-                {filteredBooks.length === 0 ? (
+                {books.length === 0 ? (
                   <div className="text-center py-8 text-gray-500">
                     <Book size={48} className="mx-auto mb-4 text-gray-300" />
                     <p>No books found</p>
                   </div>
                 ) : (
-                  filteredBooks.map((book) => (
+                  books.map((book) => (
                     <div
                       key={book._id}
                       className={`border rounded-lg p-4 transition-all cursor-pointer ${
@@ -161,7 +239,7 @@ const UserPage = () => {
                           ? 'border-blue-500 bg-blue-50'
                           : book.availableQuantity > 0
                           ? 'border-gray-200 hover:border-gray-300 hover:shadow-md'
-                          : 'border-red-200 bg-red-50 opacity-75 cursor-not-allowed'
+                          : 'border-red-200 bg-red-50 opacity-75 hover:opacity-100'
                       }`}
                       onClick={() => handleBookSelect(book)}
                     >
@@ -205,6 +283,17 @@ const UserPage = () => {
                   ))
                 )}
               </div>
+
+              <div className="mt-6">
+                <Pagination
+                  page={params.page}
+                  totalPages={totalPages}
+                  total={totalBooks}
+                  limit={params.limit}
+                  onPageChange={(page) => updateParams({ page })}
+                  onLimitChange={(limit) => updateParams({ limit })}
+                />
+              </div>
             </div>
           </div>
 
@@ -212,8 +301,8 @@ const UserPage = () => {
           <div className="lg:col-span-1">
             <div className="bg-white rounded-lg shadow-md p-6 sticky top-8">
               <h2 className="text-2xl font-semibold text-gray-900 mb-6 flex items-center">
-                <User className="mr-2" size={24} />
-                Issue Book
+                {isHoldMode ? <BookmarkPlus className="mr-2" size={24} /> : <User className="mr-2" size={24} />}
+                {isHoldMode ? 'Place Hold' : 'Issue Book'}
               </h2>
 
               {selectedBook ? (
@@ -221,6 +310,12 @@ const UserPage = () => {
                   <h3 className="font-medium text-blue-900 mb-1">Selected Book:</h3>
                   <p className="text-blue-800 font-semibold">{selectedBook.title}</p>
                   <p className="text-blue-600 text-sm">by {selectedBook.author}</p>
+                  {isHoldMode && (
+                    <p className="text-blue-700 text-sm mt-2">
+                      No copies are available right now. Place a hold and we will keep the next
+                      returned copy for you for {HOLD_POLICY.pickupWindowDays} days.
+                    </p>
+                  )}
                 </div>
               ) : (
                 <div className="mb-6 p-4 bg-gray-50 border border-gray-200 rounded-lg">
@@ -290,7 +385,8 @@ const UserPage = () => {
                       pattern: {
                         value: /^[A-Za-z0-9]+$/,
                         message: 'ERP ID should contain only letters and numbers'
-                      }
+                      },
+                      onBlur: (e) => setPreviewErpId(/^[A-Za-z0-9]+$/.test(e.target.value) ? e.target.value : '')
                     })}
                     className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                     placeholder="Enter your ERP ID"
@@ -301,34 +397,59 @@ const UserPage = () => {
                 </div>
 
                 {/* Issue Date */}
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    <Calendar size={16} className="inline mr-1" />
-                    Issue Date
-                  </label>
-                  <input
-                    type="date"
-                    {...register('issueDate', {
-                      required: 'Issue date is required',
-                      min: {
-                        value: getTodayDate(),
-                        message: 'Issue date cannot be in the past'
-                      }
-                    })}
-                    min={getTodayDate()}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                  />
-                  {errors.issueDate && (
-                    <p className="text-red-500 text-sm mt-1">{errors.issueDate.message}</p>
-                  )}
-                </div>
+                {!isHoldMode && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      <Calendar size={16} className="inline mr-1" />
+                      Issue Date
+                    </label>
+                    <input
+                      type="date"
+                      {...register('issueDate', {
+                        required: 'Issue date is required',
+                        min: {
+                          value: getTodayDate(),
+                          message: 'Issue date cannot be in the past'
+                        }
+                      })}
+                      min={getTodayDate()}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                    {errors.issueDate && (
+                      <p className="text-red-500 text-sm mt-1">{errors.issueDate.message}</p>
+                    )}
+                    {selectedBook && (
+                      <p className="text-gray-600 text-sm mt-1">
+                        {!previewBorrowerType && 'Enter your ERP ID to see when the book is due back'}
+                        {previewBorrowerType && (watchedIssueDate
+                          ? `Due back on ${formatDate(calculateReturnDate(watchedIssueDate, previewBorrowerType))} (${previewTypeLabel} loan)`
+                          : `Loan period: ${loanTerms.periodDays} days (${previewTypeLabel} loan)`)}
+                      </p>
+                    )}
+                  </div>
+                )}
+
+                {/* Why the issue was refused */}
+                {refusalReasons.length > 0 && (
+                  <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+                    <p className="flex items-center text-red-800 text-sm font-medium mb-1">
+                      <AlertCircle size={16} className="mr-1" />
+                      {isHoldMode ? 'You cannot place a hold on this book:' : 'This book cannot be issued to you:'}
+                    </p>
+                    <ul className="list-disc ml-5 text-red-700 text-sm space-y-1">
+                      {refusalReasons.map(reason => (
+                        <li key={reason}>{reason}</li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
 
                 {/* Submit Button */}
                 <button
                   type="submit"
-                  disabled={!selectedBook || isSubmitting || selectedBook?.availableQuantity === 0}
+                  disabled={!selectedBook || isSubmitting}
                   className={`w-full py-3 px-4 rounded-lg font-medium transition-colors ${
-                    !selectedBook || isSubmitting || selectedBook?.availableQuantity === 0
+                    !selectedBook || isSubmitting
                       ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
                       : 'bg-blue-600 text-white hover:bg-blue-700 focus:ring-2 focus:ring-blue-500 focus:ring-offset-2'
                   }`}
@@ -336,25 +457,21 @@ const UserPage = () => {
                   {isSubmitting ? (
                     <div className="flex items-center justify-center">
                       <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white mr-2"></div>
-                      Issuing Book...
+                      {isHoldMode ? 'Placing Hold...' : 'Issuing Book...'}
                     </div>
                   ) : (
-                    'Issue Book'
+                    isHoldMode ? 'Place Hold' : 'Issue Book'
                   )}
                 </button>
-
-                {selectedBook?.availableQuantity === 0 && (
-                  <p className="text-red-500 text-sm text-center mt-2">
-                    This book is currently out of stock
-                  </p>
-                )}
               </form>
 
               {/* Note */}
               <div className="mt-6 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
                 <p className="text-yellow-800 text-sm">
-                  <strong>Note:</strong> Books must be returned within 14 days from the issue date.
-                  Late returns may incur penalties.
+                  <strong>Note:</strong> Books must be returned by the due date given when the book is issued, which depends on the book and on whether the library has you down as a student, faculty or staff member.
+                  You can have up to {BORROWING_POLICY.maxActiveLoans} books at a time.
+                  Late returns are fined {formatCurrency(FINE_POLICY.ratePerDay)} per day after a{' '}
+                  {FINE_POLICY.graceDays}-day grace period.
                 </p>
               </div>
             </div>
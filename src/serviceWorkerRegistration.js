@@ -0,0 +1,30 @@
+import { API_BASE_URL } from './api/client';
+
+// Registers public/service-worker.js, which keeps the app and the catalogue
+// available offline. Production builds only: in development a cached app
+// shell would hide changes. Skipped when PUBLIC_URL is on another origin
+// (e.g. a CDN), since a service worker must be served from the page's own.
+
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', () => {
+    const workerUrl = `${process.env.PUBLIC_URL}/service-worker.js?api=${encodeURIComponent(API_BASE_URL)}`;
+    navigator.serviceWorker.register(workerUrl).catch(error => {
+      console.error('Error registering service worker:', error);
+    });
+  });
+};
+
+export const unregister = () => {
+  if (!('serviceWorker' in navigator)) return;
+
+  navigator.serviceWorker.ready
+    .then(registration => registration.unregister())
+    .catch(error => {
+      console.error('Error unregistering service worker:', error);
+    });
+};
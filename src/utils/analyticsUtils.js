@@ -0,0 +1,148 @@
+// Circulation analytics for the admin dashboard, computed from issue records
+// wherever the backend does not provide a figure itself
+
+import { startOfDay, isReturned, getIssueBookId, getDaysRemaining } from './loanUtils';
+import { DEFAULT_CLOSURE_CALENDAR, parseDate } from './closureUtils';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+export const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Monday first, as the library's week runs
+export const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const toWeekdayIndex = (date) => (date.getDay() + 6) % 7;
+
+// Dates are bucketed by their local calendar day; see parseDate
+const isInYear = (value, year) => !!value && parseDate(value).getFullYear() === year;
+
+// Years that have any loans, newest first, always including the current year
+export const getIssueYears = (issues, now = new Date()) => {
+  const years = new Set([now.getFullYear()]);
+  issues.forEach(issue => {
+    if (issue.issueDate) years.add(parseDate(issue.issueDate).getFullYear());
+  });
+  return [...years].sort((a, b) => b - a);
+};
+
+// Issues and returns per month of `year`, as 12 rows of { month, label, issues, returns }
+export const buildMonthlyCirculation = (issues, year) => {
+  const rows = MONTH_LABELS.map((label, index) => ({ month: index + 1, label, issues: 0, returns: 0 }));
+
+  issues.forEach(issue => {
+    if (isInYear(issue.issueDate, year)) {
+      rows[parseDate(issue.issueDate).getMonth()].issues += 1;
+    }
+    if (isReturned(issue) && isInYear(issue.actualReturnDate, year)) {
+      rows[parseDate(issue.actualReturnDate).getMonth()].returns += 1;
+    }
+  });
+
+  return rows;
+};
+
+// Shape /admin/monthly-stats rows ({ month: 1-12, issues, returns }) like
+// buildMonthlyCirculation. Returns null when the server sent nothing usable.
+export const normaliseMonthlyStats = (monthlyStats) => {
+  if (!Array.isArray(monthlyStats) || monthlyStats.length === 0) return null;
+
+  const rows = MONTH_LABELS.map((label, index) => ({ month: index + 1, label, issues: 0, returns: 0 }));
+  monthlyStats.forEach(stat => {
+    const row = rows[stat.month - 1];
+    if (!row) return;
+    row.issues = stat.issues || 0;
+    row.returns = stat.returns || 0;
+  });
+  return rows;
+};
+
+// Books lent most often, as [{ bookId, title, author, count }]
+export const getMostBorrowedBooks = (issues, limit = 5) => {
+  const counts = new Map();
+
+  issues.forEach(issue => {
+    const bookId = getIssueBookId(issue);
+    if (!bookId) return;
+    const entry = counts.get(bookId) || {
+      bookId,
+      title: issue.bookId?.title || 'Unknown Book',
+      author: issue.bookId?.author || '',
+      count: 0
+    };
+    entry.count += 1;
+    counts.set(bookId, entry);
+  });
+
+  return [...counts.values()].sort((a, b) => b.count - a.count).slice(0, limit);
+};
+
+// Categories lent most often, as [{ category, count }]
+export const getMostBorrowedCategories = (issues, limit = 5) => {
+  const counts = new Map();
+
+  issues.forEach(issue => {
+    const category = issue.bookId?.category || 'Uncategorised';
+    counts.set(category, (counts.get(category) || 0) + 1);
+  });
+
+  return [...counts.entries()]
+    .map(([category, count]) => ({ category, count }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit);
+};
+
+// Mean days from issue to return over returned loans, or null with none
+export const getAverageLoanDuration = (issues) => {
+  const durations = issues
+    .filter(issue => isReturned(issue) && issue.actualReturnDate && issue.issueDate)
+    .map(issue => (startOfDay(issue.actualReturnDate) - startOfDay(issue.issueDate)) / MS_PER_DAY);
+
+  if (durations.length === 0) return null;
+  return durations.reduce((total, days) => total + days, 0) / durations.length;
+};
+
+// A loan counts as late once it was returned after, or is still out past, its
+// due date (rolled past any day the library was closed)
+const isLate = (issue, now, calendar) => {
+  if (isReturned(issue)) {
+    return !!issue.actualReturnDate && getDaysRemaining(issue.expectedReturnDate, issue.actualReturnDate, calendar) < 0;
+  }
+  return getDaysRemaining(issue.expectedReturnDate, now, calendar) < 0;
+};
+
+// Share of loans falling due each month of `year` that came back late, as 12
+// rows of { month, label, due, late, rate }. `rate` is a percentage, or null
+// for months with nothing due yet.
+export const getOverdueRateByMonth = (issues, year, now = new Date(), calendar = DEFAULT_CLOSURE_CALENDAR) => {
+  const rows = MONTH_LABELS.map((label, index) => ({ month: index + 1, label, due: 0, late: 0, rate: null }));
+  issues.forEach(issue => {
+    if (!isInYear(issue.expectedReturnDate, year)) return;
+    // Loans not yet due cannot be late
+    if (!isReturned(issue) && getDaysRemaining(issue.expectedReturnDate, now, calendar) >= 0) return;
+
+    const row = rows[parseDate(issue.expectedReturnDate).getMonth()];
+    row.due += 1;
+    if (isLate(issue, now, calendar)) row.late += 1;
+  });
+
+  rows.forEach(row => {
+    if (row.due > 0) row.rate = Math.round((row.late / row.due) * 100);
+  });
+  return rows;
+};
+
+// Issues and returns per weekday, as 7 rows of { label, issues, returns }
+export const getBusiestWeekdays = (issues) => {
+  const rows = WEEKDAY_LABELS.map(label => ({ label, issues: 0, returns: 0 }));
+
+  issues.forEach(issue => {
+    if (issue.issueDate) {
+      rows[toWeekdayIndex(parseDate(issue.issueDate))].issues += 1;
+    }
+    if (isReturned(issue) && issue.actualReturnDate) {
+      rows[toWeekdayIndex(parseDate(issue.actualReturnDate))].returns += 1;
+    }
+  });
+
+  return rows;
+};
@@ -0,0 +1,99 @@
+// Runs west of UTC (see scripts/jest-timezone.js), where new Date('2027-01-01')
+// is still 31 December, so date-only values must go through parseDate.
+
+import {
+  getIssueYears,
+  buildMonthlyCirculation,
+  normaliseMonthlyStats,
+  getMostBorrowedBooks,
+  getMostBorrowedCategories,
+  getAverageLoanDuration,
+  getOverdueRateByMonth,
+  getBusiestWeekdays
+} from './analyticsUtils';
+import { normaliseClosureCalendar } from './closureUtils';
+
+const calendar = normaliseClosureCalendar({ closedWeekdays: [] });
+
+const loan = (overrides) => ({
+  _id: Math.random().toString(36),
+  bookId: { _id: 'book-1', title: 'Dune', author: 'Frank Herbert', category: 'Fiction' },
+  status: 'issued',
+  issueDate: '2026-10-19',
+  expectedReturnDate: '2026-11-02',
+  ...overrides
+});
+
+describe('date-only values near boundaries', () => {
+  it('counts a loan issued on 1 January in that year and month', () => {
+    const issues = [loan({ issueDate: '2027-01-01' })];
+    expect(getIssueYears(issues, new Date(2026, 5, 1))).toEqual([2027, 2026]);
+    expect(buildMonthlyCirculation(issues, 2027)[0].issues).toBe(1);
+    expect(buildMonthlyCirculation(issues, 2026)[11].issues).toBe(0);
+  });
+
+  it('counts a Monday loan as Monday', () => {
+    const rows = getBusiestWeekdays([loan({ issueDate: '2026-10-19', status: 'returned', actualReturnDate: '2026-10-25' })]);
+    expect(rows.find(row => row.issues).label).toBe('Mon');
+    expect(rows.find(row => row.returns).label).toBe('Sun');
+  });
+
+  it('puts a loan due on 1 March in March', () => {
+    const rows = getOverdueRateByMonth(
+      [loan({ expectedReturnDate: '2027-03-01', status: 'returned', actualReturnDate: '2027-03-04' })],
+      2027,
+      new Date(2027, 5, 1),
+      calendar
+    );
+    expect(rows[2]).toMatchObject({ due: 1, late: 1, rate: 100 });
+    expect(rows[1].due).toBe(0);
+  });
+});
+
+describe('buildMonthlyCirculation / normaliseMonthlyStats', () => {
+  it('counts issues and returns by month', () => {
+    const rows = buildMonthlyCirculation([
+      loan({ issueDate: '2026-10-05' }),
+      loan({ issueDate: '2026-10-20', status: 'returned', actualReturnDate: '2026-11-03' })
+    ], 2026);
+    expect(rows[9]).toMatchObject({ label: 'Oct', issues: 2, returns: 0 });
+    expect(rows[10]).toMatchObject({ label: 'Nov', issues: 0, returns: 1 });
+  });
+
+  it('shapes server rows the same way, or gives null for nothing', () => {
+    expect(normaliseMonthlyStats([{ month: 2, issues: 4 }, { month: 13, issues: 9 }])[1])
+      .toEqual({ month: 2, label: 'Feb', issues: 4, returns: 0 });
+    expect(normaliseMonthlyStats([])).toBeNull();
+  });
+});
+
+describe('getOverdueRateByMonth', () => {
+  it('leaves out loans not yet due and counts ones still out past due as late', () => {
+    const now = new Date(2026, 10, 10);
+    const rows = getOverdueRateByMonth([
+      loan({ expectedReturnDate: '2026-11-05' }),
+      loan({ expectedReturnDate: '2026-11-08', status: 'returned', actualReturnDate: '2026-11-07' }),
+      loan({ expectedReturnDate: '2026-11-20' })
+    ], 2026, now, calendar);
+    expect(rows[10]).toMatchObject({ due: 2, late: 1, rate: 50 });
+    expect(rows[9].rate).toBeNull();
+  });
+});
+
+describe('most borrowed and loan duration', () => {
+  const issues = [
+    loan({ status: 'returned', issueDate: '2026-10-01', actualReturnDate: '2026-10-11' }),
+    loan({ status: 'returned', issueDate: '2026-10-01', actualReturnDate: '2026-10-05' }),
+    loan({ bookId: { _id: 'book-2', title: 'Emma', author: 'Jane Austen', category: 'Classics' } })
+  ];
+
+  it('ranks books and categories by loans', () => {
+    expect(getMostBorrowedBooks(issues, 1)).toEqual([{ bookId: 'book-1', title: 'Dune', author: 'Frank Herbert', count: 2 }]);
+    expect(getMostBorrowedCategories(issues)).toEqual([{ category: 'Fiction', count: 2 }, { category: 'Classics', count: 1 }]);
+  });
+
+  it('averages whole days over returned loans only', () => {
+    expect(getAverageLoanDuration(issues)).toBe(7);
+    expect(getAverageLoanDuration([loan()])).toBeNull();
+  });
+});
@@ -0,0 +1,127 @@
+// Helpers for the admin audit log: what was changed, by whom and when
+
+export const AUDIT_ENTITIES = {
+  BOOK: 'book',
+  COPY: 'copy',
+  ISSUE: 'issue',
+  HOLD: 'hold',
+  FINE: 'fine',
+  MEMBER: 'member',
+  SETTING: 'setting'
+};
+
+export const AUDIT_ENTITY_LABELS = {
+  [AUDIT_ENTITIES.BOOK]: 'Book',
+  [AUDIT_ENTITIES.COPY]: 'Copy',
+  [AUDIT_ENTITIES.ISSUE]: 'Loan',
+  [AUDIT_ENTITIES.HOLD]: 'Hold',
+  [AUDIT_ENTITIES.FINE]: 'Fine',
+  [AUDIT_ENTITIES.MEMBER]: 'Member',
+  [AUDIT_ENTITIES.SETTING]: 'Setting'
+};
+
+export const AUDIT_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete',
+  RESTORE: 'restore',
+  PURGE: 'purge',
+  ISSUE: 'issue',
+  RETURN: 'return',
+  RENEW: 'renew',
+  COLLECT: 'collect',
+  CANCEL: 'cancel',
+  EXPIRE: 'expire',
+  PAYMENT: 'payment',
+  WAIVE: 'waive',
+  BLOCK: 'block',
+  UNBLOCK: 'unblock'
+};
+
+export const AUDIT_ACTION_LABELS = {
+  [AUDIT_ACTIONS.CREATE]: 'Created',
+  [AUDIT_ACTIONS.UPDATE]: 'Updated',
+  [AUDIT_ACTIONS.DELETE]: 'Moved to trash',
+  [AUDIT_ACTIONS.RESTORE]: 'Restored',
+  [AUDIT_ACTIONS.PURGE]: 'Permanently deleted',
+  [AUDIT_ACTIONS.ISSUE]: 'Issued',
+  [AUDIT_ACTIONS.RETURN]: 'Returned',
+  [AUDIT_ACTIONS.RENEW]: 'Renewed',
+  [AUDIT_ACTIONS.COLLECT]: 'Collected',
+  [AUDIT_ACTIONS.CANCEL]: 'Cancelled',
+  [AUDIT_ACTIONS.EXPIRE]: 'Expired',
+  [AUDIT_ACTIONS.PAYMENT]: 'Payment recorded',
+  [AUDIT_ACTIONS.WAIVE]: 'Waived',
+  [AUDIT_ACTIONS.BLOCK]: 'Blocked',
+  [AUDIT_ACTIONS.UNBLOCK]: 'Unblocked'
+};
+
+export const AUDIT_ACTION_COLORS = {
+  [AUDIT_ACTIONS.CREATE]: 'bg-green-100 text-green-800',
+  [AUDIT_ACTIONS.UPDATE]: 'bg-blue-100 text-blue-800',
+  [AUDIT_ACTIONS.DELETE]: 'bg-red-100 text-red-800',
+  [AUDIT_ACTIONS.RESTORE]: 'bg-green-100 text-green-800',
+  [AUDIT_ACTIONS.PURGE]: 'bg-red-100 text-red-800',
+  [AUDIT_ACTIONS.BLOCK]: 'bg-red-100 text-red-800',
+  [AUDIT_ACTIONS.UNBLOCK]: 'bg-green-100 text-green-800'
+};
+
+// Bookkeeping fields that are never worth showing in a diff
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'statusHistory', 'renewals', 'payments'];
+
+// Empty strings and missing values both count as "no value"
+const isSameValue = (a, b) => {
+  if ((a ?? '') === (b ?? '')) return true;
+  if (a == null || b == null) return false;
+  if (typeof a === 'object' || typeof b === 'object') return JSON.stringify(a) === JSON.stringify(b);
+  return String(a) === String(b);
+};
+
+// Field-by-field changes between two versions of a record, as
+// [{ field, from, to }]. A create has no `before` and a delete no `after`;
+// for an update only the fields present in `after` are compared, so a partial
+// payload can be passed as is.
+export const diffRecords = (before, after) => {
+  const fields = Object.keys(after || before || {});
+
+  return fields
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .map(field => ({
+      field,
+      from: before?.[field] ?? null,
+      to: after?.[field] ?? null
+    }))
+    .filter(({ from, to }) => !isSameValue(from, to));
+};
+
+// Build the entry sent to auditAPI.recordEntry
+export const buildAuditEntry = (
+  { action, entityType, entityId, entityLabel, before = null, after = null, note = '' },
+  actor,
+  now = new Date()
+) => ({
+  action,
+  entityType,
+  entityId,
+  entityLabel,
+  actor: actor?.username || 'unknown',
+  actorRole: actor?.role || null,
+  timestamp: now.toISOString(),
+  changes: diffRecords(before, after),
+  note
+});
+
+// Short display form of a value in a diff
+export const formatAuditValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return value.title || value.accessionNumber || JSON.stringify(value);
+  return String(value);
+};
+
+// How a loan or hold is named in the log, e.g. "Clean Code → Asha Rao (ERP1023)"
+export const getIssueAuditLabel = (issue) =>
+  `${issue.bookId?.title || 'Unknown Book'} → ${issue.userName} (${issue.erpId})`;
+
+// How a member is named in the log, e.g. "Asha Rao (ERP1023)"
+export const getMemberAuditLabel = (member) =>
+  member.name ? `${member.name} (${member.erpId})` : member.erpId;
@@ -0,0 +1,35 @@
+// Work out what a scanned barcode refers to
+
+import { ACCESSION_PATTERN } from '../config/catalogue';
+import { MEMBER_ID_PATTERN } from '../config/circulation';
+import { getIsbnError, normaliseIsbn } from './isbn';
+
+export const SCAN_TYPE = {
+  BOOK: 'book',
+  COPY: 'copy',
+  MEMBER: 'member',
+  UNKNOWN: 'unknown'
+};
+
+// Publisher barcodes carry the ISBN (EAN-13), our copy labels carry the
+// accession number and member cards carry the ERP ID. Member cards are
+// recognised before ISBNs so a numeric ERP ID that happens to pass the ISBN-10
+// checksum is not looked up as a book; an ISBN-10 in that shape can still be
+// entered with hyphens or as its ISBN-13.
+export const classifyScan = (rawValue) => {
+  const value = String(rawValue || '').trim();
+
+  if (ACCESSION_PATTERN.test(value)) {
+    return { type: SCAN_TYPE.COPY, value: value.toUpperCase() };
+  }
+  if (MEMBER_ID_PATTERN.test(value)) {
+    return { type: SCAN_TYPE.MEMBER, value };
+  }
+  if (!getIsbnError(value)) {
+    return { type: SCAN_TYPE.BOOK, value: normaliseIsbn(value) };
+  }
+  if (/^[A-Za-z0-9]+$/.test(value)) {
+    return { type: SCAN_TYPE.MEMBER, value };
+  }
+  return { type: SCAN_TYPE.UNKNOWN, value };
+};
@@ -0,0 +1,26 @@
+import { classifyScan, SCAN_TYPE } from './barcode';
+import { isValidIsbn10 } from './isbn';
+
+describe('classifyScan', () => {
+  it('reads copy labels, publisher barcodes and member cards', () => {
+    expect(classifyScan(' acc000123 ')).toEqual({ type: SCAN_TYPE.COPY, value: 'ACC000123' });
+    expect(classifyScan('978-0-441-01359-3')).toEqual({ type: SCAN_TYPE.BOOK, value: '9780441013593' });
+    expect(classifyScan('ERP1023')).toEqual({ type: SCAN_TYPE.MEMBER, value: 'ERP1023' });
+  });
+
+  it('takes a ten-digit ERP ID as a member even when it passes the ISBN-10 checksum', () => {
+    expect(isValidIsbn10('0441013597')).toBe(true);
+    expect(classifyScan('0441013597')).toEqual({ type: SCAN_TYPE.MEMBER, value: '0441013597' });
+  });
+
+  it('still reads an ISBN-10 entered with hyphens or an X check digit', () => {
+    expect(classifyScan('0-441-01359-7')).toEqual({ type: SCAN_TYPE.BOOK, value: '0441013597' });
+    expect(classifyScan('080442957X')).toEqual({ type: SCAN_TYPE.BOOK, value: '080442957X' });
+  });
+
+  it('takes other letters-and-digits values as members and the rest as unknown', () => {
+    expect(classifyScan('STAFF-7')).toEqual({ type: SCAN_TYPE.UNKNOWN, value: 'STAFF-7' });
+    expect(classifyScan('12345')).toEqual({ type: SCAN_TYPE.MEMBER, value: '12345' });
+    expect(classifyScan('')).toEqual({ type: SCAN_TYPE.UNKNOWN, value: '' });
+  });
+});
@@ -0,0 +1,125 @@
+// Column mapping and row validation for bulk book imports
+
+import { BOOK_CATEGORIES } from '../config/catalogue';
+import { getIsbnError, toCanonicalIsbn } from './isbn';
+
+// Book fields an import column can map to. Aliases are compared after
+// lower-casing and stripping spaces, dashes and underscores.
+export const BOOK_IMPORT_FIELDS = [
+  { field: 'title', label: 'Title', required: true, aliases: ['title', 'booktitle', 'name'] },
+  { field: 'author', label: 'Author', required: true, aliases: ['author', 'authors', 'writer'] },
+  { field: 'isbn', label: 'ISBN', required: true, aliases: ['isbn', 'isbn10', 'isbn13'] },
+  { field: 'category', label: 'Category', required: true, aliases: ['category', 'genre', 'subject'] },
+  { field: 'publisher', label: 'Publisher', required: false, aliases: ['publisher'] },
+  { field: 'publicationYear', label: 'Publication Year', required: false, aliases: ['publicationyear', 'year', 'published'] },
+  { field: 'totalQuantity', label: 'Quantity', required: false, aliases: ['totalquantity', 'quantity', 'copies', 'qty'] },
+  { field: 'language', label: 'Language', required: false, aliases: ['language', 'lang'] },
+  { field: 'description', label: 'Description', required: false, aliases: ['description', 'summary'] },
+  { field: 'location', label: 'Location', required: false, aliases: ['location', 'shelf', 'shelflocation'] }
+];
+
+const normaliseHeader = (header) => header.toLowerCase().replace(/[\s_-]/g, '');
+
+// Guess which CSV column feeds each book field. Returns { field: header }.
+export const autoMapColumns = (headers) => {
+  const mapping = {};
+
+  BOOK_IMPORT_FIELDS.forEach(({ field, aliases }) => {
+    const match = headers.find(header => aliases.includes(normaliseHeader(header)));
+    if (match) mapping[field] = match;
+  });
+
+  return mapping;
+};
+
+const findCategory = (value) =>
+  BOOK_CATEGORIES.find(category => category.toLowerCase() === value.toLowerCase());
+
+// Turn one CSV record into a book payload plus any validation errors
+const buildRow = (record, mapping, rowNumber) => {
+  const read = (field) => (mapping[field] ? (record[mapping[field]] || '').trim() : '');
+  const errors = [];
+
+  BOOK_IMPORT_FIELDS.filter(({ required }) => required).forEach(({ field, label }) => {
+    if (!read(field)) errors.push(`${label} is missing`);
+  });
+
+  const rawIsbn = read('isbn');
+  const isbnError = rawIsbn ? getIsbnError(rawIsbn) : null;
+  if (isbnError) errors.push(isbnError);
+  const isbn = toCanonicalIsbn(rawIsbn);
+
+  const rawCategory = read('category');
+  const category = rawCategory ? findCategory(rawCategory) : '';
+  if (rawCategory && !category) {
+    errors.push(`Unknown category "${rawCategory}"`);
+  }
+
+  const rawQuantity = read('totalQuantity');
+  const totalQuantity = rawQuantity ? parseInt(rawQuantity, 10) : 1;
+  if (!(totalQuantity >= 1)) {
+    errors.push('Quantity must be at least 1');
+  }
+
+  const rawYear = read('publicationYear');
+  const publicationYear = rawYear ? parseInt(rawYear, 10) : undefined;
+  if (rawYear && !(publicationYear >= 1000 && publicationYear <= new Date().getFullYear())) {
+    errors.push('Publication year is not valid');
+  }
+
+  return {
+    rowNumber,
+    errors,
+    book: {
+      title: read('title'),
+      author: read('author'),
+      isbn,
+      category: category || rawCategory,
+      publisher: read('publisher'),
+      publicationYear,
+      totalQuantity,
+      availableQuantity: totalQuantity,
+      language: read('language') || 'English',
+      description: read('description'),
+      location: read('location')
+    }
+  };
+};
+
+// Validate every record. Spreadsheet row numbers start at 2 (after the header).
+export const buildImportRows = (records, mapping) => {
+  const rows = records.map((record, index) => buildRow(record, mapping, index + 2));
+
+  // Flag ISBNs repeated within the file itself
+  const firstSeen = {};
+  rows.forEach((row) => {
+    const { isbn } = row.book;
+    if (!isbn) return;
+    if (firstSeen[isbn]) {
+      row.errors.push(`Duplicate of row ${firstSeen[isbn]} in this file`);
+    } else {
+      firstSeen[isbn] = row.rowNumber;
+    }
+  });
+
+  return rows;
+};
+
+// Flag rows whose ISBN is already in the catalogue, in either ISBN form
+export const markCatalogueDuplicates = (rows, existingIsbns) => {
+  const existing = new Set(existingIsbns.map(toCanonicalIsbn));
+
+  return rows.map(row =>
+    existing.has(row.book.isbn)
+      ? { ...row, errors: [...row.errors, 'ISBN already exists in the catalogue'] }
+      : row
+  );
+};
+
+export const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
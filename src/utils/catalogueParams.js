@@ -0,0 +1,58 @@
+// Conversions between the catalogue URL query string, UI state and the
+// params sent to booksAPI.getAllBooks
+
+import { DEFAULT_CATALOGUE_PARAMS } from '../config/catalogue';
+
+const NUMERIC_KEYS = ['page', 'limit'];
+
+export const parseCatalogueParams = (searchParams, defaults = DEFAULT_CATALOGUE_PARAMS) => {
+  const params = { ...defaults };
+
+  Object.keys(defaults).forEach((key) => {
+    const value = searchParams.get(key);
+    if (value === null) return;
+
+    if (NUMERIC_KEYS.includes(key)) {
+      const parsed = parseInt(value, 10);
+      if (parsed > 0) params[key] = parsed;
+    } else {
+      params[key] = value;
+    }
+  });
+
+  return params;
+};
+
+// Only values that differ from the defaults end up in the URL
+export const serializeCatalogueParams = (params, defaults = DEFAULT_CATALOGUE_PARAMS) => {
+  const query = {};
+
+  Object.keys(defaults).forEach((key) => {
+    const value = params[key];
+    if (value !== undefined && value !== '' && value !== defaults[key]) {
+      query[key] = String(value);
+    }
+  });
+
+  return query;
+};
+
+// Shape expected by the books endpoint
+export const toBooksQueryParams = (params) => {
+  const { availability, ...rest } = params;
+  const query = {};
+
+  Object.entries(rest).forEach(([key, value]) => {
+    if (value !== '' && value !== undefined && value !== null) {
+      query[key] = value;
+    }
+  });
+
+  if (availability === 'available') query.available = true;
+  if (availability === 'unavailable') query.available = false;
+
+  return query;
+};
+
+export const hasActiveFilters = (params) =>
+  ['search', 'category', 'language', 'author', 'availability'].some(key => !!params[key]);
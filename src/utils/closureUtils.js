@@ -0,0 +1,105 @@
+// The library's closure calendar: weekdays it is always shut plus dated
+// closures such as university holidays. A calendar is
+// { closedWeekdays: [0-6], closures: [{ from, to, label }] } with dates as
+// YYYY-MM-DD; `to` is inclusive.
+//
+// Helpers take the calendar to use as an argument. Components get the saved
+// one from useClosureCalendar; DEFAULT_CLOSURE_CALENDAR, only the weekly
+// CLOSED_WEEKDAYS, stands in where none is passed.
+
+import { CLOSED_WEEKDAYS } from '../config/circulation';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Longest run of closed days a due date is rolled over, so a calendar with
+// every weekday closed cannot loop forever
+const MAX_ROLL_DAYS = 366;
+
+const DATE_KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// A Date for `value`, reading a bare YYYY-MM-DD as local midnight. new Date()
+// reads it as UTC midnight, which west of UTC is the evening before.
+export const parseDate = (value) => {
+  const match = typeof value === 'string' && value.match(DATE_KEY_PATTERN);
+  if (match) return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return new Date(value);
+};
+
+// Local calendar date of a value as YYYY-MM-DD
+export const toDateKey = (value) => {
+  const date = parseDate(value);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+// Calendar as saved on the server, with closures sorted by start date
+export const normaliseClosureCalendar = (calendar, fallbackWeekdays = CLOSED_WEEKDAYS) => ({
+  closedWeekdays: Array.isArray(calendar?.closedWeekdays)
+    ? calendar.closedWeekdays.map(Number)
+    : fallbackWeekdays,
+  closures: (calendar?.closures || [])
+    .filter(closure => closure.from)
+    .map(closure => ({
+      from: closure.from,
+      to: closure.to && closure.to >= closure.from ? closure.to : closure.from,
+      label: closure.label || ''
+    }))
+    .sort((a, b) => a.from.localeCompare(b.from))
+});
+
+export const DEFAULT_CLOSURE_CALENDAR = normaliseClosureCalendar(null);
+
+// The dated closure covering a day, or null
+export const getClosureOn = (value, calendar = DEFAULT_CLOSURE_CALENDAR) => {
+  const key = toDateKey(value);
+  return calendar.closures.find(closure => closure.from <= key && key <= closure.to) || null;
+};
+
+export const isClosedDay = (value, calendar = DEFAULT_CLOSURE_CALENDAR) =>
+  calendar.closedWeekdays.includes(parseDate(value).getDay()) || !!getClosureOn(value, calendar);
+
+// The first open day on or after `value`, keeping its time of day
+export const rollToOpenDay = (value, calendar = DEFAULT_CLOSURE_CALENDAR) => {
+  const date = parseDate(value);
+  for (let i = 0; i < MAX_ROLL_DAYS && isClosedDay(date, calendar); i++) {
+    date.setDate(date.getDate() + 1);
+  }
+  return date;
+};
+
+// Open days after `from` up to and including `to`
+export const countOpenDays = (from, to, calendar = DEFAULT_CLOSURE_CALENDAR) => {
+  const date = parseDate(from);
+  const end = parseDate(to);
+  let count = 0;
+
+  date.setDate(date.getDate() + 1);
+  while (date <= end) {
+    if (!isClosedDay(date, calendar)) count += 1;
+    date.setDate(date.getDate() + 1);
+  }
+  return count;
+};
+
+// Dated closures that end on or after today, soonest first
+export const getUpcomingClosures = (calendar, now = new Date()) => {
+  const today = toDateKey(now);
+  return calendar.closures.filter(closure => closure.to >= today);
+};
+
+// Length of a dated closure in days
+export const getClosureLength = (closure) =>
+  Math.round((parseDate(closure.to) - parseDate(closure.from)) / MS_PER_DAY) + 1;
+
+// First problem with an edited calendar, or null when it can be saved
+export const validateClosureCalendar = (calendar) => {
+  if (calendar.closedWeekdays.length >= 7) {
+    return 'The library must be open on at least one day of the week';
+  }
+  const invalid = calendar.closures.find(closure => closure.to < closure.from);
+  if (invalid) {
+    return `"${invalid.label || invalid.from}" ends before it starts`;
+  }
+  return null;
+};
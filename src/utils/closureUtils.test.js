@@ -0,0 +1,95 @@
+import {
+  parseDate,
+  toDateKey,
+  normaliseClosureCalendar,
+  isClosedDay,
+  rollToOpenDay,
+  countOpenDays,
+  getClosureLength,
+  validateClosureCalendar
+} from './closureUtils';
+
+// Sundays closed, plus a break that runs into the weekend:
+// Wed 21 to Sat 24 October 2026
+const calendar = normaliseClosureCalendar({
+  closedWeekdays: [0],
+  closures: [{ from: '2026-10-21', to: '2026-10-24', label: 'Diwali break' }]
+});
+
+describe('parseDate / toDateKey', () => {
+  it('reads YYYY-MM-DD as a local date', () => {
+    const date = parseDate('2026-10-21');
+    expect([date.getFullYear(), date.getMonth(), date.getDate(), date.getHours()]).toEqual([2026, 9, 21, 0]);
+    expect(toDateKey('2026-10-21')).toBe('2026-10-21');
+  });
+
+  it('formats the local day of a Date', () => {
+    expect(toDateKey(new Date(2026, 0, 5, 23, 30))).toBe('2026-01-05');
+  });
+});
+
+describe('normaliseClosureCalendar', () => {
+  it('sorts closures and makes a missing end the start day', () => {
+    expect(normaliseClosureCalendar({
+      closedWeekdays: ['6'],
+      closures: [{ from: '2026-12-25' }, { from: '2026-11-01', to: '2026-10-01', label: 'Typo' }, { to: '2026-01-01' }]
+    })).toEqual({
+      closedWeekdays: [6],
+      closures: [
+        { from: '2026-11-01', to: '2026-11-01', label: 'Typo' },
+        { from: '2026-12-25', to: '2026-12-25', label: '' }
+      ]
+    });
+  });
+});
+
+describe('isClosedDay', () => {
+  it('is closed on closed weekdays and inside dated closures', () => {
+    expect(isClosedDay('2026-10-18', calendar)).toBe(true);
+    expect(isClosedDay('2026-10-21', calendar)).toBe(true);
+    expect(isClosedDay('2026-10-24', calendar)).toBe(true);
+    expect(isClosedDay('2026-10-20', calendar)).toBe(false);
+  });
+});
+
+describe('rollToOpenDay', () => {
+  it('leaves an open day alone', () => {
+    expect(toDateKey(rollToOpenDay('2026-10-20', calendar))).toBe('2026-10-20');
+  });
+
+  it('rolls across a closure run and the closed Sunday after it', () => {
+    expect(toDateKey(rollToOpenDay('2026-10-21', calendar))).toBe('2026-10-26');
+    expect(toDateKey(rollToOpenDay('2026-10-23', calendar))).toBe('2026-10-26');
+  });
+
+  it('keeps the time of day', () => {
+    const rolled = rollToOpenDay(new Date(2026, 9, 22, 15, 45), calendar);
+    expect([toDateKey(rolled), rolled.getHours(), rolled.getMinutes()]).toEqual(['2026-10-26', 15, 45]);
+  });
+
+  it('gives up rather than loop when every day is closed', () => {
+    const alwaysClosed = normaliseClosureCalendar({ closedWeekdays: [0, 1, 2, 3, 4, 5, 6] });
+    expect(rollToOpenDay('2026-10-20', alwaysClosed)).toBeInstanceOf(Date);
+  });
+});
+
+describe('countOpenDays', () => {
+  it('counts only open days after the start', () => {
+    // Tue 20 to Tue 27: the break and Sunday leave Mon 26 and Tue 27
+    expect(countOpenDays('2026-10-20', '2026-10-27', calendar)).toBe(2);
+    expect(countOpenDays('2026-10-20', '2026-10-20', calendar)).toBe(0);
+  });
+});
+
+describe('getClosureLength / validateClosureCalendar', () => {
+  it('counts both ends of a closure', () => {
+    expect(getClosureLength(calendar.closures[0])).toBe(4);
+  });
+
+  it('refuses a calendar with every weekday closed or a closure ending early', () => {
+    expect(validateClosureCalendar(calendar)).toBeNull();
+    expect(validateClosureCalendar({ closedWeekdays: [0, 1, 2, 3, 4, 5, 6], closures: [] })).toMatch(/open on at least one day/);
+    expect(validateClosureCalendar({ closedWeekdays: [], closures: [{ from: '2026-10-02', to: '2026-10-01', label: 'Gandhi Jayanti' }] }))
+      .toBe('"Gandhi Jayanti" ends before it starts');
+  });
+});
@@ -0,0 +1,75 @@
+// Helpers for individual book copies (accession records)
+
+export const COPY_STATUS = {
+  AVAILABLE: 'available',
+  ISSUED: 'issued',
+  LOST: 'lost',
+  DAMAGED: 'damaged',
+  IN_REPAIR: 'in_repair'
+};
+
+export const COPY_STATUS_LABELS = {
+  [COPY_STATUS.AVAILABLE]: 'Available',
+  [COPY_STATUS.ISSUED]: 'Issued',
+  [COPY_STATUS.LOST]: 'Lost',
+  [COPY_STATUS.DAMAGED]: 'Damaged',
+  [COPY_STATUS.IN_REPAIR]: 'In repair'
+};
+
+export const COPY_STATUS_COLORS = {
+  [COPY_STATUS.AVAILABLE]: 'bg-green-100 text-green-800',
+  [COPY_STATUS.ISSUED]: 'bg-yellow-100 text-yellow-800',
+  [COPY_STATUS.LOST]: 'bg-red-100 text-red-800',
+  [COPY_STATUS.DAMAGED]: 'bg-orange-100 text-orange-800',
+  [COPY_STATUS.IN_REPAIR]: 'bg-gray-100 text-gray-800'
+};
+
+// Statuses staff can set by hand. "Issued" is only set by issuing the copy.
+export const MANUAL_COPY_STATUSES = [
+  COPY_STATUS.AVAILABLE,
+  COPY_STATUS.LOST,
+  COPY_STATUS.DAMAGED,
+  COPY_STATUS.IN_REPAIR
+];
+
+export const getCopyId = (copy) => copy?._id || copy;
+
+// Count copies per status, e.g. { total: 3, available: 2, issued: 1, ... }
+export const summarizeCopies = (copies) =>
+  copies.reduce(
+    (summary, copy) => ({ ...summary, [copy.status]: (summary[copy.status] || 0) + 1 }),
+    { total: copies.length }
+  );
+
+// Build the updateCopy payload for a change, recording it in the copy's history.
+// `note` is kept in the history entry only.
+export const buildCopyUpdate = (copy, { note = '', ...changes }, changedBy, now = new Date()) => ({
+  ...changes,
+  statusHistory: [
+    ...(copy.statusHistory || []),
+    {
+      changedAt: now.toISOString(),
+      changedBy,
+      status: changes.status || copy.status,
+      condition: changes.condition || copy.condition,
+      location: changes.location ?? copy.location,
+      note
+    }
+  ]
+});
+
+// Merge loans and status changes into one newest-first timeline
+export const buildCopyTimeline = (copy, issues) => {
+  const loanEvents = issues.map(issue => ({
+    type: 'loan',
+    date: issue.issueDate,
+    issue
+  }));
+  const statusEvents = (copy.statusHistory || []).map(entry => ({
+    type: 'status',
+    date: entry.changedAt,
+    entry
+  }));
+
+  return [...loanEvents, ...statusEvents].sort((a, b) => new Date(b.date) - new Date(a.date));
+};
@@ -0,0 +1,100 @@
+// Minimal RFC 4180 CSV handling: quoted fields, escaped quotes ("") and
+// commas or line breaks inside quotes.
+
+// Parse CSV text into an array of rows, each an array of cell strings
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Drop a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Ignore blank lines
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// Parse CSV text whose first row is a header into { headers, records }
+export const parseCsvWithHeader = (text) => {
+  const [headerRow = [], ...dataRows] = parseCsv(text);
+  const headers = headerRow.map(header => header.trim());
+
+  const records = dataRows.map(cells =>
+    headers.reduce((record, header, index) => {
+      record[header] = (cells[index] || '').trim();
+      return record;
+    }, {})
+  );
+
+  return { headers, records };
+};
+
+// Quote a cell when it contains a delimiter, quote or line break. Text a
+// spreadsheet would run as a formula (names typed in by borrowers, say
+// "=HYPERLINK(...)") is prefixed with ' so it is shown as text instead.
+// Numbers are left alone so negative values stay numeric.
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const raw = String(value);
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build CSV text from records. Each column is { header, value: record => cell }.
+export const toCsv = (records, columns) => {
+  const lines = [
+    columns.map(column => escapeCell(column.header)).join(','),
+    ...records.map(record => columns.map(column => escapeCell(column.value(record))).join(','))
+  ];
+  return lines.join('\r\n');
+};
+
+// Offer CSV text to the browser as a file download. The byte order mark
+// makes Excel read the file as UTF-8.
+export const downloadCsv = (filename, csvText) => {
+  const blob = new Blob(['\ufeff', csvText], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,51 @@
+import { parseCsv, parseCsvWithHeader, toCsv } from './csv';
+
+describe('parseCsv', () => {
+  it('handles quoted fields, escaped quotes and line breaks in quotes', () => {
+    const text = 'title,author\r\n"Dune, Part One","Frank ""F"" Herbert"\n"Two\nLines",X\n';
+    expect(parseCsv(text)).toEqual([
+      ['title', 'author'],
+      ['Dune, Part One', 'Frank "F" Herbert'],
+      ['Two\nLines', 'X']
+    ]);
+  });
+
+  it('drops a byte order mark and blank lines', () => {
+    expect(parseCsv('\ufeffa,b\n\n , \n1,2')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+});
+
+describe('parseCsvWithHeader', () => {
+  it('keys each row by the trimmed header', () => {
+    expect(parseCsvWithHeader(' isbn ,title\n123, Dune \n456')).toEqual({
+      headers: ['isbn', 'title'],
+      records: [{ isbn: '123', title: 'Dune' }, { isbn: '456', title: '' }]
+    });
+  });
+});
+
+describe('toCsv', () => {
+  const columns = [
+    { header: 'Name', value: record => record.name },
+    { header: 'Fine', value: record => record.fine }
+  ];
+
+  it('quotes cells with delimiters, quotes or line breaks', () => {
+    expect(toCsv([{ name: 'Rao, "Anu"\nB', fine: 5 }], columns))
+      .toBe('Name,Fine\r\n"Rao, ""Anu""\nB",5');
+  });
+
+  it('writes missing values as empty cells', () => {
+    expect(toCsv([{ name: null }], columns)).toBe('Name,Fine\r\n,');
+  });
+
+  it('prefixes text a spreadsheet would run as a formula', () => {
+    const rows = ['=HYPERLINK("x")', '+1', '-1', '@SUM(A1)', '\tTab', '\rReturn'].map(name => ({ name, fine: 0 }));
+    const cells = parseCsv(toCsv(rows, columns)).slice(1).map(([name]) => name);
+    expect(cells).toEqual(["'=HYPERLINK(\"x\")", "'+1", "'-1", "'@SUM(A1)", "'\tTab", "'\rReturn"]);
+  });
+
+  it('leaves negative numbers alone', () => {
+    expect(toCsv([{ name: 'Refund', fine: -5 }], columns)).toBe('Name,Fine\r\nRefund,-5');
+  });
+});
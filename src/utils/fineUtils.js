@@ -0,0 +1,49 @@
+// Overdue fine calculation for issue records
+
+import { getDaysRemaining, isReturned } from './loanUtils';
+import { DEFAULT_CLOSURE_CALENDAR } from './closureUtils';
+
+export const FINE_ENTRY_TYPE = {
+  PAYMENT: 'payment',
+  WAIVER: 'waiver'
+};
+
+export const formatCurrency = (amount) => `₹${Number(amount || 0).toFixed(2)}`;
+
+// Days the book was (or still is) kept past its due date
+export const getDaysLate = (issue, now = new Date(), calendar = DEFAULT_CLOSURE_CALENDAR) => {
+  const endDate = isReturned(issue) && issue.actualReturnDate
+    ? new Date(issue.actualReturnDate)
+    : now;
+  return Math.max(0, -getDaysRemaining(issue.expectedReturnDate, endDate, calendar));
+};
+
+const sumEntries = (issue, type) =>
+  (issue.finePayments || [])
+    .filter(entry => entry.type === type)
+    .reduce((total, entry) => total + Number(entry.amount || 0), 0);
+
+// Full fine breakdown for an issue under the given policy
+export const calculateFine = (issue, policy, now = new Date(), calendar = DEFAULT_CLOSURE_CALENDAR) => {
+  const daysLate = getDaysLate(issue, now, calendar);
+  const chargeableDays = Math.max(0, daysLate - policy.graceDays);
+  const amount = Math.min(chargeableDays * policy.ratePerDay, policy.maxPerItem);
+  const paid = sumEntries(issue, FINE_ENTRY_TYPE.PAYMENT);
+  const waived = sumEntries(issue, FINE_ENTRY_TYPE.WAIVER);
+
+  return {
+    daysLate,
+    chargeableDays,
+    amount,
+    paid,
+    waived,
+    outstanding: Math.max(0, amount - paid - waived),
+    isCapped: chargeableDays * policy.ratePerDay > policy.maxPerItem
+  };
+};
+
+// Issues that have accrued any fine, with their breakdown attached
+export const getFinedIssues = (issues, policy, now = new Date(), calendar = DEFAULT_CLOSURE_CALENDAR) =>
+  issues
+    .map(issue => ({ issue, fine: calculateFine(issue, policy, now, calendar) }))
+    .filter(({ fine }) => fine.amount > 0);
@@ -0,0 +1,97 @@
+import { getDaysLate, calculateFine, getFinedIssues, formatCurrency, FINE_ENTRY_TYPE } from './fineUtils';
+import { normaliseClosureCalendar } from './closureUtils';
+
+// Open every day, so days late are plain calendar days
+const openCalendar = normaliseClosureCalendar({ closedWeekdays: [] });
+// Closed on Sundays
+const sundayCalendar = normaliseClosureCalendar({ closedWeekdays: [0] });
+
+const policy = { ratePerDay: 5, graceDays: 2, maxPerItem: 500 };
+const now = new Date(2026, 9, 20, 12);
+
+const loan = (overrides) => ({
+  _id: 'issue-1',
+  status: 'issued',
+  expectedReturnDate: '2026-10-10',
+  ...overrides
+});
+
+describe('getDaysLate', () => {
+  it('counts days past the due date up to now while the book is out', () => {
+    expect(getDaysLate(loan(), now, openCalendar)).toBe(10);
+    expect(getDaysLate(loan({ expectedReturnDate: '2026-10-25' }), now, openCalendar)).toBe(0);
+  });
+
+  it('stops counting on the day the book came back', () => {
+    const returned = loan({ status: 'returned', actualReturnDate: new Date(2026, 9, 13, 15).toISOString() });
+    expect(getDaysLate(returned, now, openCalendar)).toBe(3);
+  });
+
+  it('skips days the library was closed', () => {
+    // Due Saturday 17 October; Sunday does not count
+    expect(getDaysLate(loan({ expectedReturnDate: '2026-10-17' }), new Date(2026, 9, 19, 12), sundayCalendar)).toBe(1);
+    // Due on a Sunday, so really due on the Monday
+    expect(getDaysLate(loan({ expectedReturnDate: '2026-10-18' }), new Date(2026, 9, 19, 12), sundayCalendar)).toBe(0);
+  });
+});
+
+describe('calculateFine', () => {
+  it('charges each day after the grace period', () => {
+    expect(calculateFine(loan(), policy, now, openCalendar)).toEqual({
+      daysLate: 10,
+      chargeableDays: 8,
+      amount: 40,
+      paid: 0,
+      waived: 0,
+      outstanding: 40,
+      isCapped: false
+    });
+  });
+
+  it('charges nothing within the grace period', () => {
+    const fine = calculateFine(loan({ expectedReturnDate: '2026-10-18' }), policy, now, openCalendar);
+    expect(fine).toMatchObject({ daysLate: 2, chargeableDays: 0, amount: 0, outstanding: 0 });
+  });
+
+  it('caps the fine for a single issue', () => {
+    const fine = calculateFine(loan({ expectedReturnDate: '2026-01-01' }), policy, now, openCalendar);
+    expect(fine.amount).toBe(500);
+    expect(fine.isCapped).toBe(true);
+  });
+
+  it('takes payments and waivers off what is owed', () => {
+    const finePayments = [
+      { type: FINE_ENTRY_TYPE.PAYMENT, amount: 10 },
+      { type: FINE_ENTRY_TYPE.WAIVER, amount: '5' }
+    ];
+    expect(calculateFine(loan({ finePayments }), policy, now, openCalendar)).toMatchObject({
+      amount: 40,
+      paid: 10,
+      waived: 5,
+      outstanding: 25
+    });
+
+    const overpaid = [{ type: FINE_ENTRY_TYPE.PAYMENT, amount: 60 }];
+    expect(calculateFine(loan({ finePayments: overpaid }), policy, now, openCalendar).outstanding).toBe(0);
+  });
+});
+
+describe('getFinedIssues', () => {
+  it('keeps only issues that have run up a fine', () => {
+    const issues = [
+      loan({ _id: 'late' }),
+      loan({ _id: 'grace', expectedReturnDate: '2026-10-19' }),
+      loan({ _id: 'not-due', expectedReturnDate: '2026-10-30' })
+    ];
+    const fined = getFinedIssues(issues, policy, now, openCalendar);
+    expect(fined.map(({ issue }) => issue._id)).toEqual(['late']);
+    expect(fined[0].fine.amount).toBe(40);
+  });
+});
+
+describe('formatCurrency', () => {
+  it('shows rupees to two places', () => {
+    expect(formatCurrency(12.5)).toBe('₹12.50');
+    expect(formatCurrency(undefined)).toBe('₹0.00');
+  });
+});
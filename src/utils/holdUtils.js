@@ -0,0 +1,60 @@
+// Helpers for the reservation (hold) queue on unavailable books
+
+export const HOLD_STATUS = {
+  WAITING: 'waiting',
+  READY: 'ready',
+  COLLECTED: 'collected',
+  CANCELLED: 'cancelled',
+  EXPIRED: 'expired'
+};
+
+const OPEN_STATUSES = [HOLD_STATUS.WAITING, HOLD_STATUS.READY];
+
+export const isHoldOpen = (hold) => OPEN_STATUSES.includes(hold.status);
+
+// A ready hold whose pickup window has passed
+export const isPickupExpired = (hold, now = new Date()) =>
+  hold.status === HOLD_STATUS.READY &&
+  !!hold.pickupExpiresAt &&
+  now > new Date(hold.pickupExpiresAt);
+
+// Open holds in the order they will be served: ready first, then by request time
+export const getHoldQueue = (holds) =>
+  holds
+    .filter(isHoldOpen)
+    .sort((a, b) => {
+      if (a.status !== b.status) {
+        return a.status === HOLD_STATUS.READY ? -1 : 1;
+      }
+      return new Date(a.createdAt) - new Date(b.createdAt);
+    });
+
+export const getNextWaitingHold = (holds) =>
+  getHoldQueue(holds).find(hold => hold.status === HOLD_STATUS.WAITING) || null;
+
+// Group open holds by book id, each group ordered as a queue
+export const groupHoldsByBook = (holds) => {
+  const groups = {};
+
+  getHoldQueue(holds).forEach((hold) => {
+    const bookId = hold.bookId?._id || hold.bookId;
+    if (!groups[bookId]) {
+      groups[bookId] = { book: hold.bookId, holds: [] };
+    }
+    groups[bookId].holds.push(hold);
+  });
+
+  return Object.values(groups);
+};
+
+// updateHold payload that flags a hold as ready for pickup
+export const buildReadyUpdate = (policy, now = new Date()) => {
+  const pickupExpiresAt = new Date(now);
+  pickupExpiresAt.setDate(pickupExpiresAt.getDate() + policy.pickupWindowDays);
+
+  return {
+    status: HOLD_STATUS.READY,
+    readyAt: now.toISOString(),
+    pickupExpiresAt: pickupExpiresAt.toISOString()
+  };
+};
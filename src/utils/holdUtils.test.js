@@ -0,0 +1,124 @@
+import {
+  HOLD_STATUS,
+  isHoldOpen,
+  isPickupExpired,
+  getHoldQueue,
+  getNextWaitingHold,
+  groupHoldsByBook,
+  buildReadyUpdate
+} from './holdUtils';
+import { holdsAPI } from '../api/libraryAPI';
+
+const hold = (id, overrides) => ({
+  _id: id,
+  bookId: 'book-1',
+  erpId: `ERP-${id}`,
+  status: HOLD_STATUS.WAITING,
+  createdAt: '2026-10-01T09:00:00.000Z',
+  ...overrides
+});
+
+describe('getHoldQueue', () => {
+  it('serves ready holds first, then waiting ones by request time', () => {
+    const holds = [
+      hold('late', { createdAt: '2026-10-03T09:00:00.000Z' }),
+      hold('collected', { status: HOLD_STATUS.COLLECTED, createdAt: '2026-09-01T09:00:00.000Z' }),
+      hold('ready', { status: HOLD_STATUS.READY, createdAt: '2026-10-05T09:00:00.000Z' }),
+      hold('early', { createdAt: '2026-10-02T09:00:00.000Z' }),
+      hold('cancelled', { status: HOLD_STATUS.CANCELLED })
+    ];
+    expect(getHoldQueue(holds).map(item => item._id)).toEqual(['ready', 'early', 'late']);
+  });
+
+  it('counts only waiting and ready holds as open', () => {
+    expect(isHoldOpen(hold('a'))).toBe(true);
+    expect(isHoldOpen(hold('b', { status: HOLD_STATUS.READY }))).toBe(true);
+    expect(isHoldOpen(hold('c', { status: HOLD_STATUS.EXPIRED }))).toBe(false);
+  });
+});
+
+describe('getNextWaitingHold', () => {
+  it('skips a hold already waiting for pickup', () => {
+    const holds = [
+      hold('ready', { status: HOLD_STATUS.READY, createdAt: '2026-09-30T09:00:00.000Z' }),
+      hold('second', { createdAt: '2026-10-02T09:00:00.000Z' }),
+      hold('first', { createdAt: '2026-10-01T09:00:00.000Z' })
+    ];
+    expect(getNextWaitingHold(holds)._id).toBe('first');
+  });
+
+  it('is null when nobody is waiting', () => {
+    expect(getNextWaitingHold([hold('done', { status: HOLD_STATUS.COLLECTED })])).toBeNull();
+  });
+});
+
+describe('groupHoldsByBook', () => {
+  it('groups open holds by book, each in queue order', () => {
+    const dune = { _id: 'book-1', title: 'Dune' };
+    const groups = groupHoldsByBook([
+      hold('b', { bookId: dune, createdAt: '2026-10-02T09:00:00.000Z' }),
+      hold('c', { bookId: 'book-2', createdAt: '2026-10-03T09:00:00.000Z' }),
+      hold('a', { bookId: dune, createdAt: '2026-10-01T09:00:00.000Z' })
+    ]);
+    expect(groups).toHaveLength(2);
+    expect(groups[0].book).toBe(dune);
+    expect(groups[0].holds.map(item => item._id)).toEqual(['a', 'b']);
+    expect(groups[1].holds.map(item => item._id)).toEqual(['c']);
+  });
+});
+
+describe('pickup window', () => {
+  const now = new Date('2026-10-19T10:00:00.000Z');
+
+  it('opens when a hold is made ready', () => {
+    expect(buildReadyUpdate({ pickupWindowDays: 3 }, now)).toEqual({
+      status: HOLD_STATUS.READY,
+      readyAt: '2026-10-19T10:00:00.000Z',
+      pickupExpiresAt: '2026-10-22T10:00:00.000Z'
+    });
+  });
+
+  it('expires a ready hold once the window has passed', () => {
+    const ready = hold('a', buildReadyUpdate({ pickupWindowDays: 3 }, now));
+    expect(isPickupExpired(ready, new Date('2026-10-22T09:59:00.000Z'))).toBe(false);
+    expect(isPickupExpired(ready, new Date('2026-10-22T10:01:00.000Z'))).toBe(true);
+  });
+
+  it('never expires a hold that is not ready for pickup', () => {
+    const waiting = hold('a', { pickupExpiresAt: '2026-10-01T00:00:00.000Z' });
+    expect(isPickupExpired(waiting, now)).toBe(false);
+    expect(isPickupExpired(hold('b', { status: HOLD_STATUS.READY }), now)).toBe(false);
+  });
+});
+
+describe('holdsAPI.promoteNextHold', () => {
+  const readyData = buildReadyUpdate({ pickupWindowDays: 3 }, new Date('2026-10-19T10:00:00.000Z'));
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('makes the first waiting member ready', async () => {
+    jest.spyOn(holdsAPI, 'getBookHolds').mockResolvedValue({
+      holds: [
+        hold('second', { createdAt: '2026-10-02T09:00:00.000Z' }),
+        hold('first', { createdAt: '2026-10-01T09:00:00.000Z' })
+      ]
+    });
+    const updateHold = jest.spyOn(holdsAPI, 'updateHold').mockResolvedValue({});
+
+    const promoted = await holdsAPI.promoteNextHold('book-1', readyData);
+
+    expect(holdsAPI.getBookHolds).toHaveBeenCalledWith('book-1');
+    expect(updateHold).toHaveBeenCalledWith('first', readyData);
+    expect(promoted).toMatchObject({ _id: 'first', status: HOLD_STATUS.READY });
+  });
+
+  it('does nothing when nobody is waiting', async () => {
+    jest.spyOn(holdsAPI, 'getBookHolds').mockResolvedValue({
+      holds: [hold('ready', { status: HOLD_STATUS.READY })]
+    });
+    const updateHold = jest.spyOn(holdsAPI, 'updateHold');
+
+    await expect(holdsAPI.promoteNextHold('book-1', readyData)).resolves.toBeNull();
+    expect(updateHold).not.toHaveBeenCalled();
+  });
+});
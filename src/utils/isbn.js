@@ -0,0 +1,76 @@
+// ISBN-10 / ISBN-13 normalisation, checksum validation and conversion.
+// Books are stored with the ISBN-13 form; ISBN-10 input is converted.
+
+// Strip hyphens and spaces so "978-0-13-468599-1" and "9780134685991" match
+export const normaliseIsbn = (value) => String(value || '').replace(/[\s-]/g, '').toUpperCase();
+
+export const isValidIsbn10 = (isbn) => {
+  if (!/^\d{9}[\dX]$/.test(isbn)) return false;
+
+  const sum = isbn.split('').reduce((total, char, index) => {
+    const digit = char === 'X' ? 10 : Number(char);
+    return total + digit * (10 - index);
+  }, 0);
+
+  return sum % 11 === 0;
+};
+
+const isbn13CheckDigit = (first12) => {
+  const sum = first12.split('').reduce(
+    (total, char, index) => total + Number(char) * (index % 2 === 0 ? 1 : 3),
+    0
+  );
+  return String((10 - (sum % 10)) % 10);
+};
+
+export const isValidIsbn13 = (isbn) =>
+  /^97[89]\d{10}$/.test(isbn) && isbn13CheckDigit(isbn.slice(0, 12)) === isbn[12];
+
+export const isbn10To13 = (isbn10) => {
+  const first12 = `978${isbn10.slice(0, 9)}`;
+  return first12 + isbn13CheckDigit(first12);
+};
+
+// Only 978-prefixed ISBN-13s have an ISBN-10 equivalent
+export const isbn13To10 = (isbn13) => {
+  if (!isbn13.startsWith('978')) return null;
+
+  const first9 = isbn13.slice(3, 12);
+  const sum = first9.split('').reduce((total, char, index) => total + Number(char) * (10 - index), 0);
+  const check = (11 - (sum % 11)) % 11;
+  return first9 + (check === 10 ? 'X' : String(check));
+};
+
+// Explain what is wrong with an ISBN, or return null when it is valid
+export const getIsbnError = (value) => {
+  const isbn = normaliseIsbn(value);
+
+  if (!isbn) return 'ISBN is required';
+  if (isbn.length === 10) {
+    return isValidIsbn10(isbn) ? null : 'ISBN-10 check digit does not match';
+  }
+  if (isbn.length === 13) {
+    if (!/^97[89]/.test(isbn)) return 'ISBN-13 must start with 978 or 979';
+    return isValidIsbn13(isbn) ? null : 'ISBN-13 check digit does not match';
+  }
+  return 'ISBN must have 10 or 13 digits';
+};
+
+// react-hook-form `validate` rule
+export const validateIsbn = (value) => getIsbnError(value) || true;
+
+// The ISBN-13 to store for a valid ISBN, or the normalised input otherwise
+export const toCanonicalIsbn = (value) => {
+  const isbn = normaliseIsbn(value);
+  if (getIsbnError(isbn)) return isbn;
+  return isbn.length === 10 ? isbn10To13(isbn) : isbn;
+};
+
+// Every stored form a valid ISBN might appear under (ISBN-13 first)
+export const getIsbnVariants = (value) => {
+  if (getIsbnError(value)) return [];
+
+  const isbn13 = toCanonicalIsbn(value);
+  const isbn10 = isbn13To10(isbn13);
+  return isbn10 ? [isbn13, isbn10] : [isbn13];
+};
@@ -0,0 +1,102 @@
+import {
+  normaliseIsbn,
+  isValidIsbn10,
+  isValidIsbn13,
+  isbn10To13,
+  isbn13To10,
+  getIsbnError,
+  toCanonicalIsbn,
+  getIsbnVariants
+} from './isbn';
+
+describe('normaliseIsbn', () => {
+  it('strips hyphens and spaces and upper-cases a check digit', () => {
+    expect(normaliseIsbn('0-8044-2957-x')).toBe('080442957X');
+    expect(normaliseIsbn(' 978 0 13 468599 1 ')).toBe('9780134685991');
+  });
+
+  it('treats missing values as empty', () => {
+    expect(normaliseIsbn(null)).toBe('');
+  });
+});
+
+describe('isValidIsbn10', () => {
+  it('accepts a correct checksum', () => {
+    expect(isValidIsbn10('0306406152')).toBe(true);
+  });
+
+  it('accepts X as a check digit of 10', () => {
+    expect(isValidIsbn10('080442957X')).toBe(true);
+  });
+
+  it('rejects a wrong check digit', () => {
+    expect(isValidIsbn10('0306406153')).toBe(false);
+    expect(isValidIsbn10('0804429570')).toBe(false);
+  });
+
+  it('rejects X anywhere but the last place', () => {
+    expect(isValidIsbn10('X306406152')).toBe(false);
+  });
+});
+
+describe('isValidIsbn13', () => {
+  it('accepts a correct checksum', () => {
+    expect(isValidIsbn13('9780134685991')).toBe(true);
+    expect(isValidIsbn13('9780306406157')).toBe(true);
+  });
+
+  it('rejects a wrong check digit', () => {
+    expect(isValidIsbn13('9780134685992')).toBe(false);
+  });
+
+  it('rejects prefixes other than 978 and 979', () => {
+    expect(isValidIsbn13('9770134685991')).toBe(false);
+  });
+});
+
+describe('isbn10To13 / isbn13To10', () => {
+  it('converts an ISBN-10 to its ISBN-13', () => {
+    expect(isbn10To13('0306406152')).toBe('9780306406157');
+    expect(isbn10To13('080442957X')).toBe('9780804429573');
+  });
+
+  it('converts a 978 ISBN-13 back, X check digit included', () => {
+    expect(isbn13To10('9780306406157')).toBe('0306406152');
+    expect(isbn13To10('9780804429573')).toBe('080442957X');
+  });
+
+  it('has no ISBN-10 for a 979 ISBN-13', () => {
+    expect(isbn13To10('9791234567896')).toBeNull();
+  });
+});
+
+describe('getIsbnError', () => {
+  it('returns null for valid ISBNs', () => {
+    expect(getIsbnError('0-306-40615-2')).toBeNull();
+    expect(getIsbnError('978-0-13-468599-1')).toBeNull();
+  });
+
+  it('explains what is wrong', () => {
+    expect(getIsbnError('')).toBe('ISBN is required');
+    expect(getIsbnError('12345')).toBe('ISBN must have 10 or 13 digits');
+    expect(getIsbnError('0306406153')).toBe('ISBN-10 check digit does not match');
+    expect(getIsbnError('9770134685991')).toBe('ISBN-13 must start with 978 or 979');
+    expect(getIsbnError('9780134685992')).toBe('ISBN-13 check digit does not match');
+  });
+});
+
+describe('toCanonicalIsbn / getIsbnVariants', () => {
+  it('stores valid ISBNs in their ISBN-13 form', () => {
+    expect(toCanonicalIsbn('0-306-40615-2')).toBe('9780306406157');
+    expect(toCanonicalIsbn('9780134685991')).toBe('9780134685991');
+  });
+
+  it('leaves invalid input normalised but unconverted', () => {
+    expect(toCanonicalIsbn('0-306-40615-3')).toBe('0306406153');
+  });
+
+  it('lists both forms, ISBN-13 first', () => {
+    expect(getIsbnVariants('0306406152')).toEqual(['9780306406157', '0306406152']);
+    expect(getIsbnVariants('bad')).toEqual([]);
+  });
+});
@@ -0,0 +1,69 @@
+// Loan periods by book category and borrower type. A loan policy is
+// { defaultDays, rules: [{ category, borrowerType, periodDays }] }, where an
+// empty category or borrower type in a rule matches any.
+
+export const MIN_LOAN_DAYS = 1;
+export const MAX_LOAN_DAYS = 365;
+
+const toDays = (value, fallback) => {
+  const days = parseInt(value, 10);
+  return Number.isNaN(days) ? fallback : days;
+};
+
+// Policy as saved on the server, with anything missing filled from the
+// LOAN_POLICY fallback so callers never have to check
+export const normaliseLoanPolicy = (policy, fallback) => ({
+  defaultDays: toDays(policy?.defaultDays, fallback.periodDays),
+  rules: (policy?.rules || []).map(rule => ({
+    category: rule.category || '',
+    borrowerType: rule.borrowerType || '',
+    periodDays: toDays(rule.periodDays, fallback.periodDays)
+  }))
+});
+
+// Rules naming both a category and a borrower type beat those naming only a
+// category, which beat those naming only a borrower type
+const getRuleRank = (rule) => (rule.category ? 2 : 0) + (rule.borrowerType ? 1 : 0);
+
+const ruleMatches = (rule, category, borrowerType) =>
+  (!rule.category || rule.category === category) &&
+  (!rule.borrowerType || rule.borrowerType === borrowerType);
+
+// The most specific rule covering a loan, or null when the default applies
+export const findLoanRule = (policy, category, borrowerType) =>
+  policy.rules
+    .filter(rule => ruleMatches(rule, category, borrowerType))
+    .sort((a, b) => getRuleRank(b) - getRuleRank(a))[0] || null;
+
+// Loan terms for a book and borrower type, in the { periodDays } shape that
+// calculateDueDate takes
+export const getLoanTerms = (policy, book, borrowerType) => {
+  const rule = findLoanRule(policy, book?.category || '', borrowerType || '');
+  return { periodDays: rule ? rule.periodDays : policy.defaultDays };
+};
+
+// First problem with an edited policy, or null when it can be saved
+export const validateLoanPolicy = (policy) => {
+  const isValidDays = (days) => Number.isInteger(days) && days >= MIN_LOAN_DAYS && days <= MAX_LOAN_DAYS;
+
+  if (!isValidDays(policy.defaultDays)) {
+    return `The default loan period must be between ${MIN_LOAN_DAYS} and ${MAX_LOAN_DAYS} days`;
+  }
+
+  const seen = new Set();
+  for (const rule of policy.rules) {
+    if (!rule.category && !rule.borrowerType) {
+      return 'Each rule needs a category, a borrower type or both';
+    }
+    if (!isValidDays(rule.periodDays)) {
+      return `Loan periods must be between ${MIN_LOAN_DAYS} and ${MAX_LOAN_DAYS} days`;
+    }
+    const key = `${rule.category}|${rule.borrowerType}`;
+    if (seen.has(key)) {
+      return 'Two rules cover the same category and borrower type';
+    }
+    seen.add(key);
+  }
+
+  return null;
+};
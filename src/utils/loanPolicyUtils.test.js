@@ -0,0 +1,63 @@
+import {
+  normaliseLoanPolicy,
+  findLoanRule,
+  getLoanTerms,
+  validateLoanPolicy
+} from './loanPolicyUtils';
+
+const policy = normaliseLoanPolicy({
+  defaultDays: 14,
+  rules: [
+    { category: '', borrowerType: 'faculty', periodDays: 60 },
+    { category: 'Reference', borrowerType: '', periodDays: 3 },
+    { category: 'Reference', borrowerType: 'faculty', periodDays: 7 }
+  ]
+}, { periodDays: 14 });
+
+describe('normaliseLoanPolicy', () => {
+  it('fills anything missing from the fallback', () => {
+    expect(normaliseLoanPolicy(null, { periodDays: 21 })).toEqual({ defaultDays: 21, rules: [] });
+    expect(normaliseLoanPolicy({ rules: [{ category: 'Fiction', periodDays: 'x' }] }, { periodDays: 21 }))
+      .toEqual({ defaultDays: 21, rules: [{ category: 'Fiction', borrowerType: '', periodDays: 21 }] });
+  });
+});
+
+describe('findLoanRule / getLoanTerms', () => {
+  it('prefers a rule naming both category and borrower type', () => {
+    expect(findLoanRule(policy, 'Reference', 'faculty').periodDays).toBe(7);
+  });
+
+  it('prefers a category rule over a borrower type rule', () => {
+    expect(getLoanTerms(policy, { category: 'Reference' }, 'student')).toEqual({ periodDays: 3 });
+  });
+
+  it('falls back to a borrower type rule, then the default', () => {
+    expect(getLoanTerms(policy, { category: 'Fiction' }, 'faculty')).toEqual({ periodDays: 60 });
+    expect(getLoanTerms(policy, { category: 'Fiction' }, 'student')).toEqual({ periodDays: 14 });
+    expect(findLoanRule(policy, 'Fiction', 'student')).toBeNull();
+  });
+
+  it('uses the default when no book is selected', () => {
+    expect(getLoanTerms(policy, null, '')).toEqual({ periodDays: 14 });
+  });
+});
+
+describe('validateLoanPolicy', () => {
+  it('accepts a valid policy', () => {
+    expect(validateLoanPolicy(policy)).toBeNull();
+  });
+
+  it('rejects out of range periods', () => {
+    expect(validateLoanPolicy({ defaultDays: 0, rules: [] })).toMatch(/default loan period/);
+    expect(validateLoanPolicy({ defaultDays: 14, rules: [{ category: 'Fiction', borrowerType: '', periodDays: 400 }] }))
+      .toMatch(/Loan periods must be/);
+  });
+
+  it('rejects rules that match everything or repeat another', () => {
+    expect(validateLoanPolicy({ defaultDays: 14, rules: [{ category: '', borrowerType: '', periodDays: 7 }] }))
+      .toBe('Each rule needs a category, a borrower type or both');
+    const rule = { category: 'Fiction', borrowerType: 'staff', periodDays: 7 };
+    expect(validateLoanPolicy({ defaultDays: 14, rules: [rule, { ...rule, periodDays: 10 }] }))
+      .toBe('Two rules cover the same category and borrower type');
+  });
+});
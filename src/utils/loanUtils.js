@@ -0,0 +1,95 @@
+// Shared helpers for working with issue (loan) records
+
+import { DEFAULT_CLOSURE_CALENDAR, rollToOpenDay, countOpenDays, parseDate, toDateKey } from './closureUtils';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Strip the time portion so day arithmetic is not skewed by the clock
+export const startOfDay = (value) => {
+  const date = parseDate(value);
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+// The day a loan is really due: its due date, or the next open day when the
+// library is closed on it (e.g. a holiday added after the book was issued)
+export const getEffectiveDueDate = (expectedReturnDate, calendar = DEFAULT_CLOSURE_CALENDAR) =>
+  startOfDay(rollToOpenDay(expectedReturnDate, calendar));
+
+// Whole days from `now` until the due date. Once overdue this is negative and
+// counts only the days the library has been open since, at least one.
+export const getDaysRemaining = (expectedReturnDate, now = new Date(), calendar = DEFAULT_CLOSURE_CALENDAR) => {
+  const due = getEffectiveDueDate(expectedReturnDate, calendar);
+  const today = startOfDay(now);
+  if (today <= due) return Math.round((due - today) / MS_PER_DAY);
+  return -Math.max(1, countOpenDays(due, today, calendar));
+};
+
+export const isReturned = (issue) => issue.status === 'returned';
+
+export const isOverdue = (issue, now = new Date(), calendar = DEFAULT_CLOSURE_CALENDAR) => {
+  if (isReturned(issue)) return false;
+  return getDaysRemaining(issue.expectedReturnDate, now, calendar) < 0;
+};
+
+// Human readable summary of the time left on a loan
+export const getDueLabel = (issue, now = new Date(), calendar = DEFAULT_CLOSURE_CALENDAR) => {
+  const days = getDaysRemaining(issue.expectedReturnDate, now, calendar);
+
+  if (days < 0) return `Overdue by ${Math.abs(days)} day${days === -1 ? '' : 's'}`;
+  if (days === 0) return 'Due today';
+  return `${days} day${days === 1 ? '' : 's'} remaining`;
+};
+
+export const formatDate = (value) => parseDate(value).toLocaleDateString();
+
+// Book id of an issue whether or not the book has been populated
+export const getIssueBookId = (issue) => issue?.bookId?._id || issue?.bookId;
+
+// Loans of a book that have not been returned yet
+export const getActiveIssuesForBook = (issues, bookId) =>
+  issues.filter(issue => !isReturned(issue) && getIssueBookId(issue) === bookId);
+
+// Due date (YYYY-MM-DD) for a loan starting on issueDate, moved on to the
+// next open day when the library is closed on it
+export const calculateDueDate = (issueDate, policy, calendar = DEFAULT_CLOSURE_CALENDAR) => {
+  const date = parseDate(issueDate);
+  date.setDate(date.getDate() + policy.periodDays);
+  return toDateKey(rollToOpenDay(date, calendar));
+};
+
+export const getRenewalCount = (issue) => issue.renewalCount || issue.renewals?.length || 0;
+
+// Check whether an issue may be renewed under the given policy.
+// Returns { allowed, reason } so callers can explain a refusal.
+export const checkRenewal = (issue, policy, now = new Date(), calendar = DEFAULT_CLOSURE_CALENDAR) => {
+  if (isReturned(issue)) {
+    return { allowed: false, reason: 'This book has already been returned' };
+  }
+  if (isOverdue(issue, now, calendar)) {
+    return { allowed: false, reason: 'Overdue books cannot be renewed. Please return the book.' };
+  }
+  if (getRenewalCount(issue) >= policy.maxRenewals) {
+    return { allowed: false, reason: `Renewal limit of ${policy.maxRenewals} reached` };
+  }
+  return { allowed: true, reason: null };
+};
+
+// Build the updateIssue payload that extends a loan by one renewal period
+export const buildRenewalUpdate = (issue, policy, renewedBy, now = new Date(), calendar = DEFAULT_CLOSURE_CALENDAR) => {
+  const expectedReturnDate = calculateDueDate(issue.expectedReturnDate, policy, calendar);
+
+  return {
+    expectedReturnDate,
+    renewalCount: getRenewalCount(issue) + 1,
+    renewals: [
+      ...(issue.renewals || []),
+      {
+        renewedAt: now.toISOString(),
+        renewedBy,
+        previousDueDate: issue.expectedReturnDate,
+        newDueDate: expectedReturnDate
+      }
+    ]
+  };
+};
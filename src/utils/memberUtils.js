@@ -0,0 +1,118 @@
+// Helpers for member (borrower) details
+
+import { isReturned, isOverdue, getIssueBookId } from './loanUtils';
+import { calculateFine, formatCurrency } from './fineUtils';
+import { DEFAULT_CLOSURE_CALENDAR } from './closureUtils';
+import { DEFAULT_BORROWER_TYPE } from '../config/circulation';
+
+// Hide all but the last few digits of a phone number
+export const maskPhone = (phone, visibleDigits = 3) => {
+  if (!phone) return '';
+  const text = String(phone);
+  return text.slice(-visibleDigits).padStart(text.length, '•');
+};
+
+// Members are identified by ERP ID, which is matched case-insensitively
+export const normaliseErpId = (erpId) => String(erpId || '').trim().toLowerCase();
+
+export const isSameErpId = (a, b) => !!a && normaliseErpId(a) === normaliseErpId(b);
+
+// Loan and fine totals over one member's issue records
+export const summariseMemberLoans = (issues, finePolicy, now = new Date(), calendar = DEFAULT_CLOSURE_CALENDAR) =>
+  issues.reduce((summary, issue) => {
+    summary.totalLoans += 1;
+    if (!isReturned(issue)) summary.activeLoans += 1;
+    if (isOverdue(issue, now, calendar)) summary.overdueCount += 1;
+    summary.outstandingFines += calculateFine(issue, finePolicy, now, calendar).outstanding;
+    if (!summary.lastBorrowedAt || new Date(issue.issueDate) > new Date(summary.lastBorrowedAt)) {
+      summary.lastBorrowedAt = issue.issueDate;
+    }
+    return summary;
+  }, { totalLoans: 0, activeLoans: 0, overdueCount: 0, outstandingFines: 0, lastBorrowedAt: null });
+
+// A member's contact details and borrowing status. The member record kept by
+// /admin/members wins; members without one (or with gaps in it) fall back to
+// what was entered on their most recent loan.
+export const buildMemberProfile = (erpId, issues, record) => {
+  const latestIssue = [...issues].sort((a, b) => new Date(b.issueDate) - new Date(a.issueDate))[0];
+
+  return {
+    erpId: record?.erpId || latestIssue?.erpId || erpId,
+    name: record?.name || latestIssue?.userName || '',
+    phone: record?.phone || latestIssue?.phone || '',
+    email: record?.email || '',
+    borrowerType: record?.borrowerType || latestIssue?.borrowerType || DEFAULT_BORROWER_TYPE,
+    blocked: !!record?.blocked,
+    blockedReason: record?.blockedReason || '',
+    blockedAt: record?.blockedAt || null,
+    blockedBy: record?.blockedBy || ''
+  };
+};
+
+// Everyone who has borrowed, plus anyone with a member record, each with
+// their profile and loan totals, sorted by name
+export const buildMemberDirectory = (records, issues, finePolicy, now = new Date(), calendar = DEFAULT_CLOSURE_CALENDAR) => {
+  const members = new Map();
+  const getEntry = (erpId) => {
+    const key = normaliseErpId(erpId);
+    if (!members.has(key)) members.set(key, { erpId, issues: [], record: null });
+    return members.get(key);
+  };
+
+  issues.forEach(issue => {
+    if (issue.erpId) getEntry(issue.erpId).issues.push(issue);
+  });
+  records.forEach(record => {
+    if (record.erpId) getEntry(record.erpId).record = record;
+  });
+
+  return [...members.values()]
+    .map(({ erpId, issues: memberIssues, record }) => ({
+      ...buildMemberProfile(erpId, memberIssues, record),
+      ...summariseMemberLoans(memberIssues, finePolicy, now, calendar)
+    }))
+    .sort((a, b) => (a.name || a.erpId).localeCompare(b.name || b.erpId));
+};
+
+// Whether a member matches a free-text search on name, ERP ID, phone or email
+export const matchesMemberSearch = (member, searchTerm) => {
+  const term = searchTerm.trim().toLowerCase();
+  if (!term) return true;
+  return [member.name, member.erpId, member.phone, member.email]
+    .some(value => value && String(value).toLowerCase().includes(term));
+};
+
+// Whether a member may borrow `bookId`, with every rule they fail as a
+// sentence to show them. `issues` are the member's own issue records
+// (returned ones included, for fines), `record` their member record and
+// `calendar` the closure calendar overdue days are counted against.
+export const checkBorrowingEligibility = (
+  issues,
+  bookId,
+  { borrowingPolicy, finePolicy, record = null, calendar = DEFAULT_CLOSURE_CALENDAR },
+  now = new Date()
+) => {
+  const { activeLoans, overdueCount, outstandingFines } = summariseMemberLoans(issues, finePolicy, now, calendar);
+  const reasons = [];
+
+  if (record?.blocked) {
+    reasons.push(record.blockedReason
+      ? `Borrowing has been blocked: ${record.blockedReason}`
+      : 'Borrowing has been blocked for this member.');
+  }
+  if (activeLoans >= borrowingPolicy.maxActiveLoans) {
+    reasons.push(`The limit of ${borrowingPolicy.maxActiveLoans} books on loan at once has been reached.`);
+  }
+  if (borrowingPolicy.blockWhenOverdue && overdueCount > 0) {
+    reasons.push(`${overdueCount} book${overdueCount === 1 ? ' is' : 's are'} overdue and must be returned first.`);
+  }
+  if (outstandingFines > borrowingPolicy.maxOutstandingFines) {
+    reasons.push(`Unpaid fines of ${formatCurrency(outstandingFines)} are over the ${formatCurrency(borrowingPolicy.maxOutstandingFines)} limit.`);
+  }
+  if (!borrowingPolicy.allowDuplicateTitles &&
+    issues.some(issue => !isReturned(issue) && getIssueBookId(issue) === bookId)) {
+    reasons.push('A copy of this book is already on loan to this member.');
+  }
+
+  return { allowed: reasons.length === 0, reasons };
+};
@@ -0,0 +1,90 @@
+import {
+  maskPhone,
+  isSameErpId,
+  buildMemberProfile,
+  summariseMemberLoans,
+  checkBorrowingEligibility
+} from './memberUtils';
+import { normaliseClosureCalendar } from './closureUtils';
+
+const borrowingPolicy = { maxActiveLoans: 2, blockWhenOverdue: true, maxOutstandingFines: 100, allowDuplicateTitles: false };
+const finePolicy = { ratePerDay: 5, graceDays: 2, maxPerItem: 500 };
+const calendar = normaliseClosureCalendar({ closedWeekdays: [] });
+const now = new Date(2026, 9, 19, 12);
+
+const loan = (overrides) => ({
+  erpId: 'ERP001',
+  userName: 'Anu Rao',
+  bookId: 'book-1',
+  status: 'issued',
+  issueDate: '2026-10-10',
+  expectedReturnDate: '2026-10-24',
+  ...overrides
+});
+
+const check = (issues, record = null, bookId = 'book-9') =>
+  checkBorrowingEligibility(issues, bookId, { borrowingPolicy, finePolicy, record, calendar }, now);
+
+describe('maskPhone / isSameErpId', () => {
+  it('shows only the last digits', () => {
+    expect(maskPhone('9876543210')).toBe('•••••••210');
+    expect(maskPhone('')).toBe('');
+  });
+
+  it('matches ERP IDs regardless of case and spacing', () => {
+    expect(isSameErpId('erp001 ', 'ERP001')).toBe(true);
+    expect(isSameErpId('', '')).toBe(false);
+  });
+});
+
+describe('buildMemberProfile', () => {
+  it('prefers the member record and falls back to the latest loan', () => {
+    const issues = [loan({ borrowerType: 'staff', phone: '111' }), loan({ issueDate: '2026-10-12', phone: '222' })];
+    expect(buildMemberProfile('erp001', issues, null)).toMatchObject({ erpId: 'ERP001', phone: '222', borrowerType: 'student' });
+    expect(buildMemberProfile('erp001', issues, { borrowerType: 'faculty', blocked: true }))
+      .toMatchObject({ borrowerType: 'faculty', blocked: true });
+  });
+});
+
+describe('summariseMemberLoans', () => {
+  it('totals active, overdue and fined loans', () => {
+    const issues = [loan(), loan({ expectedReturnDate: '2026-10-09' }), loan({ status: 'returned' })];
+    expect(summariseMemberLoans(issues, finePolicy, now, calendar)).toMatchObject({
+      totalLoans: 3,
+      activeLoans: 2,
+      overdueCount: 1,
+      // 10 days late, 2 of them grace
+      outstandingFines: 40
+    });
+  });
+});
+
+describe('checkBorrowingEligibility', () => {
+  it('allows a member in good standing', () => {
+    expect(check([loan()])).toEqual({ allowed: true, reasons: [] });
+  });
+
+  it('refuses a blocked member, giving the reason when there is one', () => {
+    expect(check([], { blocked: true, blockedReason: 'Lost library card' })).toEqual({
+      allowed: false,
+      reasons: ['Borrowing has been blocked: Lost library card']
+    });
+    expect(check([], { blocked: true }).reasons).toEqual(['Borrowing has been blocked for this member.']);
+  });
+
+  it('does not refuse an unblocked record', () => {
+    expect(check([], { blocked: false }).allowed).toBe(true);
+  });
+
+  it('lists every rule that fails', () => {
+    const issues = [loan({ bookId: 'book-9' }), loan({ bookId: 'book-2', expectedReturnDate: '2026-09-01' })];
+    const { allowed, reasons } = check(issues, { blocked: true });
+    expect(allowed).toBe(false);
+    expect(reasons).toHaveLength(5);
+    expect(reasons).toEqual(expect.arrayContaining([
+      'The limit of 2 books on loan at once has been reached.',
+      '1 book is overdue and must be returned first.',
+      'A copy of this book is already on loan to this member.'
+    ]));
+  });
+});
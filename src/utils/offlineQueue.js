@@ -0,0 +1,165 @@
+// Issues and returns made while the network is down, kept in IndexedDB so they
+// survive a reload and replayed once the connection is back. Each entry is
+//   { id, type, payload, label, queuedAt, status, error }
+// where `status` is pending until a replay is refused, then conflict until
+// staff retry or discard it. Other tabs hear about changes through a
+// BroadcastChannel, as in sessionSync.
+
+const DB_NAME = 'kitabghar-offline';
+const DB_VERSION = 1;
+const STORE_NAME = 'mutations';
+const CHANNEL_NAME = 'kitabghar-offline-queue';
+
+export const OFFLINE_MUTATIONS = {
+  ISSUE: 'issue',
+  RETURN: 'return'
+};
+
+export const OFFLINE_MUTATION_LABELS = {
+  [OFFLINE_MUTATIONS.ISSUE]: 'Issue',
+  [OFFLINE_MUTATIONS.RETURN]: 'Return'
+};
+
+export const QUEUE_STATUS = {
+  PENDING: 'pending',
+  CONFLICT: 'conflict'
+};
+
+// True while the browser reports no connection. Browsers can report online
+// when the campus network is up but the API is not, so callers also treat a
+// network error as offline (see ApiError#isNetworkError).
+export const isBrowserOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('Offline storage is not available in this browser'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      // Let a later call try again rather than failing forever
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+// Run `action(store)` in a transaction and resolve to the result of the
+// request it returns, once the transaction has committed
+const withStore = async (mode, action) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = action(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+const listeners = new Set();
+const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+const notifyListeners = () => listeners.forEach(listener => listener());
+
+if (channel) channel.onmessage = notifyListeners;
+
+const notifyChange = () => {
+  notifyListeners();
+  if (channel) channel.postMessage({ type: 'changed' });
+};
+
+// Calls `listener` whenever the queue changes in this tab or another one.
+// Returns a function that stops listening.
+export const subscribeToQueue = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Every queued entry, oldest first
+export const getQueuedMutations = async () => {
+  const entries = await withStore('readonly', store => store.getAll());
+  return (entries || []).sort((a, b) => a.id - b.id);
+};
+
+// Add a mutation to the end of the queue. Resolves to the stored entry.
+export const enqueueMutation = async ({ type, payload, label }) => {
+  const entry = {
+    type,
+    payload,
+    label,
+    queuedAt: new Date().toISOString(),
+    status: QUEUE_STATUS.PENDING,
+    error: null
+  };
+  const id = await withStore('readwrite', store => store.add(entry));
+  notifyChange();
+  return { ...entry, id };
+};
+
+export const updateQueuedMutation = async (id, changes) => {
+  await withStore('readwrite', store => {
+    const request = store.get(id);
+    request.onsuccess = () => {
+      if (request.result) store.put({ ...request.result, ...changes });
+    };
+    return request;
+  });
+  notifyChange();
+};
+
+export const removeQueuedMutation = async (id) => {
+  await withStore('readwrite', store => store.delete(id));
+  notifyChange();
+};
+
+let replayPromise = null;
+
+// Replay pending entries in the order they were made through
+// `handlers[type](payload)`. A network error stops the run, leaving the rest
+// for next time; any other error marks that entry as a conflict and moves on.
+// Concurrent callers in a tab share one run, and where the browser supports
+// Web Locks only one tab replays at a time. Resolves to
+// { synced: [entry], conflicts: [entry] }.
+export const replayQueuedMutations = (handlers) => {
+  const run = async () => {
+    const result = { synced: [], conflicts: [] };
+    const entries = await getQueuedMutations();
+
+    for (const entry of entries.filter(item => item.status === QUEUE_STATUS.PENDING)) {
+      try {
+        await handlers[entry.type](entry.payload);
+      } catch (error) {
+        if (error.isNetworkError) break;
+        const conflict = { ...entry, status: QUEUE_STATUS.CONFLICT, error: error.message || 'Refused by the server' };
+        await updateQueuedMutation(entry.id, { status: conflict.status, error: conflict.error });
+        result.conflicts.push(conflict);
+        continue;
+      }
+      await removeQueuedMutation(entry.id);
+      result.synced.push(entry);
+    }
+    return result;
+  };
+
+  if (!replayPromise) {
+    const locked = typeof navigator !== 'undefined' && navigator.locks
+      ? navigator.locks.request(CHANNEL_NAME, { ifAvailable: true }, lock =>
+        (lock ? run() : { synced: [], conflicts: [] }))
+      : run();
+    replayPromise = locked.finally(() => {
+      replayPromise = null;
+    });
+  }
+  return replayPromise;
+};
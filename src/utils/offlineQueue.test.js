@@ -0,0 +1,137 @@
+import 'fake-indexeddb/auto';
+import {
+  OFFLINE_MUTATIONS,
+  QUEUE_STATUS,
+  enqueueMutation,
+  getQueuedMutations,
+  updateQueuedMutation,
+  removeQueuedMutation,
+  subscribeToQueue,
+  replayQueuedMutations,
+  isBrowserOffline
+} from './offlineQueue';
+
+const networkError = () => Object.assign(new Error('Network Error'), { isNetworkError: true });
+
+const issue = (bookId) => ({ type: OFFLINE_MUTATIONS.ISSUE, payload: { bookId, erpId: 'ERP001' }, label: `Issue of ${bookId}` });
+const returnOf = (issueId) => ({ type: OFFLINE_MUTATIONS.RETURN, payload: { issueId }, label: `Return of ${issueId}` });
+
+beforeEach(async () => {
+  const entries = await getQueuedMutations();
+  for (const entry of entries) await removeQueuedMutation(entry.id);
+});
+
+describe('the offline queue', () => {
+  it('keeps entries pending, oldest first', async () => {
+    const first = await enqueueMutation(issue('book-1'));
+    const second = await enqueueMutation(returnOf('issue-1'));
+
+    expect(first).toMatchObject({ ...issue('book-1'), status: QUEUE_STATUS.PENDING, error: null });
+    expect(typeof first.queuedAt).toBe('string');
+    expect((await getQueuedMutations()).map(entry => entry.id)).toEqual([first.id, second.id]);
+  });
+
+  it('updates and removes entries', async () => {
+    const entry = await enqueueMutation(issue('book-1'));
+
+    await updateQueuedMutation(entry.id, { status: QUEUE_STATUS.CONFLICT, error: 'No copies left' });
+    expect(await getQueuedMutations()).toEqual([{ ...entry, status: QUEUE_STATUS.CONFLICT, error: 'No copies left' }]);
+
+    await removeQueuedMutation(entry.id);
+    expect(await getQueuedMutations()).toEqual([]);
+  });
+
+  it('tells subscribers about changes until they unsubscribe', async () => {
+    const listener = jest.fn();
+    const unsubscribe = subscribeToQueue(listener);
+
+    const entry = await enqueueMutation(issue('book-1'));
+    expect(listener).toHaveBeenCalledTimes(1);
+
+    unsubscribe();
+    await removeQueuedMutation(entry.id);
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('replayQueuedMutations', () => {
+  it('replays entries in order and removes the ones that sync', async () => {
+    await enqueueMutation(issue('book-1'));
+    await enqueueMutation(returnOf('issue-1'));
+    const calls = [];
+    const handlers = {
+      [OFFLINE_MUTATIONS.ISSUE]: async payload => calls.push(['issue', payload.bookId]),
+      [OFFLINE_MUTATIONS.RETURN]: async payload => calls.push(['return', payload.issueId])
+    };
+
+    const result = await replayQueuedMutations(handlers);
+
+    expect(calls).toEqual([['issue', 'book-1'], ['return', 'issue-1']]);
+    expect(result.synced).toHaveLength(2);
+    expect(result.conflicts).toEqual([]);
+    expect(await getQueuedMutations()).toEqual([]);
+  });
+
+  it('marks a refused entry as a conflict and carries on', async () => {
+    await enqueueMutation(issue('book-1'));
+    await enqueueMutation(issue('book-2'));
+    const handlers = {
+      [OFFLINE_MUTATIONS.ISSUE]: async ({ bookId }) => {
+        if (bookId === 'book-1') throw new Error('Member has reached the loan limit');
+      }
+    };
+
+    const result = await replayQueuedMutations(handlers);
+
+    expect(result.synced.map(entry => entry.payload.bookId)).toEqual(['book-2']);
+    expect(result.conflicts).toMatchObject([{ status: QUEUE_STATUS.CONFLICT, error: 'Member has reached the loan limit' }]);
+    expect(await getQueuedMutations()).toMatchObject([
+      { payload: { bookId: 'book-1' }, status: QUEUE_STATUS.CONFLICT, error: 'Member has reached the loan limit' }
+    ]);
+
+    // Conflicts wait for staff and are not replayed again
+    const handler = jest.fn();
+    await replayQueuedMutations({ [OFFLINE_MUTATIONS.ISSUE]: handler });
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('stops at a network error and leaves the rest pending', async () => {
+    await enqueueMutation(issue('book-1'));
+    await enqueueMutation(issue('book-2'));
+    const handler = jest.fn().mockRejectedValue(networkError());
+
+    const result = await replayQueuedMutations({ [OFFLINE_MUTATIONS.ISSUE]: handler });
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(result).toEqual({ synced: [], conflicts: [] });
+    const queue = await getQueuedMutations();
+    expect(queue).toHaveLength(2);
+    expect(queue.every(entry => entry.status === QUEUE_STATUS.PENDING)).toBe(true);
+  });
+
+  it('shares one run between concurrent callers', async () => {
+    await enqueueMutation(issue('book-1'));
+    const handler = jest.fn().mockResolvedValue({});
+
+    const [first, second] = await Promise.all([
+      replayQueuedMutations({ [OFFLINE_MUTATIONS.ISSUE]: handler }),
+      replayQueuedMutations({ [OFFLINE_MUTATIONS.ISSUE]: handler })
+    ]);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(second).toBe(first);
+  });
+});
+
+describe('isBrowserOffline', () => {
+  it('follows navigator.onLine', () => {
+    const onLine = jest.spyOn(window.navigator, 'onLine', 'get');
+
+    onLine.mockReturnValue(false);
+    expect(isBrowserOffline()).toBe(true);
+    onLine.mockReturnValue(true);
+    expect(isBrowserOffline()).toBe(false);
+
+    onLine.mockRestore();
+  });
+});
@@ -0,0 +1,154 @@
+// Due-soon reminders and overdue notices, generated from issue records and
+// worded by editable templates
+
+import { getDaysRemaining, getEffectiveDueDate, isReturned, formatDate } from './loanUtils';
+import { calculateFine, formatCurrency } from './fineUtils';
+import { DEFAULT_CLOSURE_CALENDAR } from './closureUtils';
+import { LIBRARY_NAME } from '../config/reminders';
+
+export const REMINDER_TYPES = {
+  DUE_SOON: 'due-soon',
+  OVERDUE: 'overdue'
+};
+
+export const REMINDER_TYPE_LABELS = {
+  [REMINDER_TYPES.DUE_SOON]: 'Due soon',
+  [REMINDER_TYPES.OVERDUE]: 'Overdue'
+};
+
+export const REMINDER_TYPE_COLORS = {
+  [REMINDER_TYPES.DUE_SOON]: 'bg-yellow-100 text-yellow-800',
+  [REMINDER_TYPES.OVERDUE]: 'bg-red-100 text-red-800'
+};
+
+// Placeholders a template may use, with what each is replaced by
+export const TEMPLATE_PLACEHOLDERS = {
+  name: "Borrower's name",
+  erpId: "Borrower's ERP ID",
+  title: 'Book title',
+  dueDate: 'Due date',
+  daysLeft: 'Days until the due date',
+  daysOverdue: 'Days overdue',
+  fine: 'Fine owed so far',
+  library: 'Library name'
+};
+
+export const DEFAULT_REMINDER_TEMPLATES = {
+  [REMINDER_TYPES.DUE_SOON]: {
+    subject: 'Reminder: "{{title}}" is due on {{dueDate}}',
+    body: 'Hi {{name}}, "{{title}}" is due back on {{dueDate}} ({{daysLeft}} days left). Please return or renew it on time. - {{library}}'
+  },
+  [REMINDER_TYPES.OVERDUE]: {
+    subject: 'Overdue: "{{title}}" was due on {{dueDate}}',
+    body: 'Hi {{name}}, "{{title}}" was due on {{dueDate}} and is {{daysOverdue}} days overdue. Fine so far: {{fine}}. Please return it as soon as possible. - {{library}}'
+  }
+};
+
+// Saved templates with any missing type or field taken from the defaults
+export const normaliseReminderTemplates = (templates) =>
+  Object.fromEntries(Object.values(REMINDER_TYPES).map(type => [
+    type,
+    {
+      subject: templates?.[type]?.subject || DEFAULT_REMINDER_TEMPLATES[type].subject,
+      body: templates?.[type]?.body || DEFAULT_REMINDER_TEMPLATES[type].body
+    }
+  ]));
+
+// Replace {{placeholder}}s; unknown ones are left as they are so typos show
+export const renderTemplate = (template, values) =>
+  template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+    (values[key] === undefined || values[key] === null ? match : String(values[key])));
+
+// Which reminder, if any, a loan is due today, with an id that stays the
+// same until the next one is due. Renewing a loan changes its due date and so
+// starts its reminders afresh; overdue notices repeat every
+// `overdueRepeatDays`.
+const getReminderDue = (issue, policy, now, calendar) => {
+  if (isReturned(issue)) return null;
+
+  const days = getDaysRemaining(issue.expectedReturnDate, now, calendar);
+  const loanKey = `${issue._id}:${issue.expectedReturnDate}`;
+
+  if (days >= 0 && days <= policy.dueSoonDays) {
+    return { type: REMINDER_TYPES.DUE_SOON, id: `${loanKey}:${REMINDER_TYPES.DUE_SOON}`, days };
+  }
+  if (days < 0) {
+    const round = Math.floor((-days - 1) / Math.max(1, policy.overdueRepeatDays));
+    return { type: REMINDER_TYPES.OVERDUE, id: `${loanKey}:${REMINDER_TYPES.OVERDUE}:${round}`, days };
+  }
+  return null;
+};
+
+// Reminders waiting to be sent, overdue first. `sentIds` holds the ids of
+// reminders already delivered; `getContact(issue)` returns { phone, email }
+// for the borrower.
+export const buildReminderQueue = (
+  issues,
+  { policy, templates, finePolicy, calendar = DEFAULT_CLOSURE_CALENDAR, sentIds = new Set(), getContact = () => ({}) },
+  now = new Date()
+) =>
+  issues
+    .map(issue => {
+      const due = getReminderDue(issue, policy, now, calendar);
+      if (!due || sentIds.has(due.id)) return null;
+
+      const contact = getContact(issue);
+      const values = {
+        name: issue.userName,
+        erpId: issue.erpId,
+        title: issue.bookId?.title || 'your book',
+        dueDate: formatDate(getEffectiveDueDate(issue.expectedReturnDate, calendar)),
+        daysLeft: Math.max(0, due.days),
+        daysOverdue: Math.max(0, -due.days),
+        fine: formatCurrency(calculateFine(issue, finePolicy, now, calendar).outstanding),
+        library: LIBRARY_NAME
+      };
+      const template = templates[due.type];
+
+      return {
+        id: due.id,
+        type: due.type,
+        issueId: issue._id,
+        erpId: issue.erpId,
+        userName: issue.userName,
+        bookTitle: values.title,
+        dueDate: issue.expectedReturnDate,
+        phone: contact.phone || issue.phone || '',
+        email: contact.email || '',
+        subject: renderTemplate(template.subject, values),
+        message: renderTemplate(template.body, values)
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => {
+      if (a.type !== b.type) return a.type === REMINDER_TYPES.OVERDUE ? -1 : 1;
+      return new Date(a.dueDate) - new Date(b.dueDate);
+    });
+
+// Sample values for previewing a template in the editor
+export const SAMPLE_TEMPLATE_VALUES = {
+  name: 'Asha Rao',
+  erpId: 'ERP1023',
+  title: 'Clean Code',
+  dueDate: formatDate(new Date()),
+  daysLeft: 2,
+  daysOverdue: 3,
+  fine: formatCurrency(5),
+  library: LIBRARY_NAME
+};
+
+// First problem with edited templates, or null when they can be saved
+export const validateReminderTemplates = (templates) => {
+  for (const type of Object.values(REMINDER_TYPES)) {
+    if (!templates[type]?.subject?.trim() || !templates[type]?.body?.trim()) {
+      return `The ${REMINDER_TYPE_LABELS[type].toLowerCase()} template needs a subject and a message`;
+    }
+    const unknown = (`${templates[type].subject} ${templates[type].body}`.match(/\{\{\s*(\w+)\s*\}\}/g) || [])
+      .map(placeholder => placeholder.replace(/[{}\s]/g, ''))
+      .find(key => !(key in TEMPLATE_PLACEHOLDERS));
+    if (unknown) {
+      return `Unknown placeholder {{${unknown}}} in the ${REMINDER_TYPE_LABELS[type].toLowerCase()} template`;
+    }
+  }
+  return null;
+};
@@ -0,0 +1,126 @@
+import {
+  REMINDER_TYPES,
+  DEFAULT_REMINDER_TEMPLATES,
+  normaliseReminderTemplates,
+  renderTemplate,
+  buildReminderQueue,
+  validateReminderTemplates
+} from './reminderUtils';
+import { normaliseClosureCalendar } from './closureUtils';
+import { formatDate } from './loanUtils';
+import { LIBRARY_NAME } from '../config/reminders';
+
+// Open every day, so days left and overdue are plain calendar days
+const calendar = normaliseClosureCalendar({ closedWeekdays: [] });
+const policy = { dueSoonDays: 2, overdueRepeatDays: 7 };
+const finePolicy = { ratePerDay: 5, graceDays: 2, maxPerItem: 500 };
+const now = new Date(2026, 9, 20, 12);
+
+const loan = (id, expectedReturnDate, overrides) => ({
+  _id: id,
+  bookId: { title: 'Dune' },
+  userName: 'Anu Rao',
+  erpId: 'ERP001',
+  phone: '9876543210',
+  status: 'issued',
+  expectedReturnDate,
+  ...overrides
+});
+
+const queue = (issues, options = {}) => buildReminderQueue(issues, {
+  policy,
+  templates: DEFAULT_REMINDER_TEMPLATES,
+  finePolicy,
+  calendar,
+  ...options
+}, now);
+
+describe('buildReminderQueue', () => {
+  it('reminds about loans due within dueSoonDays', () => {
+    const [reminder, ...rest] = queue([
+      loan('soon', '2026-10-22'),
+      loan('later', '2026-10-23')
+    ]);
+    expect(rest).toEqual([]);
+    expect(reminder).toMatchObject({
+      id: 'soon:2026-10-22:due-soon',
+      type: REMINDER_TYPES.DUE_SOON,
+      issueId: 'soon',
+      bookTitle: 'Dune',
+      phone: '9876543210',
+      subject: `Reminder: "Dune" is due on ${formatDate('2026-10-22')}`
+    });
+    expect(reminder.message).toContain('(2 days left)');
+    expect(reminder.message).toContain(LIBRARY_NAME);
+  });
+
+  it('words overdue notices with the days late and the fine so far', () => {
+    const [reminder] = queue([loan('late', '2026-10-10')]);
+    expect(reminder.type).toBe(REMINDER_TYPES.OVERDUE);
+    expect(reminder.message).toContain('is 10 days overdue. Fine so far: ₹40.00.');
+  });
+
+  it('repeats an overdue notice every overdueRepeatDays', () => {
+    expect(queue([loan('a', '2026-10-19')])[0].id).toBe('a:2026-10-19:overdue:0');
+    expect(queue([loan('a', '2026-10-13')])[0].id).toBe('a:2026-10-13:overdue:0');
+    expect(queue([loan('a', '2026-10-12')])[0].id).toBe('a:2026-10-12:overdue:1');
+  });
+
+  it('skips returned loans and reminders already sent', () => {
+    const issues = [
+      loan('returned', '2026-10-10', { status: 'returned' }),
+      loan('sent', '2026-10-21'),
+      loan('renewed', '2026-10-22')
+    ];
+    // The renewed loan was reminded about under its old due date
+    const sentIds = new Set(['sent:2026-10-21:due-soon', 'renewed:2026-10-15:overdue:0']);
+    expect(queue(issues, { sentIds }).map(reminder => reminder.issueId)).toEqual(['renewed']);
+  });
+
+  it('lists overdue notices first, then by due date', () => {
+    const reminders = queue([
+      loan('soon-2', '2026-10-22'),
+      loan('late-1', '2026-10-15'),
+      loan('soon-1', '2026-10-21'),
+      loan('late-2', '2026-10-01')
+    ]);
+    expect(reminders.map(reminder => reminder.issueId)).toEqual(['late-2', 'late-1', 'soon-1', 'soon-2']);
+  });
+
+  it('takes contact details from getContact over the issue record', () => {
+    const getContact = () => ({ phone: '9000000000', email: 'anu@example.edu' });
+    expect(queue([loan('soon', '2026-10-21')], { getContact })[0]).toMatchObject({
+      phone: '9000000000',
+      email: 'anu@example.edu'
+    });
+    expect(queue([loan('soon', '2026-10-21')])[0].email).toBe('');
+  });
+});
+
+describe('templates', () => {
+  it('fills placeholders and leaves unknown ones showing', () => {
+    expect(renderTemplate('Hi {{ name }}, {{title}} {{typo}}', { name: 'Anu', title: 'Dune' }))
+      .toBe('Hi Anu, Dune {{typo}}');
+  });
+
+  it('falls back to the default for anything not saved', () => {
+    const templates = normaliseReminderTemplates({ [REMINDER_TYPES.OVERDUE]: { subject: 'Late: {{title}}' } });
+    expect(templates[REMINDER_TYPES.DUE_SOON]).toEqual(DEFAULT_REMINDER_TEMPLATES[REMINDER_TYPES.DUE_SOON]);
+    expect(templates[REMINDER_TYPES.OVERDUE]).toEqual({
+      subject: 'Late: {{title}}',
+      body: DEFAULT_REMINDER_TEMPLATES[REMINDER_TYPES.OVERDUE].body
+    });
+  });
+
+  it('refuses empty templates and unknown placeholders', () => {
+    expect(validateReminderTemplates(DEFAULT_REMINDER_TEMPLATES)).toBeNull();
+    expect(validateReminderTemplates({
+      ...DEFAULT_REMINDER_TEMPLATES,
+      [REMINDER_TYPES.DUE_SOON]: { subject: ' ', body: 'Hi' }
+    })).toBe('The due soon template needs a subject and a message');
+    expect(validateReminderTemplates({
+      ...DEFAULT_REMINDER_TEMPLATES,
+      [REMINDER_TYPES.OVERDUE]: { subject: 'Late', body: 'Pay {{fines}}' }
+    })).toBe('Unknown placeholder {{fines}} in the overdue template');
+  });
+});
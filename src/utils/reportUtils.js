@@ -0,0 +1,57 @@
+// Column definitions and row builders for CSV exports and printed reports
+
+import { isOverdue, isReturned, formatDate, getEffectiveDueDate } from './loanUtils';
+import { calculateFine } from './fineUtils';
+import { DEFAULT_CLOSURE_CALENDAR, toDateKey } from './closureUtils';
+
+const formatOptionalDate = (value) => (value ? formatDate(value) : '');
+
+export const getIssueStatusLabel = (issue, now = new Date(), calendar = DEFAULT_CLOSURE_CALENDAR) => {
+  if (isReturned(issue)) return 'Returned';
+  if (isOverdue(issue, now, calendar)) return 'Overdue';
+  return 'Issued';
+};
+
+export const BOOK_EXPORT_COLUMNS = [
+  { header: 'Title', value: book => book.title },
+  { header: 'Author', value: book => book.author },
+  { header: 'ISBN', value: book => book.isbn },
+  { header: 'Category', value: book => book.category },
+  { header: 'Publisher', value: book => book.publisher },
+  { header: 'Publication Year', value: book => book.publicationYear },
+  { header: 'Language', value: book => book.language },
+  { header: 'Location', value: book => book.location },
+  { header: 'Total Quantity', value: book => book.totalQuantity },
+  { header: 'Available Quantity', value: book => book.availableQuantity }
+];
+
+// Issue columns. The due date and status are worked out against the closure
+// calendar, so they match what the dashboard shows.
+export const getIssueExportColumns = (calendar = DEFAULT_CLOSURE_CALENDAR, now = new Date()) => [
+  { header: 'Book', value: issue => issue.bookId?.title },
+  { header: 'Author', value: issue => issue.bookId?.author },
+  { header: 'ISBN', value: issue => issue.bookId?.isbn },
+  { header: 'Accession No.', value: issue => issue.copyId?.accessionNumber },
+  { header: 'User', value: issue => issue.userName },
+  { header: 'ERP ID', value: issue => issue.erpId },
+  { header: 'Phone', value: issue => issue.phone },
+  { header: 'Issue Date', value: issue => formatOptionalDate(issue.issueDate) },
+  {
+    header: 'Due Date',
+    value: issue => formatOptionalDate(issue.expectedReturnDate && getEffectiveDueDate(issue.expectedReturnDate, calendar))
+  },
+  { header: 'Returned On', value: issue => formatOptionalDate(issue.actualReturnDate) },
+  { header: 'Status', value: issue => getIssueStatusLabel(issue, now, calendar) },
+  { header: 'Renewals', value: issue => issue.renewalCount || 0 }
+];
+
+// Overdue loans with their lateness and fine, most overdue first
+export const getOverdueReportRows = (issues, finePolicy, now = new Date(), calendar = DEFAULT_CLOSURE_CALENDAR) =>
+  issues
+    .filter(issue => isOverdue(issue, now, calendar))
+    .map(issue => ({ issue, fine: calculateFine(issue, finePolicy, now, calendar) }))
+    .sort((a, b) => b.fine.daysLate - a.fine.daysLate);
+
+// e.g. books-2024-05-01.csv
+export const buildExportFilename = (prefix, now = new Date()) =>
+  `${prefix}-${toDateKey(now)}.csv`;
@@ -0,0 +1,69 @@
+import {
+  getIssueStatusLabel,
+  getIssueExportColumns,
+  getOverdueReportRows,
+  buildExportFilename
+} from './reportUtils';
+import { normaliseClosureCalendar } from './closureUtils';
+import { formatDate } from './loanUtils';
+
+// Sundays closed, plus Friday 23 October 2026
+const calendar = normaliseClosureCalendar({
+  closedWeekdays: [0],
+  closures: [{ from: '2026-10-23', to: '2026-10-23', label: 'Dussehra' }]
+});
+const finePolicy = { ratePerDay: 5, graceDays: 0, maxPerItem: 500 };
+const now = new Date(2026, 9, 28, 12);
+
+const loan = (overrides) => ({
+  _id: 'issue-1',
+  bookId: { title: 'Dune', author: 'Frank Herbert', isbn: '9780441013593' },
+  userName: 'Anu Rao',
+  erpId: 'ERP001',
+  status: 'issued',
+  issueDate: '2026-10-09',
+  expectedReturnDate: '2026-10-23',
+  ...overrides
+});
+
+const exportRow = (issue) =>
+  Object.fromEntries(getIssueExportColumns(calendar, now).map(column => [column.header, column.value(issue)]));
+
+describe('getIssueExportColumns', () => {
+  it('exports the due date moved off a closed day, as the dashboard shows it', () => {
+    expect(exportRow(loan())['Due Date']).toBe(formatDate('2026-10-24'));
+  });
+
+  it('leaves a due date on an open day alone and blanks missing dates', () => {
+    const row = exportRow(loan({ expectedReturnDate: '2026-10-30', actualReturnDate: null }));
+    expect(row['Due Date']).toBe(formatDate('2026-10-30'));
+    expect(row['Returned On']).toBe('');
+    expect(exportRow(loan({ expectedReturnDate: '' }))['Due Date']).toBe('');
+  });
+});
+
+describe('getIssueStatusLabel', () => {
+  it('counts a loan as overdue from the moved due date', () => {
+    expect(getIssueStatusLabel(loan(), new Date(2026, 9, 24, 12), calendar)).toBe('Issued');
+    expect(getIssueStatusLabel(loan(), now, calendar)).toBe('Overdue');
+    expect(getIssueStatusLabel(loan({ status: 'returned' }), now, calendar)).toBe('Returned');
+  });
+});
+
+describe('getOverdueReportRows', () => {
+  it('lists overdue loans, most overdue first', () => {
+    const rows = getOverdueReportRows([
+      loan({ _id: 'a', expectedReturnDate: '2026-10-26' }),
+      loan({ _id: 'b', expectedReturnDate: '2026-10-20' }),
+      loan({ _id: 'c', expectedReturnDate: '2026-11-02' })
+    ], finePolicy, now, calendar);
+    expect(rows.map(({ issue }) => issue._id)).toEqual(['b', 'a']);
+    expect(rows[1].fine.daysLate).toBe(2);
+  });
+});
+
+describe('buildExportFilename', () => {
+  it('names the file after the local date', () => {
+    expect(buildExportFilename('issues', new Date(2026, 11, 31, 23, 30))).toBe('issues-2026-12-31.csv');
+  });
+});
@@ -0,0 +1,43 @@
+// Tells the other open tabs about session changes so they log in, log out and
+// pick up refreshed tokens straight away. Messages carry only the event type;
+// the session itself is read back from localStorage, which every tab shares.
+// Uses BroadcastChannel, falling back to storage events where it is missing.
+
+const CHANNEL_NAME = 'kitabghar-session';
+const STORAGE_EVENT_KEY = 'kitabghar-session-event';
+
+export const SESSION_EVENTS = {
+  LOGIN: 'login',
+  LOGOUT: 'logout',
+  REFRESH: 'refresh'
+};
+
+// Returns { post(type), close() }. `onEvent` receives the type of every event
+// posted from another tab.
+export const createSessionChannel = (onEvent) => {
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => onEvent(event.data?.type);
+
+    return {
+      post: (type) => channel.postMessage({ type }),
+      close: () => channel.close()
+    };
+  }
+
+  const handleStorage = (event) => {
+    if (event.key !== STORAGE_EVENT_KEY || !event.newValue) return;
+    try {
+      onEvent(JSON.parse(event.newValue).type);
+    } catch (error) {
+      console.error('Error reading session event:', error);
+    }
+  };
+  window.addEventListener('storage', handleStorage);
+
+  return {
+    // The timestamp makes repeated events distinct, otherwise no storage event fires
+    post: (type) => localStorage.setItem(STORAGE_EVENT_KEY, JSON.stringify({ type, sentAt: Date.now() })),
+    close: () => window.removeEventListener('storage', handleStorage)
+  };
+};
@@ -0,0 +1,28 @@
+// Helpers for reading session tokens. Tokens are JWTs; anything that does not
+// decode is treated as having no known expiry.
+
+// Decode the payload of a JWT without verifying it
+export const decodeTokenPayload = (token) => {
+  if (typeof token !== 'string') return null;
+
+  const [, payload] = token.split('.');
+  if (!payload) return null;
+
+  try {
+    const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '=')));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Expiry of a token in milliseconds since the epoch, or null when unknown
+export const getTokenExpiry = (token) => {
+  const exp = decodeTokenPayload(token)?.exp;
+  return typeof exp === 'number' ? exp * 1000 : null;
+};
+
+// When the session really ends. Access tokens are refreshed as they expire,
+// so with a refresh token the session lasts as long as the refresh token.
+export const getSessionExpiry = (token, refreshToken) =>
+  refreshToken ? getTokenExpiry(refreshToken) : getTokenExpiry(token);